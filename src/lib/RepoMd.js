@@ -3,18 +3,32 @@
  */
 
 import { LOG_PREFIXES } from "./logger.js";
-import { fetchJson } from "./utils.js";
+import { fetchJson, fetchBinary, purgeUrlCache, getUrlCacheStats } from "./utils.js";
 import envizion from "envizion";
 import { getVersionInfo } from "./version.js";
 
 // Import modular components
-import { createUrlGenerator } from "./core/urls.js";
-import { createApiClient } from "./core/api.js";
-import cache from "./core/cache.js";
+import { createUrlGenerator, R2_DOMAIN } from "./core/urls.js";
+import { createApiClient, API_BASE } from "./core/api.js";
+import { createHttpStorage } from "./storage/index.js";
+import { createSqliteDatabase } from "./database/index.js";
+import { createLinkGraph } from "./graph/index.js";
+import { createEventEmitter } from "./core/events.js";
+import { createRevisionDiff } from "./revisions/index.js";
+import { createFeedGenerator } from "./feeds/index.js";
+import { createSitemapGenerator } from "./sitemap/index.js";
+import { createMemoryCache } from "./core/cache.js";
+import { createPersistentCache, DEFAULT_PERSISTENT_POLICIES } from "./cache/index.js";
 import { createPostRetrieval } from "./posts/retrieval.js";
+import { createPostTaxonomy } from "./posts/taxonomy.js";
 import { createPostSimilarity } from "./posts/similarity.js";
 import { createPostSearch } from "./posts/search.js";
+import { createRepoMdEmbeddingProvider, computeEmbedding } from "./embeddings/index.js";
+import { VECTRA_FOLDERS } from "./vectorIndex/index.js";
+import { createVisibilityPolicy } from "./posts/visibility.js";
+import { createTransformerPipeline, TRANSFORMERS_CACHE_NAMESPACE } from "./transformers/index.js";
 import { createMediaHandler } from "./media/handler.js";
+import { createImageHelpers } from "./media/images.js";
 import { createProjectConfig } from "./project/config.js";
 import { createFileHandler } from "./files/index.js";
 import { createMediaSimilarity } from "./media/similarity.js";
@@ -44,6 +58,7 @@ import { RepoNextMiddleware, createRepoMiddleware } from "./middleware/RepoNextM
 
 // Import unified proxy configuration
 import { UnifiedProxyConfig } from "./proxy/UnifiedProxyConfig.js";
+import { createContentApi } from "./api/index.js";
 import { getProjectIdFromEnv } from "./utils/env.js";
 
 // Import framework integrations
@@ -66,9 +81,25 @@ class RepoMD {
     strategy = "auto", // auto, browser, server
     revCacheExpirySeconds = 300, // 5 minutes default
     debug_rev_caching = false,
+    staticBaseUrl = R2_DOMAIN, // Static storage (mirror, staging bucket...)
+    apiBaseUrl = API_BASE, // repo.md API (self-hosted...)
+    localDist = null, // Base URL of a built dist folder (http:// or file://), fully offline
+    storage = null, // Storage adapter (createFsStorage...), defaults to HTTP
+    sqliteWasmUrl = null, // URL of the sql.js wasm binary (required in browsers)
+    tagsFromDatabase = false, // Read tags from the content.sqlite tag tables instead of the posts frontmatter
+    cacheStore = null, // Persistent cache store (createIndexedDbCacheStore, createFsCacheStore, createKvCacheStore)
+    cachePolicies = null, // TTL/size policies by cache namespace ({ transformers: { ttl, maxSize }, responses: { ttl } })
+    visibility = null, // Visibility policy ({ includeDrafts, visibilityField, publishAtField, previewSecret... })
+    preview = null, // Preview secret, starts in preview mode (hidden posts visible)
+    transformers = [], // Post transformers, same as calling repo.use() for each
+    embeddingProvider = null, // Query embeddings of vector search (createTransformersEmbeddingProvider...), defaults to the repo.md API
+    vectorIndex = null, // Vector search index ({ quantization, algorithm, exactThreshold, lists, probes, useVectra })
   } = {}) {
     // Try to get project ID from environment if not provided
-    if (!projectId) {
+    if (!projectId && (localDist || storage?.getRevision)) {
+      // A dist folder holds a single project, the ID is only used for labels
+      projectId = "local-dist";
+    } else if (!projectId) {
       projectId = getProjectIdFromEnv(null, 'RepoMD constructor');
     }
     // Store configuration
@@ -80,6 +111,13 @@ class RepoMD {
     this.strategy = strategy;
     this.revCacheExpirySeconds = revCacheExpirySeconds;
     this.debug_rev_caching = debug_rev_caching;
+    this.staticBaseUrl = staticBaseUrl;
+    this.apiBaseUrl = apiBaseUrl;
+    this.localDist = localDist;
+    this.sqliteWasmUrl = sqliteWasmUrl;
+    this.tagsFromDatabase = tagsFromDatabase;
+    this.embeddingProvider = embeddingProvider || createRepoMdEmbeddingProvider({ apiBaseUrl, debug });
+    this.vectorIndexOptions = vectorIndex || {};
     this.activeRev = null; // Store resolved latest revision ID
 
     // Initialize stats tracking
@@ -93,6 +131,7 @@ class RepoMD {
           pathMap: 0,
           directPath: 0,
           allPosts: 0,
+          postsIndex: 0,
         },
         individualLoads: 0,
         allPostsLoaded: false,
@@ -107,10 +146,39 @@ class RepoMD {
       },
     };
 
-    // Configure cache for this instance
-    cache.configure("posts", { maxSize: 1000 }, debug);
-    cache.configure("similarity", { maxSize: 500 }, debug);
-    cache.configure("media", { maxSize: 200 }, debug);
+    // Visibility policy applied to every post read (private notes, drafts, scheduled posts)
+    this.visibility = createVisibilityPolicy({ ...(visibility || {}), debug });
+    if (preview) {
+      this.visibility.enablePreview(preview);
+    }
+
+    // Event emitter for revision changes (repo.on('revision', ...))
+    this.events = createEventEmitter({ debug });
+    this._revisionWatchTimer = null;
+    this._handleRevisionChange = this._handleRevisionChange.bind(this);
+
+    // Memory caches of this instance
+    this.cache = createMemoryCache();
+    this.cache.configure(TRANSFORMERS_CACHE_NAMESPACE, { maxSize: 1000 }, debug);
+
+    // Memory namespaces take their policies here, revision/responses are persistent namespaces
+    Object.entries(cachePolicies || {}).forEach(([namespace, policy]) => {
+      if (!(namespace in DEFAULT_PERSISTENT_POLICIES)) {
+        this.cache.configure(namespace, policy, debug);
+      }
+    });
+
+    // Persistent cache for fetched JSON, revision files never expire
+    this.persistentCache = cacheStore
+      ? createPersistentCache({
+          store: cacheStore,
+          policies: cachePolicies || {},
+          resolveNamespace: (url) =>
+            this.urls?.isImmutableUrl(url) ? "revision" : "responses",
+          debug,
+        })
+      : null;
+    this._purgedRev = null; // Revision whose persistent cache was cleaned of other revisions
 
     // Create resolver function for the URL generator
     const resolveLatestRev = async () => {
@@ -118,8 +186,11 @@ class RepoMD {
         // Use getActiveProjectRev which has built-in promise caching
         const resolvedRev = await this.api.getActiveProjectRev();
 
-        // Update our cached activeRev
-        this.activeRev = resolvedRev;
+        // Only the first resolution is stored here, a later change of revision is
+        // committed by _handleRevisionChange so it can purge the old one
+        if (!this.activeRev) {
+          this.activeRev = resolvedRev;
+        }
 
         if (this.debug) {
           console.log(
@@ -147,6 +218,9 @@ class RepoMD {
       debug,
       revCacheExpirySeconds: this.revCacheExpirySeconds,
       debug_rev_caching: this.debug_rev_caching,
+      staticBaseUrl: this.staticBaseUrl,
+      localDist: this.localDist,
+      onRevisionChange: this._handleRevisionChange,
     });
 
     // Initialize API client
@@ -154,6 +228,9 @@ class RepoMD {
       projectId,
       projectSlug,
       debug,
+      apiBaseUrl: this.apiBaseUrl,
+      localDist: this.localDist,
+      resolveStorageRev: storage?.getRevision || null,
     });
 
     // If we're using "latest" revision, try to eagerly resolve it to avoid issues with lazy loading
@@ -173,6 +250,9 @@ class RepoMD {
             debug: this.debug,
             revCacheExpirySeconds: this.revCacheExpirySeconds,
             debug_rev_caching: this.debug_rev_caching,
+            staticBaseUrl: this.staticBaseUrl,
+            localDist: this.localDist,
+            onRevisionChange: this._handleRevisionChange,
           });
 
           if (this.debug) {
@@ -195,10 +275,27 @@ class RepoMD {
     this.fetchR2Json = this.fetchR2Json.bind(this);
     this.ensureLatestRev = this.ensureLatestRev.bind(this);
     this._fetchMapData = this._fetchMapData.bind(this);
+    this.fetchSharedJson = this.fetchSharedJson.bind(this);
+
+    // Storage adapter for revision and shared files, HTTP unless one is provided
+    // URL getters are wrapped since this.urls is replaced once the revision resolves
+    this.storage =
+      storage ||
+      createHttpStorage({
+        getRevisionUrl: (path) => this.urls.getRevisionUrl(path),
+        getSharedFolderUrl: (path) => this.urls.getSharedFolderUrl(path),
+        getRevisionUrlFor: (revision, path) => this.urls.getRevisionUrlFor(revision, path),
+        fetchJson: this.fetchJson,
+        debug,
+      });
 
     // Initialize other services after bind functions are available
     this.initializeServices();
 
+    for (const transformer of transformers || []) {
+      this.use(transformer);
+    }
+
     // Generate instance ID
     this._instanceId = Math.random().toString(36).substring(2, 10);
 
@@ -207,6 +304,7 @@ class RepoMD {
         - projectId: ${projectId}
         - rev: ${rev}
         - strategy: ${strategy}
+        - storage: ${storage ? `${storage.type} adapter` : localDist ? `local dist (${localDist})` : staticBaseUrl}
         - instance: ${this._instanceId}
       `);
     }
@@ -225,7 +323,30 @@ class RepoMD {
 
   // Helper function to fetch JSON with error handling and caching
   async fetchJson(url, opts = {}) {
-    return await fetchJson(url, opts, this.debug);
+    const fetchOpts = this.persistentCache
+      ? { cacheStore: this.persistentCache, ...opts }
+      : opts;
+    this._purgeOtherRevisions();
+    return await fetchJson(url, fetchOpts, this.debug);
+  }
+
+  /**
+   * Drop the persistent entries of other revisions once the revision is known
+   * Revision files never expire, so those of earlier runs would otherwise stay forever
+   */
+  _purgeOtherRevisions() {
+    const rev = this.rev === "latest" ? this.activeRev : this.rev;
+    if (!this.persistentCache || !rev || this._purgedRev === rev || this.urls.isLocalDist()) {
+      return;
+    }
+    this._purgedRev = rev;
+
+    const projectUrl = this.urls.getProjectUrl("/");
+    const isOtherRevisionUrl = (url) =>
+      url.startsWith(projectUrl) &&
+      !url.startsWith(`${projectUrl}_shared/`) &&
+      !url.startsWith(`${projectUrl}${rev}/`);
+    this.persistentCache.purge(isOtherRevisionUrl).catch(() => {});
   }
 
   // Ensure latest revision is resolved before making R2 calls
@@ -263,8 +384,10 @@ class RepoMD {
             // Try to use the faster /rev endpoint directly
             const resolvedRev = await this.api.fetchProjectActiveRev();
 
-            // Update our cached activeRev
-            this.activeRev = resolvedRev;
+            // A change of revision is committed by _handleRevisionChange
+            if (!this.activeRev) {
+              this.activeRev = resolvedRev;
+            }
 
             return resolvedRev;
           } catch (error) {
@@ -286,6 +409,9 @@ class RepoMD {
           debug: this.debug,
           revCacheExpirySeconds: this.revCacheExpirySeconds,
           debug_rev_caching: this.debug_rev_caching,
+          staticBaseUrl: this.staticBaseUrl,
+          localDist: this.localDist,
+          onRevisionChange: this._handleRevisionChange,
         });
 
         if (this.debug) {
@@ -303,11 +429,139 @@ class RepoMD {
     }
   }
 
-  // Fetch a JSON file from R2 storage
+  // Subscribe to client events ("revision"), returns an unsubscribe function
+  on(event, handler) {
+    return this.events.on(event, handler);
+  }
+
+  off(event, handler) {
+    this.events.off(event, handler);
+  }
+
+  /**
+   * Handle a new "latest" revision: purge caches of the old one and emit "revision"
+   * The event's changes() resolves to the diff of both revisions, fetched on first call
+   * @param {string} newRev - New active revision
+   * @param {string} oldRev - Previous active revision (as seen by the caller)
+   * @returns {Object|null} - Revision event, or null if nothing changed
+   */
+  _handleRevisionChange(newRev, oldRev) {
+    const previousRev = this.activeRev || oldRev || null;
+
+    // Several URL generators may report the same change
+    if (!newRev || newRev === this.activeRev) {
+      return null;
+    }
+
+    this.activeRev = newRev;
+    this.urls.setActiveRev?.(newRev);
+
+    // First resolution, nothing cached for another revision yet
+    if (!previousRev) {
+      return null;
+    }
+
+    // Revision-specific files; shared files are content-addressed and stay valid
+    const baseUrl = this.urls.getBaseUrl();
+    const isOldRevisionUrl = this.urls.isLocalDist()
+      ? (url) => url.startsWith(baseUrl) && !url.includes("/_medias/")
+      : (url) =>
+          url.startsWith(baseUrl) && url.includes(`/${previousRev}/`);
+    const purgedUrls = purgeUrlCache(isOldRevisionUrl, this.debug);
+    this.persistentCache?.purge(isOldRevisionUrl).catch(() => {});
+
+    this.posts.clearPostsCache();
+    this.media.clearMediaCache();
+    this.transformers.reset();
+    this.storage.clearCache?.();
+    this.database.closeDatabase().catch(() => {});
+
+    // Post, media and file changes, diffed on first call only
+    let changes = null;
+    const event = {
+      rev: newRev,
+      previousRev,
+      changedAt: new Date().toISOString(),
+      purged: { urls: purgedUrls, postsCache: true },
+      changes: () => {
+        if (!changes) {
+          changes = this.diffRevisions(previousRev, newRev);
+        }
+        return changes;
+      },
+    };
+
+    if (this.debug) {
+      console.log(
+        `${prefix} 🆕 Revision changed from ${previousRev} to ${newRev}, purged ${purgedUrls} cached URLs`
+      );
+    }
+
+    this.events.emit("revision", event);
+    return event;
+  }
+
+  /**
+   * Check for a new "latest" revision now
+   * @returns {Promise<Object|null>} - Revision event if the revision changed, null otherwise
+   */
+  async checkForNewRevision() {
+    if (this.rev !== "latest") {
+      return null;
+    }
+    const latestRev = await this.api.getActiveProjectRev(true);
+    return this._handleRevisionChange(latestRev, this.activeRev);
+  }
+
+  /**
+   * Poll for new revisions and emit "revision" events when the active rev changes
+   * @param {Object} options - { interval: polling interval in ms (default 60000) }
+   * @returns {Function} - Stop function
+   */
+  watchRevisions(options = {}) {
+    const { interval = 60000 } = options;
+
+    if (this.rev !== "latest") {
+      throw new Error(
+        `watchRevisions requires the "latest" revision (this client is pinned to ${this.rev})`
+      );
+    }
+
+    this.stopWatchingRevisions();
+    this._revisionWatchTimer = setInterval(() => {
+      this.checkForNewRevision().catch((error) => {
+        if (this.debug) {
+          console.warn(`${prefix} ⚠️ Revision check failed: ${error.message}`);
+        }
+      });
+    }, interval);
+
+    // Don't keep Node processes alive just for the watcher
+    this._revisionWatchTimer.unref?.();
+
+    if (this.debug) {
+      console.log(`${prefix} 👀 Watching revisions every ${interval}ms`);
+    }
+
+    return () => this.stopWatchingRevisions();
+  }
+
+  stopWatchingRevisions() {
+    if (this._revisionWatchTimer) {
+      clearInterval(this._revisionWatchTimer);
+      this._revisionWatchTimer = null;
+    }
+  }
+
+  // Fetch a JSON file of the active revision from the storage (R2 by default)
   async fetchR2Json(path, opts = {}) {
-    // Get the URL, which will resolve revision if needed
-    const url = await this.urls.getRevisionUrl(path);
-    return await this.fetchJson(url, opts);
+    // The HTTP storage resolves the revision URL if needed
+    return await this.storage.readJson(path, opts);
+  }
+
+  // Fetch a JSON file from the shared folder of the storage
+  async fetchSharedJson(path, opts = {}) {
+    return await this.storage.readSharedJson(path, opts);
   }
 
   // Helper function to safely fetch map data
@@ -330,15 +584,31 @@ class RepoMD {
 
   // Initialize all service modules
   initializeServices() {
+    // URL getters go through this.urls, which is replaced once the revision resolves
+    const getRevisionUrl = (path) => this.urls.getRevisionUrl(path);
+    const getProjectUrl = (path) => this.urls.getProjectUrl(path);
+    const getSharedFolderUrl = (path) => this.urls.getSharedFolderUrl(path);
+
+    // Initialize post transformer pipeline (run over posts on retrieval, reset on new revisions)
+    this.transformers = createTransformerPipeline({
+      getAllPosts: () => this.posts.getSourcePosts(),
+      getAllMedia: () => this.getAllMedia(),
+      cache: this.cache,
+      debug: this.debug,
+    });
+
     // Initialize post retrieval service
     this.posts = createPostRetrieval({
-      getRevisionUrl: this.urls.getRevisionUrl,
-      getProjectUrl: this.urls.getProjectUrl,
-      getSharedFolderUrl: this.urls.getSharedFolderUrl,
+      getRevisionUrl,
+      getProjectUrl,
+      getSharedFolderUrl,
       fetchR2Json: this.fetchR2Json,
+      fetchSharedJson: this.fetchSharedJson,
       fetchJson: this.fetchJson,
       _fetchMapData: this._fetchMapData,
       stats: this.stats,
+      visibility: this.visibility,
+      transformer: this.transformers,
       debug: this.debug,
     });
 
@@ -349,6 +619,7 @@ class RepoMD {
       getRecentPosts: this.getRecentPosts.bind(this),
       getPostBySlug: this.getPostBySlug.bind(this),
       augmentPostsByProperty: this._augmentPostsByProperty.bind(this),
+      filterPostKeys: (keys, property) => this.posts.filterPostKeys(keys, property),
       debug: this.debug,
     });
 
@@ -358,14 +629,63 @@ class RepoMD {
       getPostsEmbeddings: this.getPostsEmbeddings.bind(this),
       getAllMedia: this.getAllMedia.bind(this),
       getMediaEmbeddings: this.getMediaEmbeddings.bind(this),
+      apiBaseUrl: this.apiBaseUrl,
+      embeddingProvider: this.embeddingProvider,
+      vectorIndexOptions: this.vectorIndexOptions,
+      readVectraIndex:
+        this.vectorIndexOptions.useVectra === false
+          ? null
+          : async (searchType) => {
+              try {
+                return await this.fetchR2Json(`${VECTRA_FOLDERS[searchType]}/index.json`, {
+                  defaultValue: null,
+                  useCache: false,
+                });
+              } catch {
+                return null; // Older builds have no vectra folders, the embeddings maps are used
+              }
+            },
+      getRevision: async () =>
+        this.rev !== "latest" ? this.rev : await this.api.getActiveProjectRev(),
+      readPrebuiltIndex: async () => {
+        try {
+          // Read once then persisted by the search module, not kept in the JSON cache
+          return await this.fetchR2Json("/search-index.json", { defaultValue: null, useCache: false });
+        } catch {
+          return null; // Optional file, the index is built from the posts
+        }
+      },
+      // Indexes built by the client are kept with the revision files (purged on new revisions)
+      indexCache: this.persistentCache
+        ? {
+            get: async () => this.persistentCache.get(await getRevisionUrl("/_search-index.client.json")),
+            set: async (data) =>
+              this.persistentCache.set(await getRevisionUrl("/_search-index.client.json"), data),
+          }
+        : null,
+      isPreview: () => this.visibility.isPreview(),
+      filterPostKeys: (keys, property) => this.posts.filterPostKeys(keys, property),
+      hydratePost: (entry) => this.posts.hydratePost(entry),
+      getPublishTimes: () => this.posts.getPublishTimes(),
       debug: this.debug,
     });
 
     // Initialize media handling service
     this.media = createMediaHandler({
       fetchR2Json: this.fetchR2Json,
-      getProjectUrl: this.urls.getProjectUrl,
-      getRevisionUrl: this.urls.getRevisionUrl,
+      getProjectUrl,
+      getSharedFolderUrl,
+      getRevisionUrl,
+      _fetchMapData: this._fetchMapData,
+      getUsedMedia: (slugOrHash) => this.linkGraph.getUsedMedia(slugOrHash),
+      getPostsUsingMedia: (hash) => this.linkGraph.getPostsUsingMedia(hash),
+      debug: this.debug,
+    });
+
+    // Initialize responsive images service (medias.json size variants)
+    this.images = createImageHelpers({
+      resolveMediaHash: this.media.resolveMediaHash,
+      getMediaByHash: this.media.getMediaByHash,
       debug: this.debug,
     });
 
@@ -381,6 +701,76 @@ class RepoMD {
       debug: this.debug,
     });
 
+    // Initialize SQLite database service (content.sqlite of the active revision)
+    this.database = createSqliteDatabase({
+      readBinary: async (path) =>
+        this.storage.readBinary
+          ? await this.storage.readBinary(path)
+          : await fetchBinary(await this.urls.getRevisionUrl(path), this.debug),
+      getSqliteUrl: () => this.urls.getSqliteUrl(),
+      wasmUrl: this.sqliteWasmUrl,
+      // Raw rows include hidden posts, SQL is reserved to the preview mode while the policy hides some
+      assertAccess: async () => {
+        if (await this.hasHiddenPosts()) {
+          throw new Error(
+            "SQL queries are unavailable while the visibility policy hides posts, enable the preview mode to query content.sqlite"
+          );
+        }
+      },
+      debug: this.debug,
+    });
+
+    // Initialize link graph service (graph.json edges and post links)
+    this.linkGraph = createLinkGraph({
+      getGraph: () => this.files.getGraph(),
+      getAllPosts: () => this.getAllPosts(),
+      getHiddenPosts: () => this.posts.getHiddenPosts(),
+      debug: this.debug,
+    });
+
+    // Initialize taxonomy service (posts frontmatter, or the tag tables when tagsFromDatabase is set)
+    this.taxonomy = createPostTaxonomy({
+      getAllPosts: this.getAllPosts.bind(this),
+      sql: this.tagsFromDatabase ? (query, params) => this.database.sql(query, params) : null,
+      debug: this.debug,
+    });
+
+    // Initialize revision diff service (reads pinned revisions through the storage)
+    this.revisions = createRevisionDiff({
+      readRevisionJson: async (rev, path, opts) => {
+        if (!this.storage.readRevisionJson) {
+          throw new Error(`The ${this.storage.type || "custom"} storage can't read other revisions`);
+        }
+        return await this.storage.readRevisionJson(rev, path, opts);
+      },
+      resolveRev: async (rev) => {
+        if (rev && rev !== "latest") return rev;
+        return !rev && this.rev !== "latest"
+          ? this.rev
+          : await this.api.getActiveProjectRev();
+      },
+      filterPosts: (posts) => this.visibility.filterPosts(posts),
+      debug: this.debug,
+    });
+
+    // Feeds and sitemaps are public documents, the preview mode doesn't apply to them
+    const getPublishedPosts = async () =>
+      this.visibility.filterPosts(await this.getAllPosts(), { ignorePreview: true });
+
+    // Initialize feed generator (RSS, Atom, JSON Feed)
+    this.feeds = createFeedGenerator({
+      getAllPosts: getPublishedPosts,
+      debug: this.debug,
+    });
+
+    // Initialize sitemap generator (posts, graph.json image edges, robots.txt)
+    this.sitemap = createSitemapGenerator({
+      getAllPosts: getPublishedPosts,
+      getAllMedia: () => this.getAllMedia(),
+      getUsedMedia: (hash) => this.linkGraph.getUsedMedia(hash),
+      debug: this.debug,
+    });
+
     // Initialize media similarity service
     this.mediaSimilarity = createMediaSimilarity({
       fetchR2Json: this.fetchR2Json.bind(this),
@@ -445,13 +835,16 @@ class RepoMD {
    * Create a Cloudflare Workers handler for this RepoMD instance
    * @param {Object} options - Handler configuration options
    * @param {boolean} [options.returnNull] - Return null for non-media requests (default: false)
+   * @param {boolean|Object} [options.contentApi] - true or createContentApi options, serves this instance under /_repo/api/
    * @returns {Function} Cloudflare Workers request handler
    */
   createCloudflareHandler(options = {}) {
     const { returnNull = false } = options;
+    const contentApiOptions = this._getContentApiOptions(options.contentApi);
+    const contentApi = contentApiOptions ? createContentApi({ debug: this.debug, ...contentApiOptions }) : null;
     
     return async (request) => {
-      const response = await this.handleCloudflareRequest(request);
+      const response = (await contentApi?.handle(request)) || (await this.handleCloudflareRequest(request));
       if (response) {
         return response;
       }
@@ -485,6 +878,29 @@ class RepoMD {
     return await this.urls.getSqliteUrl();
   }
 
+  // SQLite database methods (proxy to database module)
+  async getDatabase() {
+    return await this.database.getDatabase();
+  }
+
+  async sql(query, params = []) {
+    return await this.database.sql(query, params);
+  }
+
+  // repo.database.getPostsByTag, getBacklinks and getMediaForPost (rows of content.sqlite),
+  // renamed here since the client methods of these names read posts.json, graph.json and medias.json
+  async sqlPostsByTag(tag) {
+    return await this.database.getPostsByTag(tag);
+  }
+
+  async sqlBacklinks(postRef) {
+    return await this.database.getBacklinks(postRef);
+  }
+
+  async sqlMediaForPost(postRef) {
+    return await this.database.getMediaForPost(postRef);
+  }
+
   // Client stats method
   getClientStats() {
     // Update timestamp
@@ -510,7 +926,17 @@ class RepoMD {
     }
 
     // Return a copy of the stats object to prevent direct modification
-    return JSON.parse(JSON.stringify(this.stats));
+    return JSON.parse(
+      JSON.stringify({
+        ...this.stats,
+        cache: {
+          memory: this.cache.stats(),
+          responses: getUrlCacheStats(),
+          persistent: this.persistentCache ? this.persistentCache.getStats() : null,
+        },
+        vectorIndex: this.search.getVectorIndexStats(),
+      })
+    );
   }
 
   // Media methods (proxy to Media module)
@@ -535,6 +961,26 @@ class RepoMD {
     return await this.media.getMediaItems(useCache);
   }
 
+  async getMediaByHash(hash) {
+    return await this.media.getMediaByHash(hash);
+  }
+
+  async getMediaByPath(path) {
+    return await this.media.getMediaByPath(path);
+  }
+
+  async getMediaForPost(slugOrHash) {
+    return await this.media.getMediaForPost(slugOrHash);
+  }
+
+  async getPostsUsingMedia(hashOrPath) {
+    return await this.media.getPostsUsingMedia(hashOrPath);
+  }
+
+  async getImage(hashOrPath, options = {}) {
+    return await this.images.getImage(hashOrPath, options);
+  }
+
   async handleCloudflareRequest(request) {
     return await this.media.handleCloudflareRequest(request);
   }
@@ -568,6 +1014,43 @@ class RepoMD {
     return await this.posts.getRecentPosts(count);
   }
 
+  async queryPosts(query = {}) {
+    return await this.posts.queryPosts(query);
+  }
+
+  async getPostsIndex(useCache = true, forceRefresh = false) {
+    return await this.posts.getPostsIndex(useCache, forceRefresh);
+  }
+
+  async hydratePost(entry) {
+    return await this.posts.hydratePost(entry);
+  }
+
+  async hydratePosts(entries = []) {
+    return await this.posts.hydratePosts(entries);
+  }
+
+  // Taxonomy methods (proxy to taxonomy module)
+  async getAllTags(sort = "count") {
+    return await this.taxonomy.getAllTags(sort);
+  }
+
+  async getPostsByTag(tag, options = {}) {
+    return await this.taxonomy.getPostsByTag(tag, options);
+  }
+
+  async getRelatedTags(tag, limit = 10) {
+    return await this.taxonomy.getRelatedTags(tag, limit);
+  }
+
+  async getTaxonomyTerms(taxonomy = "tags", sort = "count") {
+    return await this.taxonomy.getTaxonomyTerms(taxonomy, sort);
+  }
+
+  async getPostsByTaxonomy(taxonomy, term, options = {}) {
+    return await this.taxonomy.getPostsByTaxonomy(taxonomy, term, options);
+  }
+
   _findPostByProperty(posts, property, value) {
     return this.posts._findPostByProperty(posts, property, value);
   }
@@ -610,6 +1093,10 @@ class RepoMD {
     return await this.search.searchPosts({ text, props, mode });
   }
 
+  async facetedSearch(text = "", options = {}) {
+    return await this.search.facetedSearch(text, options);
+  }
+
   async searchAutocomplete(term, limit = 10) {
     return await this.search.searchAutocomplete(term, limit);
   }
@@ -618,14 +1105,22 @@ class RepoMD {
     return await this.search.refreshMemoryIndex();
   }
 
+  async exportSearchIndex() {
+    return await this.search.exportSearchIndex();
+  }
+
+  async loadSearchIndex(data) {
+    return await this.search.loadSearchIndex(data);
+  }
+
   // Vector search methods - new public API
   async findPostsByText(text, options = {}) {
-    const { limit = 20, threshold = 0.1, useClip = false } = options;
+    const { limit = 20, threshold = 0.1, useClip = false, filters = null, probes = null, exact = false } = options;
     const mode = useClip ? "vector-clip-text" : "vector-text";
 
     const results = await this.search.searchPosts({
       text,
-      props: { limit, threshold },
+      props: { limit, threshold, filters, probes, exact },
       mode,
     });
 
@@ -639,11 +1134,11 @@ class RepoMD {
   }
 
   async findImagesByText(text, options = {}) {
-    const { limit = 20, threshold = 0.1 } = options;
+    const { limit = 20, threshold = 0.1, filters = null, probes = null, exact = false } = options;
 
     const results = await this.search.searchPosts({
       text,
-      props: { limit, threshold },
+      props: { limit, threshold, filters, probes, exact },
       mode: "vector-clip-text",
     });
 
@@ -657,11 +1152,11 @@ class RepoMD {
   }
 
   async findImagesByImage(image, options = {}) {
-    const { limit = 20, threshold = 0.1 } = options;
+    const { limit = 20, threshold = 0.1, filters = null, probes = null, exact = false } = options;
 
     const results = await this.search.searchPosts({
       image,
-      props: { limit, threshold },
+      props: { limit, threshold, filters, probes, exact },
       mode: "vector-clip-image",
     });
 
@@ -675,11 +1170,11 @@ class RepoMD {
   }
 
   async findSimilarContent(query, options = {}) {
-    const { limit = 20, threshold = 0.1, type = "auto" } = options;
+    const { limit = 20, threshold = 0.1, type = "auto", filters = null, probes = null, exact = false } = options;
 
     // Determine search mode and params based on query type and options
     let mode;
-    const searchParams = { props: { limit, threshold } };
+    const searchParams = { props: { limit, threshold, filters, probes, exact } };
 
     if (typeof query === "string") {
       if (query.startsWith("http") || query.startsWith("data:")) {
@@ -707,6 +1202,11 @@ class RepoMD {
     }));
   }
 
+  // Size and memory use of the vector search indexes built so far
+  getVectorIndexStats() {
+    return this.search.getVectorIndexStats();
+  }
+
   // Project configuration methods (proxy to Project module)
   async getReleaseInfo() {
     return await this.project.getReleaseInfo(this.projectId);
@@ -733,6 +1233,93 @@ class RepoMD {
     return await this.files.getFileContent(path, useCache);
   }
 
+  // Link graph methods (proxy to link graph module)
+  async getBacklinks(slugOrHash) {
+    return await this.linkGraph.getBacklinks(slugOrHash);
+  }
+
+  async getOutgoingLinks(slugOrHash) {
+    return await this.linkGraph.getOutgoingLinks(slugOrHash);
+  }
+
+  async getNeighbors(slugOrHash, options = {}) {
+    return await this.linkGraph.getNeighbors(slugOrHash, options);
+  }
+
+  async getShortestPath(from, to, options = {}) {
+    return await this.linkGraph.getShortestPath(from, to, options);
+  }
+
+  async getOrphanPosts() {
+    return await this.linkGraph.getOrphanPosts();
+  }
+
+  async getDeadLinks() {
+    return await this.linkGraph.getDeadLinks();
+  }
+
+  async getLinkGraph() {
+    return await this.linkGraph.getLinkGraph();
+  }
+
+  async getUsedMedia(slugOrHash) {
+    return await this.linkGraph.getUsedMedia(slugOrHash);
+  }
+
+  // Feed methods (proxy to feeds module)
+  async generateFeed(options = {}) {
+    return await this.feeds.generateFeed(options);
+  }
+
+  // Sitemap methods (proxy to sitemap module)
+  async generateSitemap(options = {}) {
+    return await this.sitemap.generateSitemap(options);
+  }
+
+  generateRobotsTxt(options = {}) {
+    return this.sitemap.generateRobotsTxt(options);
+  }
+
+  // Revision diff methods (proxy to revisions module)
+  async diffRevisions(revA, revB) {
+    return await this.revisions.diffRevisions(revA, revB);
+  }
+
+  // Post transformer methods (proxy to transformer pipeline)
+  use(transformer) {
+    this.transformers.use(transformer);
+    return this;
+  }
+
+  removeTransformer(transformer) {
+    return this.transformers.remove(transformer);
+  }
+
+  getTransformers() {
+    return this.transformers.list();
+  }
+
+  // Visibility methods (proxy to visibility policy)
+  enablePreview(secret) {
+    this.visibility.enablePreview(secret);
+  }
+
+  disablePreview() {
+    this.visibility.disablePreview();
+  }
+
+  isPreview() {
+    return this.visibility.isPreview();
+  }
+
+  getVisibilityPolicy() {
+    return this.visibility.getPolicy();
+  }
+
+  async hasHiddenPosts() {
+    return await this.posts.hasHiddenPosts();
+  }
+
   // OpenAI integrations
   createOpenAiToolHandler() {
     return createOpenAiToolHandler(this);
@@ -799,20 +1386,17 @@ class RepoMD {
     return await this.mediaSimilarity.getSimilarMediaByHash(hash, count);
   }
 
-  // AI Inference methods (using inference module)
+  // AI Inference methods (using the embedding provider)
   async computeTextEmbedding(text, instruction = null) {
-    const { computeTextEmbedding } = await import("./inference.js");
-    return await computeTextEmbedding(text, instruction, this.debug);
+    return await computeEmbedding(this.embeddingProvider, "computeTextEmbedding", text, instruction);
   }
 
   async computeClipTextEmbedding(text) {
-    const { computeClipTextEmbedding } = await import("./inference.js");
-    return await computeClipTextEmbedding(text, this.debug);
+    return await computeEmbedding(this.embeddingProvider, "computeClipTextEmbedding", text);
   }
 
   async computeClipImageEmbedding(image) {
-    const { computeClipImageEmbedding } = await import("./inference.js");
-    return await computeClipImageEmbedding(image, this.debug);
+    return await computeEmbedding(this.embeddingProvider, "computeClipImageEmbedding", image);
   }
 
   // Unified proxy configuration
@@ -820,21 +1404,66 @@ class RepoMD {
    * Get a unified proxy configuration for any framework
    * @param {Object} options - Configuration options
    * @param {string} [options.mediaUrlPrefix] - URL prefix for media requests
-   * @param {string} [options.r2Url] - CDN URL
+   * @param {string} [options.r2Url] - CDN URL (defaults to the instance's static base URL)
    * @param {number} [options.cacheMaxAge] - Cache max age in seconds
    * @param {boolean} [options.debug] - Enable debug logging
+   * @param {Object} [options.imageTransforms] - createImageTransformer options, enables ?w=&fmt=&q= transformations
+   * @param {boolean|Object} [options.contentApi] - true or createContentApi options, serves this instance under /_repo/api/
    * @returns {UnifiedProxyConfig} Unified proxy configuration instance
    */
   getUnifiedProxyConfig(options = {}) {
     return new UnifiedProxyConfig({
       projectId: this.projectId,
       mediaUrlPrefix: options.mediaUrlPrefix,
-      r2Url: options.r2Url,
+      r2Url: options.r2Url ?? this.localDist ?? this.staticBaseUrl,
+      distLayout: options.distLayout ?? (!options.r2Url && !!this.localDist),
       cacheMaxAge: options.cacheMaxAge,
       debug: options.debug ?? this.debug,
+      imageTransforms: this._getImageTransformOptions(options.imageTransforms),
+      contentApi: this._getContentApiOptions(options.contentApi),
     });
   }
 
+  /**
+   * Get the options passed to framework integrations, pointing them at this instance's storage
+   * @param {Object} options - Integration options
+   * @returns {Object} Options including r2Url, distLayout and debug defaults
+   */
+  _getProxyOptions(options = {}) {
+    return {
+      ...options,
+      r2Url: options.r2Url ?? this.localDist ?? this.staticBaseUrl,
+      distLayout: options.distLayout ?? (!options.r2Url && !!this.localDist),
+      debug: options.debug ?? this.debug,
+      imageTransforms: this._getImageTransformOptions(options.imageTransforms),
+      contentApi: this._getContentApiOptions(options.contentApi),
+    };
+  }
+
+  /**
+   * Get the image transformation options of an integration, reading the variant widths from this instance's medias.json
+   * @param {Object} imageTransforms - createImageTransformer options
+   * @returns {Object|null} Options including getMedia, null when transformations are disabled
+   */
+  _getImageTransformOptions(imageTransforms) {
+    if (!imageTransforms) {
+      return null;
+    }
+    return { getMedia: (hash) => this.getMediaByHash(hash), ...imageTransforms };
+  }
+
+  /**
+   * Get the content API options of an integration, serving this instance
+   * @param {boolean|Object} contentApi - true or createContentApi options
+   * @returns {Object|null} Options including repo, null when the API is disabled
+   */
+  _getContentApiOptions(contentApi) {
+    if (!contentApi) {
+      return null;
+    }
+    return { repo: this, ...(contentApi === true ? {} : contentApi) };
+  }
+
   // Next.js middleware integration
   /**
    * Create a Next.js middleware handler for this RepoMD instance
@@ -850,13 +1479,17 @@ class RepoMD {
       projectId: this.projectId,
       mediaUrlPrefix: config.mediaUrlPrefix,
       r2Url: config.r2Url,
+      distLayout: config.distLayout,
       debug: config.debug,
+      imageTransforms: this._getImageTransformOptions(options.imageTransforms),
+      contentApi: this._getContentApiOptions(options.contentApi),
     });
     
+    const matcher = `${config.mediaUrlPrefix}:path*`;
     return {
       middleware,
       config: {
-        matcher: `${config.mediaUrlPrefix}:path*`
+        matcher: config.contentApi ? [matcher, `${config.contentApi.basePath}/:path*`] : matcher
       }
     };
   }
@@ -890,10 +1523,7 @@ class RepoMD {
    * @returns {Function} Nuxt/Nitro plugin function
    */
   createNuxtPlugin(options = {}) {
-    return nuxtRepoMdPlugin(this.projectId, {
-      ...options,
-      debug: options.debug ?? this.debug,
-    });
+    return nuxtRepoMdPlugin(this.projectId, this._getProxyOptions(options));
   }
 
   /**
@@ -902,10 +1532,7 @@ class RepoMD {
    * @returns {Function} SvelteKit handle function
    */
   createSvelteKitHandle(options = {}) {
-    return svelteKitRepoMdHandle(this.projectId, {
-      ...options,
-      debug: options.debug ?? this.debug,
-    });
+    return svelteKitRepoMdHandle(this.projectId, this._getProxyOptions(options));
   }
 
   /**
@@ -914,10 +1541,7 @@ class RepoMD {
    * @returns {Function} Express middleware function
    */
   createExpressMiddleware(options = {}) {
-    return expressRepoMdMiddleware(this.projectId, {
-      ...options,
-      debug: options.debug ?? this.debug,
-    });
+    return expressRepoMdMiddleware(this.projectId, this._getProxyOptions(options));
   }
 
   /**
@@ -930,8 +1554,7 @@ class RepoMD {
     return async (fastify, opts, done) => {
       return fastifyRepoMdPlugin(fastify, {
         projectId: this.projectId,
-        ...options,
-        ...opts,
+        ...this._getProxyOptions({ ...options, ...opts }),
         debug: options.debug ?? opts.debug ?? this.debug,
       }, done);
     };
@@ -943,10 +1566,7 @@ class RepoMD {
    * @returns {Function} Koa middleware function
    */
   createKoaMiddleware(options = {}) {
-    return koaRepoMdMiddleware(this.projectId, {
-      ...options,
-      debug: options.debug ?? this.debug,
-    });
+    return koaRepoMdMiddleware(this.projectId, this._getProxyOptions(options));
   }
 
   /**
@@ -955,10 +1575,7 @@ class RepoMD {
    * @returns {Function} Astro middleware function
    */
   createAstroMiddleware(options = {}) {
-    return astroRepoMdMiddleware(this.projectId, {
-      ...options,
-      debug: options.debug ?? this.debug,
-    });
+    return astroRepoMdMiddleware(this.projectId, this._getProxyOptions(options));
   }
 
   // Method documentation methods
@@ -993,16 +1610,18 @@ class RepoMD {
       );
     }
 
+    // Stop polling for revisions
+    this.stopWatchingRevisions();
+
     // Clear all cache for this instance
-    cache.clear("posts");
-    cache.clear("similarity");
-    cache.clear("media");
+    this.cache.clearAll();
 
     // Clear any references to services
     this.posts = null;
     this.similarity = null;
     this.search = null;
     this.media = null;
+    this.images = null;
     this.project = null;
     this.files = null;
 
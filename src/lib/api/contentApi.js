@@ -0,0 +1,361 @@
+/**
+ * JSON content API for RepoMD
+ * Serves posts, search, similar posts, tags, media and the graph under /_repo/api/,
+ * with revision-derived cache headers, ETags and CORS
+ */
+
+import { LOG_PREFIXES } from '../logger.js';
+import { isNotModified, toHeaders } from '../proxy/mediaResponse.js';
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+// Default configuration values
+export const CONTENT_API_DEFAULTS = {
+  basePath: '/_repo/api',
+  cacheMaxAge: 60, // Seconds, responses of the latest revision
+  staleWhileRevalidate: 600, // Seconds
+  defaultLimit: 20,
+  maxLimit: 100,
+  cors: false,
+};
+
+const API_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Revisions of local dist folders, whose content changes in place
+const MUTABLE_REVISIONS = ['local', 'latest'];
+const HASH_PATTERN = /^[a-f0-9]{64}$/i;
+
+// Response headers readable by cross-origin clients
+const EXPOSED_HEADERS = ['ETag', 'X-Repo-Revision'];
+
+/**
+ * Error carrying an HTTP status
+ */
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Resolve the allowed origin of a request from the cors option
+ * @param {boolean|string|Array<string>|Function} cors - true (any origin), origin(s), or (origin) => boolean
+ * @param {string|null} origin - Origin request header
+ * @returns {string|null} - Access-Control-Allow-Origin value, null when not allowed
+ */
+export function resolveCorsOrigin(cors, origin) {
+  if (!cors) return null;
+  if (cors === true || cors === '*') return '*';
+  if (!origin) return null;
+  if (typeof cors === 'function') return cors(origin) ? origin : null;
+  return [].concat(cors).includes(origin) ? origin : null;
+}
+
+/**
+ * Parse a positive integer query parameter
+ * @param {URLSearchParams} searchParams - Request query
+ * @param {string} name - Parameter name
+ * @param {number} defaultValue - Value when missing
+ * @param {number} max - Upper bound (values above are clamped)
+ * @returns {number} - Parsed value
+ */
+function parseIntegerParam(searchParams, name, defaultValue, max = Infinity) {
+  const raw = searchParams.get(name);
+  if (raw === null || raw === '') return defaultValue;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new ApiError(400, `${name} must be a non-negative integer`);
+  }
+  return Math.min(value, max);
+}
+
+function parseListParam(searchParams, name) {
+  const raw = searchParams.get(name);
+  return raw ? raw.split(',').map((item) => item.trim()).filter(Boolean) : undefined;
+}
+
+/**
+ * Hex SHA-1 of a string (Web Crypto, works in Node.js and on the edge)
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} - Hex digest
+ */
+async function sha1(text) {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Create the content API
+ * @param {Object} config - Content API options
+ * @param {Object} config.repo - RepoMD instance (created from projectId when missing)
+ * @param {string} config.projectId - RepoMD project ID, used when no repo is given
+ * @param {string} config.basePath - Path of the API (default '/_repo/api')
+ * @param {number} config.cacheMaxAge - max-age of the latest revision responses, in seconds (default 60)
+ * @param {number} config.staleWhileRevalidate - stale-while-revalidate, in seconds (default 600)
+ * @param {number} config.defaultLimit - Page size when ?limit is missing (default 20)
+ * @param {number} config.maxLimit - Largest page size (default 100)
+ * @param {boolean|string|Array<string>|Function} config.cors - Allowed origins (default false: no CORS headers)
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Content API ({ basePath, handle })
+ */
+export function createContentApi(config = {}) {
+  const {
+    repo: providedRepo = null,
+    projectId,
+    basePath: rawBasePath = CONTENT_API_DEFAULTS.basePath,
+    cacheMaxAge = CONTENT_API_DEFAULTS.cacheMaxAge,
+    staleWhileRevalidate = CONTENT_API_DEFAULTS.staleWhileRevalidate,
+    defaultLimit = CONTENT_API_DEFAULTS.defaultLimit,
+    maxLimit = CONTENT_API_DEFAULTS.maxLimit,
+    cors = CONTENT_API_DEFAULTS.cors,
+    debug = false,
+  } = config;
+
+  if (!providedRepo && !projectId) {
+    throw new Error('The content API requires a RepoMD instance (repo) or a projectId');
+  }
+
+  const basePath = rawBasePath.replace(/\/$/, '');
+  let repoPromise = providedRepo ? Promise.resolve(providedRepo) : null;
+
+  // RepoMD is loaded on first use: the framework integrations don't depend on it otherwise
+  function getRepo() {
+    if (!repoPromise) {
+      repoPromise = import('../RepoMd.js').then(({ RepoMD }) => new RepoMD({ projectId, debug }));
+    }
+    return repoPromise;
+  }
+
+  async function getPost(repo, ref) {
+    const post = HASH_PATTERN.test(ref) ? await repo.getPostByHash(ref) : await repo.getPostBySlug(ref);
+    if (!post) {
+      throw new ApiError(404, `Post not found: ${ref}`);
+    }
+    return post;
+  }
+
+  /**
+   * Routes: [path segments, handler(repo, params, searchParams)]
+   * ":name" segments capture one path segment, "*name" the rest of the path
+   */
+  const routes = [
+    [[], async (repo) => ({
+      revision: await repo.getActiveProjectRev().catch(() => null),
+      routes: routes.map(([segments]) => `${basePath}/${segments.join('/')}`),
+    })],
+
+    [['posts'], async (repo, params, searchParams) => {
+      const limit = parseIntegerParam(searchParams, 'limit', defaultLimit, maxLimit);
+      const page = parseIntegerParam(searchParams, 'page', 1);
+      const tag = searchParams.get('tag');
+      return await repo.queryPosts({
+        where: tag ? { tags: tag } : undefined,
+        sort: parseListParam(searchParams, 'sort') || ['-date'],
+        fields: parseListParam(searchParams, 'fields'),
+        limit,
+        offset: parseIntegerParam(searchParams, 'offset', Math.max(page - 1, 0) * limit),
+        cursor: searchParams.get('cursor'),
+      });
+    }],
+
+    [['posts', ':ref'], async (repo, { ref }) => await getPost(repo, ref)],
+
+    [['posts', ':ref', 'similar'], async (repo, { ref }, searchParams) => {
+      const post = await getPost(repo, ref);
+      const limit = parseIntegerParam(searchParams, 'limit', 5, maxLimit);
+      return { posts: await repo.getSimilarPostsByHash(post.hash, limit) };
+    }],
+
+    [['search'], async (repo, params, searchParams) => {
+      const query = (searchParams.get('q') || '').trim();
+      if (!query) {
+        throw new ApiError(400, 'q is required');
+      }
+      const limit = parseIntegerParam(searchParams, 'limit', defaultLimit, maxLimit);
+      const results = await repo.searchPosts(query, { limit });
+      // Full posts stay behind /posts/{slug}
+      return { query, results: results.slice(0, limit).map(({ post, ...result }) => result) };
+    }],
+
+    [['tags'], async (repo, params, searchParams) => ({
+      tags: await repo.getAllTags(searchParams.get('sort') === 'name' ? 'name' : 'count'),
+    })],
+
+    [['tags', ':tag'], async (repo, { tag }, searchParams) => {
+      const limit = parseIntegerParam(searchParams, 'limit', defaultLimit, maxLimit);
+      const posts = await repo.getPostsByTag(tag, {
+        limit,
+        offset: parseIntegerParam(searchParams, 'offset', 0),
+      });
+      return { tag, posts };
+    }],
+
+    [['media'], async (repo, params, searchParams) => {
+      const limit = parseIntegerParam(searchParams, 'limit', defaultLimit, maxLimit);
+      const offset = parseIntegerParam(searchParams, 'offset', 0);
+      const media = (await repo.getAllMedia()) || [];
+      return { media: media.slice(offset, offset + limit), total: media.length, limit, offset };
+    }],
+
+    [['media', '*ref'], async (repo, { ref }) => {
+      const media = HASH_PATTERN.test(ref) ? await repo.getMediaByHash(ref) : await repo.getMediaByPath(ref);
+      if (!media) {
+        throw new ApiError(404, `Media not found: ${ref}`);
+      }
+      return media;
+    }],
+
+    // Link graph without hidden posts, graph.json labels every post node with its slug
+    [['graph'], async (repo) => await repo.getLinkGraph()],
+  ];
+
+  function matchRoute(segments) {
+    for (const [pattern, handler] of routes) {
+      const params = {};
+      const rest = pattern.findIndex((part) => part.startsWith('*'));
+      const fixedLength = rest === -1 ? pattern.length : rest;
+
+      if (rest === -1 ? segments.length !== pattern.length : segments.length <= fixedLength) continue;
+
+      const matches = pattern.slice(0, fixedLength).every((part, index) => {
+        if (part.startsWith(':')) {
+          params[part.slice(1)] = segments[index];
+          return true;
+        }
+        return part === segments[index];
+      });
+      if (!matches) continue;
+
+      if (rest !== -1) {
+        params[pattern[rest].slice(1)] = segments.slice(fixedLength).join('/');
+      }
+      return { handler, params };
+    }
+    return null;
+  }
+
+  // With an origin list or function, responses differ by Origin even when it isn't allowed
+  const varyOnOrigin = Boolean(cors) && cors !== true && cors !== '*';
+
+  function getCorsHeaders(request) {
+    const vary = varyOnOrigin ? { Vary: 'Origin' } : {};
+    const allowOrigin = resolveCorsOrigin(cors, request.headers.get('origin'));
+    if (!allowOrigin) return vary;
+    return {
+      'Access-Control-Allow-Origin': allowOrigin,
+      'Access-Control-Expose-Headers': EXPOSED_HEADERS.join(', '),
+      ...vary,
+    };
+  }
+
+  function json(request, status, body, headers) {
+    return new Response(request.method === 'HEAD' || status === 304 ? null : body, {
+      status,
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        ...getCorsHeaders(request),
+        ...headers,
+      },
+    });
+  }
+
+  function errorResponse(request, status, message) {
+    return json(request, status, JSON.stringify({ error: { status, message } }), {
+      'Cache-Control': 'no-store',
+    });
+  }
+
+  /**
+   * Cache headers of a successful response
+   * - Preview mode: never shared
+   * - ?rev= of the active revision: immutable, the content of a published revision never changes
+   * - Otherwise: short max-age, revalidated with the ETag
+   */
+  function getCacheControl(repo, revision, searchParams) {
+    if (repo.isPreview?.()) {
+      return 'private, no-store';
+    }
+    if (revision && !MUTABLE_REVISIONS.includes(revision) && searchParams.get('rev') === revision) {
+      return 'public, max-age=31536000, immutable';
+    }
+    return `public, max-age=${cacheMaxAge}, stale-while-revalidate=${staleWhileRevalidate}`;
+  }
+
+  /**
+   * Handle a request (route of the shared request handler)
+   * @param {Request} request - WHATWG Request
+   * @param {URL} url - Parsed request URL
+   * @returns {Promise<Response|null>} - Response, null outside of the API path
+   */
+  async function handle(request, url = new URL(request.url)) {
+    if (url.pathname !== basePath && !url.pathname.startsWith(`${basePath}/`)) {
+      return null;
+    }
+
+    const method = request.method.toUpperCase();
+    if (method === 'OPTIONS') {
+      // CORS preflight
+      const headers = new Headers(getCorsHeaders(request));
+      if (headers.has('Access-Control-Allow-Origin')) {
+        headers.set('Access-Control-Allow-Methods', API_METHODS.join(', '));
+        headers.set('Access-Control-Allow-Headers', request.headers.get('access-control-request-headers') || 'If-None-Match');
+        headers.set('Access-Control-Max-Age', '86400');
+      }
+      headers.set('Allow', API_METHODS.join(', '));
+      return new Response(null, { status: 204, headers });
+    }
+    if (!API_METHODS.includes(method)) {
+      const response = errorResponse(request, 405, 'Method not allowed');
+      response.headers.set('Allow', API_METHODS.join(', '));
+      return response;
+    }
+
+    let segments;
+    try {
+      segments = url.pathname.slice(basePath.length).split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+      return errorResponse(request, 400, 'Malformed path');
+    }
+
+    const route = matchRoute(segments);
+    if (!route) {
+      return errorResponse(request, 404, `Unknown API route: ${url.pathname}`);
+    }
+
+    try {
+      const repo = await getRepo();
+      const [data, revision] = await Promise.all([
+        route.handler(repo, route.params, url.searchParams),
+        repo.getActiveProjectRev().catch(() => null),
+      ]);
+
+      const body = JSON.stringify(data ?? null);
+      const headers = {
+        'Cache-Control': getCacheControl(repo, revision, url.searchParams),
+        ETag: `"${revision || 'latest'}-${(await sha1(body)).slice(0, 16)}"`,
+        ...(revision ? { 'X-Repo-Revision': revision } : {}),
+      };
+
+      if (isNotModified(toHeaders(request.headers), new Headers(headers))) {
+        return json(request, 304, null, headers);
+      }
+      return json(request, 200, body, headers);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        return errorResponse(request, error.status, error.message);
+      }
+      if (debug) {
+        console.error(`${prefix} 🚫 Content API error for ${url.pathname}:`, error);
+      }
+      return errorResponse(request, 500, debug ? error.message : 'Internal error');
+    }
+  }
+
+  return {
+    basePath,
+    handle,
+  };
+}
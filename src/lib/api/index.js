@@ -0,0 +1,11 @@
+/**
+ * Content API module barrel export for RepoMD
+ */
+
+import { createContentApi, resolveCorsOrigin, CONTENT_API_DEFAULTS } from './contentApi.js';
+
+export {
+  createContentApi,
+  resolveCorsOrigin,
+  CONTENT_API_DEFAULTS,
+};
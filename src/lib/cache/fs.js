@@ -0,0 +1,127 @@
+/**
+ * Filesystem cache store for RepoMD (Node only)
+ * One JSON file per entry, named after a hash of the key
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+
+const prefix = LOG_PREFIXES.UTILS;
+
+/**
+ * Create a filesystem cache store
+ * @param {Object} config - Configuration object
+ * @param {string} config.dir - Cache folder (created when missing)
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Cache store
+ */
+export function createFsCacheStore(config = {}) {
+  const { dir, debug = false } = config;
+
+  if (!dir) {
+    throw new Error("createFsCacheStore requires a cache dir");
+  }
+
+  // Node modules are loaded lazily so the store can be imported in any bundle
+  let nodeModulesPromise = null;
+  function loadNodeModules() {
+    if (!nodeModulesPromise) {
+      nodeModulesPromise = Promise.all([
+        import("node:fs/promises"),
+        import("node:path"),
+        import("node:crypto"),
+      ]).then(async ([fs, path, crypto]) => {
+        await fs.mkdir(dir, { recursive: true });
+        return { fs, path, crypto };
+      });
+    }
+    return nodeModulesPromise;
+  }
+
+  // Keys are URLs, hash them into safe file names
+  async function getFilePath(key) {
+    const { path, crypto } = await loadNodeModules();
+    const name = crypto.createHash("sha256").update(key).digest("hex");
+    return path.join(dir, `${name}.json`);
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} - Stored entry ({ key, value, expiresAt, storedAt })
+   */
+  async function get(key) {
+    const { fs } = await loadNodeModules();
+    try {
+      const entry = JSON.parse(await fs.readFile(await getFilePath(key), "utf8"));
+      return entry.key === key ? entry : undefined;
+    } catch (error) {
+      if (error.code !== "ENOENT" && debug) {
+        console.warn(`${prefix} ⚠️ Unreadable cache file for ${key}: ${error.message}`);
+      }
+      return undefined;
+    }
+  }
+
+  /**
+   * Write an entry (through a temp file so readers never see partial JSON)
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry ({ value, expiresAt, storedAt })
+   */
+  async function set(key, entry) {
+    const { fs } = await loadNodeModules();
+    const filePath = await getFilePath(key);
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ ...entry, key }));
+    await fs.rename(tempPath, filePath);
+  }
+
+  async function remove(key) {
+    const { fs } = await loadNodeModules();
+    await fs.rm(await getFilePath(key), { force: true });
+  }
+
+  /**
+   * List the keys and sizes of the entries (reads every entry file)
+   * @returns {Promise<Array<Object>>} - Entries ({ key, bytes, storedAt })
+   */
+  async function entries() {
+    const { fs, path } = await loadNodeModules();
+    const names = (await fs.readdir(dir)).filter((name) => name.endsWith(".json"));
+    const found = await Promise.all(
+      names.map(async (name) => {
+        try {
+          const content = await fs.readFile(path.join(dir, name), "utf8");
+          const { key, bytes, storedAt } = JSON.parse(content);
+          return key ? { key, bytes: bytes ?? content.length, storedAt } : null;
+        } catch {
+          return null;
+        }
+      })
+    );
+    return found.filter(Boolean);
+  }
+
+  async function keys() {
+    return (await entries()).map(({ key }) => key);
+  }
+
+  async function clear() {
+    const { fs, path } = await loadNodeModules();
+    const names = (await fs.readdir(dir)).filter((name) => name.endsWith(".json"));
+    await Promise.all(names.map((name) => fs.rm(path.join(dir, name), { force: true })));
+    if (debug) {
+      console.log(`${prefix} 🧹 Cleared ${names.length} cache files in ${dir}`);
+    }
+  }
+
+  return {
+    type: "fs",
+    dir,
+    get,
+    set,
+    delete: remove,
+    keys,
+    entries,
+    clear,
+  };
+}
@@ -0,0 +1,17 @@
+/**
+ * Cache stores barrel export for RepoMD
+ */
+
+import { createKvCacheStore, createMemoryKv } from './kv.js';
+import { createIndexedDbCacheStore } from './indexedDb.js';
+import { createFsCacheStore } from './fs.js';
+import { createPersistentCache, DEFAULT_PERSISTENT_POLICIES } from './persistent.js';
+
+export {
+  createKvCacheStore,
+  createMemoryKv,
+  createIndexedDbCacheStore,
+  createFsCacheStore,
+  createPersistentCache,
+  DEFAULT_PERSISTENT_POLICIES,
+};
@@ -0,0 +1,125 @@
+/**
+ * IndexedDB cache store for RepoMD (browsers)
+ * Keeps fetched JSON across page reloads
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+
+const prefix = LOG_PREFIXES.UTILS;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} - Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create an IndexedDB cache store
+ * @param {Object} config - Configuration object
+ * @param {string} config.dbName - Database name
+ * @param {string} config.storeName - Object store name
+ * @param {Object} config.indexedDB - IndexedDB factory (defaults to globalThis.indexedDB)
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Cache store
+ */
+export function createIndexedDbCacheStore(config = {}) {
+  const {
+    dbName = "repo-md-cache",
+    storeName = "entries",
+    indexedDB = globalThis.indexedDB,
+    debug = false,
+  } = config;
+
+  if (!indexedDB) {
+    throw new Error("IndexedDB is not available in this environment");
+  }
+
+  let dbPromise = null;
+
+  // Open the database once, creating the object store on first use
+  function openDb() {
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(storeName)) {
+          request.result.createObjectStore(storeName);
+        }
+      };
+      dbPromise = promisify(request).catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+      if (debug) {
+        dbPromise.then(() => console.log(`${prefix} 🗄️ Opened IndexedDB cache: ${dbName}`));
+      }
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run a request against the object store
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} run - Called with the object store, returns an IDBRequest
+   * @returns {Promise<any>} - Request result
+   */
+  async function withStore(mode, run) {
+    const db = await openDb();
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return await promisify(run(store));
+  }
+
+  async function get(key) {
+    return (await withStore("readonly", (store) => store.get(key))) || undefined;
+  }
+
+  async function set(key, entry) {
+    await withStore("readwrite", (store) => store.put(entry, key));
+  }
+
+  async function remove(key) {
+    await withStore("readwrite", (store) => store.delete(key));
+  }
+
+  async function keys() {
+    return (await withStore("readonly", (store) => store.getAllKeys())).map(String);
+  }
+
+  /**
+   * List the keys and sizes of the entries (reads every entry)
+   * @returns {Promise<Array<Object>>} - Entries ({ key, bytes, storedAt })
+   */
+  async function entries() {
+    const [allKeys, values] = await Promise.all([
+      keys(),
+      withStore("readonly", (store) => store.getAll()),
+    ]);
+    return allKeys.map((key, index) => ({
+      key,
+      bytes: values[index]?.bytes,
+      storedAt: values[index]?.storedAt,
+    }));
+  }
+
+  async function clear() {
+    await withStore("readwrite", (store) => store.clear());
+    if (debug) {
+      console.log(`${prefix} 🧹 Cleared IndexedDB cache: ${dbName}`);
+    }
+  }
+
+  return {
+    type: "indexeddb",
+    get,
+    set,
+    delete: remove,
+    keys,
+    entries,
+    clear,
+  };
+}
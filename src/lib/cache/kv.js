@@ -0,0 +1,142 @@
+/**
+ * Key-value cache store for RepoMD
+ * Works with Cloudflare Workers KV namespaces or any object with the same get/put/delete/list API
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+
+const prefix = LOG_PREFIXES.UTILS;
+
+// Workers KV rejects expiration TTLs under a minute
+const KV_MIN_EXPIRATION_TTL = 60;
+
+/**
+ * Create an in-memory stand-in for a Workers KV namespace (local dev, tests)
+ * @returns {Object} - KV namespace ({ get, put, delete, list })
+ */
+export function createMemoryKv() {
+  const entries = new Map(); // key -> { value, expiresAt, metadata }
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  return {
+    async get(key, type = "text") {
+      const entry = read(key);
+      if (!entry) return null;
+      return type === "json" ? JSON.parse(entry.value) : entry.value;
+    },
+    async put(key, value, options = {}) {
+      const expiresAt = options.expirationTtl
+        ? Date.now() + options.expirationTtl * 1000
+        : null;
+      entries.set(key, { value: String(value), expiresAt, metadata: options.metadata });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list(options = {}) {
+      const keys = [...entries.keys()]
+        .filter((key) => read(key) && key.startsWith(options.prefix || ""))
+        .map((name) => ({ name, metadata: entries.get(name).metadata }));
+      return { keys, list_complete: true };
+    },
+  };
+}
+
+/**
+ * Create a cache store on top of a KV namespace
+ * @param {Object} config - Configuration object
+ * @param {Object} config.kv - KV namespace (Workers KV binding or createMemoryKv())
+ * @param {string} config.keyPrefix - Prefix of the keys written by the store
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Cache store
+ */
+export function createKvCacheStore(config = {}) {
+  const { kv = createMemoryKv(), keyPrefix = "repo-md:", debug = false } = config;
+
+  if (typeof kv.get !== "function" || typeof kv.put !== "function") {
+    throw new Error("createKvCacheStore requires a KV namespace with get() and put()");
+  }
+
+  /**
+   * Read an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|undefined>} - Stored entry ({ value, expiresAt, storedAt })
+   */
+  async function get(key) {
+    const entry = await kv.get(`${keyPrefix}${key}`, "json");
+    return entry || undefined;
+  }
+
+  /**
+   * Write an entry, expiring it on the KV side too when it has an expiry
+   * Its size is kept in the KV metadata so entries() does not read the values
+   * @param {string} key - Cache key
+   * @param {Object} entry - Entry ({ value, bytes, expiresAt, storedAt })
+   */
+  async function set(key, entry) {
+    const options = { metadata: { bytes: entry.bytes, storedAt: entry.storedAt } };
+    if (entry.expiresAt) {
+      const seconds = Math.ceil((entry.expiresAt - Date.now()) / 1000);
+      options.expirationTtl = Math.max(KV_MIN_EXPIRATION_TTL, seconds);
+    }
+    await kv.put(`${keyPrefix}${key}`, JSON.stringify(entry), options);
+  }
+
+  async function remove(key) {
+    await kv.delete(`${keyPrefix}${key}`);
+  }
+
+  /**
+   * List the keys and sizes of the entries (follows KV list cursors)
+   * @returns {Promise<Array<Object>>} - Entries ({ key, bytes, storedAt })
+   */
+  async function entries() {
+    if (typeof kv.list !== "function") {
+      return [];
+    }
+    const found = [];
+    let cursor;
+    do {
+      const page = await kv.list({ prefix: keyPrefix, cursor });
+      found.push(
+        ...page.keys.map(({ name, metadata }) => ({
+          key: name.slice(keyPrefix.length),
+          bytes: metadata?.bytes,
+          storedAt: metadata?.storedAt,
+        }))
+      );
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return found;
+  }
+
+  async function keys() {
+    return (await entries()).map(({ key }) => key);
+  }
+
+  async function clear() {
+    const all = await keys();
+    await Promise.all(all.map((key) => remove(key)));
+    if (debug) {
+      console.log(`${prefix} 🧹 Cleared ${all.length} KV cache entries`);
+    }
+  }
+
+  return {
+    type: "kv",
+    get,
+    set,
+    delete: remove,
+    keys,
+    entries,
+    clear,
+  };
+}
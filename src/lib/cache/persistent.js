@@ -0,0 +1,275 @@
+/**
+ * Persistent cache layer for RepoMD
+ * Applies namespace policies (TTL, entry size, entry count and total size) on top of a cache store
+ * and counts hits and misses
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+
+const prefix = LOG_PREFIXES.UTILS;
+
+// Revision files never change once published, other responses expire
+// Least recently used entries are evicted past maxEntries or maxBytes (JSON length) per namespace
+export const DEFAULT_PERSISTENT_POLICIES = {
+  revision: {
+    ttl: null,
+    maxEntryBytes: null,
+    maxEntries: 1000,
+    maxBytes: 100 * 1024 * 1024, // 100 MB
+  },
+  responses: {
+    ttl: 60000 * 60, // 1 hour
+    maxEntryBytes: null,
+    maxEntries: 500,
+    maxBytes: 10 * 1024 * 1024, // 10 MB
+  },
+};
+
+/**
+ * Create a persistent cache
+ * @param {Object} config - Configuration object
+ * @param {Object} config.store - Cache store ({ get, set, delete, clear, keys?, entries? })
+ * @param {Object} config.policies - Policies by namespace ({ ttl: ms|null, maxEntryBytes, maxEntries, maxBytes }), ttl 0 disables a namespace
+ * @param {Function} config.resolveNamespace - Returns the namespace of a key (defaults to "responses")
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Persistent cache functions
+ */
+export function createPersistentCache(config) {
+  const {
+    store,
+    policies = {},
+    resolveNamespace = () => "responses",
+    debug = false,
+  } = config;
+
+  if (!store || typeof store.get !== "function" || typeof store.set !== "function") {
+    throw new Error("A cache store with get() and set() is required");
+  }
+
+  const stats = { hits: 0, misses: 0, writes: 0, skipped: 0, evicted: 0, errors: 0, byNamespace: {} };
+
+  // Sizes of the stored entries by namespace, in least to most recently used order
+  const usage = new Map(); // namespace -> Map(key -> bytes)
+  let usagePromise = null;
+
+  function getPolicy(namespace) {
+    return {
+      ...(DEFAULT_PERSISTENT_POLICIES[namespace] || DEFAULT_PERSISTENT_POLICIES.responses),
+      ...policies[namespace],
+    };
+  }
+
+  function getUsage(namespace) {
+    if (!usage.has(namespace)) {
+      usage.set(namespace, new Map());
+    }
+    return usage.get(namespace);
+  }
+
+  /**
+   * Load the sizes of the entries written by earlier processes, oldest first
+   * Stores without entries() only account for the entries written by this process
+   * @returns {Promise<void>}
+   */
+  function loadUsage() {
+    if (!usagePromise) {
+      usagePromise = (async () => {
+        if (typeof store.entries !== "function") return;
+        const entries = await store.entries();
+        entries
+          .sort((a, b) => (a.storedAt || 0) - (b.storedAt || 0))
+          .forEach(({ key, bytes }) => {
+            const namespaceUsage = getUsage(resolveNamespace(key));
+            if (!namespaceUsage.has(key)) {
+              namespaceUsage.set(key, bytes || 0);
+            }
+          });
+      })().catch((error) => {
+        stats.errors++;
+        if (debug) {
+          console.warn(`${prefix} ⚠️ Could not list persistent cache entries: ${error.message}`);
+        }
+      });
+    }
+    return usagePromise;
+  }
+
+  // Mark a key as most recently used
+  function touch(namespace, key, bytes) {
+    const namespaceUsage = getUsage(namespace);
+    const size = bytes ?? namespaceUsage.get(key) ?? 0;
+    namespaceUsage.delete(key);
+    namespaceUsage.set(key, size);
+  }
+
+  function forget(key) {
+    usage.get(resolveNamespace(key))?.delete(key);
+  }
+
+  /**
+   * Delete the least recently used entries of a namespace until it fits its policy
+   * @param {string} namespace - Cache namespace
+   * @returns {Promise<number>} - Number of entries evicted
+   */
+  async function evict(namespace) {
+    const { maxEntries, maxBytes } = getPolicy(namespace);
+    const namespaceUsage = getUsage(namespace);
+    let bytes = [...namespaceUsage.values()].reduce((sum, size) => sum + size, 0);
+
+    const evicted = [];
+    for (const [key, size] of namespaceUsage) {
+      const tooMany = maxEntries && namespaceUsage.size - evicted.length > maxEntries;
+      if (!tooMany && !(maxBytes && bytes > maxBytes)) break;
+      evicted.push(key);
+      bytes -= size;
+    }
+
+    evicted.forEach((key) => namespaceUsage.delete(key));
+    await Promise.all(evicted.map((key) => Promise.resolve(store.delete?.(key)).catch(() => {})));
+    stats.evicted += evicted.length;
+    if (debug && evicted.length) {
+      console.log(`${prefix} 🗑️ Evicted ${evicted.length} persistent cache entries (${namespace})`);
+    }
+    return evicted.length;
+  }
+
+  function count(namespace, field) {
+    stats[field]++;
+    if (!stats.byNamespace[namespace]) {
+      stats.byNamespace[namespace] = { hits: 0, misses: 0, writes: 0 };
+    }
+    if (field in stats.byNamespace[namespace]) {
+      stats.byNamespace[namespace][field]++;
+    }
+  }
+
+  /**
+   * Read a value, dropping it when expired
+   * @param {string} key - Cache key (URL)
+   * @returns {Promise<any>} - Cached value or undefined
+   */
+  async function get(key) {
+    const namespace = resolveNamespace(key);
+    if (getPolicy(namespace).ttl === 0) return undefined;
+
+    let entry;
+    try {
+      entry = await store.get(key);
+    } catch (error) {
+      stats.errors++;
+      if (debug) {
+        console.warn(`${prefix} ⚠️ Persistent cache read failed for ${key}: ${error.message}`);
+      }
+      return undefined;
+    }
+
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      Promise.resolve(store.delete?.(key)).catch(() => {});
+      forget(key);
+      entry = undefined;
+    }
+
+    if (!entry) {
+      count(namespace, "misses");
+      return undefined;
+    }
+
+    count(namespace, "hits");
+    touch(namespace, key);
+    if (debug) {
+      console.log(`${prefix} 💾 Persistent cache hit (${namespace}): ${key}`);
+    }
+    return entry.value;
+  }
+
+  /**
+   * Write a value with the TTL of its namespace, then evict past the namespace limits
+   * @param {string} key - Cache key (URL)
+   * @param {any} value - JSON-serializable value
+   * @returns {Promise<boolean>} - Whether the value was stored
+   */
+  async function set(key, value) {
+    const namespace = resolveNamespace(key);
+    const { ttl, maxEntryBytes } = getPolicy(namespace);
+    if (ttl === 0) return false;
+
+    const bytes = JSON.stringify(value)?.length || 0;
+    if (maxEntryBytes && bytes > maxEntryBytes) {
+      stats.skipped++;
+      if (debug) {
+        console.log(`${prefix} ⏭️ Not persisting ${key}: larger than ${maxEntryBytes} bytes`);
+      }
+      return false;
+    }
+
+    try {
+      await loadUsage();
+      await store.set(key, {
+        value,
+        bytes,
+        expiresAt: ttl ? Date.now() + ttl : null,
+        storedAt: Date.now(),
+      });
+      count(namespace, "writes");
+      touch(namespace, key, bytes);
+      await evict(namespace);
+      return true;
+    } catch (error) {
+      stats.errors++;
+      if (debug) {
+        console.warn(`${prefix} ⚠️ Persistent cache write failed for ${key}: ${error.message}`);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Delete the entries whose key matches a predicate (stores that can list keys only)
+   * @param {Function} predicate - Called with each key
+   * @returns {Promise<number>} - Number of entries deleted
+   */
+  async function purge(predicate) {
+    if (typeof store.keys !== "function") return 0;
+    const keys = (await store.keys()).filter(predicate);
+    await Promise.all(keys.map((key) => store.delete(key)));
+    keys.forEach(forget);
+    if (debug) {
+      console.log(`${prefix} 🗑️ Purged ${keys.length} persistent cache entries`);
+    }
+    return keys.length;
+  }
+
+  async function clear() {
+    await store.clear?.();
+    usage.clear();
+  }
+
+  function getStats() {
+    const lookups = stats.hits + stats.misses;
+    const byNamespace = JSON.parse(JSON.stringify(stats.byNamespace));
+    usage.forEach((namespaceUsage, namespace) => {
+      byNamespace[namespace] = {
+        hits: 0,
+        misses: 0,
+        writes: 0,
+        ...byNamespace[namespace],
+        entries: namespaceUsage.size,
+        bytes: [...namespaceUsage.values()].reduce((sum, size) => sum + size, 0),
+      };
+    });
+    return {
+      type: store.type || "custom",
+      ...stats,
+      hitRate: lookups ? stats.hits / lookups : 0,
+      byNamespace,
+    };
+  }
+
+  return {
+    get,
+    set,
+    purge,
+    clear,
+    getStats,
+  };
+}
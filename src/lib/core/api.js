@@ -8,7 +8,10 @@ import { fetchJson } from "../utils.js";
 
 const prefix = LOG_PREFIXES.REPO_MD;
 const API_DOMAIN = "api.repo.md";
-const API_BASE = `https://${API_DOMAIN}/v1`;
+export const API_BASE = `https://${API_DOMAIN}/v1`;
+
+// Revision used for a local dist folder that doesn't declare its own
+const LOCAL_DIST_REV = "local";
 
 /**
  * Create an API client for the repo.md API
@@ -16,10 +19,25 @@ const API_BASE = `https://${API_DOMAIN}/v1`;
  * @param {string} config.projectId - Project ID
  * @param {string} config.projectSlug - Project slug
  * @param {boolean} config.debug - Whether to log debug info
+ * @param {string} config.apiBaseUrl - Base URL of the repo.md API (defaults to api.repo.md/v1)
+ * @param {string|null} config.localDist - Base URL of a built dist folder, revision is read from it instead of the API
+ * @param {Function|null} config.resolveStorageRev - Revision resolver of an offline storage adapter, replaces the API
  * @returns {Object} - API client functions
  */
 export function createApiClient(config) {
-  const { projectId, projectSlug, debug = false } = config;
+  const {
+    projectId,
+    projectSlug,
+    debug = false,
+    apiBaseUrl = API_BASE,
+    localDist = null,
+    resolveStorageRev = null,
+  } = config;
+
+  // Offline storage (local dist folder or filesystem adapter) never calls the API
+  const readOfflineRev = resolveStorageRev || (localDist ? fetchLocalDistRev : null);
+
+  const apiBase = (apiBaseUrl || API_BASE).replace(/\/+$/, "");
 
   // Store the in-flight promise for getActiveProjectRev to prevent duplicate calls
   let currentRevisionPromise = null;
@@ -50,7 +68,13 @@ export function createApiClient(config) {
    * @returns {Promise<any>} - Parsed response data
    */
   async function fetchPublicApi(path = "/", options = {}) {
-    const url = `${API_BASE}${path}`;
+    if (readOfflineRev) {
+      throw new Error(
+        `The repo.md API is not available with offline storage (requested: ${path})`
+      );
+    }
+
+    const url = `${apiBase}${path}`;
 
     try {
       const result = await fetchJson(
@@ -96,11 +120,48 @@ export function createApiClient(config) {
     }
   }
 
+  /**
+   * Read the revision of a local dist folder
+   * Uses rev.json ({ "rev": "..." } or a plain string) when the folder has one
+   * @returns {Promise<string>} - Revision ID
+   */
+  async function fetchLocalDistRev() {
+    const url = `${localDist.replace(/\/+$/, "")}/rev.json`;
+    let data = null;
+    try {
+      data = await fetchJson(url, { defaultValue: null, useCache: false }, debug);
+    } catch (error) {
+      // rev.json is optional
+      if (debug) {
+        console.log(`${prefix} 📁 No readable rev.json in local dist: ${error.message}`);
+      }
+    }
+    const rev = typeof data === "string" ? data : data?.rev || data?.activeRev;
+
+    if (debug) {
+      console.log(
+        `${prefix} 📁 Local dist revision: ${rev || `${LOCAL_DIST_REV} (no rev.json)`}`
+      );
+    }
+
+    return rev || LOCAL_DIST_REV;
+  }
+
   /**
    * Fetch project details
    * @returns {Promise<Object>} - Project details
    */
   async function fetchProjectDetails() {
+    if (readOfflineRev) {
+      // No project service offline, describe the dist folder instead
+      return {
+        id: projectId,
+        slug: projectSlug,
+        activeRev: await readOfflineRev(),
+        localDist,
+      };
+    }
+
     // Get the base path for this project
     const path = getProjectBasePath();
 
@@ -114,6 +175,10 @@ export function createApiClient(config) {
    * @returns {Promise<string>} - Active revision ID
    */
   async function fetchProjectActiveRev() {
+    if (readOfflineRev) {
+      return await readOfflineRev();
+    }
+
     try {
       // Get the base path with /rev suffix
       const path = getProjectBasePath("/rev");
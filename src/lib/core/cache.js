@@ -14,138 +14,206 @@ const DEFAULT_CACHE_CONFIG = {
   maxAge: 60000 * 60, // 1 hour
 };
 
-// Create namespaced cache instances to avoid key collisions
-const caches = {
-  default: createCache(DEFAULT_CACHE_CONFIG),
-  posts: createCache(DEFAULT_CACHE_CONFIG),
-  media: createCache(DEFAULT_CACHE_CONFIG),
-  urls: createCache(DEFAULT_CACHE_CONFIG),
-  similarity: createCache(DEFAULT_CACHE_CONFIG),
-};
-
 /**
  * Create a QuickLRU cache with the given config
+ * @param {Object} config - { maxSize: entries, ttl (or maxAge): milliseconds }
  */
 function createCache(config = {}) {
   return new QuickLRU({
     maxSize: config.maxSize || DEFAULT_CACHE_CONFIG.maxSize,
-    maxAge: config.maxAge || DEFAULT_CACHE_CONFIG.maxAge,
+    maxAge: config.ttl || config.maxAge || DEFAULT_CACHE_CONFIG.maxAge,
   });
 }
 
 /**
- * Get a value from cache by key
- * @param {string} key - Cache key
- * @param {string} namespace - Cache namespace
- * @param {boolean} debug - Whether to log debug info
- * @returns {any} - Cached value or undefined if not found
+ * Create a set of namespaced memory caches
+ * Each RepoMD client owns one, so the policies it configures don't reach other clients
+ * @returns {Object} - Cache functions ({ get, set, delete, clear, clearAll, configure, stats })
  */
-export function getCached(key, namespace = 'default', debug = false) {
-  const cache = caches[namespace] || caches.default;
-  
-  if (cache.has(key)) {
-    if (debug) {
-      console.log(`${prefix} ✨ Cache hit for ${namespace}:${key}`);
+export function createMemoryCache() {
+  // Hit/miss counters by namespace, reported by getCacheStats
+  const counters = {};
+
+  // Create namespaced cache instances to avoid key collisions
+  const caches = {
+    default: createCache(DEFAULT_CACHE_CONFIG),
+    urls: createCache(DEFAULT_CACHE_CONFIG),
+  };
+
+  // Count a cache lookup for the stats
+  function countLookup(namespace, hit) {
+    if (!counters[namespace]) {
+      counters[namespace] = { hits: 0, misses: 0 };
     }
-    return cache.get(key);
-  }
-  
-  if (debug) {
-    console.log(`${prefix} 🔍 Cache miss for ${namespace}:${key}`);
+    counters[namespace][hit ? 'hits' : 'misses']++;
   }
-  
-  return undefined;
-}
 
-/**
- * Set a value in cache
- * @param {string} key - Cache key
- * @param {any} value - Value to cache
- * @param {string} namespace - Cache namespace
- * @param {boolean} debug - Whether to log debug info
- */
-export function setCached(key, value, namespace = 'default', debug = false) {
-  const cache = caches[namespace] || caches.default;
-  cache.set(key, value);
-  
-  if (debug) {
-    console.log(`${prefix} 💽 Cached data for ${namespace}:${key} (cache size: ${cache.size})`);
+  /**
+   * Get a value from cache by key
+   * @param {string} key - Cache key
+   * @param {string} namespace - Cache namespace
+   * @param {boolean} debug - Whether to log debug info
+   * @returns {any} - Cached value or undefined if not found
+   */
+  function getCached(key, namespace = 'default', debug = false) {
+    const cache = caches[namespace] || caches.default;
+    const hit = cache.has(key);
+    countLookup(caches[namespace] ? namespace : 'default', hit);
+
+    if (hit) {
+      if (debug) {
+        console.log(`${prefix} ✨ Cache hit for ${namespace}:${key}`);
+      }
+      return cache.get(key);
+    }
+
+    if (debug) {
+      console.log(`${prefix} 🔍 Cache miss for ${namespace}:${key}`);
+    }
+
+    return undefined;
   }
-}
 
-/**
- * Clear a specific cache namespace
- * @param {string} namespace - Cache namespace to clear
- * @param {boolean} debug - Whether to log debug info
- */
-export function clearCache(namespace = 'default', debug = false) {
-  if (caches[namespace]) {
-    caches[namespace].clear();
+  /**
+   * Set a value in cache
+   * @param {string} key - Cache key
+   * @param {any} value - Value to cache
+   * @param {string} namespace - Cache namespace
+   * @param {boolean} debug - Whether to log debug info
+   */
+  function setCached(key, value, namespace = 'default', debug = false) {
+    const cache = caches[namespace] || caches.default;
+    cache.set(key, value);
+
     if (debug) {
-      console.log(`${prefix} 🧹 Cleared cache for namespace: ${namespace}`);
+      console.log(`${prefix} 💽 Cached data for ${namespace}:${key} (cache size: ${cache.size})`);
     }
   }
-}
 
-/**
- * Clear all caches
- * @param {boolean} debug - Whether to log debug info
- */
-export function clearAllCaches(debug = false) {
-  Object.keys(caches).forEach(namespace => {
-    caches[namespace].clear();
-  });
-  
-  if (debug) {
-    console.log(`${prefix} 🧹 Cleared all caches`);
+  /**
+   * Remove a value from cache by key
+   * @param {string} key - Cache key
+   * @param {string} namespace - Cache namespace
+   * @param {boolean} debug - Whether to log debug info
+   * @returns {boolean} - Whether the key was cached
+   */
+  function deleteCached(key, namespace = 'default', debug = false) {
+    const cache = caches[namespace] || caches.default;
+    const deleted = cache.delete(key);
+
+    if (debug && deleted) {
+      console.log(`${prefix} 🗑️ Removed ${namespace}:${key} from cache`);
+    }
+    return deleted;
   }
-}
 
-/**
- * Configure a specific cache namespace
- * @param {string} namespace - Cache namespace
- * @param {Object} config - Cache configuration
- * @param {boolean} debug - Whether to log debug info
- */
-export function configureCache(namespace, config = {}, debug = false) {
-  if (!caches[namespace]) {
-    caches[namespace] = createCache(config);
+  /**
+   * Clear a specific cache namespace
+   * @param {string} namespace - Cache namespace to clear
+   * @param {boolean} debug - Whether to log debug info
+   */
+  function clearCache(namespace = 'default', debug = false) {
+    if (caches[namespace]) {
+      caches[namespace].clear();
+      if (debug) {
+        console.log(`${prefix} 🧹 Cleared cache for namespace: ${namespace}`);
+      }
+    }
+  }
+
+  /**
+   * Clear all caches
+   * @param {boolean} debug - Whether to log debug info
+   */
+  function clearAllCaches(debug = false) {
+    Object.keys(caches).forEach(namespace => {
+      caches[namespace].clear();
+    });
+
     if (debug) {
-      console.log(`${prefix} 🔧 Created new cache namespace: ${namespace}`);
+      console.log(`${prefix} 🧹 Cleared all caches`);
     }
-  } else {
-    // Resize existing cache if needed
-    if (config.maxSize && config.maxSize !== caches[namespace].maxSize) {
-      caches[namespace].resize(config.maxSize);
+  }
+
+  /**
+   * Configure a specific cache namespace
+   * @param {string} namespace - Cache namespace
+   * @param {Object} config - Cache configuration ({ maxSize, ttl } - ttl in milliseconds, maxAge is accepted too)
+   * @param {boolean} debug - Whether to log debug info
+   */
+  function configureCache(namespace, config = {}, debug = false) {
+    const ttl = config.ttl || config.maxAge;
+
+    if (!caches[namespace]) {
+      caches[namespace] = createCache(config);
+      if (debug) {
+        console.log(`${prefix} 🔧 Created new cache namespace: ${namespace}`);
+      }
+    } else if (ttl && ttl !== caches[namespace].maxAge) {
+      // QuickLRU can't change maxAge in place, move the entries to a new cache
+      const previous = caches[namespace];
+      caches[namespace] = createCache({
+        maxSize: config.maxSize || previous.maxSize,
+        maxAge: ttl,
+      });
+      for (const [key, value] of previous.entriesAscending()) {
+        caches[namespace].set(key, value);
+      }
       if (debug) {
-        console.log(`${prefix} 🔧 Resized cache for namespace: ${namespace}`);
+        console.log(`${prefix} 🔧 Set TTL of cache namespace ${namespace} to ${ttl}ms`);
+      }
+    } else {
+      // Resize existing cache if needed
+      if (config.maxSize && config.maxSize !== caches[namespace].maxSize) {
+        caches[namespace].resize(config.maxSize);
+        if (debug) {
+          console.log(`${prefix} 🔧 Resized cache for namespace: ${namespace}`);
+        }
       }
     }
   }
-}
 
-/**
- * Get cache statistics for all namespaces
- * @returns {Object} - Object with cache statistics by namespace
- */
-export function getCacheStats() {
-  const stats = {};
-  
-  Object.keys(caches).forEach(namespace => {
-    stats[namespace] = {
-      size: caches[namespace].size,
-      maxSize: caches[namespace].maxSize,
-    };
-  });
-  
-  return stats;
+  /**
+   * Get cache statistics for all namespaces
+   * @returns {Object} - Object with cache statistics by namespace
+   */
+  function getCacheStats() {
+    const stats = {};
+
+    Object.keys(caches).forEach(namespace => {
+      const { hits = 0, misses = 0 } = counters[namespace] || {};
+      stats[namespace] = {
+        size: caches[namespace].size,
+        maxSize: caches[namespace].maxSize,
+        ttl: caches[namespace].maxAge,
+        hits,
+        misses,
+      };
+    });
+
+    return stats;
+  }
+
+  return {
+    get: getCached,
+    set: setCached,
+    delete: deleteCached,
+    clear: clearCache,
+    clearAll: clearAllCaches,
+    configure: configureCache,
+    stats: getCacheStats,
+  };
 }
 
-export default {
-  get: getCached,
-  set: setCached,
-  clear: clearCache,
-  clearAll: clearAllCaches,
-  configure: configureCache,
-  stats: getCacheStats,
-};
\ No newline at end of file
+// Caches shared by the modules that are not bound to a client
+const sharedCache = createMemoryCache();
+
+export const getCached = sharedCache.get;
+export const setCached = sharedCache.set;
+export const deleteCached = sharedCache.delete;
+export const clearCache = sharedCache.clear;
+export const clearAllCaches = sharedCache.clearAll;
+export const configureCache = sharedCache.configure;
+export const getCacheStats = sharedCache.stats;
+
+export default sharedCache;
@@ -0,0 +1,98 @@
+/**
+ * Event module for RepoMD
+ * Minimal event emitter shared by browser, Node and edge runtimes
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+/**
+ * Create an event emitter
+ * @param {Object} config - Configuration object
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Event functions (on, off, once, emit, listenerCount)
+ */
+export function createEventEmitter(config = {}) {
+  const { debug = false } = config;
+
+  // Handlers by event name
+  const listeners = new Map();
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event name
+   * @param {Function} handler - Event handler
+   * @returns {Function} - Unsubscribe function
+   */
+  function on(event, handler) {
+    if (typeof handler !== "function") {
+      throw new Error(`A handler function is required to listen to "${event}"`);
+    }
+    if (!listeners.has(event)) {
+      listeners.set(event, new Set());
+    }
+    listeners.get(event).add(handler);
+    return () => off(event, handler);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler passed to on()
+   */
+  function off(event, handler) {
+    listeners.get(event)?.delete(handler);
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {string} event - Event name
+   * @param {Function} handler - Event handler
+   * @returns {Function} - Unsubscribe function
+   */
+  function once(event, handler) {
+    const wrapper = (payload) => {
+      off(event, wrapper);
+      return handler(payload);
+    };
+    return on(event, wrapper);
+  }
+
+  /**
+   * Call the handlers of an event, a failing handler doesn't stop the others
+   * @param {string} event - Event name
+   * @param {any} payload - Event payload
+   */
+  function emit(event, payload) {
+    const handlers = [...(listeners.get(event) || [])];
+    if (debug) {
+      console.log(`${prefix} 📣 Emitting "${event}" to ${handlers.length} listener(s)`);
+    }
+
+    for (const handler of handlers) {
+      try {
+        const result = handler(payload);
+        if (result && typeof result.catch === "function") {
+          result.catch((error) =>
+            console.error(`${prefix} ❌ Error in "${event}" listener:`, error)
+          );
+        }
+      } catch (error) {
+        console.error(`${prefix} ❌ Error in "${event}" listener:`, error);
+      }
+    }
+  }
+
+  function listenerCount(event) {
+    return listeners.get(event)?.size || 0;
+  }
+
+  return {
+    on,
+    off,
+    once,
+    emit,
+    listenerCount,
+  };
+}
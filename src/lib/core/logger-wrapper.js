@@ -528,8 +528,14 @@ export function applyLogging(instance, debug = false) {
     'posts',
     'media',
     'similarity',
+    'taxonomy',
+    'linkGraph',
+    'revisions',
+    'feeds',
+    'sitemap',
     'project',
     'files',
+    'database',
     'urls',
     'api'
   ];
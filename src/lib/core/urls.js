@@ -8,7 +8,13 @@ import { LOG_PREFIXES } from "../logger.js";
 const prefix = LOG_PREFIXES.REPO_MD;
 
 // Constants
-const R2_DOMAIN = "https://static.repo.md"; //
+export const R2_DOMAIN = "https://static.repo.md"; //
+
+// Shared folder paths and their location inside a built dist folder
+export const LOCAL_DIST_SHARED_PATHS = [
+  { shared: "/medias/", local: "/_medias/" },
+  { shared: "/posts/", local: "/_posts/hash/" },
+];
 
 /**
  * Create a URL generator for a specific project
@@ -20,6 +26,9 @@ const R2_DOMAIN = "https://static.repo.md"; //
  * @param {boolean} config.debug - Whether to log debug info
  * @param {number} config.revCacheExpirySeconds - Revision cache expiry time in seconds
  * @param {boolean} config.debug_rev_caching - Whether to log revision caching debug info
+ * @param {string} config.staticBaseUrl - Base URL of the static storage (defaults to static.repo.md)
+ * @param {string|null} config.localDist - Base URL of a built dist folder, bypasses the project/revision layout
+ * @param {Function|null} config.onRevisionChange - Called with (newRev, oldRev) when revalidation finds a new "latest" revision
  * @returns {Object} - URL generator functions
  */
 export function createUrlGenerator(config) {
@@ -31,8 +40,14 @@ export function createUrlGenerator(config) {
     debug = false,
     revCacheExpirySeconds = 300,
     debug_rev_caching = false,
+    staticBaseUrl = R2_DOMAIN,
+    localDist = null,
+    onRevisionChange = null,
   } = config;
 
+  // Normalize base URLs (no trailing slash)
+  const baseUrl = (localDist || staticBaseUrl || R2_DOMAIN).replace(/\/+$/, "");
+
   // Create a mutable state variable for the active revision
   let activeRevState = initialActiveRev;
 
@@ -63,13 +78,26 @@ export function createUrlGenerator(config) {
    * @returns {string} - Full URL
    */
   function getProjectUrl(path = "") {
-    const url = `${R2_DOMAIN}/projects/${projectId}${path}`;
+    const url = localDist
+      ? `${baseUrl}${path}`
+      : `${baseUrl}/projects/${projectId}${path}`;
     if (debug) {
       console.log(`${prefix} 🔗 Generated project URL: ${url}`);
     }
     return url;
   }
 
+  /**
+   * Build the URL of a resource within a given revision
+   * A local dist folder only holds a single revision, so the rev is not part of its URLs
+   * @param {string} revision - Revision ID
+   * @param {string} path - Resource path
+   * @returns {string} - Full URL
+   */
+  function buildRevisionUrl(revision, path = "") {
+    return localDist ? getProjectUrl(path) : getProjectUrl(`/${revision}${path}`);
+  }
+
   /**
    * Get URL for a revision-specific resource, resolving "latest" revision if needed
    * @param {string} path - Resource path
@@ -83,7 +111,7 @@ export function createUrlGenerator(config) {
           `${prefix} 🕐🕐🕐🕐🕐 Using specific revision: ${rev} (no cache expiry for R2 URL)`
         );
       }
-      const url = getProjectUrl(`/${rev}${path}`);
+      const url = buildRevisionUrl(rev, path);
       if (debug) {
         console.log(
           `${prefix} 🔗 Generated revision URL with specific rev: ${url}`
@@ -128,12 +156,13 @@ export function createUrlGenerator(config) {
                 );
               }
 
-              // If revision changed, log cache invalidation warning
+              // If revision changed, let the client purge caches of the old revision
               if (debug_rev_caching) {
                 console.log(
-                  `${prefix} 🕐🕐🕐🕐🕐 Revision changed from ${oldRev} to ${newRev} - R2 JSON files cached with old revision may be stale`
+                  `${prefix} 🕐🕐🕐🕐🕐 Revision changed from ${oldRev} to ${newRev} - purging caches of the old revision`
                 );
               }
+              onRevisionChange?.(newRev, oldRev);
             } else if (newRev === oldRev) {
               // Same revision, just update the timestamp
               revisionCacheState.timestamp = Date.now();
@@ -153,7 +182,7 @@ export function createUrlGenerator(config) {
           });
 
         // Return URL with stale revision for this request (stale-while-revalidate)
-        const url = getProjectUrl(`/${activeRevState}${path}`);
+        const url = buildRevisionUrl(activeRevState, path);
         if (debug) {
           console.log(
             `${prefix} 🔗 Generated revision URL with stale activeRev (revalidating in bg): ${url}`
@@ -168,7 +197,7 @@ export function createUrlGenerator(config) {
           `${prefix} 🕐🕐🕐🕐🕐 Using cached "latest" revision for R2 URL (not expired): ${activeRevState}`
         );
       }
-      const url = getProjectUrl(`/${activeRevState}${path}`);
+      const url = buildRevisionUrl(activeRevState, path);
       if (debug) {
         console.log(
           `${prefix} 🔗 Generated revision URL with cached activeRev: ${url}`
@@ -223,7 +252,7 @@ export function createUrlGenerator(config) {
       throw error;
     }
 
-    const url = getProjectUrl(`/${resolvedRev}${path}`);
+    const url = buildRevisionUrl(resolvedRev, path);
 
     if (debug) {
       console.log(
@@ -241,7 +270,7 @@ export function createUrlGenerator(config) {
    */
   function getMediaUrl(path) {
     // https://static.repo.md/projects/680e97604a0559a192640d2c/_shared/medias/9ad367214fab7207e61dbea46f32e9943d55b7e8cefb55e02f57e06f0db6dd0f-sm.jpeg
-    const url = getProjectUrl(`/_shared/medias/${path}`);
+    const url = getSharedFolderUrl(`/medias/${path}`);
 
     if (debug) {
       console.log(`${prefix} 🔗 Generated media URL: ${url}`);
@@ -257,6 +286,22 @@ export function createUrlGenerator(config) {
     return await getRevisionUrl("/content.sqlite");
   }
 
+  /**
+   * Get URL for a resource of a given revision, whatever the active one is
+   * @param {string} revision - Revision ID
+   * @param {string} path - Resource path
+   * @returns {string} - Full URL
+   * @throws {Error} - If a local dist folder is asked for another revision than its own
+   */
+  function getRevisionUrlFor(revision, path = "") {
+    if (localDist && activeRevState && revision !== activeRevState) {
+      throw new Error(
+        `The local dist folder only holds revision ${activeRevState}, not ${revision}`
+      );
+    }
+    return buildRevisionUrl(revision, path);
+  }
+
 
   /**
    * Get URL for a shared folder resource (not revision-specific)
@@ -264,7 +309,18 @@ export function createUrlGenerator(config) {
    * @returns {string} - Full URL
    */
   function getSharedFolderUrl(path = "") {
-    const url = getProjectUrl(`/_shared${path}`);
+    let url;
+    if (localDist) {
+      // Map shared folder paths onto the dist folder layout (_medias, _posts/hash)
+      const mapping = LOCAL_DIST_SHARED_PATHS.find(({ shared }) =>
+        path.startsWith(shared)
+      );
+      url = getProjectUrl(
+        mapping ? `${mapping.local}${path.slice(mapping.shared.length)}` : path
+      );
+    } else {
+      url = getProjectUrl(`/_shared${path}`);
+    }
 
     if (debug) {
       console.log(`${prefix} 🔗 Generated shared folder URL: ${url}`);
@@ -278,8 +334,21 @@ export function createUrlGenerator(config) {
     getMediaUrl,
     getSqliteUrl,
     getSharedFolderUrl,
+    getRevisionUrlFor,
+    // Revision and shared files never change once published (a local dist folder can be rebuilt)
+    isImmutableUrl: (url) =>
+      !localDist && typeof url === "string" && url.startsWith(getProjectUrl("/")),
+    // Expose the normalized base URL and mode
+    getBaseUrl: () => baseUrl,
+    isLocalDist: () => !!localDist,
     // Expose method to get the current active revision
     getActiveRevState: () => activeRevState,
+    // Set the "latest" revision when it was resolved elsewhere (revision watcher)
+    setActiveRev: (newRev) => {
+      activeRevState = newRev;
+      revisionCacheState.value = newRev;
+      revisionCacheState.timestamp = Date.now();
+    },
     // Expose method to get revision cache stats
     getRevisionCacheStats: () => {
       const isExpired = rev === "latest" ? revisionCacheState.latestRevCacheExpiry() : false;
@@ -318,12 +387,13 @@ export function createUrlGenerator(config) {
                 );
               }
 
-              // If revision changed, log cache invalidation warning
+              // If revision changed, let the client purge caches of the old revision
               if (debug_rev_caching) {
                 console.log(
-                  `${prefix} 🕐🕐🕐🕐🕐 Revision changed from ${oldRev} to ${newRev} - R2 JSON files cached with old revision may be stale`
+                  `${prefix} 🕐🕐🕐🕐🕐 Revision changed from ${oldRev} to ${newRev} - purging caches of the old revision`
                 );
               }
+              onRevisionChange?.(newRev, oldRev);
             } else if (newRev === oldRev) {
               // Same revision, just update the timestamp
               revisionCacheState.timestamp = Date.now();
@@ -0,0 +1,9 @@
+/**
+ * Database module barrel export for RepoMD
+ */
+
+import { createSqliteDatabase } from './sqlite.js';
+
+export {
+  createSqliteDatabase,
+};
@@ -0,0 +1,245 @@
+/**
+ * SQLite database module for RepoMD
+ * Downloads the content.sqlite of a revision and queries it with sql.js (WASM)
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+const SQLITE_PATH = "/content.sqlite";
+
+// Post columns returned by the helpers, content is left out to keep rows small
+const POST_COLUMNS =
+  "p.id, p.slug, p.title, p.wordCount, p.created, p.modified, p.path, p.type";
+
+// Media columns returned by the helpers, embeddings are left out
+const MEDIA_COLUMNS =
+  "m.id, m.hash, m.filename, m.path, m.url, m.width, m.height, m.filesize, m.mime_type, m.created, m.modified";
+
+// sql.js module promise, shared by every instance since the engine is stateless
+let sqlJsPromise = null;
+
+/**
+ * Load and initialize the sql.js engine once
+ * @param {string|null} wasmUrl - URL of the sql.js wasm binary
+ * @returns {Promise<Object>} - Initialized sql.js module
+ */
+function loadSqlJs(wasmUrl) {
+  // Browsers need to know where the wasm binary is served from, Node finds it on disk.
+  // No third-party default: the binary is served next to the app, like the dist folder
+  if (!wasmUrl && typeof window !== "undefined") {
+    return Promise.reject(
+      new Error(
+        "sqliteWasmUrl is required in browsers: serve sql-wasm.wasm (from the sql.js package) with your app and pass its URL"
+      )
+    );
+  }
+
+  if (!sqlJsPromise) {
+    sqlJsPromise = import("sql.js")
+      .then((mod) => {
+        const initSqlJs = mod.default || mod;
+        if (wasmUrl) {
+          return initSqlJs({ locateFile: () => wasmUrl });
+        }
+        return initSqlJs();
+      })
+      .catch((error) => {
+        // Allow a retry on the next call
+        sqlJsPromise = null;
+        throw new Error(`Failed to load the sql.js SQLite engine: ${error.message}`);
+      });
+  }
+  return sqlJsPromise;
+}
+
+/**
+ * Create a SQLite database service
+ * @param {Object} config - Configuration object
+ * @param {Function} config.readBinary - Function to read a binary file of the active revision
+ * @param {Function} config.getSqliteUrl - Function to get the database URL, used as the per-revision cache key
+ * @param {string|null} config.wasmUrl - URL of the sql.js wasm binary (required in browsers)
+ * @param {Function|null} config.assertAccess - Called before public queries, throws when raw rows can't be returned
+ *   (content.sqlite holds every post, including the ones hidden by the visibility policy)
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Database service functions
+ */
+export function createSqliteDatabase(config) {
+  const { readBinary, getSqliteUrl, wasmUrl = null, assertAccess = null, debug = false } = config;
+
+  // Opened databases by revision URL (promises, to share concurrent opens)
+  const databases = new Map();
+
+  /**
+   * Download and open the database of the active revision
+   * @returns {Promise<Object>} - sql.js Database instance
+   */
+  async function getDatabase() {
+    await assertAccess?.();
+    return await _openDatabase();
+  }
+
+  // Open the database without the access check
+  async function _openDatabase() {
+    const key = await getSqliteUrl();
+
+    if (databases.has(key)) {
+      if (debug) {
+        console.log(`${prefix} ✨ Using cached SQLite database: ${key}`);
+      }
+      return databases.get(key);
+    }
+
+    const openPromise = (async () => {
+      const startTime = performance.now();
+      const [SQL, data] = await Promise.all([
+        loadSqlJs(wasmUrl),
+        readBinary(SQLITE_PATH),
+      ]);
+      const db = new SQL.Database(new Uint8Array(data));
+
+      if (debug) {
+        const duration = (performance.now() - startTime).toFixed(2);
+        console.log(
+          `${prefix} 🗄️ Opened SQLite database (${data.byteLength} bytes) in ${duration}ms: ${key}`
+        );
+      }
+      return db;
+    })();
+
+    databases.set(key, openPromise);
+
+    try {
+      return await openPromise;
+    } catch (error) {
+      databases.delete(key);
+      if (debug) {
+        console.error(`${prefix} ❌ Failed to open SQLite database:`, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run a SQL query against the database of the active revision
+   * @param {string} query - SQL query
+   * @param {Array|Object} params - Positional (?) or named (:name, $name, @name) parameters
+   * @returns {Promise<Array<Object>>} - Result rows as plain objects
+   */
+  async function sql(query, params = []) {
+    await assertAccess?.();
+    return await _sql(query, params);
+  }
+
+  /**
+   * Run a SQL query without the access check (callers run it first)
+   * @param {string} query - SQL query
+   * @param {Array|Object} params - Query parameters
+   * @returns {Promise<Array<Object>>} - Result rows as plain objects
+   */
+  async function _sql(query, params = []) {
+    if (!query) {
+      throw new Error("A SQL query is required");
+    }
+
+    const db = await _openDatabase();
+    const statement = db.prepare(query);
+    const rows = [];
+
+    try {
+      statement.bind(params);
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+    } finally {
+      statement.free();
+    }
+
+    if (debug) {
+      console.log(`${prefix} 🗄️ SQL returned ${rows.length} rows: ${query}`);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Get posts with a given tag
+   * @param {string} tag - Tag name
+   * @returns {Promise<Array<Object>>} - Post rows
+   */
+  async function getPostsByTag(tag) {
+    return await sql(
+      `SELECT ${POST_COLUMNS}
+       FROM posts p
+       JOIN post_tags pt ON pt.post_id = p.id
+       JOIN tags t ON t.id = pt.tag_id
+       WHERE t.tag = ?
+       ORDER BY p.created DESC, p.title`,
+      [tag]
+    );
+  }
+
+  /**
+   * Get posts linking to a post
+   * @param {string} postRef - Post ID or slug
+   * @returns {Promise<Array<Object>>} - Post rows
+   */
+  async function getBacklinks(postRef) {
+    return await sql(
+      `SELECT DISTINCT ${POST_COLUMNS}
+       FROM links l
+       JOIN posts p ON p.id = l.source_id
+       JOIN posts target ON target.id = l.target_id
+       WHERE target.id = :ref OR target.slug = :ref
+       ORDER BY p.title`,
+      { ":ref": postRef }
+    );
+  }
+
+  /**
+   * Get media used by a post
+   * @param {string} postRef - Post ID or slug
+   * @returns {Promise<Array<Object>>} - Media rows
+   */
+  async function getMediaForPost(postRef) {
+    return await sql(
+      `SELECT DISTINCT ${MEDIA_COLUMNS}
+       FROM post_media pm
+       JOIN medias m ON m.id = pm.media_id
+       JOIN posts p ON p.id = pm.post_id
+       WHERE p.id = :ref OR p.slug = :ref
+       ORDER BY m.filename`,
+      { ":ref": postRef }
+    );
+  }
+
+  /**
+   * Close opened databases and free their memory
+   */
+  async function closeDatabase() {
+    const opened = [...databases.values()];
+    databases.clear();
+
+    for (const openPromise of opened) {
+      try {
+        (await openPromise).close();
+      } catch {
+        // Failed opens have nothing to close
+      }
+    }
+
+    if (debug) {
+      console.log(`${prefix} 🧹 Closed ${opened.length} SQLite database(s)`);
+    }
+  }
+
+  return {
+    getDatabase,
+    sql,
+    getPostsByTag,
+    getBacklinks,
+    getMediaForPost,
+    closeDatabase,
+  };
+}
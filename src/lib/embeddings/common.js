@@ -0,0 +1,65 @@
+/**
+ * Shared helpers of the embedding providers
+ * A provider computes the query embeddings of vector search:
+ * { name, computeTextEmbedding(text, instruction), computeClipTextEmbedding(text), computeClipImageEmbedding(image) }
+ */
+
+// Models used to build posts-embedding-hash-map.json (text) and media-embedding-hash-map.json (CLIP)
+export const EMBEDDING_MODELS = {
+  text: "Xenova/all-MiniLM-L6-v2", // 384 dimensions, mean pooled and normalized
+  clip: "Xenova/clip-vit-base-patch32", // 512 dimensions
+};
+
+/**
+ * Check a text input
+ * @param {string} text - Text to embed
+ */
+export function assertText(text) {
+  if (!text || typeof text !== "string" || text.trim().length === 0) {
+    throw new Error("Text parameter is required and must be a non-empty string");
+  }
+}
+
+/**
+ * Check an image input
+ * @param {string} image - Image URL, data URL or base64-encoded data
+ */
+export function assertImage(image) {
+  if (!image || typeof image !== "string" || image.trim().length === 0) {
+    throw new Error("Image parameter is required and must be a non-empty string");
+  }
+}
+
+/**
+ * Build an embedding result, same shape as the repo.md inference API
+ * @param {ArrayLike<number>} values - Embedding values
+ * @param {string} model - Model name
+ * @param {number} startedAt - Start timestamp in ms
+ * @returns {Object} - { status, embedding, metadata: { model, dimension, duration } }
+ */
+export function createEmbeddingResult(values, model, startedAt) {
+  const embedding = Array.from(values, Number);
+  return {
+    status: "success",
+    embedding,
+    metadata: {
+      model,
+      dimension: embedding.length,
+      duration: Date.now() - startedAt,
+    },
+  };
+}
+
+/**
+ * Call a method of an embedding provider
+ * @param {Object} provider - Embedding provider
+ * @param {string} method - computeTextEmbedding, computeClipTextEmbedding or computeClipImageEmbedding
+ * @param {...any} args - Method arguments
+ * @returns {Promise<Object>} - Embedding result
+ */
+export async function computeEmbedding(provider, method, ...args) {
+  if (typeof provider?.[method] !== "function") {
+    throw new Error(`The ${provider?.name || "configured"} embedding provider doesn't support ${method}`);
+  }
+  return await provider[method](...args);
+}
@@ -0,0 +1,16 @@
+/**
+ * Embeddings module barrel export for RepoMD
+ */
+
+import { createRepoMdEmbeddingProvider } from './repoMd.js';
+import { createTransformersEmbeddingProvider } from './transformers.js';
+import { createOpenAiEmbeddingProvider } from './openai.js';
+import { EMBEDDING_MODELS, computeEmbedding } from './common.js';
+
+export {
+  createRepoMdEmbeddingProvider,
+  createTransformersEmbeddingProvider,
+  createOpenAiEmbeddingProvider,
+  EMBEDDING_MODELS,
+  computeEmbedding,
+};
@@ -0,0 +1,105 @@
+/**
+ * OpenAI-compatible embedding provider
+ * Calls the /embeddings route of a self-hosted server (text-embeddings-inference, Infinity, Ollama, vLLM...)
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+import { EMBEDDING_MODELS, assertText, assertImage, createEmbeddingResult } from "./common.js";
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+/**
+ * Create an embedding provider for an OpenAI-compatible embeddings API
+ * The server must run the models the project embeddings were built with
+ * @param {Object} config - Configuration object
+ * @param {string} config.baseUrl - API base URL (e.g. http://localhost:7997/v1)
+ * @param {string|null} config.apiKey - Bearer token
+ * @param {string} config.textModel - Text model name on the server
+ * @param {string|null} config.clipModel - CLIP model name on the server, enables the CLIP embeddings
+ * @param {Object} config.headers - Extra request headers
+ * @param {Function} config.fetch - fetch implementation (defaults to the global one)
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Embedding provider
+ */
+export function createOpenAiEmbeddingProvider(config = {}) {
+  const {
+    baseUrl,
+    apiKey = null,
+    textModel = EMBEDDING_MODELS.text,
+    clipModel = null,
+    headers = {},
+    fetch: fetchImpl = globalThis.fetch,
+    debug = false,
+  } = config;
+
+  if (!baseUrl) {
+    throw new Error("createOpenAiEmbeddingProvider requires a baseUrl");
+  }
+
+  const url = `${baseUrl.replace(/\/+$/, "")}/embeddings`;
+
+  /**
+   * Request one embedding
+   * @param {string} model - Model name
+   * @param {string} input - Text or image input
+   * @param {Object} extra - Extra body fields
+   * @returns {Promise<Object>} - Embedding result
+   */
+  async function requestEmbedding(model, input, extra = {}) {
+    const startedAt = Date.now();
+    const response = await fetchImpl(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        ...headers,
+      },
+      body: JSON.stringify({ model, input, encoding_format: "float", ...extra }),
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => "");
+      throw new Error(`Embedding request failed (${response.status}): ${detail || response.statusText}`);
+    }
+
+    const result = await response.json();
+    const embedding = result?.data?.[0]?.embedding;
+    if (!Array.isArray(embedding)) {
+      throw new Error("Embedding response has no data[0].embedding array");
+    }
+
+    if (debug) {
+      console.log(`${prefix} 🧠 Computed ${model} embedding in ${Date.now() - startedAt}ms`);
+    }
+
+    return createEmbeddingResult(embedding, result.model || model, startedAt);
+  }
+
+  function requireClipModel() {
+    if (!clipModel) {
+      throw new Error("CLIP embeddings need the clipModel option of createOpenAiEmbeddingProvider");
+    }
+  }
+
+  return {
+    name: "openai",
+    computeTextEmbedding: async (text, instruction = null) => {
+      assertText(text);
+      return await requestEmbedding(textModel, instruction ? `${instruction} ${text}` : text);
+    },
+    computeClipTextEmbedding: async (text) => {
+      assertText(text);
+      requireClipModel();
+      return await requestEmbedding(clipModel, text);
+    },
+    computeClipImageEmbedding: async (image) => {
+      assertImage(image);
+      requireClipModel();
+      // Images are sent as URLs or data URLs, with the modality field of multimodal servers (Infinity)
+      const isUrl = /^(https?:|data:)/.test(image);
+      return await requestEmbedding(clipModel, isUrl ? image : `data:image/jpeg;base64,${image}`, {
+        modality: "image",
+      });
+    },
+  };
+}
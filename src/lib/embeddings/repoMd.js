@@ -0,0 +1,30 @@
+/**
+ * repo.md API embedding provider (default)
+ * Computes embeddings with the hosted inference routes of the repo.md API
+ */
+
+import {
+  computeTextEmbedding,
+  computeClipTextEmbedding,
+  computeClipImageEmbedding,
+} from "../inference.js";
+import { API_BASE } from "../core/api.js";
+
+/**
+ * Create the repo.md API embedding provider
+ * @param {Object} config - Configuration object
+ * @param {string} config.apiBaseUrl - Base URL of the repo.md API (self-hosted...)
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Embedding provider
+ */
+export function createRepoMdEmbeddingProvider(config = {}) {
+  const { apiBaseUrl = API_BASE, debug = false } = config;
+
+  return {
+    name: "repo-md",
+    computeTextEmbedding: (text, instruction = null) =>
+      computeTextEmbedding(text, instruction, debug, apiBaseUrl),
+    computeClipTextEmbedding: (text) => computeClipTextEmbedding(text, debug, apiBaseUrl),
+    computeClipImageEmbedding: (image) => computeClipImageEmbedding(image, debug, apiBaseUrl),
+  };
+}
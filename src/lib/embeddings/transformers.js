@@ -0,0 +1,158 @@
+/**
+ * In-process embedding provider built on transformers.js (ONNX, CPU)
+ * Runs the models the project embeddings were built with, so vector search works offline
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+import { EMBEDDING_MODELS, assertText, assertImage, createEmbeddingResult } from "./common.js";
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+/**
+ * Scale a vector to unit length
+ * @param {ArrayLike<number>} values - Vector
+ * @returns {Array<number>} - Normalized vector
+ */
+function normalize(values) {
+  const vector = Array.from(values, Number);
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map((value) => value / norm);
+}
+
+/**
+ * Decode base64 data (raw or data URL) to bytes
+ * @param {string} data - Base64 string or data:...;base64, URL
+ * @returns {Uint8Array} - Bytes
+ */
+function decodeBase64(data) {
+  const base64 = data.startsWith("data:") ? data.slice(data.indexOf(",") + 1) : data;
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Create an embedding provider running transformers.js models in-process
+ * transformers.js isn't a RepoMD dependency, pass the module (like sharp for image transformations)
+ * @param {Object} config - Configuration object
+ * @param {Object} config.transformers - The @huggingface/transformers module
+ * @param {string} config.textModel - Text model (default: the one of posts-embedding-hash-map.json)
+ * @param {string} config.clipModel - CLIP model (default: the one of media-embedding-hash-map.json)
+ * @param {Object} config.modelOptions - Options passed when loading the models (dtype, cache_dir...), device defaults to cpu
+ * @param {string} config.localModelPath - Folder of the downloaded models, for air-gapped deployments
+ * @param {boolean} config.allowRemoteModels - Whether models missing locally are downloaded from the Hugging Face Hub
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Embedding provider
+ */
+export function createTransformersEmbeddingProvider(config = {}) {
+  const {
+    transformers,
+    textModel = EMBEDDING_MODELS.text,
+    clipModel = EMBEDDING_MODELS.clip,
+    modelOptions = {},
+    localModelPath = null,
+    allowRemoteModels = true,
+    debug = false,
+  } = config;
+
+  if (!transformers?.pipeline) {
+    throw new Error(
+      "createTransformersEmbeddingProvider requires the @huggingface/transformers module (transformers option)"
+    );
+  }
+
+  // Settings of the transformers.js module, shared by everything using it
+  if (localModelPath) {
+    transformers.env.localModelPath = localModelPath;
+  }
+  if (!allowRemoteModels) {
+    transformers.env.allowRemoteModels = false;
+  }
+
+  const loadOptions = { device: "cpu", ...modelOptions };
+
+  // Models are loaded on first use, once; failed loads are retried on the next call
+  const loaders = new Map();
+  function load(key, loader) {
+    if (!loaders.has(key)) {
+      const startedAt = Date.now();
+      const promise = loader().then((result) => {
+        if (debug) {
+          console.log(`${prefix} 🧠 Loaded ${key} model in ${Date.now() - startedAt}ms`);
+        }
+        return result;
+      });
+      promise.catch(() => loaders.delete(key));
+      loaders.set(key, promise);
+    }
+    return loaders.get(key);
+  }
+
+  const loadTextPipeline = () =>
+    load("text", () => transformers.pipeline("feature-extraction", textModel, loadOptions));
+
+  const loadClipText = () =>
+    load("CLIP text", () => Promise.all([
+      transformers.AutoTokenizer.from_pretrained(clipModel),
+      transformers.CLIPTextModelWithProjection.from_pretrained(clipModel, loadOptions),
+    ]));
+
+  const loadClipVision = () =>
+    load("CLIP vision", () => Promise.all([
+      transformers.AutoProcessor.from_pretrained(clipModel),
+      transformers.CLIPVisionModelWithProjection.from_pretrained(clipModel, loadOptions),
+    ]));
+
+  /**
+   * Compute a text embedding
+   * all-MiniLM-L6-v2 has no instruction format, the instruction is prepended to the text
+   * @param {string} text - Text to embed
+   * @param {string|null} instruction - Optional instruction
+   * @returns {Promise<Object>} - Embedding result
+   */
+  async function computeTextEmbedding(text, instruction = null) {
+    assertText(text);
+    const startedAt = Date.now();
+    const extractor = await loadTextPipeline();
+    const output = await extractor(instruction ? `${instruction} ${text}` : text, {
+      pooling: "mean",
+      normalize: true,
+    });
+    return createEmbeddingResult(output.data, textModel, startedAt);
+  }
+
+  /**
+   * Compute a CLIP text embedding, comparable to the media embeddings
+   * @param {string} text - Text to embed
+   * @returns {Promise<Object>} - Embedding result
+   */
+  async function computeClipTextEmbedding(text) {
+    assertText(text);
+    const startedAt = Date.now();
+    const [tokenizer, model] = await loadClipText();
+    const inputs = tokenizer([text], { padding: true, truncation: true });
+    const { text_embeds: embeds } = await model(inputs);
+    return createEmbeddingResult(normalize(embeds.data), clipModel, startedAt);
+  }
+
+  /**
+   * Compute a CLIP image embedding
+   * @param {string} image - Image URL, data URL or base64-encoded data
+   * @returns {Promise<Object>} - Embedding result
+   */
+  async function computeClipImageEmbedding(image) {
+    assertImage(image);
+    const startedAt = Date.now();
+    const [processor, model] = await loadClipVision();
+    const rawImage = /^https?:\/\//.test(image)
+      ? await transformers.RawImage.fromURL(image)
+      : await transformers.RawImage.fromBlob(new Blob([decodeBase64(image)]));
+    const { image_embeds: embeds } = await model(await processor(rawImage));
+    return createEmbeddingResult(normalize(embeds.data), clipModel, startedAt);
+  }
+
+  return {
+    name: "transformers",
+    computeTextEmbedding,
+    computeClipTextEmbedding,
+    computeClipImageEmbedding,
+  };
+}
@@ -0,0 +1,322 @@
+/**
+ * Feed module for RepoMD
+ * RSS 2.0, Atom and JSON Feed documents built from the published posts
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+import { getPostField, matchesWhere } from "../posts/query.js";
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+export const FEED_FORMATS = ["rss", "atom", "json"];
+
+export const FEED_CONTENT_TYPES = {
+  rss: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8",
+};
+
+// Frontmatter fields read for the publication and update dates, first match wins
+const PUBLISHED_FIELDS = ["date", "published", "pubDate", "created"];
+const UPDATED_FIELDS = ["updated", "modified", "lastmod"];
+
+// Escape text for XML elements and attributes
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Wrap HTML in a CDATA section ("]]>" can't appear inside one)
+function cdata(value) {
+  return `<![CDATA[${String(value ?? "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Read the first valid date among some post fields
+ * @param {Object} post - Post object
+ * @param {Array<string>} fields - Candidate fields (post, then frontmatter)
+ * @returns {Date|null} - Date or null
+ */
+function getPostDate(post, fields) {
+  for (const field of fields) {
+    const value = getPostField(post, field);
+    if (value) {
+      const date = new Date(value);
+      if (!Number.isNaN(date.getTime())) return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the authors of a post from its frontmatter (author, authors)
+ * @param {Object} post - Post object
+ * @param {Object|string|null} fallback - Default author
+ * @returns {Array<{name: string, email?: string, url?: string}>} - Authors
+ */
+function getPostAuthors(post, fallback) {
+  const raw = getPostField(post, "authors") || getPostField(post, "author") || fallback;
+  return [].concat(raw || [])
+    .map((author) => (typeof author === "string" ? { name: author } : author))
+    .filter((author) => author && author.name);
+}
+
+/**
+ * Make root-relative media URLs of some HTML absolute
+ * @param {string} html - Post HTML
+ * @param {string} siteUrl - Site URL (no trailing slash)
+ * @param {string} mediaUrlPrefix - Media path prefix (e.g. "/_repo/medias/")
+ * @returns {string} - HTML with absolute media URLs
+ */
+export function absolutizeMediaUrls(html, siteUrl, mediaUrlPrefix = "/_repo/medias/") {
+  if (!html || !siteUrl) return html || "";
+  // Only root-relative occurrences: after a quote, whitespace, comma (srcset), "(" (CSS url) or "="
+  const pattern = new RegExp(`(^|["'\\s,(=])${escapeRegExp(mediaUrlPrefix)}`, "g");
+  return html.replace(pattern, `$1${siteUrl}${mediaUrlPrefix}`);
+}
+
+/**
+ * Build the absolute URL of a post
+ * @param {Object} post - Post object
+ * @param {string} siteUrl - Site URL (no trailing slash)
+ * @param {string|Function} postUrl - Path template ("/blog/:slug", ":hash" works too) or function(post, siteUrl)
+ * @returns {string} - Post URL
+ */
+function buildPostUrl(post, siteUrl, postUrl) {
+  if (typeof postUrl === "function") {
+    return postUrl(post, siteUrl);
+  }
+  const path = postUrl
+    .replace(":slug", encodeURIComponent(post.slug || ""))
+    .replace(":hash", post.hash || "");
+  return `${siteUrl}${path.startsWith("/") ? "" : "/"}${path}`;
+}
+
+/**
+ * Create a feed generator
+ * @param {Object} config - Configuration object
+ * @param {Function} config.getAllPosts - Function to get the published posts (visibility policy applied)
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Feed functions
+ */
+export function createFeedGenerator(config) {
+  const { getAllPosts, debug = false } = config;
+
+  /**
+   * Select, sort (newest first) and normalize the posts of a feed
+   * @param {Object} options - Feed options
+   * @returns {Promise<Array>} - Feed items
+   */
+  async function _getItems(options) {
+    const {
+      limit = 20,
+      filter = null,
+      siteUrl,
+      postUrl = "/:slug",
+      mediaUrlPrefix = "/_repo/medias/",
+      author = null,
+    } = options;
+
+    let posts = await getAllPosts();
+    if (typeof filter === "function") {
+      posts = posts.filter(filter);
+    } else if (filter) {
+      posts = posts.filter((post) => matchesWhere(post, filter));
+    }
+
+    const items = posts.map((post) => {
+      const published = getPostDate(post, PUBLISHED_FIELDS);
+      const image = getPostField(post, "image") || getPostField(post, "cover");
+      const url = buildPostUrl(post, siteUrl, postUrl);
+      return {
+        post,
+        // The post URL, unlike the content hash, stays the same when a post is edited
+        id: url,
+        url,
+        title: post.title || getPostField(post, "title") || post.slug,
+        summary: getPostField(post, "description") || post.firstParagraphText || "",
+        html: absolutizeMediaUrls(post.html, siteUrl, mediaUrlPrefix),
+        published,
+        updated: getPostDate(post, UPDATED_FIELDS) || published,
+        authors: getPostAuthors(post, author),
+        tags: [].concat(getPostField(post, "tags") || []).map(String),
+        image:
+          typeof image === "string" && image.startsWith("/")
+            ? `${siteUrl}${image}`
+            : image || null,
+      };
+    });
+
+    // Newest first, undated posts last
+    items.sort((a, b) => (b.published?.getTime() || 0) - (a.published?.getTime() || 0));
+
+    return limit ? items.slice(0, limit) : items;
+  }
+
+  function _renderRss(items, meta) {
+    const itemsXml = items.map((item) => {
+      const lines = [
+        `<title>${escapeXml(item.title)}</title>`,
+        `<link>${escapeXml(item.url)}</link>`,
+        `<guid isPermaLink="true">${escapeXml(item.id)}</guid>`,
+        item.published && `<pubDate>${item.published.toUTCString()}</pubDate>`,
+        `<description>${escapeXml(item.summary)}</description>`,
+        item.html && `<content:encoded>${cdata(item.html)}</content:encoded>`,
+        ...item.authors.map((author) => `<dc:creator>${escapeXml(author.name)}</dc:creator>`),
+        ...item.tags.map((tag) => `<category>${escapeXml(tag)}</category>`),
+      ];
+      return `<item>\n${lines.filter(Boolean).join("\n")}\n</item>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      "<channel>",
+      `<title>${escapeXml(meta.title)}</title>`,
+      `<link>${escapeXml(meta.siteUrl)}</link>`,
+      `<description>${escapeXml(meta.description)}</description>`,
+      meta.language && `<language>${escapeXml(meta.language)}</language>`,
+      `<lastBuildDate>${meta.updated.toUTCString()}</lastBuildDate>`,
+      meta.feedUrl &&
+        `<atom:link href="${escapeXml(meta.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+      ...itemsXml,
+      "</channel>",
+      "</rss>",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  function _renderAtom(items, meta) {
+    const renderAuthor = (author) =>
+      `<author><name>${escapeXml(author.name)}</name>${
+        author.email ? `<email>${escapeXml(author.email)}</email>` : ""
+      }${author.url ? `<uri>${escapeXml(author.url)}</uri>` : ""}</author>`;
+
+    const entriesXml = items.map((item) => {
+      const lines = [
+        `<title>${escapeXml(item.title)}</title>`,
+        `<id>${escapeXml(item.url)}</id>`,
+        `<link href="${escapeXml(item.url)}"/>`,
+        item.published && `<published>${item.published.toISOString()}</published>`,
+        `<updated>${(item.updated || meta.updated).toISOString()}</updated>`,
+        ...item.authors.map(renderAuthor),
+        item.summary && `<summary>${escapeXml(item.summary)}</summary>`,
+        item.html && `<content type="html">${escapeXml(item.html)}</content>`,
+        ...item.tags.map((tag) => `<category term="${escapeXml(tag)}"/>`),
+      ];
+      return `<entry>\n${lines.filter(Boolean).join("\n")}\n</entry>`;
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<feed xmlns="http://www.w3.org/2005/Atom"${meta.language ? ` xml:lang="${escapeXml(meta.language)}"` : ""}>`,
+      `<title>${escapeXml(meta.title)}</title>`,
+      meta.description && `<subtitle>${escapeXml(meta.description)}</subtitle>`,
+      `<id>${escapeXml(meta.siteUrl)}/</id>`,
+      `<link href="${escapeXml(meta.siteUrl)}/"/>`,
+      meta.feedUrl && `<link rel="self" href="${escapeXml(meta.feedUrl)}"/>`,
+      `<updated>${meta.updated.toISOString()}</updated>`,
+      // Atom requires an author on the feed when entries don't all have one
+      meta.author && renderAuthor(meta.author),
+      ...entriesXml,
+      "</feed>",
+    ]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  function _renderJson(items, meta) {
+    const feed = {
+      version: "https://jsonfeed.org/version/1.1",
+      title: meta.title,
+      home_page_url: meta.siteUrl,
+      feed_url: meta.feedUrl || undefined,
+      description: meta.description || undefined,
+      language: meta.language || undefined,
+      authors: meta.author ? [meta.author] : undefined,
+      items: items.map((item) => ({
+        id: item.id,
+        url: item.url,
+        title: item.title,
+        summary: item.summary || undefined,
+        content_html: item.html || undefined,
+        image: item.image || undefined,
+        date_published: item.published?.toISOString(),
+        date_modified: item.updated?.toISOString(),
+        authors: item.authors.length ? item.authors : undefined,
+        tags: item.tags.length ? item.tags : undefined,
+      })),
+    };
+    return JSON.stringify(feed, null, 2);
+  }
+
+  /**
+   * Generate a feed of the published posts
+   * @param {Object} options - Feed options
+   * @param {string} options.format - "rss" (default), "atom" or "json"
+   * @param {number} options.limit - Max number of posts (default 20, 0 for all)
+   * @param {Function|Object} options.filter - Predicate, or where clause like queryPosts
+   * @param {string} options.siteUrl - Absolute site URL, used for post and media links
+   * @param {string} options.feedUrl - Absolute URL of the feed itself
+   * @param {string|Function} options.postUrl - Post path template ("/blog/:slug") or function(post, siteUrl)
+   * @param {string} options.title - Feed title
+   * @param {string} options.description - Feed description
+   * @param {string} options.language - Feed language (e.g. "en")
+   * @param {Object|string} options.author - Default author ({ name, email, url })
+   * @param {string} options.mediaUrlPrefix - Media path made absolute (default "/_repo/medias/")
+   * @returns {Promise<string>} - Feed document
+   * @throws {Error} - If the format is unknown or siteUrl is missing
+   */
+  async function generateFeed(options = {}) {
+    const { format = "rss" } = options;
+    if (!FEED_FORMATS.includes(format)) {
+      throw new Error(`Unknown feed format "${format}", expected one of: ${FEED_FORMATS.join(", ")}`);
+    }
+    if (!options.siteUrl) {
+      throw new Error("generateFeed requires an absolute siteUrl");
+    }
+
+    const startTime = performance.now();
+    const siteUrl = options.siteUrl.replace(/\/+$/, "");
+    const items = await _getItems({ ...options, siteUrl });
+
+    const author =
+      typeof options.author === "string" ? { name: options.author } : options.author || null;
+    const meta = {
+      siteUrl,
+      feedUrl: options.feedUrl || null,
+      title: options.title || siteUrl.replace(/^https?:\/\//, ""),
+      description: options.description || "",
+      language: options.language || null,
+      author,
+      updated:
+        items.reduce(
+          (latest, item) => (item.updated && (!latest || item.updated > latest) ? item.updated : latest),
+          null
+        ) || new Date(),
+    };
+
+    const renderers = { rss: _renderRss, atom: _renderAtom, json: _renderJson };
+    const feed = renderers[format](items, meta);
+
+    if (debug) {
+      const duration = (performance.now() - startTime).toFixed(2);
+      console.log(`${prefix} 📰 Generated ${format} feed with ${items.length} posts in ${duration}ms`);
+    }
+
+    return feed;
+  }
+
+  return {
+    generateFeed,
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Feed route helpers for RepoMD
+ * Shared by the framework integrations to serve generateFeed() as a route
+ */
+
+import { FEED_CONTENT_TYPES } from "./feed.js";
+
+/**
+ * Render a feed for a request URL
+ * siteUrl defaults to the request origin and feedUrl to the request path on the site, the format can come from ?format=
+ * Feeds linking to the request origin are only cached privately, as the Host header is client-controlled
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - generateFeed options, plus cacheMaxAge (seconds, default 300)
+ * @param {string} requestUrl - Absolute URL of the request
+ * @returns {Promise<{status: number, headers: Object, body: string}>} - Response parts
+ */
+export async function renderFeedRoute(repo, options = {}, requestUrl) {
+  const { cacheMaxAge = 300, ...feedOptions } = options;
+  const url = new URL(requestUrl);
+  const format = feedOptions.format || url.searchParams.get("format") || "rss";
+
+  const siteUrl = feedOptions.siteUrl || url.origin;
+  const cacheScope = feedOptions.siteUrl ? "public" : "private";
+
+  try {
+    const body = await repo.generateFeed({
+      ...feedOptions,
+      format,
+      siteUrl,
+      feedUrl: feedOptions.feedUrl || new URL(`${url.pathname}${url.search}`, siteUrl).href,
+    });
+    return {
+      status: 200,
+      headers: {
+        "Content-Type": FEED_CONTENT_TYPES[format],
+        "Cache-Control": `${cacheScope}, max-age=${cacheMaxAge}`,
+      },
+      body,
+    };
+  } catch (error) {
+    return {
+      status: error.message.startsWith("Unknown feed format") ? 400 : 500,
+      headers: { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store" },
+      body: options.debug ? error.message : "Feed unavailable",
+    };
+  }
+}
+
+/**
+ * Create a fetch-style feed handler ((Request|URL) => Response)
+ * Works as a Next.js route handler, SvelteKit endpoint, Astro API route or Worker
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - Feed route options (see renderFeedRoute)
+ * @returns {Function} - Async handler returning a Response
+ */
+export function createFeedRequestHandler(repo, options = {}) {
+  return async (requestOrContext) => {
+    // Request objects, or framework contexts carrying one ({ request, url })
+    const requestUrl = requestOrContext?.url instanceof URL
+      ? requestOrContext.url.href
+      : requestOrContext?.url || requestOrContext?.request?.url || String(requestOrContext);
+    const { status, headers, body } = await renderFeedRoute(repo, options, requestUrl);
+    return new Response(body, { status, headers });
+  };
+}
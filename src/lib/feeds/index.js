@@ -0,0 +1,20 @@
+/**
+ * Feeds module barrel export for RepoMD
+ */
+
+import {
+  createFeedGenerator,
+  absolutizeMediaUrls,
+  FEED_FORMATS,
+  FEED_CONTENT_TYPES,
+} from './feed.js';
+import { renderFeedRoute, createFeedRequestHandler } from './handler.js';
+
+export {
+  createFeedGenerator,
+  absolutizeMediaUrls,
+  FEED_FORMATS,
+  FEED_CONTENT_TYPES,
+  renderFeedRoute,
+  createFeedRequestHandler,
+};
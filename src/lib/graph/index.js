@@ -0,0 +1,10 @@
+/**
+ * Graph module barrel export for RepoMD
+ */
+
+import { createLinkGraph, POST_LINK_EDGE_TYPE } from './linkGraph.js';
+
+export {
+  createLinkGraph,
+  POST_LINK_EDGE_TYPE,
+};
@@ -0,0 +1,378 @@
+/**
+ * Link Graph module for RepoMD
+ * Backlinks, outgoing links and traversal over graph.json edges and post links
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+// Edge type used for links found in the posts `links` field
+export const POST_LINK_EDGE_TYPE = "POST_LINK";
+
+/**
+ * Normalize a link target for slug lookups ("/notes/About.md#intro" -> "notes/about")
+ * @param {string} target - Raw link target
+ * @returns {string} - Lookup key
+ */
+export function linkKey(target) {
+  return String(target)
+    .trim()
+    .replace(/[#?].*$/, "")
+    .replace(/^\.?\/+/, "")
+    .replace(/\.md$/i, "")
+    .toLowerCase();
+}
+
+/**
+ * Read the target of an entry of a post `links` array
+ * @param {string|Object} link - Link (string or { slug, hash, target, href, path })
+ * @returns {string|null} - Raw target
+ */
+function getLinkTarget(link) {
+  if (!link) return null;
+  if (typeof link === "string") return link;
+  return link.hash || link.slug || link.target || link.href || link.path || null;
+}
+
+/**
+ * Create a link graph service
+ * @param {Object} config - Configuration object
+ * @param {Function} config.getGraph - Function to get graph.json
+ * @param {Function} config.getAllPosts - Function to get all (visible) posts
+ * @param {Function} config.getHiddenPosts - Function to get the posts hidden by the visibility policy (optional), links to them aren't dead
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Link graph functions
+ */
+export function createLinkGraph(config) {
+  const { getGraph, getAllPosts, getHiddenPosts = async () => [], debug = false } = config;
+
+  // Model cache, rebuilt when graph.json or posts.json change
+  let modelCache = null;
+
+  /**
+   * Build adjacency lists from graph.json and the posts links
+   * @returns {Promise<Object>} - Graph model
+   */
+  async function _getModel() {
+    const [graph, posts, hiddenPosts] = await Promise.all([getGraph(), getAllPosts(), getHiddenPosts()]);
+    if (modelCache && modelCache.graph === graph && modelCache.posts === posts) {
+      return modelCache.model;
+    }
+
+    const startTime = performance.now();
+    const nodes = new Map();
+    const postsByHash = new Map();
+    const hashByKey = new Map();
+    const hiddenKeys = new Set();
+    const outgoing = new Map(); // id -> [{ target, type }]
+    const incoming = new Map(); // id -> [{ source, type }]
+    const deadLinks = [];
+
+    const addEdge = (source, target, type) => {
+      if (!outgoing.has(source)) outgoing.set(source, []);
+      if (!incoming.has(target)) incoming.set(target, []);
+      if (outgoing.get(source).some((edge) => edge.target === target && edge.type === type)) {
+        return;
+      }
+      outgoing.get(source).push({ target, type });
+      incoming.get(target).push({ source, type });
+    };
+
+    for (const post of posts) {
+      if (post.hash) postsByHash.set(post.hash, post);
+    }
+
+    // Post nodes come from the posts list, so posts hidden by the visibility policy drop out
+    for (const node of graph?.nodes || []) {
+      if (node.type === "post" && !postsByHash.has(node.id)) continue;
+      nodes.set(node.id, node);
+    }
+
+    for (const post of postsByHash.values()) {
+      if (!nodes.has(post.hash)) {
+        nodes.set(post.hash, { id: post.hash, type: "post", label: post.slug });
+      }
+      for (const key of [post.slug, post.fileName, post.originalFilePath]) {
+        if (key) hashByKey.set(linkKey(key), post.hash);
+      }
+      hashByKey.set(post.hash.toLowerCase(), post.hash);
+    }
+
+    // Hidden posts exist, links to them are dropped rather than reported as dead
+    for (const post of hiddenPosts) {
+      for (const key of [post.slug, post.fileName, post.originalFilePath, post.hash]) {
+        if (key) hiddenKeys.add(linkKey(key));
+      }
+    }
+
+    for (const edge of graph?.edges || []) {
+      if (nodes.has(edge.source) && nodes.has(edge.target)) {
+        addEdge(edge.source, edge.target, edge.type);
+      }
+    }
+
+    for (const post of postsByHash.values()) {
+      for (const link of post.links || []) {
+        const target = getLinkTarget(link);
+        if (!target || /^[a-z][a-z0-9+.-]*:/i.test(target)) continue; // external URLs
+
+        const targetHash = hashByKey.get(linkKey(target));
+        if (targetHash) {
+          if (targetHash !== post.hash) addEdge(post.hash, targetHash, POST_LINK_EDGE_TYPE);
+        } else if (!hiddenKeys.has(linkKey(target))) {
+          deadLinks.push({ source: post, target });
+        }
+      }
+    }
+
+    const model = { nodes, postsByHash, hashByKey, outgoing, incoming, deadLinks };
+    modelCache = { graph, posts, model };
+
+    if (debug) {
+      const duration = (performance.now() - startTime).toFixed(2);
+      console.log(
+        `${prefix} 🕸️ Built link graph (${nodes.size} nodes, ${postsByHash.size} posts) in ${duration}ms`
+      );
+    }
+
+    return model;
+  }
+
+  /**
+   * Resolve a slug or hash to a post hash
+   * @param {Object} model - Graph model
+   * @param {string} slugOrHash - Post slug or hash
+   * @returns {string} - Post hash
+   * @throws {Error} - If the post is unknown
+   */
+  function _resolveHash(model, slugOrHash) {
+    if (!slugOrHash) {
+      throw new Error("A post slug or hash is required");
+    }
+    const hash = model.postsByHash.has(slugOrHash)
+      ? slugOrHash
+      : model.hashByKey.get(linkKey(slugOrHash));
+    if (!hash) {
+      throw new Error(`Post not found in the link graph: ${slugOrHash}`);
+    }
+    return hash;
+  }
+
+  // Whether an edge connects two posts (links, as opposed to media usage)
+  function _isPostEdge(model, source, target) {
+    return model.postsByHash.has(source) && model.postsByHash.has(target);
+  }
+
+  /**
+   * Get the posts linking to a post
+   * @param {string} slugOrHash - Post slug or hash
+   * @returns {Promise<Array>} - Posts
+   */
+  async function getBacklinks(slugOrHash) {
+    const model = await _getModel();
+    const hash = _resolveHash(model, slugOrHash);
+    const sources = (model.incoming.get(hash) || [])
+      .filter(({ source }) => _isPostEdge(model, source, hash))
+      .map(({ source }) => source);
+    return [...new Set(sources)].map((source) => model.postsByHash.get(source));
+  }
+
+  /**
+   * Get the posts a post links to
+   * @param {string} slugOrHash - Post slug or hash
+   * @returns {Promise<Array>} - Posts
+   */
+  async function getOutgoingLinks(slugOrHash) {
+    const model = await _getModel();
+    const hash = _resolveHash(model, slugOrHash);
+    const targets = (model.outgoing.get(hash) || [])
+      .filter(({ target }) => _isPostEdge(model, hash, target))
+      .map(({ target }) => target);
+    return [...new Set(targets)].map((target) => model.postsByHash.get(target));
+  }
+
+  /**
+   * Get the local graph around a post (for graph views)
+   * @param {string} slugOrHash - Post slug or hash
+   * @param {Object} options - Traversal options
+   * @param {number} options.depth - Number of hops (default 1)
+   * @param {Array<string>} options.edgeTypes - Only follow these edge types (default all)
+   * @param {string} options.direction - "both", "outgoing" or "incoming"
+   * @returns {Promise<{nodes: Array, edges: Array}>} - Subgraph, nodes carry their depth
+   */
+  async function getNeighbors(slugOrHash, options = {}) {
+    const { depth = 1, edgeTypes = null, direction = "both" } = options;
+    const model = await _getModel();
+    const start = _resolveHash(model, slugOrHash);
+    const allowed = edgeTypes ? new Set(edgeTypes) : null;
+
+    const depths = new Map([[start, 0]]);
+    const edges = [];
+    const edgeKeys = new Set();
+    let frontier = [start];
+
+    for (let level = 1; level <= depth && frontier.length; level++) {
+      const next = [];
+      for (const id of frontier) {
+        const steps = [];
+        if (direction !== "incoming") {
+          for (const { target, type } of model.outgoing.get(id) || []) {
+            steps.push({ source: id, target, type, other: target });
+          }
+        }
+        if (direction !== "outgoing") {
+          for (const { source, type } of model.incoming.get(id) || []) {
+            steps.push({ source, target: id, type, other: source });
+          }
+        }
+
+        for (const { source, target, type, other } of steps) {
+          if (allowed && !allowed.has(type)) continue;
+
+          const edgeKey = `${source}>${target}>${type}`;
+          if (!edgeKeys.has(edgeKey)) {
+            edgeKeys.add(edgeKey);
+            edges.push({ source, target, type });
+          }
+          if (!depths.has(other)) {
+            depths.set(other, level);
+            next.push(other);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    const nodes = [...depths].map(([id, nodeDepth]) => ({
+      ...(model.nodes.get(id) || { id }),
+      depth: nodeDepth,
+    }));
+
+    return { nodes, edges };
+  }
+
+  /**
+   * Get the shortest chain of links between two posts
+   * @param {string} from - Start post slug or hash
+   * @param {string} to - End post slug or hash
+   * @param {Object} options - { directed: follow link direction only (default false) }
+   * @returns {Promise<Array|null>} - Posts from start to end, or null when not connected
+   */
+  async function getShortestPath(from, to, options = {}) {
+    const { directed = false } = options;
+    const model = await _getModel();
+    const start = _resolveHash(model, from);
+    const end = _resolveHash(model, to);
+
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+
+    while (queue.length) {
+      const id = queue.shift();
+      if (id === end) break;
+
+      const neighbors = (model.outgoing.get(id) || []).map(({ target }) => target);
+      if (!directed) {
+        neighbors.push(...(model.incoming.get(id) || []).map(({ source }) => source));
+      }
+
+      for (const other of neighbors) {
+        if (!model.postsByHash.has(other) || previous.has(other)) continue;
+        previous.set(other, id);
+        queue.push(other);
+      }
+    }
+
+    if (!previous.has(end)) return null;
+
+    const path = [];
+    for (let id = end; id !== null; id = previous.get(id)) {
+      path.unshift(model.postsByHash.get(id));
+    }
+    return path;
+  }
+
+  /**
+   * Get posts without any incoming or outgoing post links
+   * @returns {Promise<Array>} - Posts
+   */
+  async function getOrphanPosts() {
+    const model = await _getModel();
+    return [...model.postsByHash.values()].filter((post) => {
+      const linked = [
+        ...(model.outgoing.get(post.hash) || []).map(({ target }) => target),
+        ...(model.incoming.get(post.hash) || []).map(({ source }) => source),
+      ].some((other) => model.postsByHash.has(other));
+      return !linked;
+    });
+  }
+
+  /**
+   * Get links of posts that don't resolve to any post
+   * @returns {Promise<Array<{source: Object, target: string}>>} - Dead links with their source post
+   */
+  async function getDeadLinks() {
+    const model = await _getModel();
+    return model.deadLinks;
+  }
+
+  /**
+   * Get the whole link graph, without the posts hidden by the visibility policy
+   * Edges include the links of the posts `links` field (POST_LINK)
+   * @returns {Promise<{nodes: Array, edges: Array}>} - Nodes and edges
+   */
+  async function getLinkGraph() {
+    const model = await _getModel();
+    const edges = [];
+    for (const [source, targets] of model.outgoing) {
+      for (const { target, type } of targets) {
+        edges.push({ source, target, type });
+      }
+    }
+    return { nodes: [...model.nodes.values()], edges };
+  }
+
+  /**
+   * Get the media used by a post (graph edges to media nodes, e.g. POST_USE_IMAGE)
+   * @param {string} slugOrHash - Post slug or hash
+   * @returns {Promise<Array<{id: string, label: string, type: string, edgeType: string}>>} - Media nodes
+   */
+  async function getUsedMedia(slugOrHash) {
+    const model = await _getModel();
+    const hash = _resolveHash(model, slugOrHash);
+    return (model.outgoing.get(hash) || [])
+      .filter(({ target }) => model.nodes.get(target)?.type === "media")
+      .map(({ target, type }) => ({ ...model.nodes.get(target), edgeType: type }));
+  }
+
+  /**
+   * Get the posts using a media (graph edges from posts to the media node)
+   * @param {string} mediaHash - Media hash
+   * @returns {Promise<Array>} - Posts, carrying the edge type of their first use
+   */
+  async function getPostsUsingMedia(mediaHash) {
+    const model = await _getModel();
+    if (model.nodes.get(mediaHash)?.type !== "media") return [];
+
+    const users = new Map();
+    for (const { source, type } of model.incoming.get(mediaHash) || []) {
+      if (model.postsByHash.has(source) && !users.has(source)) {
+        users.set(source, { ...model.postsByHash.get(source), edgeType: type });
+      }
+    }
+    return [...users.values()];
+  }
+
+  return {
+    getBacklinks,
+    getOutgoingLinks,
+    getNeighbors,
+    getShortestPath,
+    getOrphanPosts,
+    getDeadLinks,
+    getLinkGraph,
+    getUsedMedia,
+    getPostsUsingMedia,
+  };
+}
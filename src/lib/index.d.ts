@@ -11,6 +11,829 @@ export interface RepoMDOptions {
   strategy?: 'auto' | 'browser' | 'server';
   debug_rev_caching?: boolean;
   revCacheExpirySeconds?: number;
+  /** Base URL of the static storage, e.g. a mirror or staging bucket (default: https://static.repo.md) */
+  staticBaseUrl?: string;
+  /** Base URL of the repo.md API (default: https://api.repo.md/v1) */
+  apiBaseUrl?: string;
+  /** Base URL (http:// or file://) of a built dist folder; reads never touch the CDN or API */
+  localDist?: string | null;
+  /** Storage adapter used for content reads (default: HTTP from staticBaseUrl or localDist) */
+  storage?: StorageAdapter | null;
+  /** URL of the sql.js wasm binary used by sql()/getDatabase() (required in browsers) */
+  sqliteWasmUrl?: string | null;
+  /** Read tags from the content.sqlite tag tables instead of the posts frontmatter (downloads the database) */
+  tagsFromDatabase?: boolean;
+  /** Persistent cache for fetched JSON (IndexedDB, filesystem, KV); revision files never expire */
+  cacheStore?: CacheStore | null;
+  /** Policies by cache namespace: memory (posts, media, similarity...) or persistent (revision, responses) */
+  cachePolicies?: Record<string, CachePolicy> | null;
+  /** Which posts every read returns (private notes, drafts and scheduled posts are hidden by default) */
+  visibility?: VisibilityOptions | null;
+  /** Preview secret; the client starts in preview mode, showing hidden posts */
+  preview?: string | null;
+  /** Post transformers, same as calling use() for each */
+  transformers?: Array<PostTransformer | PostTransformerFunction>;
+  /** Computes the query embeddings of vector search (default: the repo.md API) */
+  embeddingProvider?: EmbeddingProvider | null;
+  /** Vector search index: quantization and exact or approximate (IVF) scans */
+  vectorIndex?: VectorIndexOptions | null;
+}
+
+export interface VectorIndexOptions {
+  /** 'float16' (default, half the memory of float32) or 'int8' (a quarter) */
+  quantization?: 'float32' | 'float16' | 'int8';
+  /** 'auto' (default) scans every vector below exactThreshold, and uses IVF above */
+  algorithm?: 'auto' | 'flat' | 'ivf';
+  /** Vector count from which 'auto' builds an IVF index (default 10000) */
+  exactThreshold?: number;
+  /** IVF lists (default: square root of the vector count) */
+  lists?: number | null;
+  /** IVF lists scanned per query (default: square root of the list count) */
+  probes?: number | null;
+  /** k-means iterations (default 5) */
+  iterations?: number;
+  /** k-means training vectors per list (default 24) */
+  trainingSize?: number;
+  /** Read the _vectra indexes of the build when they hold vectors (default true) */
+  useVectra?: boolean;
+}
+
+/** Options of the vector search methods (findPostsByText, findImagesByText...) */
+export interface VectorQueryOptions {
+  limit?: number;
+  threshold?: number;
+  /** Where clause on post fields (folder and year included) or media fields ('metadata.width') */
+  filters?: Record<string, unknown> | null;
+  /** IVF lists scanned for this query */
+  probes?: number | null;
+  /** Compare every embedding instead of using the IVF index */
+  exact?: boolean;
+}
+
+export interface VectorIndexStats {
+  /** 'vectra' (_vectra folder of the build) or 'embeddings' (embeddings hash map) */
+  source: 'vectra' | 'embeddings';
+  algorithm: 'flat' | 'ivf';
+  quantization: 'float32' | 'float16' | 'int8';
+  count: number;
+  dimension: number;
+  lists: number;
+  probes: number;
+  /** Memory used by the vectors and the IVF lists */
+  bytes: number;
+  /** Memory the same vectors would use as float32 */
+  float32Bytes: number;
+  buildMs: number;
+}
+
+export type SearchMode = 'memory' | 'vector' | 'vector-text' | 'vector-clip-text' | 'vector-clip-image' | 'hybrid';
+
+export interface HybridSearchOptions {
+  limit?: number;
+  /** 'rrf' (reciprocal rank fusion, default) or 'weighted' (normalized keyword score + similarity) */
+  fusion?: 'rrf' | 'weighted';
+  /** Weight of each side, 0 disables it (default 1 each) */
+  weights?: { keyword?: number; vector?: number };
+  /** Rank constant of reciprocal rank fusion (default 60) */
+  rrfK?: number;
+  /** Minimum embedding similarity (default 0.1) */
+  threshold?: number;
+  /** Results taken from each side before fusion (default max(limit * 3, 50)) */
+  candidates?: number;
+  /** Per-field boosts of the keyword side (title, excerpt, content, tags, plain) */
+  boost?: Record<string, number>;
+  fuzzy?: number;
+  prefix?: boolean;
+  fields?: string[];
+}
+
+export interface HybridSearchResult {
+  id: string;
+  hash?: string;
+  slug?: string;
+  title?: string;
+  /** Sum of the component contributions */
+  score: number;
+  terms: string[];
+  match: Record<string, string[]>;
+  searchMode: 'hybrid';
+  fusion: 'rrf' | 'weighted';
+  components: {
+    keyword: {
+      rank: number;
+      score: number;
+      /** Score divided by the best keyword score */
+      normalizedScore: number;
+      contribution: number;
+      terms: string[];
+      match: Record<string, string[]>;
+    } | null;
+    vector: { rank: number; similarity: number; contribution: number } | null;
+  };
+  type: 'post';
+  post: Record<string, unknown>;
+}
+
+export interface EmbeddingResult {
+  status: string;
+  embedding: number[];
+  metadata: {
+    model: string;
+    dimension: number;
+    duration: number;
+  };
+}
+
+/** Methods a provider doesn't implement reject when called */
+export interface EmbeddingProvider {
+  name?: string;
+  /** Same model as posts-embedding-hash-map.json (all-MiniLM-L6-v2) */
+  computeTextEmbedding?(text: string, instruction?: string | null): Promise<EmbeddingResult>;
+  /** Same model as media-embedding-hash-map.json (CLIP) */
+  computeClipTextEmbedding?(text: string): Promise<EmbeddingResult>;
+  computeClipImageEmbedding?(image: string): Promise<EmbeddingResult>;
+}
+
+export interface TransformersEmbeddingProviderOptions {
+  /** The @huggingface/transformers module */
+  transformers: unknown;
+  textModel?: string;
+  clipModel?: string;
+  /** Model loading options (dtype, cache_dir...); device defaults to 'cpu' */
+  modelOptions?: Record<string, unknown>;
+  /** Folder of the downloaded models (air-gapped deployments) */
+  localModelPath?: string | null;
+  allowRemoteModels?: boolean;
+  debug?: boolean;
+}
+
+export interface OpenAiEmbeddingProviderOptions {
+  /** Base URL of the OpenAI-compatible API, e.g. http://localhost:7997/v1 */
+  baseUrl: string;
+  apiKey?: string | null;
+  textModel?: string;
+  /** Enables the CLIP embeddings */
+  clipModel?: string | null;
+  headers?: Record<string, string>;
+  fetch?: typeof fetch;
+  debug?: boolean;
+}
+
+export interface TransformerContext {
+  /** Visible posts before transformation */
+  getAllPosts(): Promise<Array<Record<string, unknown>>>;
+  getAllMedia(): Promise<unknown>;
+  debug: boolean;
+}
+
+export type PostTransformerFunction = (
+  post: Record<string, unknown>,
+  context: TransformerContext
+) => Record<string, unknown> | void | Promise<Record<string, unknown> | void>;
+
+export interface PostTransformer {
+  name?: string;
+  transform: PostTransformerFunction;
+}
+
+export interface TransformerPipeline {
+  use(transformer: PostTransformer | PostTransformerFunction): PostTransformer;
+  remove(transformer: string | PostTransformer | PostTransformerFunction): boolean;
+  list(): string[];
+  /** Drop transformed posts (done on new revisions) */
+  reset(): void;
+  transformPost<T extends Record<string, unknown> | null>(post: T): Promise<T>;
+  transformPosts<T extends Record<string, unknown>>(posts: T[]): Promise<T[]>;
+}
+
+export interface VisibilityRules {
+  /** Field hiding a post when false (default "public") */
+  visibilityField?: string;
+  /** Field hiding a post when true (default "draft") */
+  draftField?: string;
+  /** Field holding the publish date; posts stay hidden until then (default "publishAt") */
+  publishAtField?: string;
+  /** Visibility of posts without the visibility field (default true) */
+  defaultPublic?: boolean;
+  includePrivate?: boolean;
+  includeDrafts?: boolean;
+  includeScheduled?: boolean;
+}
+
+export interface VisibilityOptions extends VisibilityRules {
+  /** Secret accepted by enablePreview() */
+  previewSecret?: string | null;
+}
+
+export interface VisibilityPolicy extends Required<VisibilityRules> {
+  preview: boolean;
+}
+
+export interface VisibilityService {
+  getHiddenReason(post: Record<string, unknown>): 'private' | 'draft' | 'scheduled' | null;
+  isVisible(post: Record<string, unknown>, options?: { ignorePreview?: boolean }): boolean;
+  /** Whether reads are filtered (rules apply and the preview mode is off) */
+  isRestricted(): boolean;
+  filterPosts<T>(posts: T[], options?: { ignorePreview?: boolean }): T[];
+  checkPreviewSecret(secret: string): boolean;
+  enablePreview(secret: string): void;
+  disablePreview(): void;
+  isPreview(): boolean;
+  getPolicy(): VisibilityPolicy;
+}
+
+export interface CacheEntry {
+  value: unknown;
+  /** JSON length of the value, counted against maxBytes */
+  bytes?: number;
+  /** Expiry timestamp in ms, null for entries that never expire */
+  expiresAt: number | null;
+  storedAt: number;
+}
+
+export interface CacheStore {
+  type?: string;
+  get(key: string): Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+  /** Needed to purge the entries of an old revision */
+  keys?(): Promise<string[]>;
+  /** Sizes of the entries written by earlier processes, counted against maxEntries and maxBytes */
+  entries?(): Promise<Array<{ key: string; bytes?: number; storedAt?: number }>>;
+}
+
+export interface CachePolicy {
+  /** Time to live in ms (null: never expires, 0: don't persist the namespace) */
+  ttl?: number | null;
+  /** Max number of entries (memory namespaces) */
+  maxSize?: number;
+  /** Larger values are not persisted */
+  maxEntryBytes?: number | null;
+  /** Max number of persisted entries, least recently used are evicted first */
+  maxEntries?: number | null;
+  /** Max total JSON length of the persisted entries */
+  maxBytes?: number | null;
+}
+
+/** Subset of a Cloudflare Workers KV namespace used by createKvCacheStore */
+export interface KvNamespaceLike {
+  get(key: string, type?: 'text' | 'json'): Promise<unknown>;
+  put(key: string, value: string, options?: { expirationTtl?: number; metadata?: unknown }): Promise<void>;
+  delete(key: string): Promise<void>;
+  list?(options?: { prefix?: string; cursor?: string }): Promise<{
+    keys: Array<{ name: string; metadata?: unknown }>;
+    list_complete: boolean;
+    cursor?: string;
+  }>;
+}
+
+export interface CacheCounters {
+  hits: number;
+  misses: number;
+}
+
+export interface PersistentCacheStats extends CacheCounters {
+  type: string;
+  writes: number;
+  skipped: number;
+  evicted: number;
+  errors: number;
+  hitRate: number;
+  byNamespace: Record<string, CacheCounters & { writes: number; entries?: number; bytes?: number }>;
+}
+
+export interface ClientCacheStats {
+  /** Namespaced memory caches (posts, media, similarity...) */
+  memory: Record<string, CacheCounters & { size: number; maxSize: number; ttl: number }>;
+  /** In-memory cache of fetched JSON responses */
+  responses: CacheCounters & { size: number; maxSize: number; inFlight: number };
+  persistent: PersistentCacheStats | null;
+}
+
+export interface StorageReadOptions {
+  defaultValue?: unknown;
+  useCache?: boolean;
+  [key: string]: unknown;
+}
+
+export interface StorageAdapter {
+  type: string;
+  /** Read a JSON file of the active revision (e.g. "/posts.json") */
+  readJson(path: string, opts?: StorageReadOptions): Promise<unknown>;
+  /** Read a JSON file of the shared folder (e.g. "/posts/{hash}.json") */
+  readSharedJson(path: string, opts?: StorageReadOptions): Promise<unknown>;
+  /** Read a JSON file of a given revision (used by diffRevisions) */
+  readRevisionJson?(rev: string, path: string, opts?: StorageReadOptions): Promise<unknown>;
+  /** Read a binary file of the active revision (e.g. "/content.sqlite") */
+  readBinary?(path: string): Promise<ArrayBuffer | Uint8Array>;
+  /** Resolve the revision offline, without the repo.md API */
+  getRevision?(): Promise<string>;
+}
+
+export interface FsStorageOptions {
+  /** Path or file:// URL of the built dist folder */
+  root: string;
+  useCache?: boolean;
+  debug?: boolean;
+}
+
+export interface FsStorageAdapter extends StorageAdapter {
+  type: 'fs';
+  root: string;
+  getRevision(): Promise<string>;
+  clearCache(): void;
+}
+
+export interface HttpStorageOptions {
+  getRevisionUrl(path: string): Promise<string>;
+  getSharedFolderUrl(path: string): string;
+  getRevisionUrlFor?(revision: string, path: string): string;
+  fetchJson?(url: string, opts?: StorageReadOptions): Promise<unknown>;
+  debug?: boolean;
+}
+
+export type SqlParams = unknown[] | Record<string, unknown>;
+
+export type SqlRow = Record<string, string | number | Uint8Array | null>;
+
+/** Row of the content.sqlite posts table (content excluded) */
+export interface SqlPostRow {
+  id: string | null;
+  slug: string;
+  title: string | null;
+  wordCount: number | null;
+  created: string | null;
+  modified: string | null;
+  path: string | null;
+  type: string | null;
+}
+
+/** Row of the content.sqlite medias table (embedding excluded) */
+export interface SqlMediaRow {
+  id: string | null;
+  hash: string | null;
+  filename: string | null;
+  path: string | null;
+  url: string | null;
+  width: number | null;
+  height: number | null;
+  filesize: number | null;
+  mime_type: string | null;
+  created: string | null;
+  modified: string | null;
+}
+
+/** Minimal shape of a sql.js Database */
+export interface SqlDatabase {
+  exec(sql: string, params?: SqlParams): Array<{ columns: string[]; values: unknown[][] }>;
+  prepare(sql: string): unknown;
+  close(): void;
+}
+
+/** Queries throw while the visibility policy hides posts, unless the preview mode is on */
+export interface SqliteDatabaseService {
+  getDatabase(): Promise<SqlDatabase>;
+  sql<T = SqlRow>(query: string, params?: SqlParams): Promise<T[]>;
+  /** Posts with a tag, from the tags/post_tags tables */
+  getPostsByTag(tag: string): Promise<SqlPostRow[]>;
+  /** Posts linking to a post (ID or slug), from the links table */
+  getBacklinks(postRef: string): Promise<SqlPostRow[]>;
+  /** Media used by a post (ID or slug), from the post_media table */
+  getMediaForPost(postRef: string): Promise<SqlMediaRow[]>;
+  closeDatabase(): Promise<void>;
+}
+
+export interface PostListOptions {
+  /** Sort by date (default, newest first) or title (A-Z) */
+  sort?: 'date' | 'title';
+  order?: 'asc' | 'desc';
+  limit?: number;
+  offset?: number;
+}
+
+export type PostWhereCondition =
+  | string
+  | number
+  | boolean
+  | null
+  | Array<string | number>
+  | {
+      eq?: unknown;
+      ne?: unknown;
+      in?: unknown[];
+      nin?: unknown[];
+      gt?: string | number;
+      gte?: string | number;
+      lt?: string | number;
+      lte?: string | number;
+      exists?: boolean;
+      contains?: string;
+    };
+
+export interface PostQuery {
+  /** Field predicates; fields are read on the post, then its frontmatter (dot paths allowed) */
+  where?: Record<string, PostWhereCondition>;
+  /** Sort keys, "-field" for descending, e.g. ['-date', 'title'] */
+  sort?: string | string[] | Array<{ field: string; order?: 'asc' | 'desc' }>;
+  /** Page size (0 for all) */
+  limit?: number;
+  offset?: number;
+  /** nextCursor of a previous page */
+  cursor?: string | null;
+  /** Fields kept on each post, e.g. ['slug', 'title', 'hash'] to drop html/plain */
+  fields?: string[];
+  /** Query full posts (posts.json, default) or the slim posts index */
+  source?: 'posts' | 'index';
+  /** With the index source, load the full posts of the page */
+  hydrate?: boolean;
+}
+
+/** Entry of the slim posts index (no html/plain/toc/links) */
+export interface PostIndexEntry {
+  slug: string;
+  title: string;
+  date: string | null;
+  excerpt: string;
+  tags: string[] | string;
+  hash: string;
+  frontmatter: Record<string, unknown>;
+}
+
+export interface PostQueryResult {
+  posts: Array<Record<string, unknown>>;
+  total: number;
+  limit: number;
+  offset: number;
+  page: number;
+  pages: number;
+  hasMore: boolean;
+  nextCursor: string | null;
+}
+
+export interface FacetedSearchOptions {
+  /** Where clause like queryPosts; "folder" ("/projects") and "year" ("2024") filter on the computed facets */
+  filters?: Record<string, PostWhereCondition>;
+  /** Facets to count: "tags", "folder", "year", or post/frontmatter fields */
+  facets?: string[];
+  /** Max values per facet (default 20, 0 for all) */
+  facetLimit?: number;
+  /** 'relevance' (default with text) or sort keys (default '-date' without text) */
+  sort?: 'relevance' | string | string[];
+  limit?: number;
+  offset?: number;
+  /** Page number, starting at 1 (takes precedence over offset) */
+  page?: number;
+  fields?: string[];
+  /** Max snippet length (default 200, 0 for no snippets) */
+  snippetLength?: number;
+  /** Tag wrapping the matches of snippet.html (default 'mark') */
+  highlightTag?: string;
+  boost?: Record<string, number>;
+  fuzzy?: number;
+  prefix?: boolean;
+}
+
+export interface SearchSnippet {
+  text: string;
+  /** Escaped text with highlighted matches and ellipses */
+  html: string;
+  /** Position of the snippet in the post plain text */
+  offset: number;
+  /** Match offsets, relative to the snippet text */
+  matches: Array<{ term: string; start: number; end: number }>;
+  truncatedStart: boolean;
+  truncatedEnd: boolean;
+}
+
+export interface FacetedSearchResult {
+  results: Array<{
+    id: string;
+    hash?: string;
+    slug?: string;
+    title?: string;
+    /** Keyword score, null when browsing without text */
+    score: number | null;
+    terms: string[];
+    match: Record<string, string[]>;
+    snippet: SearchSnippet | null;
+    post: Record<string, unknown>;
+  }>;
+  total: number;
+  limit: number;
+  offset: number;
+  page: number;
+  pages: number;
+  hasMore: boolean;
+  /** Values of each requested facet, most frequent first; counts ignore the facet's own filter */
+  facets: Record<string, Array<{ value: string | number | boolean; count: number }>>;
+  query: string;
+  sort: string | string[];
+}
+
+/** Serialized keyword search index (output of exportSearchIndex, content of search-index.json) */
+export interface SearchIndexExport {
+  version: number;
+  /** Revision the index was built from */
+  rev: string | null;
+  createdAt: string;
+  documentCount: number;
+  fields: string[];
+  storeFields: string[];
+  /** MiniSearch serialization (toJSON) */
+  index: Record<string, unknown>;
+}
+
+export interface TagCount {
+  tag: string;
+  count: number;
+}
+
+export interface TaxonomyTermCount {
+  term: string;
+  count: number;
+}
+
+export interface RevisionChangeEvent {
+  rev: string;
+  previousRev: string;
+  /** ISO timestamp */
+  changedAt: string;
+  /** Caches purged for the previous revision */
+  purged: {
+    urls: number;
+    postsCache: boolean;
+  };
+  /** Diff of the previous and new revisions, fetched on first call */
+  changes(): Promise<RevisionDiff>;
+}
+
+export interface WatchRevisionsOptions {
+  /** Polling interval in milliseconds (default 60000) */
+  interval?: number;
+}
+
+export interface GraphNode {
+  id: string;
+  type: string;
+  label?: string;
+}
+
+export interface GraphEdge {
+  source: string;
+  target: string;
+  /** e.g. POST_USE_IMAGE, or POST_LINK for links of the posts `links` field */
+  type: string;
+}
+
+export interface NeighborsOptions {
+  /** Number of hops (default 1) */
+  depth?: number;
+  /** Only follow these edge types (default all) */
+  edgeTypes?: string[];
+  direction?: 'both' | 'outgoing' | 'incoming';
+}
+
+export interface LocalGraph {
+  nodes: Array<GraphNode & { depth: number }>;
+  edges: GraphEdge[];
+}
+
+export interface DeadLink {
+  source: Record<string, unknown>;
+  target: string;
+}
+
+export interface UsedMediaNode extends GraphNode {
+  edgeType: string;
+}
+
+export interface LinkGraphService {
+  getBacklinks(slugOrHash: string): Promise<Array<Record<string, unknown>>>;
+  getOutgoingLinks(slugOrHash: string): Promise<Array<Record<string, unknown>>>;
+  getNeighbors(slugOrHash: string, options?: NeighborsOptions): Promise<LocalGraph>;
+  getShortestPath(from: string, to: string, options?: { directed?: boolean }): Promise<Array<Record<string, unknown>> | null>;
+  getOrphanPosts(): Promise<Array<Record<string, unknown>>>;
+  getDeadLinks(): Promise<DeadLink[]>;
+  getLinkGraph(): Promise<{ nodes: GraphNode[]; edges: GraphEdge[] }>;
+  getUsedMedia(slugOrHash: string): Promise<UsedMediaNode[]>;
+  getPostsUsingMedia(mediaHash: string): Promise<Array<Record<string, unknown>>>;
+}
+
+export interface MediaRendition {
+  width: number;
+  height: number;
+  format: string;
+  publicPath: string;
+  size?: number;
+}
+
+export interface MediaEntry {
+  hash: string;
+  url: string | null;
+  originalPath?: string;
+  fileName?: string;
+  fileExt?: string;
+  mimeType?: string;
+  effectivePath?: string;
+  hashPath?: string;
+  sizes?: Record<string, MediaRendition[]>;
+  metadata?: Record<string, unknown>;
+}
+
+export interface PostMediaEntry extends MediaEntry {
+  edgeType: string;
+}
+
+export interface ImageOptions {
+  width?: number;
+  density?: number;
+  sizes?: string;
+  formats?: string[];
+  baseUrl?: string;
+}
+
+export interface ImageVariant {
+  size: string;
+  format: string;
+  type: string;
+  width: number;
+  height: number;
+  url: string;
+  bytes: number | null;
+}
+
+export interface ImageSource {
+  type: string;
+  srcset: string;
+  sizes: string;
+}
+
+export interface ImagePlaceholder {
+  dominantColor: string | null;
+  blurhash: string | null;
+}
+
+export interface ResponsiveImage {
+  hash: string;
+  originalPath: string | null;
+  fileName: string | null;
+  mimeType: string | null;
+  width: number | null;
+  height: number | null;
+  aspectRatio: number | null;
+  src: string | null;
+  srcset: string;
+  sizes: string;
+  type: string | null;
+  sources: ImageSource[];
+  variants: ImageVariant[];
+  best: ImageVariant | null;
+  placeholder: ImagePlaceholder | null;
+}
+
+export interface ImageService {
+  getImage(hashOrPath: string, options?: ImageOptions): Promise<ResponsiveImage | null>;
+  resolveMediaHash(hashOrPath: string): Promise<string | null>;
+}
+
+export interface PostChangeSummary {
+  hash: string;
+  slug: string;
+  title?: string;
+  originalFilePath?: string;
+}
+
+export interface ModifiedPost extends PostChangeSummary {
+  previousHash: string;
+  previousSlug: string;
+  changedFields: string[];
+}
+
+export interface RenamedPost extends PostChangeSummary {
+  previousSlug: string;
+}
+
+export interface EntryChanges<T> {
+  added: T[];
+  removed: T[];
+  modified: Array<T & { previous: T; changedFields: string[] }>;
+}
+
+export interface MediaChangeSummary {
+  originalPath: string;
+  fileName?: string;
+  hashPath?: string;
+  mimeType?: string;
+}
+
+export interface SourceFileChangeSummary {
+  path: string;
+  size?: number;
+  hash?: string;
+}
+
+export interface RevisionDiff {
+  from: string;
+  to: string;
+  posts: {
+    added: PostChangeSummary[];
+    removed: PostChangeSummary[];
+    modified: ModifiedPost[];
+    renamed: RenamedPost[];
+  };
+  media: EntryChanges<MediaChangeSummary>;
+  files: EntryChanges<SourceFileChangeSummary>;
+  summary: {
+    posts: number;
+    media: number;
+    files: number;
+    hasChanges: boolean;
+  };
+}
+
+export type FeedFormat = 'rss' | 'atom' | 'json';
+
+export interface FeedAuthor {
+  name: string;
+  email?: string;
+  url?: string;
+}
+
+export interface FeedOptions {
+  format?: FeedFormat;
+  /** Absolute site URL, used for post links and to make /_repo/medias/ URLs absolute */
+  siteUrl: string;
+  /** Max number of posts (default 20, 0 for all) */
+  limit?: number;
+  /** Predicate, or a where clause like queryPosts */
+  filter?: ((post: Record<string, unknown>) => boolean) | Record<string, unknown>;
+  feedUrl?: string;
+  /** Post path template ("/blog/:slug", ":hash") or function building the post URL */
+  postUrl?: string | ((post: Record<string, unknown>, siteUrl: string) => string);
+  title?: string;
+  description?: string;
+  language?: string;
+  author?: string | FeedAuthor;
+  mediaUrlPrefix?: string;
+}
+
+export interface FeedRouteOptions extends Partial<FeedOptions> {
+  /** Cache-Control max-age of the feed response in seconds (default 300), private when siteUrl comes from the request */
+  cacheMaxAge?: number;
+  debug?: boolean;
+}
+
+export interface SitemapUrl {
+  loc: string;
+  lastmod?: string;
+}
+
+export interface SitemapOptions {
+  /** Absolute site URL */
+  baseUrl: string;
+  /** Post path template ("/blog/:slug", ":hash") or function returning a path or URL */
+  routeForPost?: string | ((post: Record<string, unknown>) => string);
+  /** Add image entries from graph.json POST_USE_IMAGE edges (default true) */
+  includeMedia?: boolean;
+  extraUrls?: Array<string | SitemapUrl>;
+  sitemapPath?: string;
+  maxUrlsPerSitemap?: number;
+  mediaUrlPrefix?: string;
+}
+
+export interface SitemapResult {
+  /** XML documents by path; the main sitemap is a sitemap index when split */
+  files: Record<string, string>;
+  urlCount: number;
+}
+
+export interface RobotsTxtOptions {
+  baseUrl?: string;
+  sitemapPath?: string;
+  disallow?: string[];
+  allow?: string[];
+  userAgent?: string;
+}
+
+export interface SitemapRouteOptions extends Partial<SitemapOptions> {
+  /** robots.txt options, or false to leave /robots.txt alone */
+  robots?: RobotsTxtOptions | boolean;
+  /** Cache-Control max-age in seconds (default 3600), private when baseUrl comes from the request */
+  cacheMaxAge?: number;
+  debug?: boolean;
+}
+
+export interface RevisionDiffService {
+  diffRevisions(revA: string, revB?: string): Promise<RevisionDiff>;
+}
+
+export interface PostTaxonomyService {
+  getAllTags(sort?: 'count' | 'name'): Promise<TagCount[]>;
+  getPostsByTag(tag: string, options?: PostListOptions): Promise<Array<Record<string, unknown>>>;
+  getRelatedTags(tag: string, limit?: number): Promise<TagCount[]>;
+  getTaxonomyTerms(taxonomy?: string, sort?: 'count' | 'name'): Promise<TaxonomyTermCount[]>;
+  getPostsByTaxonomy(taxonomy: string, term: string, options?: PostListOptions): Promise<Array<Record<string, unknown>>>;
 }
 
 export type AliasesDefinition = Record<string, string>;
@@ -25,16 +848,37 @@ export class RepoMD {
   secret: string | null;
   activeRev: string | null;
   strategy: string;
+  staticBaseUrl: string;
+  apiBaseUrl: string;
+  localDist: string | null;
+  storage: StorageAdapter;
+  sqliteWasmUrl: string | null;
+  tagsFromDatabase: boolean;
+  embeddingProvider: EmbeddingProvider;
   
   // Internal properties for services
+  /** Memory caches of this client (posts, media, similarity, transformers...) */
+  cache: any;
   urls: any;
   api: any;
   posts: any;
   similarity: any;
   search: any;
   media: any;
+  images: ImageService;
   project: any;
   files: any;
+  database: SqliteDatabaseService;
+  taxonomy: PostTaxonomyService;
+  linkGraph: LinkGraphService;
+  revisions: RevisionDiffService;
+  visibility: VisibilityService;
+  transformers: TransformerPipeline;
+  feeds: { generateFeed(options: FeedOptions): Promise<string> };
+  sitemap: {
+    generateSitemap(options: SitemapOptions): Promise<SitemapResult>;
+    generateRobotsTxt(options?: RobotsTxtOptions): string;
+  };
 
   // URL methods
   getR2Url(path?: string): string;
@@ -50,13 +894,29 @@ export class RepoMD {
   ensureLatestRev(): Promise<void>;
   fetchJson(url: string, opts?: any): Promise<any>;
   fetchR2Json(path: string, opts?: any): Promise<any>;
+  fetchSharedJson(path: string, opts?: StorageReadOptions): Promise<unknown>;
   _fetchMapData(mapPath: string, defaultValue?: any): Promise<any>;
 
+  // Revision events
+  on(event: 'revision', handler: (event: RevisionChangeEvent) => void): () => void;
+  off(event: 'revision', handler: (event: RevisionChangeEvent) => void): void;
+  checkForNewRevision(): Promise<RevisionChangeEvent | null>;
+  watchRevisions(options?: WatchRevisionsOptions): () => void;
+  stopWatchingRevisions(): void;
+
   // SQLite methods
   getSqliteUrl(): Promise<string>;
+  getDatabase(): Promise<SqlDatabase>;
+  sql<T = SqlRow>(query: string, params?: SqlParams): Promise<T[]>;
+  /** Post rows of a tag, from the tags/post_tags tables (database.getPostsByTag) */
+  sqlPostsByTag(tag: string): Promise<SqlPostRow[]>;
+  /** Post rows linking to a post (ID or slug), from the links table (database.getBacklinks) */
+  sqlBacklinks(postRef: string): Promise<SqlPostRow[]>;
+  /** Media rows used by a post (ID or slug), from the post_media table (database.getMediaForPost) */
+  sqlMediaForPost(postRef: string): Promise<SqlMediaRow[]>;
 
   // Client stats
-  getClientStats(): any;
+  getClientStats(): Record<string, unknown> & { cache: ClientCacheStats };
 
   // Shared folder URL
   getR2SharedFolderUrl(path?: string): string;
@@ -66,6 +926,11 @@ export class RepoMD {
   getAllMedias(useCache?: boolean): Promise<any>;
   getAllMedia(useCache?: boolean): Promise<any>;
   getMediaItems(useCache?: boolean): Promise<any>;
+  getMediaByHash(hash: string): Promise<MediaEntry | null>;
+  getMediaByPath(path: string): Promise<MediaEntry | null>;
+  getMediaForPost(slugOrHash: string): Promise<PostMediaEntry[]>;
+  getPostsUsingMedia(hashOrPath: string): Promise<Array<Record<string, unknown>>>;
+  getImage(hashOrPath: string, options?: ImageOptions): Promise<ResponsiveImage | null>;
   handleCloudflareRequest(request: Request): Promise<Response | null>;
 
   // Media similarity methods
@@ -113,6 +978,17 @@ export class RepoMD {
   _augmentPostsByProperty(keys: string[], property: string, options?: any): Promise<any[]>;
   sortPostsByDate(posts: any[]): any[];
   getRecentPosts(count?: number): Promise<any[]>;
+  queryPosts(query?: PostQuery): Promise<PostQueryResult>;
+  getPostsIndex(useCache?: boolean, forceRefresh?: boolean): Promise<PostIndexEntry[]>;
+  hydratePost(entry: PostIndexEntry | { hash?: string; slug?: string } | string): Promise<Record<string, unknown> | null>;
+  hydratePosts(entries: Array<PostIndexEntry | { hash?: string; slug?: string } | string>): Promise<Array<Record<string, unknown>>>;
+
+  // Taxonomy methods
+  getAllTags(sort?: 'count' | 'name'): Promise<TagCount[]>;
+  getPostsByTag(tag: string, options?: PostListOptions): Promise<Array<Record<string, unknown>>>;
+  getRelatedTags(tag: string, limit?: number): Promise<TagCount[]>;
+  getTaxonomyTerms(taxonomy?: string, sort?: 'count' | 'name'): Promise<TaxonomyTermCount[]>;
+  getPostsByTaxonomy(taxonomy: string, term: string, options?: PostListOptions): Promise<Array<Record<string, unknown>>>;
   _findPostByProperty(posts: any[], property: string, value: any): any | null;
 
   // Post similarity methods
@@ -126,9 +1002,18 @@ export class RepoMD {
   getSimilarPostsBySlug(slug: string, count?: number, options?: any): Promise<any[]>;
 
   // Post search methods
-  searchPosts(text: string, props?: any, mode?: 'memory'): Promise<any[]>;
+  searchPosts(text: string, props: HybridSearchOptions, mode: 'hybrid'): Promise<HybridSearchResult[]>;
+  searchPosts(text: string, props?: any, mode?: SearchMode): Promise<any[]>;
+  facetedSearch(text?: string, options?: FacetedSearchOptions): Promise<FacetedSearchResult>;
   searchAutocomplete(term: string, limit?: number): Promise<string[]>;
   refreshSearchIndex(): Promise<any>;
+  findPostsByText(text: string, options?: VectorQueryOptions & { useClip?: boolean }): Promise<Array<Record<string, unknown>>>;
+  findImagesByText(text: string, options?: VectorQueryOptions): Promise<Array<Record<string, unknown>>>;
+  findImagesByImage(image: string, options?: VectorQueryOptions): Promise<Array<Record<string, unknown>>>;
+  findSimilarContent(query: string, options?: VectorQueryOptions & { type?: 'auto' | 'clip' }): Promise<Array<Record<string, unknown>>>;
+  getVectorIndexStats(): { posts: VectorIndexStats | null; media: VectorIndexStats | null };
+  exportSearchIndex(): Promise<SearchIndexExport>;
+  loadSearchIndex(data: SearchIndexExport | string): Promise<{ rev: string | null; documentCount: number }>;
 
   // Project configuration methods
   getReleaseInfo(): Promise<any>;
@@ -140,6 +1025,38 @@ export class RepoMD {
   getGraph(useCache?: boolean): Promise<any>;
   getFileContent(path: string, useCache?: boolean): Promise<any>;
 
+  // Link graph methods
+  getBacklinks(slugOrHash: string): Promise<Array<Record<string, unknown>>>;
+  getOutgoingLinks(slugOrHash: string): Promise<Array<Record<string, unknown>>>;
+  getNeighbors(slugOrHash: string, options?: NeighborsOptions): Promise<LocalGraph>;
+  getShortestPath(from: string, to: string, options?: { directed?: boolean }): Promise<Array<Record<string, unknown>> | null>;
+  getOrphanPosts(): Promise<Array<Record<string, unknown>>>;
+  getDeadLinks(): Promise<DeadLink[]>;
+  getLinkGraph(): Promise<{ nodes: GraphNode[]; edges: GraphEdge[] }>;
+  getUsedMedia(slugOrHash: string): Promise<UsedMediaNode[]>;
+
+  // Feeds
+  generateFeed(options: FeedOptions): Promise<string>;
+
+  // Sitemap
+  generateSitemap(options: SitemapOptions): Promise<SitemapResult>;
+  generateRobotsTxt(options?: RobotsTxtOptions): string;
+
+  // Revision diff
+  diffRevisions(revA: string, revB?: string): Promise<RevisionDiff>;
+
+  // Post transformers
+  use(transformer: PostTransformer | PostTransformerFunction): this;
+  removeTransformer(transformer: string | PostTransformer | PostTransformerFunction): boolean;
+  getTransformers(): string[];
+
+  // Visibility
+  enablePreview(secret: string): void;
+  disablePreview(): void;
+  isPreview(): boolean;
+  getVisibilityPolicy(): VisibilityPolicy;
+  hasHiddenPosts(): Promise<boolean>;
+
   // OpenAI integrations
   createOpenAiToolHandler(): (toolCall: any) => Promise<any>;
   handleOpenAiRequest(request: any): Promise<any>;
@@ -172,6 +1089,81 @@ export const aliases: AliasesDefinition;
 export function createAliasFunction(instance: any, aliasName: string, targetName: string): Function;
 export function applyAliases(instance: any, debug?: boolean): void;
 
+// Storage adapters
+export function createFsStorage(options: FsStorageOptions): FsStorageAdapter;
+export function createHttpStorage(options: HttpStorageOptions): StorageAdapter;
+
+// Persistent cache stores
+export function createIndexedDbCacheStore(options?: {
+  dbName?: string;
+  storeName?: string;
+  indexedDB?: unknown;
+  debug?: boolean;
+}): CacheStore;
+export function createFsCacheStore(options: { dir: string; debug?: boolean }): CacheStore;
+export function createKvCacheStore(options?: {
+  kv?: KvNamespaceLike;
+  keyPrefix?: string;
+  debug?: boolean;
+}): CacheStore;
+export function createMemoryKv(): KvNamespaceLike;
+
+// Embedding providers (vector search)
+export const EMBEDDING_MODELS: { text: string; clip: string };
+export function createRepoMdEmbeddingProvider(options?: { apiBaseUrl?: string; debug?: boolean }): EmbeddingProvider;
+export function createTransformersEmbeddingProvider(options: TransformersEmbeddingProviderOptions): EmbeddingProvider;
+export function createOpenAiEmbeddingProvider(options: OpenAiEmbeddingProviderOptions): EmbeddingProvider;
+
+// Vector index (vector search)
+export function createVectorIndex(
+  entries: Array<{ id: string; vector: number[] }>,
+  options?: VectorIndexOptions
+): {
+  size: number;
+  dimension: number;
+  search(
+    query: number[] | Float32Array,
+    options?: { limit?: number; threshold?: number; filter?: ((id: string) => boolean) | null; probes?: number | null; exact?: boolean }
+  ): Array<{ id: string; similarity: number }>;
+  getStats(): Omit<VectorIndexStats, 'source'>;
+};
+export const VECTOR_INDEX_DEFAULTS: Required<Omit<VectorIndexOptions, 'useVectra'>>;
+
+// Built-in post transformers (repo.use())
+export function createResponsiveImagesTransformer(options?: {
+  mediaUrlPrefix?: string;
+  sizes?: string;
+  formats?: string[];
+  pictureClass?: string | null;
+}): PostTransformer;
+export function createWikilinksTransformer(options?: {
+  postUrl?: string | ((post: Record<string, unknown>) => string);
+  className?: string;
+  missingClassName?: string;
+}): PostTransformer;
+export function createExternalLinksTransformer(options?: {
+  siteUrl?: string | null;
+  target?: string | null;
+  rel?: string | null;
+  className?: string | null;
+}): PostTransformer;
+export function createLazyLoadingTransformer(options?: {
+  loading?: string;
+  decoding?: string | null;
+  eagerCount?: number;
+  iframes?: boolean;
+}): PostTransformer;
+export function createHeadingIdsTransformer(options?: {
+  prefix?: string | ((post: Record<string, unknown>) => string);
+}): PostTransformer;
+
+// Feed routes (siteUrl defaults to the request origin, ?format= picks the format)
+export const FEED_CONTENT_TYPES: Record<FeedFormat, string>;
+export function createFeedRequestHandler(
+  repo: RepoMD,
+  options?: FeedRouteOptions
+): (request: Request | { url: URL | string; request?: Request }) => Promise<Response>;
+
 export default RepoMD;
 
 // Framework snippets
@@ -13,6 +13,37 @@ import * as mediaModule from './media/index.js';
 import * as projectModule from './project/index.js';
 import * as filesModule from './files/index.js';
 import * as openaiModule from './openai/index.js';
+import * as storageModule from './storage/index.js';
+import * as databaseModule from './database/index.js';
+import * as graphModule from './graph/index.js';
+import * as revisionsModule from './revisions/index.js';
+import * as cacheModule from './cache/index.js';
+import * as feedsModule from './feeds/index.js';
+import * as sitemapModule from './sitemap/index.js';
+import * as transformersModule from './transformers/index.js';
+import * as embeddingsModule from './embeddings/index.js';
+import * as vectorIndexModule from './vectorIndex/index.js';
+import { createFsStorage, createHttpStorage } from './storage/index.js';
+import {
+  createIndexedDbCacheStore,
+  createFsCacheStore,
+  createKvCacheStore,
+  createMemoryKv,
+} from './cache/index.js';
+import {
+  createResponsiveImagesTransformer,
+  createWikilinksTransformer,
+  createExternalLinksTransformer,
+  createLazyLoadingTransformer,
+  createHeadingIdsTransformer,
+} from './transformers/index.js';
+import {
+  createRepoMdEmbeddingProvider,
+  createTransformersEmbeddingProvider,
+  createOpenAiEmbeddingProvider,
+  EMBEDDING_MODELS,
+} from './embeddings/index.js';
+import { createVectorIndex, VECTOR_INDEX_DEFAULTS } from './vectorIndex/index.js';
 
 // Import alias mechanism
 import { aliases, createAliasFunction, applyAliases } from './aliases.js';
@@ -38,6 +69,33 @@ export {
   createOpenAiToolHandler,
   handleOpenAiRequest,
 
+  // Storage adapters
+  createFsStorage,
+  createHttpStorage,
+
+  // Persistent cache stores
+  createIndexedDbCacheStore,
+  createFsCacheStore,
+  createKvCacheStore,
+  createMemoryKv,
+
+  // Built-in post transformers
+  createResponsiveImagesTransformer,
+  createWikilinksTransformer,
+  createExternalLinksTransformer,
+  createLazyLoadingTransformer,
+  createHeadingIdsTransformer,
+
+  // Embedding providers (vector search)
+  createRepoMdEmbeddingProvider,
+  createTransformersEmbeddingProvider,
+  createOpenAiEmbeddingProvider,
+  EMBEDDING_MODELS,
+
+  // Vector index (vector search)
+  createVectorIndex,
+  VECTOR_INDEX_DEFAULTS,
+
   // Modules for direct access
   coreModule,
   postsModule,
@@ -45,6 +103,16 @@ export {
   projectModule,
   filesModule,
   openaiModule,
+  storageModule,
+  databaseModule,
+  graphModule,
+  revisionsModule,
+  cacheModule,
+  feedsModule,
+  sitemapModule,
+  transformersModule,
+  embeddingsModule,
+  vectorIndexModule,
   
   // Alias mechanism for extending and compatibility
   aliases,
@@ -74,6 +142,17 @@ export { RepoNextMiddleware, createRepoMiddleware } from './middleware/RepoNextM
 
 // Unified proxy configuration exports
 export { UnifiedProxyConfig, createUnifiedProxyConfig, REPO_MD_DEFAULTS } from './proxy/UnifiedProxyConfig.js';
+export { createMediaResponse, proxyMediaRequest } from './proxy/mediaResponse.js';
+export { createRequestHandler, handleNodeRequest } from './proxy/requestHandler.js';
+export { toWebRequest } from './proxy/nodeUtils.js';
+export {
+  createImageTransformer,
+  createSharpImageProcessor,
+  DEFAULT_IMAGE_TRANSFORM_ALLOWLIST,
+} from './proxy/imageTransform.js';
+
+// Content API exports
+export { createContentApi, CONTENT_API_DEFAULTS } from './api/index.js';
 
 // Simplified integration exports
 export { 
@@ -99,5 +178,23 @@ export {
   koaRepoMdStreamingMiddleware,
   astroRepoMdMiddleware,
   astroRepoMdIntegration,
-  astroRepoMdFullIntegration
+  astroRepoMdFullIntegration,
+  // Feed routes
+  expressRepoMdFeed,
+  koaRepoMdFeed,
+  fastifyRepoMdFeed,
+  nextRepoMdFeedRoute,
+  svelteKitRepoMdFeed,
+  astroRepoMdFeed,
+  // Sitemap routes
+  expressRepoMdSitemap,
+  koaRepoMdSitemap,
+  fastifyRepoMdSitemap,
+  nextRepoMdSitemapRoute,
+  svelteKitRepoMdSitemap,
+  astroRepoMdSitemap
 } from './integrations/index.js';
+
+// Feed helpers (fetch-style handler for Workers and other runtimes)
+export { createFeedRequestHandler, FEED_CONTENT_TYPES } from './feeds/index.js';
+export { createSitemapRequestHandler } from './sitemap/index.js';
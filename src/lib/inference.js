@@ -5,18 +5,18 @@
 
 import { fetchJson } from "./utils.js";
 
-const API_DOMAIN = "api.repo.md";
-const API_BASE = `https://${API_DOMAIN}/v1`;
+import { API_BASE } from "./core/api.js";
 
 /**
  * Fetch data from the inference API
  * @param {string} path - API path
  * @param {Object} options - Fetch options (method, body, headers, etc.)
  * @param {boolean} debug - Whether to log debug info
+ * @param {string} apiBaseUrl - Base URL of the repo.md API
  * @returns {Promise<any>} - Parsed response data
  */
-async function fetchInferenceApi(path = "/", options = {}, debug = false) {
-  const url = `${API_BASE}${path}`;
+async function fetchInferenceApi(path = "/", options = {}, debug = false, apiBaseUrl = API_BASE) {
+  const url = `${(apiBaseUrl || API_BASE).replace(/\/+$/, "")}${path}`;
 
   try {
     const result = await fetchJson(
@@ -58,9 +58,10 @@ async function fetchInferenceApi(path = "/", options = {}, debug = false) {
  * @param {string} text - Text to compute embedding for
  * @param {string|null} instruction - Optional instruction for the embedding
  * @param {boolean} debug - Whether to log debug info
+ * @param {string} apiBaseUrl - Base URL of the repo.md API
  * @returns {Promise<Object>} - Embedding response with metadata
  */
-export async function computeTextEmbedding(text, instruction = null, debug = false) {
+export async function computeTextEmbedding(text, instruction = null, debug = false, apiBaseUrl = API_BASE) {
   if (!text || typeof text !== 'string' || text.trim().length === 0) {
     throw new Error('Text parameter is required and must be a non-empty string');
   }
@@ -74,7 +75,7 @@ export async function computeTextEmbedding(text, instruction = null, debug = fal
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(payload),
-  }, debug);
+  }, debug, apiBaseUrl);
 
   if (!response.success) {
     throw new Error(response.message || 'Failed to compute text embedding');
@@ -87,9 +88,10 @@ export async function computeTextEmbedding(text, instruction = null, debug = fal
  * Compute CLIP text embedding from the inference API
  * @param {string} text - Text to compute CLIP embedding for
  * @param {boolean} debug - Whether to log debug info
+ * @param {string} apiBaseUrl - Base URL of the repo.md API
  * @returns {Promise<Object>} - CLIP embedding response with metadata
  */
-export async function computeClipTextEmbedding(text, debug = false) {
+export async function computeClipTextEmbedding(text, debug = false, apiBaseUrl = API_BASE) {
   if (!text || typeof text !== 'string' || text.trim().length === 0) {
     throw new Error('Text parameter is required and must be a non-empty string');
   }
@@ -98,7 +100,7 @@ export async function computeClipTextEmbedding(text, debug = false) {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ text }),
-  }, debug);
+  }, debug, apiBaseUrl);
 
   if (!response.success) {
     throw new Error(response.message || 'Failed to compute CLIP text embedding');
@@ -111,9 +113,10 @@ export async function computeClipTextEmbedding(text, debug = false) {
  * Compute CLIP image embedding from the inference API
  * @param {string} image - Image input as either a URL or base64-encoded data string
  * @param {boolean} debug - Whether to log debug info
+ * @param {string} apiBaseUrl - Base URL of the repo.md API
  * @returns {Promise<Object>} - CLIP image embedding response with metadata
  */
-export async function computeClipImageEmbedding(image, debug = false) {
+export async function computeClipImageEmbedding(image, debug = false, apiBaseUrl = API_BASE) {
   if (!image || typeof image !== 'string' || image.trim().length === 0) {
     throw new Error('Image parameter is required and must be a non-empty string');
   }
@@ -126,7 +129,7 @@ export async function computeClipImageEmbedding(image, debug = false) {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(payload),
-  }, debug);
+  }, debug, apiBaseUrl);
 
   if (!response.success) {
     throw new Error(response.message || 'Failed to compute CLIP image embedding');
@@ -4,7 +4,9 @@
  */
 
 import { UnifiedProxyConfig } from '../proxy/UnifiedProxyConfig.js';
-import { parseMediaPath, proxyFetch, handleProxyError, createResponseHeaders, debugLog } from '../proxy/nodeUtils.js';
+import { createRequestHandler } from '../proxy/requestHandler.js';
+import { createFeedRequestHandler } from '../feeds/index.js';
+import { createSitemapRequestHandler } from '../sitemap/index.js';
 
 /**
  * Create an Astro middleware for RepoMD media proxy
@@ -18,52 +20,11 @@ export function astroRepoMdMiddleware(projectId, options = {}) {
     ...options,
   });
 
-  return async (context, next) => {
-    const { request, url } = context;
-    const mediaPath = parseMediaPath(url.pathname, config.mediaUrlPrefix);
-    
-    if (!mediaPath) {
-      // Not a media request, continue to next middleware
-      return next();
-    }
-
-    debugLog(config.debug, `Astro proxy: ${url.pathname}`);
-
-    try {
-      const targetUrl = config.getTargetUrl(mediaPath);
-      const response = await proxyFetch(targetUrl, {
-        method: request.method,
-        headers: request.headers,
-      });
-
-      const headers = response.ok 
-        ? createResponseHeaders(response.headers, config.getCacheHeaders())
-        : createResponseHeaders(response.headers, config.getErrorCacheHeaders());
+  const handler = createRequestHandler(config);
 
-      // Convert headers object to Headers instance
-      const responseHeaders = new Headers();
-      Object.entries(headers).forEach(([key, value]) => {
-        responseHeaders.set(key, value);
-      });
-
-      return new Response(response.body, {
-        status: response.status,
-        statusText: response.statusText,
-        headers: responseHeaders,
-      });
-    } catch (error) {
-      const errorResponse = handleProxyError(error, config.getErrorCacheHeaders(), config.debug);
-      
-      const errorHeaders = new Headers();
-      Object.entries(errorResponse.headers).forEach(([key, value]) => {
-        errorHeaders.set(key, value);
-      });
-
-      return new Response(errorResponse.body, {
-        status: errorResponse.status,
-        headers: errorHeaders,
-      });
-    }
+  return async (context, next) => {
+    // Media requests are answered by the shared handler, the others continue to the next middleware
+    return (await handler.handle(context.request)) ?? next();
   };
 }
 
@@ -145,4 +106,26 @@ export const onRequest = astroRepoMdMiddleware('${config.projectId}');
       },
     },
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Create an Astro API route serving a feed of the posts
+ * Usage in src/pages/feed.xml.js: export const GET = astroRepoMdFeed(repo, { format: 'rss' })
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - generateFeed options (siteUrl defaults to the request origin)
+ * @returns {Function} Astro APIRoute
+ */
+export function astroRepoMdFeed(repo, options = {}) {
+  return createFeedRequestHandler(repo, options);
+}
+
+/**
+ * Create an Astro API route serving sitemap.xml, its pages and robots.txt
+ * Usage in src/pages/sitemap.xml.js: export const GET = astroRepoMdSitemap(repo)
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - generateSitemap options (baseUrl defaults to the request origin)
+ * @returns {Function} Astro APIRoute
+ */
+export function astroRepoMdSitemap(repo, options = {}) {
+  return createSitemapRequestHandler(repo, options);
+}
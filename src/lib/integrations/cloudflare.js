@@ -14,6 +14,7 @@ import { getProjectIdFromEnv } from '../utils/env.js';
  * @param {string} [options.mediaUrlPrefix] - Custom media URL prefix
  * @param {boolean} [options.debug] - Enable debug logging
  * @param {boolean} [options.returnNull] - Return null for non-media requests
+ * @param {boolean|Object} [options.contentApi] - true or createContentApi options, serves /_repo/api/
  * @returns {Function} Cloudflare Workers request handler
  */
 export function cloudflareRepoMdHandler(options = {}) {
@@ -35,9 +36,12 @@ export function cloudflareRepoMdHandler(options = {}) {
     // This is here for future compatibility when it's implemented
   });
   
+  // Media proxy, and the content API when enabled
+  const repoHandler = repo.createCloudflareHandler({ returnNull: true, contentApi: config.contentApi });
+
   // Return a handler function that Cloudflare Workers can use
   return async (request) => {
-    const response = await repo.handleCloudflareRequest(request);
+    const response = await repoHandler(request);
     if (response) {
       return response;
     }
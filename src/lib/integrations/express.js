@@ -4,7 +4,10 @@
  */
 
 import { UnifiedProxyConfig } from '../proxy/UnifiedProxyConfig.js';
-import { parseMediaPath, proxyFetch, handleProxyError, createResponseHeaders, debugLog } from '../proxy/nodeUtils.js';
+import { createRequestHandler, handleNodeRequest } from '../proxy/requestHandler.js';
+import { debugLog } from '../proxy/nodeUtils.js';
+import { renderFeedRoute } from '../feeds/index.js';
+import { isSitemapRoute, renderSitemapRoute } from '../sitemap/index.js';
 
 /**
  * Create an Express middleware for RepoMD media proxy
@@ -18,73 +21,12 @@ export function expressRepoMdMiddleware(projectId, options = {}) {
     ...options,
   });
 
+  const handler = createRequestHandler(config);
+
   return async (req, res, next) => {
-    const mediaPath = parseMediaPath(req.url, config.mediaUrlPrefix);
-    
-    if (!mediaPath) {
+    if (!(await handleNodeRequest(handler, req, res))) {
       // Not a media request, continue to next middleware
-      return next();
-    }
-
-    debugLog(config.debug, `Express proxy: ${req.url}`);
-
-    try {
-      const targetUrl = config.getTargetUrl(mediaPath);
-      
-      // Create headers object from request
-      const requestHeaders = {};
-      Object.entries(req.headers).forEach(([key, value]) => {
-        if (key.toLowerCase() !== 'host') {
-          requestHeaders[key] = value;
-        }
-      });
-
-      const response = await proxyFetch(targetUrl, {
-        method: req.method,
-        headers: requestHeaders,
-      });
-
-      const headers = response.ok 
-        ? createResponseHeaders(response.headers, config.getCacheHeaders())
-        : createResponseHeaders(response.headers, config.getErrorCacheHeaders());
-
-      // Set response headers
-      Object.entries(headers).forEach(([key, value]) => {
-        res.setHeader(key, value);
-      });
-
-      // Set status code
-      res.status(response.status);
-
-      // Stream the response
-      if (response.body) {
-        // For Node.js 18+, response.body is a web stream
-        // We need to convert it to a Node.js stream
-        const reader = response.body.getReader();
-        
-        try {
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            
-            res.write(value);
-          }
-        } finally {
-          reader.releaseLock();
-        }
-        
-        res.end();
-      } else {
-        res.end();
-      }
-    } catch (error) {
-      const errorResponse = handleProxyError(error, config.getErrorCacheHeaders(), config.debug);
-      
-      Object.entries(errorResponse.headers).forEach(([key, value]) => {
-        res.setHeader(key, value);
-      });
-      
-      res.status(errorResponse.status).send(errorResponse.body);
+      next();
     }
   };
 }
@@ -111,4 +53,48 @@ export function expressRepoMdErrorHandler(options = {}) {
       message: debug ? err.message : 'Failed to fetch media resource',
     });
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Create an Express route handler serving a feed of the posts
+ * Usage: app.get('/feed.xml', expressRepoMdFeed(repo, { format: 'rss' }))
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - generateFeed options (siteUrl defaults to the request origin)
+ * @returns {Function} Express route handler (req, res)
+ */
+export function expressRepoMdFeed(repo, options = {}) {
+  return async (req, res) => {
+    const requestUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    const { status, headers, body } = await renderFeedRoute(repo, options, requestUrl);
+
+    Object.entries(headers).forEach(([key, value]) => {
+      res.setHeader(key, value);
+    });
+
+    res.status(status).send(body);
+  };
+}
+
+/**
+ * Create an Express middleware serving sitemap.xml, its pages and robots.txt
+ * Usage: app.use(expressRepoMdSitemap(repo, { routeForPost: '/blog/:slug' }))
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - generateSitemap options (baseUrl defaults to the request origin)
+ * @returns {Function} Express middleware function (req, res, next)
+ */
+export function expressRepoMdSitemap(repo, options = {}) {
+  return async (req, res, next) => {
+    if (req.method !== 'GET' || !isSitemapRoute(req.path, options)) {
+      return next();
+    }
+
+    const requestUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    const { status, headers, body } = await renderSitemapRoute(repo, options, requestUrl);
+
+    Object.entries(headers).forEach(([key, value]) => {
+      res.setHeader(key, value);
+    });
+
+    res.status(status).send(body);
+  };
+}
@@ -4,7 +4,10 @@
  */
 
 import { UnifiedProxyConfig } from '../proxy/UnifiedProxyConfig.js';
-import { parseMediaPath, proxyFetch, handleProxyError, createResponseHeaders, debugLog } from '../proxy/nodeUtils.js';
+import { createRequestHandler } from '../proxy/requestHandler.js';
+import { toWebRequest, handleProxyError, getResponseHeaders, readResponseBody } from '../proxy/nodeUtils.js';
+import { renderFeedRoute } from '../feeds/index.js';
+import { renderSitemapRoute } from '../sitemap/index.js';
 
 /**
  * Create a Fastify plugin for RepoMD media proxy
@@ -24,109 +27,42 @@ async function fastifyRepoMdPlugin(fastify, options, done) {
     ...proxyOptions,
   });
 
-  // Register a wildcard route for media files
-  fastify.get(`${config.mediaUrlPrefix}*`, async (request, reply) => {
-    const mediaPath = parseMediaPath(request.url, config.mediaUrlPrefix);
-    
-    if (!mediaPath) {
-      // This shouldn't happen with our route, but just in case
+  const handler = createRequestHandler(config);
+
+  // Handler shared by the media and content API routes
+  const handleRequest = async (request, reply) => {
+    const response = await handler.handle(toWebRequest(request));
+
+    if (!response) {
+      // The route matched but the core didn't (e.g. the media folder itself)
       reply.code(404).send('Not found');
       return;
     }
 
-    debugLog(config.debug, `Fastify proxy: ${request.url}`);
-
     try {
-      const targetUrl = config.getTargetUrl(mediaPath);
-      
-      // Create headers object from request
-      const requestHeaders = {};
-      Object.entries(request.headers).forEach(([key, value]) => {
-        if (key.toLowerCase() !== 'host') {
-          requestHeaders[key] = value;
-        }
-      });
-
-      const response = await proxyFetch(targetUrl, {
-        method: request.method,
-        headers: requestHeaders,
-      });
-
-      const headers = response.ok 
-        ? createResponseHeaders(response.headers, config.getCacheHeaders())
-        : createResponseHeaders(response.headers, config.getErrorCacheHeaders());
-
-      // Set response headers
-      Object.entries(headers).forEach(([key, value]) => {
-        reply.header(key, value);
-      });
-
-      // Set status code
-      reply.code(response.status);
-
-      // Stream the response
-      if (response.body) {
-        // For Node.js 18+, response.body is a web stream
-        // We need to convert it to a Node.js stream
-        const reader = response.body.getReader();
-        
-        try {
-          const chunks = [];
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            chunks.push(value);
-          }
-          
-          // Combine all chunks and send
-          const buffer = Buffer.concat(chunks);
-          reply.send(buffer);
-        } finally {
-          reader.releaseLock();
-        }
-      } else {
-        reply.send();
-      }
+      // Buffer the body (none for HEAD and 304)
+      const body = await readResponseBody(response);
+      reply.headers(getResponseHeaders(response)).code(response.status).send(body ?? undefined);
     } catch (error) {
       const errorResponse = handleProxyError(error, config.getErrorCacheHeaders(), config.debug);
-      
-      Object.entries(errorResponse.headers).forEach(([key, value]) => {
-        reply.header(key, value);
-      });
-      
-      reply.code(errorResponse.status).send(errorResponse.body);
+      reply.headers(errorResponse.headers).code(errorResponse.status).send(errorResponse.body);
     }
-  });
+  };
 
-  // Also handle HEAD requests for media files
-  fastify.head(`${config.mediaUrlPrefix}*`, async (request, reply) => {
-    const mediaPath = parseMediaPath(request.url, config.mediaUrlPrefix);
-    
-    if (!mediaPath) {
-      reply.code(404).send();
-      return;
-    }
-
-    try {
-      const targetUrl = config.getTargetUrl(mediaPath);
-      const response = await proxyFetch(targetUrl, {
-        method: 'HEAD',
-        headers: request.headers,
-      });
-
-      const headers = response.ok 
-        ? createResponseHeaders(response.headers, config.getCacheHeaders())
-        : createResponseHeaders(response.headers, config.getErrorCacheHeaders());
-
-      Object.entries(headers).forEach(([key, value]) => {
-        reply.header(key, value);
-      });
+  // Register a wildcard route for media files
+  fastify.get(`${config.mediaUrlPrefix}/*`, handleRequest);
 
-      reply.code(response.status).send();
-    } catch (error) {
-      reply.code(502).send();
+  // Also handle HEAD requests for media files
+  fastify.head(`${config.mediaUrlPrefix}/*`, handleRequest);
+
+  // Content API routes, with CORS preflights
+  if (config.contentApi) {
+    for (const path of [config.contentApi.basePath, `${config.contentApi.basePath}/*`]) {
+      fastify.get(path, handleRequest);
+      fastify.head(path, handleRequest);
+      fastify.options(path, handleRequest);
     }
-  });
+  }
 
   done();
 }
@@ -141,4 +77,44 @@ fastifyRepoMdPlugin[Symbol.for('plugin-meta')] = {
  * Export the plugin function
  * Usage: fastify.register(fastifyRepoMdPlugin, { projectId: 'your-project-id' })
  */
-export { fastifyRepoMdPlugin };
\ No newline at end of file
+export { fastifyRepoMdPlugin };
+
+/**
+ * Create a Fastify route handler serving a feed of the posts
+ * Usage: fastify.get('/feed.xml', fastifyRepoMdFeed(repo, { format: 'rss' }))
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - generateFeed options (siteUrl defaults to the request origin)
+ * @returns {Function} Fastify route handler (request, reply)
+ */
+export function fastifyRepoMdFeed(repo, options = {}) {
+  return async (request, reply) => {
+    const requestUrl = `${request.protocol}://${request.hostname}${request.url}`;
+    const { status, headers, body } = await renderFeedRoute(repo, options, requestUrl);
+
+    Object.entries(headers).forEach(([key, value]) => {
+      reply.header(key, value);
+    });
+
+    reply.code(status).send(body);
+  };
+}
+
+/**
+ * Create a Fastify route handler serving sitemap.xml, its pages and robots.txt
+ * Usage: fastify.get('/sitemap*', handler) and fastify.get('/robots.txt', handler)
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - generateSitemap options (baseUrl defaults to the request origin)
+ * @returns {Function} Fastify route handler (request, reply)
+ */
+export function fastifyRepoMdSitemap(repo, options = {}) {
+  return async (request, reply) => {
+    const requestUrl = `${request.protocol}://${request.hostname}${request.url}`;
+    const { status, headers, body } = await renderSitemapRoute(repo, options, requestUrl);
+
+    Object.entries(headers).forEach(([key, value]) => {
+      reply.header(key, value);
+    });
+
+    reply.code(status).send(body);
+  };
+}
@@ -111,6 +111,8 @@ export function repoMdProxy(options = {}) {
     projectId,
     mediaUrlPrefix,
     debug: config.debug,
+    imageTransforms: config.imageTransforms,
+    contentApi: config.contentApi,
   });
   
   // Return framework-specific configuration
@@ -168,13 +170,13 @@ export { RepoMD };
 
 // Export all framework-specific integrations
 export { viteRepoMdProxy, viteRepoMdPlugin } from './vite.js';
-export { nextRepoMdMiddleware, nextRepoMdConfig, withRepoMd } from './nextjs.js';
+export { nextRepoMdMiddleware, nextRepoMdConfig, withRepoMd, nextRepoMdFeedRoute, nextRepoMdSitemapRoute } from './nextjs.js';
 export { remixRepoMdLoader, remixRepoMdAction, remixRepoMdRoute } from './remix.js';
 export { cloudflareRepoMdHandler, cloudflareRepoMdWorker, cloudflareRepoMdPagesFunction } from './cloudflare.js';
 export { nuxtRepoMdPlugin, nuxtRepoMdCachedHandler } from './nuxt.js';
 export { nuxtRepoMdModuleConfig, createNuxtModuleSetup, nuxtModuleExample } from './nuxt-module.mjs';
-export { svelteKitRepoMdHandle, svelteKitRepoMdSequenceHandle } from './sveltekit.js';
-export { expressRepoMdMiddleware, expressRepoMdErrorHandler } from './express.js';
-export { fastifyRepoMdPlugin } from './fastify.js';
-export { koaRepoMdMiddleware, koaRepoMdStreamingMiddleware } from './koa.js';
-export { astroRepoMdMiddleware, astroRepoMdIntegration, astroRepoMdFullIntegration } from './astro.js';
\ No newline at end of file
+export { svelteKitRepoMdHandle, svelteKitRepoMdSequenceHandle, svelteKitRepoMdFeed, svelteKitRepoMdSitemap } from './sveltekit.js';
+export { expressRepoMdMiddleware, expressRepoMdErrorHandler, expressRepoMdFeed, expressRepoMdSitemap } from './express.js';
+export { fastifyRepoMdPlugin, fastifyRepoMdFeed, fastifyRepoMdSitemap } from './fastify.js';
+export { koaRepoMdMiddleware, koaRepoMdStreamingMiddleware, koaRepoMdFeed, koaRepoMdSitemap } from './koa.js';
+export { astroRepoMdMiddleware, astroRepoMdIntegration, astroRepoMdFullIntegration, astroRepoMdFeed, astroRepoMdSitemap } from './astro.js';
\ No newline at end of file
@@ -4,7 +4,29 @@
  */
 
 import { UnifiedProxyConfig } from '../proxy/UnifiedProxyConfig.js';
-import { parseMediaPath, proxyFetch, handleProxyError, createResponseHeaders, debugLog } from '../proxy/nodeUtils.js';
+import { createRequestHandler } from '../proxy/requestHandler.js';
+import { toWebRequest, handleProxyError, getResponseHeaders, readResponseBody } from '../proxy/nodeUtils.js';
+import { renderFeedRoute } from '../feeds/index.js';
+import { isSitemapRoute, renderSitemapRoute } from '../sitemap/index.js';
+
+/**
+ * Copy a response to the Koa context
+ * HEAD and 304 responses have no body: a null ctx.body would turn them into 204 without Content-Length
+ * @param {Object} ctx - Koa context
+ * @param {Response|Object} response - Response (or { status, headers })
+ * @param {Buffer|Object|null} body - Body (Buffer or stream), null when there is none
+ */
+function setKoaResponse(ctx, response, body) {
+  const headers = response.headers instanceof Headers ? getResponseHeaders(response) : response.headers;
+  for (const [key, value] of Object.entries(headers)) {
+    ctx.set(key, value);
+  }
+
+  ctx.status = response.status;
+  if (body) {
+    ctx.body = body;
+  }
+}
 
 /**
  * Create a Koa middleware for RepoMD media proxy
@@ -18,76 +40,24 @@ export function koaRepoMdMiddleware(projectId, options = {}) {
     ...options,
   });
 
+  const handler = createRequestHandler(config);
+
   return async (ctx, next) => {
-    const mediaPath = parseMediaPath(ctx.url, config.mediaUrlPrefix);
-    
-    if (!mediaPath) {
+    const response = await handler.handle(toWebRequest(ctx));
+
+    if (!response) {
       // Not a media request, continue to next middleware
       await next();
       return;
     }
 
-    debugLog(config.debug, `Koa proxy: ${ctx.url}`);
-
     try {
-      const targetUrl = config.getTargetUrl(mediaPath);
-      
-      // Create headers object from request
-      const requestHeaders = {};
-      for (const [key, value] of Object.entries(ctx.headers)) {
-        if (key.toLowerCase() !== 'host') {
-          requestHeaders[key] = value;
-        }
-      }
-
-      const response = await proxyFetch(targetUrl, {
-        method: ctx.method,
-        headers: requestHeaders,
-      });
-
-      const headers = response.ok 
-        ? createResponseHeaders(response.headers, config.getCacheHeaders())
-        : createResponseHeaders(response.headers, config.getErrorCacheHeaders());
-
-      // Set response headers
-      for (const [key, value] of Object.entries(headers)) {
-        ctx.set(key, value);
-      }
-
-      // Set status code
-      ctx.status = response.status;
-
-      // Stream the response
-      if (response.body) {
-        // For Node.js 18+, response.body is a web stream
-        // We need to convert it to a readable buffer
-        const reader = response.body.getReader();
-        const chunks = [];
-        
-        try {
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-            chunks.push(value);
-          }
-          
-          // Set body as buffer
-          ctx.body = Buffer.concat(chunks);
-        } finally {
-          reader.releaseLock();
-        }
-      } else {
-        ctx.body = null;
-      }
+      // Buffer the body (partial for range requests)
+      const body = await readResponseBody(response);
+      setKoaResponse(ctx, response, body);
     } catch (error) {
       const errorResponse = handleProxyError(error, config.getErrorCacheHeaders(), config.debug);
-      
-      for (const [key, value] of Object.entries(errorResponse.headers)) {
-        ctx.set(key, value);
-      }
-      
-      ctx.status = errorResponse.status;
-      ctx.body = errorResponse.body;
+      setKoaResponse(ctx, errorResponse, errorResponse.body);
     }
   };
 }
@@ -105,77 +75,74 @@ export function koaRepoMdStreamingMiddleware(projectId, options = {}) {
     ...options,
   });
 
+  const handler = createRequestHandler(config);
+
   return async (ctx, next) => {
-    const mediaPath = parseMediaPath(ctx.url, config.mediaUrlPrefix);
-    
-    if (!mediaPath) {
+    const response = await handler.handle(toWebRequest(ctx));
+
+    if (!response) {
       await next();
       return;
     }
 
-    debugLog(config.debug, `Koa proxy (streaming): ${ctx.url}`);
+    // For streaming, we need to create a Node.js readable stream
+    let body = null;
+    if (response.body) {
+      const { Readable } = await import('node:stream');
+      body = Readable.fromWeb(response.body);
+    }
+    setKoaResponse(ctx, response, body);
+  };
+}
 
-    try {
-      const targetUrl = config.getTargetUrl(mediaPath);
-      
-      // Create headers object from request
-      const requestHeaders = {};
-      for (const [key, value] of Object.entries(ctx.headers)) {
-        if (key.toLowerCase() !== 'host') {
-          requestHeaders[key] = value;
-        }
-      }
-
-      const response = await proxyFetch(targetUrl, {
-        method: ctx.method,
-        headers: requestHeaders,
-      });
-
-      const headers = response.ok 
-        ? createResponseHeaders(response.headers, config.getCacheHeaders())
-        : createResponseHeaders(response.headers, config.getErrorCacheHeaders());
-
-      // Set response headers
-      for (const [key, value] of Object.entries(headers)) {
-        ctx.set(key, value);
-      }
-
-      // Set status code
-      ctx.status = response.status;
-
-      // For streaming, we need to create a Node.js readable stream
-      if (response.body) {
-        const { Readable } = await import('node:stream');
-        const reader = response.body.getReader();
-        
-        ctx.body = new Readable({
-          async read() {
-            try {
-              const { done, value } = await reader.read();
-              if (done) {
-                this.push(null);
-                reader.releaseLock();
-              } else {
-                this.push(Buffer.from(value));
-              }
-            } catch (error) {
-              this.destroy(error);
-              reader.releaseLock();
-            }
-          }
-        });
-      } else {
-        ctx.body = null;
-      }
-    } catch (error) {
-      const errorResponse = handleProxyError(error, config.getErrorCacheHeaders(), config.debug);
-      
-      for (const [key, value] of Object.entries(errorResponse.headers)) {
-        ctx.set(key, value);
-      }
-      
-      ctx.status = errorResponse.status;
-      ctx.body = errorResponse.body;
+/**
+ * Create a Koa middleware serving a feed of the posts on a path
+ * Usage: app.use(koaRepoMdFeed(repo, { path: '/feed.xml', format: 'rss' }))
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - generateFeed options, plus path (default '/feed.xml')
+ * @returns {Function} Koa middleware function
+ */
+export function koaRepoMdFeed(repo, options = {}) {
+  const { path = '/feed.xml', ...feedOptions } = options;
+
+  return async (ctx, next) => {
+    if (ctx.path !== path || ctx.method !== 'GET') {
+      await next();
+      return;
+    }
+
+    const { status, headers, body } = await renderFeedRoute(repo, feedOptions, ctx.href);
+
+    for (const [key, value] of Object.entries(headers)) {
+      ctx.set(key, value);
+    }
+
+    ctx.status = status;
+    ctx.body = body;
+  };
+}
+
+/**
+ * Create a Koa middleware serving sitemap.xml, its pages and robots.txt
+ * Usage: app.use(koaRepoMdSitemap(repo, { routeForPost: '/blog/:slug' }))
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - generateSitemap options (baseUrl defaults to the request origin)
+ * @returns {Function} Koa middleware function
+ */
+export function koaRepoMdSitemap(repo, options = {}) {
+  return async (ctx, next) => {
+    if (ctx.method !== 'GET' || !isSitemapRoute(ctx.path, options)) {
+      await next();
+      return;
     }
+
+    const { status, headers, body } = await renderSitemapRoute(repo, options, ctx.href);
+
+    for (const [key, value] of Object.entries(headers)) {
+      ctx.set(key, value);
+    }
+
+    ctx.status = status;
+    ctx.body = body;
   };
-}
\ No newline at end of file
+}
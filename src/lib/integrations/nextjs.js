@@ -6,6 +6,8 @@
 import { UnifiedProxyConfig } from '../proxy/UnifiedProxyConfig.js';
 import { RepoMD } from '../RepoMd.js';
 import { getProjectIdFromEnv } from '../utils/env.js';
+import { createFeedRequestHandler } from '../feeds/index.js';
+import { createSitemapRequestHandler } from '../sitemap/index.js';
 
 /**
  * Create a Next.js middleware handler for RepoMD
@@ -102,4 +104,26 @@ export function withRepoMd(existingConfig = {}, repoMdOptions = {}) {
       ];
     },
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Create a Next.js App Router route handler serving a feed of the posts
+ * Usage in app/feed.xml/route.js: export const GET = nextRepoMdFeedRoute(repo, { format: 'rss' })
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - generateFeed options (siteUrl defaults to the request origin)
+ * @returns {Function} Route handler (request) => Response
+ */
+export function nextRepoMdFeedRoute(repo, options = {}) {
+  return createFeedRequestHandler(repo, options);
+}
+
+/**
+ * Create a Next.js App Router route handler serving sitemap.xml, its pages and robots.txt
+ * Usage in app/sitemap.xml/route.js: export const GET = nextRepoMdSitemapRoute(repo)
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - generateSitemap options (baseUrl defaults to the request origin)
+ * @returns {Function} Route handler (request) => Response
+ */
+export function nextRepoMdSitemapRoute(repo, options = {}) {
+  return createSitemapRequestHandler(repo, options);
+}
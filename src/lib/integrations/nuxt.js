@@ -4,7 +4,8 @@
  */
 
 import { UnifiedProxyConfig } from '../proxy/UnifiedProxyConfig.js';
-import { parseMediaPath, proxyFetch, handleProxyError, createResponseHeaders, debugLog } from '../proxy/nodeUtils.js';
+import { createRequestHandler, handleNodeRequest } from '../proxy/requestHandler.js';
+import { toWebRequest, handleProxyError, getResponseHeaders, readResponseBody } from '../proxy/nodeUtils.js';
 
 /**
  * Create a Nuxt/Nitro plugin for RepoMD media proxy
@@ -18,62 +19,12 @@ export function nuxtRepoMdPlugin(projectId, options = {}) {
     ...options,
   });
 
+  const handler = createRequestHandler(config);
+
   return (nitroApp) => {
     nitroApp.hooks.hook('request', async (event) => {
-      const mediaPath = parseMediaPath(event.node.req.url, config.mediaUrlPrefix);
-      
-      if (!mediaPath) {
-        return; // Not a media request, continue normally
-      }
-
-      debugLog(config.debug, `Nuxt proxy: ${event.node.req.url}`);
-
-      try {
-        const targetUrl = config.getTargetUrl(mediaPath);
-        const response = await proxyFetch(targetUrl, {
-          method: event.node.req.method,
-          headers: event.node.req.headers,
-        });
-
-        const headers = response.ok 
-          ? createResponseHeaders(response.headers, config.getCacheHeaders())
-          : createResponseHeaders(response.headers, config.getErrorCacheHeaders());
-
-        // Set response headers
-        Object.entries(headers).forEach(([key, value]) => {
-          event.node.res.setHeader(key, value);
-        });
-
-        // Set status code
-        event.node.res.statusCode = response.status;
-
-        // Stream the response body
-        if (response.body) {
-          const reader = response.body.getReader();
-          
-          try {
-            while (true) {
-              const { done, value } = await reader.read();
-              if (done) break;
-              
-              event.node.res.write(value);
-            }
-          } finally {
-            reader.releaseLock();
-          }
-        }
-
-        event.node.res.end();
-      } catch (error) {
-        const errorResponse = handleProxyError(error, config.getErrorCacheHeaders(), config.debug);
-        
-        Object.entries(errorResponse.headers).forEach(([key, value]) => {
-          event.node.res.setHeader(key, value);
-        });
-        
-        event.node.res.statusCode = errorResponse.status;
-        event.node.res.end(errorResponse.body);
-      }
+      // Non-media requests continue normally
+      await handleNodeRequest(handler, event.node.req, event.node.res);
     });
   };
 }
@@ -91,31 +42,26 @@ export function nuxtRepoMdCachedHandler(projectId, options = {}) {
     ...options,
   });
 
+  const requestHandler = createRequestHandler(config);
+
   // This function should be wrapped with defineCachedEventHandler in user's code
   const handler =
     async (event) => {
-      const mediaPath = parseMediaPath(event.node.req.url, config.mediaUrlPrefix);
-      
-      if (!mediaPath) {
+      // Cached entries are shared by all requests under the same key (the URL),
+      // so they always hold the full file: Range and conditional headers aren't forwarded
+      const response = await requestHandler.handle(
+        toWebRequest({ url: event.node.req.url, method: event.node.req.method, headers: {} })
+      );
+
+      if (!response) {
         return null; // Not a media request
       }
 
-      const targetUrl = config.getTargetUrl(mediaPath);
-      
       try {
-        const response = await proxyFetch(targetUrl, {
-          method: event.node.req.method,
-          headers: event.node.req.headers,
-        });
-
-        const body = await response.arrayBuffer();
-        
         return {
           status: response.status,
-          headers: response.ok 
-            ? config.getCacheHeaders()
-            : config.getErrorCacheHeaders(),
-          body: Buffer.from(body),
+          headers: getResponseHeaders(response),
+          body: await readResponseBody(response),
         };
       } catch (error) {
         const errorResponse = handleProxyError(error, config.getErrorCacheHeaders(), config.debug);
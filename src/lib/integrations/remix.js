@@ -15,6 +15,8 @@ import { getProjectIdFromEnv } from '../utils/env.js';
  * @param {string} [options.r2Url] - Custom R2 URL
  * @param {number} [options.cacheMaxAge] - Cache max age in seconds
  * @param {boolean} [options.debug] - Enable debug logging
+ * @param {Object} [options.imageTransforms] - createImageTransformer options, enables ?w=&fmt=&q= transformations
+ * @param {boolean|Object} [options.contentApi] - true or createContentApi options, serves /_repo/api/
  * @returns {Function} Remix loader function
  */
 export function remixRepoMdLoader(options = {}) {
@@ -35,6 +37,8 @@ export function remixRepoMdLoader(options = {}) {
     r2Url: config.r2Url,
     cacheMaxAge: config.cacheMaxAge,
     debug: config.debug,
+    imageTransforms: config.imageTransforms,
+    contentApi: config.contentApi,
   });
   
   return proxyConfig.toRemixLoader();
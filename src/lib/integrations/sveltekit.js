@@ -4,7 +4,9 @@
  */
 
 import { UnifiedProxyConfig } from '../proxy/UnifiedProxyConfig.js';
-import { parseMediaPath, proxyFetch, handleProxyError, createResponseHeaders, debugLog } from '../proxy/nodeUtils.js';
+import { createRequestHandler } from '../proxy/requestHandler.js';
+import { createFeedRequestHandler } from '../feeds/index.js';
+import { createSitemapRequestHandler } from '../sitemap/index.js';
 
 /**
  * Create a SvelteKit handle function for RepoMD media proxy
@@ -18,51 +20,11 @@ export function svelteKitRepoMdHandle(projectId, options = {}) {
     ...options,
   });
 
-  return async ({ event, resolve }) => {
-    const mediaPath = parseMediaPath(event.url.pathname, config.mediaUrlPrefix);
-    
-    if (!mediaPath) {
-      // Not a media request, continue with normal handling
-      return resolve(event);
-    }
-
-    debugLog(config.debug, `SvelteKit proxy: ${event.url.pathname}`);
-
-    try {
-      const targetUrl = config.getTargetUrl(mediaPath);
-      const response = await proxyFetch(targetUrl, {
-        method: event.request.method,
-        headers: event.request.headers,
-      });
-
-      const headers = response.ok 
-        ? createResponseHeaders(response.headers, config.getCacheHeaders())
-        : createResponseHeaders(response.headers, config.getErrorCacheHeaders());
-
-      // Convert headers object to Headers instance
-      const responseHeaders = new Headers();
-      Object.entries(headers).forEach(([key, value]) => {
-        responseHeaders.set(key, value);
-      });
-
-      return new Response(response.body, {
-        status: response.status,
-        statusText: response.statusText,
-        headers: responseHeaders,
-      });
-    } catch (error) {
-      const errorResponse = handleProxyError(error, config.getErrorCacheHeaders(), config.debug);
-      
-      const errorHeaders = new Headers();
-      Object.entries(errorResponse.headers).forEach(([key, value]) => {
-        errorHeaders.set(key, value);
-      });
+  const handler = createRequestHandler(config);
 
-      return new Response(errorResponse.body, {
-        status: errorResponse.status,
-        headers: errorHeaders,
-      });
-    }
+  return async ({ event, resolve }) => {
+    // Media requests are answered by the shared handler, the others continue with normal handling
+    return (await handler.handle(event.request)) ?? resolve(event);
   };
 }
 
@@ -79,50 +41,32 @@ export function svelteKitRepoMdSequenceHandle(projectId, options = {}) {
     ...options,
   });
 
-  return async ({ event, resolve }) => {
-    const mediaPath = parseMediaPath(event.url.pathname, config.mediaUrlPrefix);
-    
-    if (!mediaPath) {
-      // Not a media request, pass through
-      return resolve(event);
-    }
-
-    // Handle media request
-    debugLog(config.debug, `SvelteKit proxy (sequence): ${event.url.pathname}`);
-
-    try {
-      const targetUrl = config.getTargetUrl(mediaPath);
-      const response = await proxyFetch(targetUrl, {
-        method: event.request.method,
-        headers: event.request.headers,
-      });
-
-      const headers = response.ok 
-        ? createResponseHeaders(response.headers, config.getCacheHeaders())
-        : createResponseHeaders(response.headers, config.getErrorCacheHeaders());
+  const handler = createRequestHandler(config);
 
-      const responseHeaders = new Headers();
-      Object.entries(headers).forEach(([key, value]) => {
-        responseHeaders.set(key, value);
-      });
+  return async ({ event, resolve }) => {
+    // Media requests are answered by the shared handler, the others pass through to the next handle
+    return (await handler.handle(event.request)) ?? resolve(event);
+  };
+}
 
-      return new Response(response.body, {
-        status: response.status,
-        statusText: response.statusText,
-        headers: responseHeaders,
-      });
-    } catch (error) {
-      const errorResponse = handleProxyError(error, config.getErrorCacheHeaders(), config.debug);
-      
-      const errorHeaders = new Headers();
-      Object.entries(errorResponse.headers).forEach(([key, value]) => {
-        errorHeaders.set(key, value);
-      });
+/**
+ * Create a SvelteKit endpoint serving a feed of the posts
+ * Usage in src/routes/feed.xml/+server.js: export const GET = svelteKitRepoMdFeed(repo, { format: 'rss' })
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - generateFeed options (siteUrl defaults to the request origin)
+ * @returns {Function} SvelteKit RequestHandler
+ */
+export function svelteKitRepoMdFeed(repo, options = {}) {
+  return createFeedRequestHandler(repo, options);
+}
 
-      return new Response(errorResponse.body, {
-        status: errorResponse.status,
-        headers: errorHeaders,
-      });
-    }
-  };
-}
\ No newline at end of file
+/**
+ * Create a SvelteKit endpoint serving sitemap.xml, its pages and robots.txt
+ * Usage in src/routes/sitemap.xml/+server.js: export const GET = svelteKitRepoMdSitemap(repo)
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - generateSitemap options (baseUrl defaults to the request origin)
+ * @returns {Function} SvelteKit RequestHandler
+ */
+export function svelteKitRepoMdSitemap(repo, options = {}) {
+  return createSitemapRequestHandler(repo, options);
+}
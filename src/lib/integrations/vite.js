@@ -4,6 +4,7 @@
  */
 
 import { UnifiedProxyConfig } from '../proxy/UnifiedProxyConfig.js';
+import { createRequestHandler, handleNodeRequest } from '../proxy/requestHandler.js';
 import { getProjectIdFromEnv } from '../utils/env.js';
 
 /**
@@ -41,9 +42,10 @@ export function viteRepoMdProxy(options = {}) {
 }
 
 /**
- * Create a Vite plugin for RepoMD (future enhancement)
- * This could provide additional features beyond just proxy
+ * Create a Vite plugin for RepoMD
+ * Proxies the media, and serves the content API on the dev server when enabled
  * @param {Object|string} options - Configuration options or project ID string
+ * @param {boolean|Object} [options.contentApi] - true or createContentApi options, serves /_repo/api/
  * @returns {Object} Vite plugin object
  */
 export function viteRepoMdPlugin(options = {}) {
@@ -56,10 +58,27 @@ export function viteRepoMdPlugin(options = {}) {
   return {
     name: 'vite-plugin-repo-md',
     configureServer(server) {
-      // Could add custom middleware here if needed
       if (config.debug) {
         console.log(`RepoMD: Vite plugin loaded for project ${projectId}`);
       }
+
+      // The content API needs a server: the dev server answers it with the shared request handler
+      if (config.contentApi) {
+        const handler = createRequestHandler(new UnifiedProxyConfig({
+          projectId,
+          mediaUrlPrefix: config.mediaUrlPrefix,
+          r2Url: config.r2Url,
+          cacheMaxAge: config.cacheMaxAge,
+          debug: config.debug,
+          contentApi: config.contentApi,
+        }));
+
+        server.middlewares.use(async (req, res, next) => {
+          if (!(await handleNodeRequest(handler, req, res))) {
+            next();
+          }
+        });
+      }
     },
     config() {
       // Return Vite config with proxy
@@ -8,12 +8,34 @@ import { handleCloudflareRequest as handleMediaRequest } from '../mediaProxy.js'
 
 const prefix = LOG_PREFIXES.REPO_MD;
 
+// "/_repo/medias/<hash>-md.webp" or "<hash>.png" -> "<hash>"
+const MEDIA_FILE_PATTERN = /^(?:.*\/)?([a-f0-9]{64})(?:-(?:xs|sm|md|lg|xl))?(?:\.[a-z0-9]+)?$/i;
+
+/**
+ * Normalize a vault path for lookups ("![[Folder/Image.png|300]]" -> "folder/image.png")
+ * @param {string} path - Original vault path, embed or URL-encoded path
+ * @returns {string} - Lookup key
+ */
+function normalizeMediaPath(path) {
+  let value = String(path).trim().replace(/^!?\[\[|\]\]$/g, '').split('|')[0];
+  try {
+    value = decodeURIComponent(value);
+  } catch {
+    // Keep the raw value when it isn't URI-encoded
+  }
+  return value.replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '').toLowerCase();
+}
+
 /**
  * Create a media handling service
  * @param {Object} config - Configuration object
  * @param {Function} config.fetchR2Json - Function to fetch JSON from R2
  * @param {Function} config.getProjectUrl - Function to get project URL
+ * @param {Function} config.getSharedFolderUrl - Function to get shared folder URLs
  * @param {Function} config.getRevisionUrl - Function to get revision URL (async)
+ * @param {Function} config._fetchMapData - Function to fetch map data
+ * @param {Function} config.getUsedMedia - Function(slugOrHash) returning the media nodes used by a post
+ * @param {Function} config.getPostsUsingMedia - Function(hash) returning the posts using a media
  * @param {boolean} config.debug - Whether to log debug info
  * @returns {Object} - Media handling functions
  */
@@ -21,17 +43,27 @@ export function createMediaHandler(config) {
   const {
     fetchR2Json,
     getProjectUrl,
+    getSharedFolderUrl,
     getRevisionUrl,
+    _fetchMapData,
+    getUsedMedia,
+    getPostsUsingMedia: getGraphPostsUsingMedia,
     debug = false
   } = config;
 
+  // Lookup indexes, built on first use and dropped on revision changes
+  let mediaIndexCache = null;
+  let pathIndexCache = null;
+
   /**
    * Get URL for a media asset
    * @param {string} path - Media asset path
    * @returns {Promise<string>} - Full URL to media asset
    */
   async function getMediaUrl(path) {
-    const url = getProjectUrl(`/_shared/medias/${path}`);
+    const url = getSharedFolderUrl
+      ? getSharedFolderUrl(`/medias/${path}`)
+      : getProjectUrl(`/_shared/medias/${path}`);
     
     if (debug) {
       console.log(`${prefix} 🔗 Generated media URL: ${url}`);
@@ -76,6 +108,137 @@ export function createMediaHandler(config) {
     return await getAllMedia(useCache);
   }
 
+  /**
+   * Index the medias.json entries by hash, with the URLs of media-hash-url-map.json
+   * @returns {Promise<Map<string, Object>>} - Media by hash
+   */
+  async function _getMediaIndex() {
+    const [data, urls] = await Promise.all([
+      getAllMedia(),
+      _fetchMapData('/media-hash-url-map.json', {}),
+    ]);
+    if (mediaIndexCache && mediaIndexCache.data === data && mediaIndexCache.urls === urls) {
+      return mediaIndexCache.index;
+    }
+
+    const index = new Map();
+    for (const entry of Array.isArray(data) ? data : []) {
+      const hash = entry.metadata?.hash || String(entry.hashPath || '').replace(/\.[^.]+$/, '');
+      if (hash) {
+        index.set(hash, { ...entry, hash, url: urls?.[hash] || null });
+      }
+    }
+    mediaIndexCache = { data, urls, index };
+
+    if (debug) {
+      console.log(`${prefix} 🗂️ Indexed ${index.size} media by hash`);
+    }
+    return index;
+  }
+
+  /**
+   * Index media-path-hash-map.json by normalized path and by file name
+   * @returns {Promise<{byPath: Map<string, string>, byFileName: Map<string, Set<string>>}>} - Hashes
+   */
+  async function _getPathIndex() {
+    const data = await _fetchMapData('/media-path-hash-map.json', {});
+    if (pathIndexCache && pathIndexCache.data === data) {
+      return pathIndexCache.index;
+    }
+
+    const byPath = new Map();
+    const byFileName = new Map();
+    for (const [path, hash] of Object.entries(data || {})) {
+      const key = normalizeMediaPath(path);
+      byPath.set(key, hash);
+      const fileName = key.split('/').pop();
+      if (!byFileName.has(fileName)) byFileName.set(fileName, new Set());
+      byFileName.get(fileName).add(hash);
+    }
+    pathIndexCache = { data, index: { byPath, byFileName } };
+    return pathIndexCache.index;
+  }
+
+  /**
+   * Resolve a media hash from a hash, a media URL or an original vault path
+   * Vault paths fall back to the file name when it is unique, like Obsidian embeds
+   * @param {string} hashOrPath - Hash, "/_repo/medias/<hash>-md.webp", or "folder/image.png"
+   * @returns {Promise<string|null>} - Media hash
+   */
+  async function resolveMediaHash(hashOrPath) {
+    if (!hashOrPath) return null;
+
+    const fileHash = String(hashOrPath).match(MEDIA_FILE_PATTERN)?.[1];
+    if (fileHash && (await _getMediaIndex()).has(fileHash)) return fileHash;
+
+    const { byPath, byFileName } = await _getPathIndex();
+    const key = normalizeMediaPath(hashOrPath);
+    if (byPath.has(key)) return byPath.get(key);
+
+    const candidates = byFileName.get(key.split('/').pop());
+    if (candidates?.size === 1) return [...candidates][0];
+
+    if (debug) {
+      console.log(
+        `${prefix} ⚠️ No media found for ${hashOrPath}${candidates?.size > 1 ? ' (ambiguous file name)' : ''}`
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Get a media by hash
+   * @param {string} hash - Media hash
+   * @returns {Promise<Object|null>} - medias.json entry with its hash and URL, null when unknown
+   */
+  async function getMediaByHash(hash) {
+    if (!hash) return null;
+    return (await _getMediaIndex()).get(hash) || null;
+  }
+
+  /**
+   * Get a media by its original vault path (e.g. "Pasted image 20250429154120.png")
+   * @param {string} path - Original path, embed, media URL or hash path
+   * @returns {Promise<Object|null>} - medias.json entry with its hash and URL, null when unknown
+   */
+  async function getMediaByPath(path) {
+    return await getMediaByHash(await resolveMediaHash(path));
+  }
+
+  /**
+   * Get the media used by a post, from the graph edges (e.g. POST_USE_IMAGE)
+   * @param {string} slugOrHash - Post slug or hash
+   * @returns {Promise<Array<Object>>} - medias.json entries with the edge type, in post order
+   */
+  async function getMediaForPost(slugOrHash) {
+    const nodes = await getUsedMedia(slugOrHash);
+    const index = await _getMediaIndex();
+    return nodes
+      .filter((node) => index.has(node.id))
+      .map((node) => ({ ...index.get(node.id), edgeType: node.edgeType }));
+  }
+
+  /**
+   * Get the posts using a media
+   * @param {string} hashOrPath - Media hash, media URL or original vault path
+   * @returns {Promise<Array<Object>>} - Visible posts, carrying the edge type
+   */
+  async function getPostsUsingMedia(hashOrPath) {
+    const hash = await resolveMediaHash(hashOrPath);
+    return hash ? await getGraphPostsUsingMedia(hash) : [];
+  }
+
+  /**
+   * Drop the media lookup indexes (e.g. after a new revision)
+   */
+  function clearMediaCache() {
+    mediaIndexCache = null;
+    pathIndexCache = null;
+    if (debug) {
+      console.log(`${prefix} 🧹 Cleared media lookup indexes`);
+    }
+  }
+
   /**
    * Handle a Cloudflare request for media assets
    * @param {Object} request - Cloudflare request object
@@ -99,6 +262,12 @@ export function createMediaHandler(config) {
     getAllMedias,
     getAllMedia,
     getMediaItems,
+    getMediaByHash,
+    getMediaByPath,
+    getMediaForPost,
+    getPostsUsingMedia,
+    resolveMediaHash,
+    clearMediaCache,
     handleCloudflareRequest,
   };
 }
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * Responsive images module for RepoMD
+ * Builds srcset/sizes, <picture> sources and placeholders from the medias.json size variants
+ */
+
+import { LOG_PREFIXES } from '../logger.js';
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+// Source order in <picture>, the browser picks the first supported type
+export const DEFAULT_IMAGE_FORMATS = ['avif', 'webp', 'jpeg', 'png'];
+
+// Size variants generated by the build, smallest first
+const SIZE_NAMES = ['xs', 'sm', 'md', 'lg', 'xl'];
+
+/**
+ * Group the renditions of a media by format, smallest first
+ * @param {Object} media - Entry of medias.json
+ * @returns {Map<string, Array<Object>>} - Renditions by format ({path, width, height, size, bytes}), one per width
+ */
+export function getRenditionsByFormat(media) {
+  const byFormat = new Map();
+  for (const [size, renditions] of Object.entries(media?.sizes || {})) {
+    for (const { format, publicPath, width, height, size: bytes } of renditions || []) {
+      if (!format || !publicPath || !width) continue;
+      if (!byFormat.has(format)) byFormat.set(format, []);
+      byFormat.get(format).push({ path: publicPath, width, height, size, bytes });
+    }
+  }
+  // Small originals get identical widths in several sizes, keep the first of each width
+  for (const [format, renditions] of byFormat) {
+    renditions.sort((a, b) => a.width - b.width || SIZE_NAMES.indexOf(a.size) - SIZE_NAMES.indexOf(b.size));
+    byFormat.set(
+      format,
+      renditions.filter((rendition, index) => index === 0 || rendition.width !== renditions[index - 1].width)
+    );
+  }
+  return byFormat;
+}
+
+/**
+ * Pick the smallest rendition covering a width, or the largest one
+ * @param {Array<Object>} renditions - Renditions of one format, smallest first
+ * @param {number} width - Rendered width in CSS pixels (already multiplied by the density)
+ * @returns {Object|null} - Rendition
+ */
+function pickRendition(renditions, width) {
+  if (!renditions?.length) return null;
+  if (!width) return renditions[renditions.length - 1];
+  return renditions.find((rendition) => rendition.width >= width) || renditions[renditions.length - 1];
+}
+
+/**
+ * Read the placeholder fields of a media entry
+ * @param {Object} media - Entry of medias.json
+ * @returns {{dominantColor: string|null, blurhash: string|null}|null} - Placeholder, null without metadata
+ */
+function getPlaceholder(media) {
+  const sources = [media.metadata || {}, media];
+  const pick = (...keys) => {
+    for (const source of sources) {
+      for (const key of keys) {
+        if (source[key]) return source[key];
+      }
+    }
+    return null;
+  };
+  const dominantColor = pick('dominantColor', 'dominant_color', 'color');
+  const blurhash = pick('blurhash', 'blurHash');
+  return dominantColor || blurhash ? { dominantColor, blurhash } : null;
+}
+
+/**
+ * Create the responsive images service
+ * @param {Object} config - Configuration object
+ * @param {Function} config.resolveMediaHash - Function resolving a hash, media URL or vault path to a media hash
+ * @param {Function} config.getMediaByHash - Function returning the medias.json entry of a hash
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Image functions
+ */
+export function createImageHelpers(config) {
+  const { resolveMediaHash, getMediaByHash, debug = false } = config;
+
+  /**
+   * Get the responsive image data of a media
+   * @param {string} hashOrPath - Media hash, media URL or original vault path
+   * @param {Object} options - Image options
+   * @param {number} options.width - Rendered width in CSS pixels, used to pick src and best
+   * @param {number} options.density - Pixel density applied to width (default 1)
+   * @param {string} options.sizes - sizes attribute (default "100vw", or "<width>px" when width is set)
+   * @param {Array<string>} options.formats - Formats in <source> order (default avif, webp, jpeg, png)
+   * @param {string} options.baseUrl - Prefix of the rendition URLs (default none, paths stay "/_repo/medias/...")
+   * @returns {Promise<Object|null>} - Image data, null when the media isn't found
+   */
+  async function getImage(hashOrPath, options = {}) {
+    const { width = null, density = 1, formats = DEFAULT_IMAGE_FORMATS, baseUrl = '' } = options;
+    const sizes = options.sizes || (width ? `(max-width: ${width}px) 100vw, ${width}px` : '100vw');
+
+    const hash = await resolveMediaHash(hashOrPath);
+    const media = await getMediaByHash(hash);
+    if (!media) return null;
+
+    const url = (path) => `${baseUrl.replace(/\/$/, '')}${path}`;
+    const byFormat = getRenditionsByFormat(media);
+    const preferred = formats.filter((format) => byFormat.has(format));
+    const available = preferred.length ? preferred : [...byFormat.keys()];
+    const toSrcset = (format) =>
+      byFormat.get(format).map((rendition) => `${url(rendition.path)} ${rendition.width}w`).join(', ');
+
+    // The <img> keeps the most compatible format, the others become <source> elements
+    const fallbackFormat = available[available.length - 1] || null;
+    const fallback = fallbackFormat ? byFormat.get(fallbackFormat) : [];
+    const largest = fallback[fallback.length - 1];
+
+    const intrinsicWidth = media.metadata?.width || largest?.width || null;
+    const intrinsicHeight = media.metadata?.height || largest?.height || null;
+
+    const variants = available.flatMap((format) =>
+      byFormat.get(format).map((rendition) => ({
+        size: rendition.size,
+        format,
+        type: `image/${format}`,
+        width: rendition.width,
+        height: rendition.height,
+        url: url(rendition.path),
+        bytes: rendition.bytes ?? null,
+      }))
+    );
+
+    const targetWidth = width ? Math.ceil(width * density) : null;
+    const bestFormat = available[0] || null;
+    const best = bestFormat ? pickRendition(byFormat.get(bestFormat), targetWidth) : null;
+    const src = pickRendition(fallback, targetWidth);
+
+    if (debug) {
+      console.log(`${prefix} 🖼️ Built responsive image for ${hash} (${variants.length} variants)`);
+    }
+
+    return {
+      hash,
+      originalPath: media.originalPath || null,
+      fileName: media.fileName || null,
+      mimeType: media.mimeType || null,
+      width: intrinsicWidth,
+      height: intrinsicHeight,
+      aspectRatio: intrinsicWidth && intrinsicHeight ? intrinsicWidth / intrinsicHeight : null,
+      src: src ? url(src.path) : null,
+      srcset: fallbackFormat ? toSrcset(fallbackFormat) : '',
+      sizes,
+      type: fallbackFormat ? `image/${fallbackFormat}` : null,
+      sources: available.slice(0, -1).map((format) => ({
+        type: `image/${format}`,
+        srcset: toSrcset(format),
+        sizes,
+      })),
+      variants,
+      best: best
+        ? variants.find((variant) => variant.format === bestFormat && variant.url === url(best.path))
+        : null,
+      placeholder: getPlaceholder(media),
+    };
+  }
+
+  return {
+    getImage,
+    resolveMediaHash,
+  };
+}
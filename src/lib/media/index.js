@@ -3,9 +3,13 @@
  */
 
 import { createMediaHandler } from './handler.js';
+import { createImageHelpers, getRenditionsByFormat, DEFAULT_IMAGE_FORMATS } from './images.js';
 import { handleCloudflareRequest } from '../mediaProxy.js';
 
 export {
   createMediaHandler,
+  createImageHelpers,
+  getRenditionsByFormat,
+  DEFAULT_IMAGE_FORMATS,
   handleCloudflareRequest,
 };
\ No newline at end of file
@@ -2,6 +2,7 @@
  * Media proxy service for handling media asset requests
  */
 import { LOG_PREFIXES } from "./logger.js";
+import { createMediaResponse, getOriginRequestHeaders } from "./proxy/mediaResponse.js";
 
 const MEDIA_URL_PREFIX = "/_repo/medias/";
 const DEBUG = true;
@@ -57,49 +58,28 @@ function findProbableMimeType(path) {
   return mimeTypes[ext] || "application/octet-stream";
 }
 
-// Helper function to create browser-friendly headers
-function createBrowserFriendlyHeaders(originalHeaders, mediaPath) {
-  const newHeaders = new Headers(originalHeaders);
-
-  // Get content type from original headers or determine from file extension
-  let contentType = originalHeaders.get("Content-Type");
-  if (DEBUG)
-    console.log(
-      `${prefix} 📎 Content-Type from original headers: ${contentType}`
-    );
-  if (!contentType || contentType === "application/octet-stream") {
-    contentType = findProbableMimeType(mediaPath);
-  }
-
-  // Set content type
-  newHeaders.set("Content-Type", contentType);
-  if (DEBUG)
-    console.log(`${prefix} 📎 Determined Content-Type: ${contentType}`);
-
-  // Remove or set Content-Disposition to inline for browser display
-  newHeaders.delete("Content-Disposition");
-
-  // For certain file types, you might want to force download
-  // Uncomment if needed:
-  // const forceDownloadTypes = ['zip', 'rar', '7z', 'tar', 'gz'];
-  // const ext = mediaPath.split('.').pop().toLowerCase();
-  // if (forceDownloadTypes.includes(ext)) {
-  //   newHeaders.set('Content-Disposition', 'attachment');
-  // }
-
-  // Set cache control for immutable R2 URLs
-  // R2 URLs are immutable, so we can cache them for a very long time
+// Cache headers of successful responses
+// R2 URLs are immutable, so we can cache them for a very long time
+function getBrowserCacheHeaders() {
   const oneYear = 31536000; // seconds in a year
-  newHeaders.set("Cache-Control", `public, max-age=${oneYear}, immutable`);
 
   // Add Expires header for backwards compatibility
   const expiresDate = new Date();
   expiresDate.setFullYear(expiresDate.getFullYear() + 1);
-  newHeaders.set("Expires", expiresDate.toUTCString());
 
-  return newHeaders;
+  return {
+    "Cache-Control": `public, max-age=${oneYear}, immutable`,
+    Expires: expiresDate.toUTCString(),
+  };
 }
 
+// Cache headers of error responses
+const ERROR_CACHE_HEADERS = {
+  "Cache-Control": "no-cache, no-store, must-revalidate",
+  Expires: "0",
+  Pragma: "no-cache",
+};
+
 // Unified handler for Cloudflare requests - NOT used in static.repo.md worker
 
 export async function handleCloudflareRequest(request, getR2MediaUrl) {
@@ -148,11 +128,11 @@ export async function handleCloudflareRequest(request, getR2MediaUrl) {
     );
   }
 
-  // Create and send the asset request
+  // Only the range, conditional and content negotiation headers go to the asset server
+  const method = request.method === "HEAD" ? "HEAD" : "GET";
   const assetRequest = new Request(r2Url, {
-    method: request.method,
-    headers: request.headers,
-    body: request.body,
+    method,
+    headers: getOriginRequestHeaders(request.headers),
     redirect: request.redirect,
   });
 
@@ -169,38 +149,24 @@ export async function handleCloudflareRequest(request, getR2MediaUrl) {
       );
     }
 
-    // Create browser-friendly headers
-    const headers = createBrowserFriendlyHeaders(response.headers, mediaPath);
+    // 206/304/416 from the asset server or synthesized here, no body for HEAD
+    // The content type falls back to the file extension for inline display in browsers
+    const mediaResponse = createMediaResponse(request, response, {
+      cacheHeaders: getBrowserCacheHeaders(),
+      errorCacheHeaders: ERROR_CACHE_HEADERS,
+      contentType: findProbableMimeType(mediaPath),
+    });
+    mediaResponse.headers.delete("Content-Disposition");
 
     // Calculate total processing time
     const totalDuration = (performance.now() - startTime).toFixed(2);
     if (DEBUG) {
       console.log(
-        `${prefix} ⏱️ Total media proxy time: ${totalDuration}ms for ${mediaPath}`
+        `${prefix} ⏱️ Total media proxy time: ${totalDuration}ms for ${mediaPath} (${mediaResponse.status})`
       );
     }
 
-    // Check if response is an error
-    if (response.status >= 400) {
-      // For errors, set no-cache headers
-      const errorHeaders = new Headers(headers);
-      errorHeaders.set("Cache-Control", "no-cache, no-store, must-revalidate");
-      errorHeaders.set("Expires", "0");
-      errorHeaders.set("Pragma", "no-cache");
-
-      return new Response(response.body, {
-        status: response.status,
-        statusText: response.statusText,
-        headers: errorHeaders,
-      });
-    }
-
-    // Return the response with browser-friendly headers
-    return new Response(response.body, {
-      status: response.status,
-      statusText: response.statusText,
-      headers: headers,
-    });
+    return mediaResponse;
   } catch (error) {
     const errorDuration = (performance.now() - startTime).toFixed(2);
     console.error(
@@ -209,10 +175,7 @@ export async function handleCloudflareRequest(request, getR2MediaUrl) {
     );
 
     // Create error response with no-cache headers
-    const errorHeaders = new Headers();
-    errorHeaders.set("Cache-Control", "no-cache, no-store, must-revalidate");
-    errorHeaders.set("Expires", "0");
-    errorHeaders.set("Pragma", "no-cache");
+    const errorHeaders = new Headers(ERROR_CACHE_HEADERS);
     errorHeaders.set("Content-Type", "text/plain");
 
     return new Response("Asset not found", {
@@ -4,11 +4,13 @@
  */
 
 import { UnifiedProxyConfig } from '../proxy/UnifiedProxyConfig.js';
+import { createRequestHandler } from '../proxy/requestHandler.js';
 
 export class RepoNextMiddleware {
   constructor(options) {
     // Let UnifiedProxyConfig handle all defaults
     this.config = new UnifiedProxyConfig(options);
+    this.handler = createRequestHandler(this.config);
   }
 
   /**
@@ -17,59 +19,19 @@ export class RepoNextMiddleware {
    * @returns {Promise<Response | any>}
    */
   async handle(request) {
-    const url = request.nextUrl;
-    
-    // Check if this is a repo media request
-    if (!url.pathname.startsWith(this.config.mediaUrlPrefix)) {
-      // Try to get NextResponse from global scope (provided by Next.js runtime)
-      if (typeof NextResponse !== 'undefined') {
-        return NextResponse.next();
-      }
-      // Fallback for non-Next.js environments
-      return new Response(null, { status: 404 });
+    // Range, conditional and HEAD requests are answered by the shared handler
+    const response = await this.handler.handle(request);
+    if (response) {
+      return response;
     }
 
-    // Extract the media path
-    const mediaPath = url.pathname.replace(this.config.mediaUrlPrefix, '');
-    const targetUrl = this.config.getTargetUrl(mediaPath);
-    
-    this.config.log(`Next.js middleware proxying: ${url.pathname} → ${targetUrl}`);
-    
-    try {
-      // Proxy the request to the CDN
-      const response = await fetch(targetUrl, {
-        method: request.method,
-        headers: request.headers,
-      });
-      
-      // Create a new response with the proxied content
-      const modifiedResponse = new Response(response.body, {
-        status: response.status,
-        statusText: response.statusText,
-        headers: response.headers,
-      });
-      
-      // Add appropriate cache headers
-      const cacheHeaders = response.ok 
-        ? this.config.getCacheHeaders() 
-        : this.config.getErrorCacheHeaders();
-      
-      for (const [key, value] of Object.entries(cacheHeaders)) {
-        modifiedResponse.headers.set(key, value);
-      }
-      
-      return modifiedResponse;
-    } catch (error) {
-      this.config.log(`Next.js middleware proxy error: ${error.message}`);
-      
-      const headers = new Headers(this.config.getErrorCacheHeaders());
-      headers.set('Content-Type', 'text/plain');
-      
-      return new Response('Proxy error', { 
-        status: 502,
-        headers,
-      });
+    // Not a repo media request
+    // Try to get NextResponse from global scope (provided by Next.js runtime)
+    if (typeof NextResponse !== 'undefined') {
+      return NextResponse.next();
     }
+    // Fallback for non-Next.js environments
+    return new Response(null, { status: 404 });
   }
 
   /**
@@ -73,9 +73,12 @@
  * - **Dynamic Routing**: Supports all 51+ RepoMD methods without hardcoding
  * - **Type Safety**: Invalid parameters are caught before method execution
  * - **OpenAI Compatible**: Works with OpenAI's function calling API format
+ * - **Visibility-Aware**: Posts hidden by the RepoMD visibility policy never reach the model,
+ *   methods returning raw unfiltered data are refused unless the instance is in preview mode
  */
 
 import { schemas } from "../schemas/schemas.js";
+import { UNFILTERED_METHODS } from "../posts/visibility.js";
 
 /**
  * Convert OpenAI parameters object to method arguments array using schema definitions
@@ -144,6 +147,16 @@ export const createOpenAiToolHandler = (repoMD) => {
         throw new Error(`Method ${name} not found on RepoMD instance`);
       }
 
+      // Preview mode is only enabled by the application, never by the model
+      if (name === 'enablePreview') {
+        throw new Error('Preview mode cannot be enabled through tool calls');
+      }
+
+      // Raw files, SQL and embeddings would expose posts hidden by the visibility policy
+      if (UNFILTERED_METHODS.includes(name) && (await repoMD.hasHiddenPosts?.())) {
+        throw new Error(`Method ${name} is unavailable while the visibility policy hides posts`);
+      }
+
       // Convert parameters object to array of arguments
       const methodArgs = convertParametersToArgs(name, parsedArgs);
       
@@ -0,0 +1,171 @@
+/**
+ * Search facets and snippets for RepoMD
+ * Facet values (tags, folders, years, frontmatter fields), facet counts and highlighted snippets of the plain text
+ */
+
+import { getPostField } from "./query.js";
+
+// Facets computed from other fields, any other facet is a post or frontmatter field
+const COMPUTED_FACETS = {
+  // Folder of the source file and its parents ("projects/2024/a.md" → ["/projects", "/projects/2024"])
+  folder: (post) => {
+    const segments = String(post.originalFilePath || "").split("/").slice(0, -1).filter(Boolean);
+    if (!segments.length) return ["/"];
+    return segments.map((_, index) => `/${segments.slice(0, index + 1).join("/")}`);
+  },
+  year: (post) => {
+    const date = getPostField(post, "date");
+    const time = date ? new Date(date).getTime() : NaN;
+    return Number.isNaN(time) ? undefined : String(new Date(time).getUTCFullYear());
+  },
+};
+
+// Snippets are cut at the last word boundary within this many characters
+const WORD_BOUNDARY_LOOKAHEAD = 30;
+
+/**
+ * Read a facet value of a post
+ * @param {Object} post - Post object
+ * @param {string} facet - "folder", "year", or a post/frontmatter field ("tags", "category", "author.name")
+ * @returns {any} - Value, array of values, or undefined
+ */
+export function getFacetValue(post, facet) {
+  return COMPUTED_FACETS[facet] ? COMPUTED_FACETS[facet](post) : getPostField(post, facet);
+}
+
+/**
+ * Count the values of a facet
+ * Array values (tags, folders) count once per item
+ * @param {Array} posts - Posts to count
+ * @param {string} facet - Facet name (see getFacetValue)
+ * @param {number} limit - Max number of values (0 for all)
+ * @returns {Array<{value: any, count: number}>} - Values, most frequent first
+ */
+export function countFacetValues(posts, facet, limit = 0) {
+  const counts = new Map(); // String(value) -> { value, count }
+
+  for (const post of posts) {
+    const values = new Set([].concat(getFacetValue(post, facet) ?? []));
+    for (const value of values) {
+      if (value === null || value === "" || typeof value === "object") continue;
+      const key = String(value);
+      const entry = counts.get(key) || { value, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    }
+  }
+
+  const sorted = [...counts.values()].sort(
+    (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value))
+  );
+  return limit > 0 ? sorted.slice(0, limit) : sorted;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Find the whole-word occurrences of terms in a text
+ * @param {string} text - Text to search
+ * @param {Array<string>} terms - Matched terms (MiniSearch result terms)
+ * @returns {Array<{term: string, start: number, end: number}>} - Occurrences, in text order
+ */
+export function findTermOffsets(text, terms = []) {
+  const words = [...new Set(terms.filter(Boolean))].sort((a, b) => b.length - a.length);
+  if (!text || !words.length) return [];
+
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${words.map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}])`,
+    "giu"
+  );
+  return [...text.matchAll(pattern)].map((match) => ({
+    term: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+/**
+ * Build a snippet of a text around its densest group of matches
+ * @param {string} text - Source text (post plain text)
+ * @param {Array<string>} terms - Matched terms
+ * @param {Object} options - Snippet options
+ * @param {number} options.length - Max snippet length in characters
+ * @param {string} options.highlightTag - HTML tag wrapping the matches in the html version
+ * @returns {Object} - { text, html, offset, matches: [{ term, start, end }], truncatedStart, truncatedEnd }
+ *   Match offsets are relative to the snippet, offset is the snippet position in the source text
+ */
+export function createSnippet(text, terms = [], options = {}) {
+  const { length = 200, highlightTag = "mark" } = options;
+  const source = String(text || "");
+  const occurrences = findTermOffsets(source, terms);
+
+  // Window starting a quarter length before the match followed by the most other matches
+  let start = 0;
+  if (occurrences.length && source.length > length) {
+    let best = occurrences[0];
+    let bestCount = 0;
+    for (const occurrence of occurrences) {
+      const count = occurrences.filter(
+        (other) => other.start >= occurrence.start && other.end <= occurrence.start + length * 0.75
+      ).length;
+      if (count > bestCount) {
+        best = occurrence;
+        bestCount = count;
+      }
+    }
+    start = Math.max(0, Math.min(best.start - Math.floor(length / 4), source.length - length));
+    if (start > 0) {
+      const space = source.indexOf(" ", start);
+      if (space !== -1 && space < best.start && space - start < WORD_BOUNDARY_LOOKAHEAD) {
+        start = space + 1;
+      }
+    }
+  }
+
+  let end = Math.min(source.length, start + length);
+  if (end < source.length) {
+    const space = source.lastIndexOf(" ", end);
+    if (space > start && end - space < WORD_BOUNDARY_LOOKAHEAD) {
+      end = space;
+    }
+  }
+
+  const snippet = source.slice(start, end);
+  const matches = occurrences
+    .filter((occurrence) => occurrence.start >= start && occurrence.end <= end)
+    .map((occurrence) => ({
+      term: occurrence.term,
+      start: occurrence.start - start,
+      end: occurrence.end - start,
+    }));
+
+  // HTML version: escaped text with highlighted matches and ellipses
+  let html = "";
+  let cursor = 0;
+  for (const match of matches) {
+    html += escapeHtml(snippet.slice(cursor, match.start));
+    html += `<${highlightTag}>${escapeHtml(snippet.slice(match.start, match.end))}</${highlightTag}>`;
+    cursor = match.end;
+  }
+  html += escapeHtml(snippet.slice(cursor));
+
+  return {
+    text: snippet,
+    html: `${start > 0 ? "…" : ""}${html}${end < source.length ? "…" : ""}`,
+    offset: start,
+    matches,
+    truncatedStart: start > 0,
+    truncatedEnd: end < source.length,
+  };
+}
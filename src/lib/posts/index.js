@@ -5,9 +5,15 @@
 import { createPostRetrieval } from './retrieval.js';
 import { createPostSimilarity } from './similarity.js';
 import { createPostSearch } from './search.js';
+import { createPostTaxonomy } from './taxonomy.js';
+import { createVisibilityPolicy, DEFAULT_VISIBILITY, UNFILTERED_METHODS } from './visibility.js';
 
 export {
   createPostRetrieval,
   createPostSimilarity,
   createPostSearch,
+  createPostTaxonomy,
+  createVisibilityPolicy,
+  DEFAULT_VISIBILITY,
+  UNFILTERED_METHODS,
 };
\ No newline at end of file
@@ -0,0 +1,206 @@
+/**
+ * Post query helpers for RepoMD
+ * Filtering, multi-key sorting, pagination cursors and field projection over post arrays
+ */
+
+// Operators accepted in a where clause ({ field: { gte: 3 } })
+const OPERATORS = ["eq", "ne", "in", "nin", "gt", "gte", "lt", "lte", "exists", "contains"];
+
+// Dates in frontmatter are strings, compare them as timestamps
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+/**
+ * Read a field of a post, falling back to its frontmatter
+ * Supports dot paths ("frontmatter.author.name")
+ * @param {Object} post - Post object
+ * @param {string} field - Field name or dot path
+ * @returns {any} - Field value (undefined when missing)
+ */
+export function getPostField(post, field) {
+  const read = (source) =>
+    field.split(".").reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+  const value = read(post);
+  return value === undefined ? read(post?.frontmatter) : value;
+}
+
+/**
+ * Convert a value to something comparable with < and >
+ * @param {any} value - Raw value
+ * @returns {any} - Number for dates and numbers, lowercase string otherwise
+ */
+function toComparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "string" && ISO_DATE_PATTERN.test(value)) {
+    const time = new Date(value).getTime();
+    if (!Number.isNaN(time)) return time;
+  }
+  if (typeof value === "string") return value.toLowerCase();
+  return value;
+}
+
+// Case-insensitive equality, dates compared by time
+function isEqual(a, b) {
+  return toComparable(a) === toComparable(b);
+}
+
+/**
+ * Check one value against a condition
+ * Array values (e.g. tags) match when any of their items matches
+ * @param {any} value - Post field value
+ * @param {any} condition - Plain value (equals) or operator object
+ * @returns {boolean} - Whether the value matches
+ */
+function matchesCondition(value, condition) {
+  const isOperatorObject =
+    condition !== null &&
+    typeof condition === "object" &&
+    !Array.isArray(condition) &&
+    !(condition instanceof Date) &&
+    Object.keys(condition).length > 0 &&
+    Object.keys(condition).every((key) => OPERATORS.includes(key));
+
+  if (!isOperatorObject) {
+    // Shorthands: an array means "in", anything else means "equals"
+    return Array.isArray(condition)
+      ? matchesCondition(value, { in: condition })
+      : matchesCondition(value, { eq: condition });
+  }
+
+  const values = Array.isArray(value) ? value : [value];
+  const some = (predicate) => values.some((item) => item !== undefined && item !== null && predicate(item));
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "exists": {
+        const exists = value !== undefined && value !== null && value !== "";
+        return exists === Boolean(operand);
+      }
+      case "eq":
+        return some((item) => isEqual(item, operand));
+      case "ne":
+        return !some((item) => isEqual(item, operand));
+      case "in":
+        return some((item) => [].concat(operand).some((option) => isEqual(item, option)));
+      case "nin":
+        return !some((item) => [].concat(operand).some((option) => isEqual(item, option)));
+      case "contains":
+        return some((item) =>
+          String(item).toLowerCase().includes(String(operand).toLowerCase())
+        );
+      case "gt":
+        return some((item) => toComparable(item) > toComparable(operand));
+      case "gte":
+        return some((item) => toComparable(item) >= toComparable(operand));
+      case "lt":
+        return some((item) => toComparable(item) < toComparable(operand));
+      case "lte":
+        return some((item) => toComparable(item) <= toComparable(operand));
+      default:
+        return true;
+    }
+  });
+}
+
+/**
+ * Check a post against a where clause (all fields must match)
+ * @param {Object} post - Post object
+ * @param {Object} where - { field: value | [values] | { eq, ne, in, nin, gt, gte, lt, lte, exists, contains } }
+ * @param {Function} getField - Field reader (post, field) => value, e.g. to add computed fields
+ * @returns {boolean} - Whether the post matches
+ */
+export function matchesWhere(post, where = {}, getField = getPostField) {
+  return Object.entries(where).every(([field, condition]) =>
+    matchesCondition(getField(post, field), condition)
+  );
+}
+
+/**
+ * Normalize a sort option to a list of { field, order }
+ * Accepts "date", "-date" (descending), arrays of those, or { field, order } objects
+ * @param {string|Array|Object} sort - Sort option
+ * @returns {Array<{field: string, order: string}>} - Sort keys
+ */
+export function normalizeSort(sort) {
+  if (!sort) return [];
+
+  return [].concat(sort).map((key) => {
+    if (typeof key === "string") {
+      return key.startsWith("-")
+        ? { field: key.slice(1), order: "desc" }
+        : { field: key, order: "asc" };
+    }
+    return { field: key.field, order: key.order === "desc" ? "desc" : "asc" };
+  });
+}
+
+/**
+ * Sort posts by several keys, missing values last
+ * @param {Array} posts - Posts to sort
+ * @param {string|Array|Object} sort - Sort option (see normalizeSort)
+ * @returns {Array} - New sorted array
+ */
+export function sortPosts(posts, sort) {
+  const keys = normalizeSort(sort);
+  if (!keys.length) return [...posts];
+
+  return [...posts].sort((a, b) => {
+    for (const { field, order } of keys) {
+      const valueA = toComparable(getPostField(a, field));
+      const valueB = toComparable(getPostField(b, field));
+      const missingA = valueA === undefined || valueA === null;
+      const missingB = valueB === undefined || valueB === null;
+
+      if (missingA || missingB) {
+        if (missingA && missingB) continue;
+        return missingA ? 1 : -1;
+      }
+      if (valueA < valueB) return order === "desc" ? 1 : -1;
+      if (valueA > valueB) return order === "desc" ? -1 : 1;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Keep only some fields of a post
+ * @param {Object} post - Post object
+ * @param {Array<string>} fields - Top-level fields to keep
+ * @returns {Object} - Projected post
+ */
+export function projectPost(post, fields) {
+  if (!fields || !fields.length) return post;
+
+  const projected = {};
+  for (const field of fields) {
+    if (field in post) {
+      projected[field] = post[field];
+    }
+  }
+  return projected;
+}
+
+/**
+ * Encode a pagination cursor pointing after a post
+ * @param {Object} post - Last post of the page
+ * @param {number} offset - Offset of the next page
+ * @returns {string} - Opaque cursor
+ */
+export function encodeCursor(post, offset) {
+  const json = JSON.stringify({ after: post.hash || post.slug, offset });
+  return btoa(encodeURIComponent(json));
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {{after: string, offset: number}} - Cursor data
+ * @throws {Error} - If the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    return JSON.parse(decodeURIComponent(atob(cursor)));
+  } catch {
+    throw new Error(`Invalid pagination cursor: ${cursor}`);
+  }
+}
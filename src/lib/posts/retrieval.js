@@ -5,9 +5,37 @@
 
 import { LOG_PREFIXES } from '../logger.js';
 import cache from '../core/cache.js';
+import {
+  matchesWhere,
+  sortPosts,
+  projectPost,
+  encodeCursor,
+  decodeCursor,
+} from './query.js';
 
 const prefix = LOG_PREFIXES.REPO_MD;
 
+// Slim manifest of posts (no html/plain/toc/links), used by list views when published
+const POSTS_INDEX_PATH = '/posts-index.json';
+
+/**
+ * Derive a posts index entry from a full post
+ * @param {Object} post - Full post from posts.json
+ * @returns {Object} - Slim entry (slug, title, date, excerpt, tags, hash, frontmatter)
+ */
+function toPostIndexEntry(post) {
+  const frontmatter = post.frontmatter || {};
+  return {
+    slug: post.slug,
+    title: post.title,
+    date: post.date ?? frontmatter.date ?? post.created ?? null,
+    excerpt: post.excerpt ?? frontmatter.excerpt ?? post.firstParagraphText ?? '',
+    tags: post.tags ?? frontmatter.tags ?? [],
+    hash: post.hash,
+    frontmatter,
+  };
+}
+
 /**
  * Create a post retrieval service
  * @param {Object} config - Configuration object
@@ -15,17 +43,23 @@ const prefix = LOG_PREFIXES.REPO_MD;
  * @param {Function} config.getProjectUrl - Function to get project URLs (not revision-specific)
  * @param {Function} config.getSharedFolderUrl - Function to get shared folder URLs
  * @param {Function} config.fetchR2Json - Function to fetch JSON from R2
+ * @param {Function} config.fetchSharedJson - Function to fetch JSON from the shared folder of the storage
  * @param {Function} config.fetchJson - Function to fetch JSON from any URL
  * @param {Function} config._fetchMapData - Function to fetch map data
  * @param {Object} config.stats - Stats object for tracking usage metrics
+ * @param {Object} config.visibility - Visibility policy (createVisibilityPolicy), hidden posts are never returned
+ * @param {Object} config.transformer - Transformer pipeline (createTransformerPipeline) run over returned posts
  * @param {boolean} config.debug - Whether to log debug info
  * @returns {Object} - Post retrieval functions
  */
 export function createPostRetrieval(config) {
-  const { getRevisionUrl, getProjectUrl, getSharedFolderUrl, fetchR2Json, fetchJson, _fetchMapData, stats, debug = false } = config;
+  const { getRevisionUrl, getProjectUrl, getSharedFolderUrl, fetchR2Json, fetchSharedJson, fetchJson, _fetchMapData, stats, visibility = null, transformer = null, debug = false } = config;
   
   // Local post cache reference
   let postsCache = null;
+
+  // Local posts index cache reference (slim entries)
+  let postsIndexCache = null;
   
   /**
    * Helper function to find post in array by property
@@ -37,14 +71,60 @@ export function createPostRetrieval(config) {
   function _findPostByProperty(posts, property, value) {
     return posts?.find((post) => post[property] === value) || null;
   }
+
+  /**
+   * Keep the posts allowed by the visibility policy
+   * @param {Array} posts - Posts or posts index entries
+   * @returns {Array} - Visible posts
+   */
+  function _filterVisible(posts) {
+    return visibility ? visibility.filterPosts(posts) : posts;
+  }
+
+  /**
+   * Drop a post hidden by the visibility policy
+   * @param {Object|null} post - Post or null
+   * @returns {Object|null} - The post, or null when hidden
+   */
+  function _visibleOrNull(post) {
+    if (post && visibility && !visibility.isVisible(post)) {
+      if (debug) {
+        console.log(
+          `${prefix} 🙈 Post ${post.slug || post.hash} hidden by the visibility policy (${visibility.getHiddenReason(post)})`
+        );
+      }
+      return null;
+    }
+    return post;
+  }
+
+  /**
+   * Prepare a post for callers: visibility policy, then transformers
+   * @param {Object|null} post - Post or null
+   * @returns {Promise<Object|null>} - Transformed post, or null when missing or hidden
+   */
+  async function _output(post) {
+    const visible = _visibleOrNull(post);
+    return transformer ? await transformer.transformPost(visible) : visible;
+  }
+
+  /**
+   * Prepare posts for callers: visibility policy, then transformers
+   * @param {Array} posts - Posts
+   * @returns {Promise<Array>} - Visible transformed posts
+   */
+  async function _outputAll(posts) {
+    const visible = _filterVisible(posts);
+    return transformer ? await transformer.transformPosts(visible) : visible;
+  }
   
   /**
-   * Get all blog posts
+   * Load posts.json, including posts hidden by the visibility policy
    * @param {boolean} useCache - Whether to use cache
    * @param {boolean} forceRefresh - Whether to force refresh from R2
    * @returns {Promise<Array>} - Array of posts
    */
-  async function getAllPosts(useCache = true, forceRefresh = false) {
+  async function _fetchAllPosts(useCache = true, forceRefresh = false) {
     const startTime = performance.now();
 
     // Return cached posts if available and refresh not forced
@@ -93,13 +173,61 @@ export function createPostRetrieval(config) {
     return posts;
   }
 
+  /**
+   * Get all blog posts allowed by the visibility policy
+   * @param {boolean} useCache - Whether to use cache
+   * @param {boolean} forceRefresh - Whether to force refresh from R2
+   * @returns {Promise<Array>} - Array of posts
+   */
+  async function getAllPosts(useCache = true, forceRefresh = false) {
+    return await _outputAll(await _fetchAllPosts(useCache, forceRefresh));
+  }
+
+  /**
+   * Get the visible posts as published, before transformers run (used by transformers)
+   * @returns {Promise<Array>} - Array of posts
+   */
+  async function getSourcePosts() {
+    return _filterVisible(await _fetchAllPosts());
+  }
+
   /**
    * Get a post by its direct path
    * @param {string} path - Post path
-   * @returns {Promise<Object|null>} - Post object or null
+   * @returns {Promise<Object|null>} - Post object or null (also when hidden)
    * @throws {Error} - If path parameter is missing or invalid
    */
   async function getPostByPath(path) {
+    return await _output(await _fetchPostByPath(path));
+  }
+
+  /**
+   * Get a single blog post by slug
+   * @param {string} slug - Post slug
+   * @returns {Promise<Object|null>} - Post object or null (also when hidden)
+   * @throws {Error} - If slug parameter is missing or invalid
+   */
+  async function getPostBySlug(slug) {
+    return await _output(await _fetchPostBySlug(slug));
+  }
+
+  /**
+   * Get a single blog post by hash
+   * @param {string} hash - Post hash
+   * @returns {Promise<Object|null>} - Post object or null (also when hidden)
+   * @throws {Error} - If hash parameter is missing or invalid
+   */
+  async function getPostByHash(hash) {
+    return await _output(await _fetchPostByHash(hash));
+  }
+
+  /**
+   * Load a post by its direct path, ignoring the visibility policy
+   * @param {string} path - Post path
+   * @returns {Promise<Object|null>} - Post object or null
+   * @throws {Error} - If path parameter is missing or invalid
+   */
+  async function _fetchPostByPath(path) {
     // Validate path parameter
     if (!path) {
       throw new Error('Path is required for getPostByPath operation');
@@ -137,12 +265,12 @@ export function createPostRetrieval(config) {
 
 
   /**
-   * Get a single blog post by slug
+   * Load a single blog post by slug, ignoring the visibility policy
    * @param {string} slug - Post slug
    * @returns {Promise<Object|null>} - Post object or null
    * @throws {Error} - If slug parameter is missing or invalid
    */
-  async function getPostBySlug(slug) {
+  async function _fetchPostBySlug(slug) {
     // Validate slug parameter
     if (!slug) {
       throw new Error('Slug is required for getPostBySlug operation');
@@ -225,7 +353,7 @@ export function createPostRetrieval(config) {
             }
             
             // Side-load all posts in the background (don't await)
-            getAllPosts().then(posts => {
+            _fetchAllPosts().then(posts => {
               if (debug) {
                 console.log(
                   `${prefix} ✅ Side-loaded ${posts.length} posts after threshold reached`
@@ -262,7 +390,7 @@ export function createPostRetrieval(config) {
           `${prefix} 🔍 Found hash for slug in slugMap: ${slugMap[slug]}`
         );
       }
-      const post = await getPostByHash(slugMap[slug]);
+      const post = await _fetchPostByHash(slugMap[slug]);
       if (post) {
         lookupMethod = 'slug-map';
         const duration = (performance.now() - startTime).toFixed(2);
@@ -284,7 +412,7 @@ export function createPostRetrieval(config) {
         `${prefix} 📡 Falling back to loading all posts to find slug: ${slug}`
       );
     }
-    const posts = await getAllPosts();
+    const posts = await _fetchAllPosts();
     const post = _findPostByProperty(posts, 'slug', slug);
 
     const duration = (performance.now() - startTime).toFixed(2);
@@ -314,12 +442,12 @@ export function createPostRetrieval(config) {
   }
 
   /**
-   * Get a single blog post by hash
+   * Load a single blog post by hash, ignoring the visibility policy
    * @param {string} hash - Post hash
    * @returns {Promise<Object|null>} - Post object or null
    * @throws {Error} - If hash parameter is missing or invalid
    */
-  async function getPostByHash(hash) {
+  async function _fetchPostByHash(hash) {
     // Validate hash parameter
     if (!hash) {
       throw new Error('Hash is required for getPostByHash operation');
@@ -379,18 +507,27 @@ export function createPostRetrieval(config) {
     }
     
     try {
-      // Get the URL using the shared folder URL generator
-      const url = getSharedFolderUrl(hashPath);
-      
-      if (debug) {
-        console.log(`${prefix} 🔗 Loading from shared URL: ${url}`);
+      let post;
+      if (fetchSharedJson) {
+        // Read through the storage adapter (HTTP or filesystem)
+        post = await fetchSharedJson(hashPath, {
+          defaultValue: null,
+          useCache: true,
+        });
+      } else {
+        // Get the URL using the shared folder URL generator
+        const url = getSharedFolderUrl(hashPath);
+
+        if (debug) {
+          console.log(`${prefix} 🔗 Loading from shared URL: ${url}`);
+        }
+
+        post = await fetchJson(url, {
+          defaultValue: null,
+          useCache: true,
+        });
       }
       
-      const post = await fetchJson(url, {
-        defaultValue: null,
-        useCache: true,
-      });
-      
       if (post) {
         lookupMethod = 'direct-hash-file';
         const duration = (performance.now() - startTime).toFixed(2);
@@ -416,7 +553,7 @@ export function createPostRetrieval(config) {
             }
             
             // Side-load all posts in the background (don't await)
-            getAllPosts().then(posts => {
+            _fetchAllPosts().then(posts => {
               if (debug) {
                 console.log(
                   `${prefix} ✅ Side-loaded ${posts.length} posts after threshold reached`
@@ -453,7 +590,7 @@ export function createPostRetrieval(config) {
           `${prefix} 🔍 Found path for hash in pathMap: ${pathMap[hash]}`
         );
       }
-      const post = await getPostByPath(pathMap[hash]);
+      const post = await _fetchPostByPath(pathMap[hash]);
       if (post) {
         lookupMethod = 'path-map';
         const duration = (performance.now() - startTime).toFixed(2);
@@ -480,7 +617,7 @@ export function createPostRetrieval(config) {
         `${prefix} 📡 Falling back to loading all posts to find hash: ${hash}`
       );
     }
-    const posts = await getAllPosts();
+    const posts = await _fetchAllPosts();
     const post = _findPostByProperty(posts, 'hash', hash);
 
     const duration = (performance.now() - startTime).toFixed(2);
@@ -577,14 +714,14 @@ export function createPostRetrieval(config) {
 
       // Create a lookup map for efficient filtering
       const postsMap = {};
-      postsCache.forEach((post) => {
+      _filterVisible(postsCache).forEach((post) => {
         if (post[property]) {
           postsMap[post[property]] = post;
         }
       });
 
       // Map keys to full post objects
-      return targetKeys.map((key) => postsMap[key]).filter(Boolean);
+      return await _outputAll(targetKeys.map((key) => postsMap[key]).filter(Boolean));
     }
 
     // Otherwise load all posts and filter
@@ -625,8 +762,294 @@ export function createPostRetrieval(config) {
     return sortPostsByDate(posts).slice(0, count);
   }
 
+  /**
+   * Get the slim posts index (slug, title, date, excerpt, tags, hash, frontmatter)
+   * Uses the published posts-index.json, or derives it once from posts.json
+   * @param {boolean} useCache - Whether to use cache
+   * @param {boolean} forceRefresh - Whether to force refresh from R2
+   * @returns {Promise<Array>} - Array of index entries
+   */
+  async function getPostsIndex(useCache = true, forceRefresh = false) {
+    if (useCache && postsIndexCache && !forceRefresh) {
+      if (debug) {
+        console.log(
+          `${prefix} 💾 Using cached posts index (${postsIndexCache.length} entries)`
+        );
+      }
+      return _filterVisible(postsIndexCache);
+    }
+
+    const startTime = performance.now();
+    let index = null;
+    let source = 'manifest';
+
+    // Full posts already in memory, no need to download anything
+    if (postsCache && !forceRefresh) {
+      index = postsCache.map(toPostIndexEntry);
+      source = 'memory';
+    } else {
+      try {
+        const manifest = await fetchR2Json(POSTS_INDEX_PATH, {
+          defaultValue: null,
+          useCache,
+        });
+        index = Array.isArray(manifest) ? manifest : manifest?.posts || null;
+      } catch (error) {
+        if (debug) {
+          console.log(
+            `${prefix} ⚠️ No posts index manifest, deriving it from posts.json: ${error.message}`
+          );
+        }
+      }
+    }
+
+    if (!index) {
+      const posts = await _fetchAllPosts(useCache, forceRefresh);
+      index = posts.map(toPostIndexEntry);
+      source = 'posts.json';
+    }
+
+    if (useCache) {
+      postsIndexCache = index;
+    }
+
+    if (stats) {
+      stats.posts.byMethod.postsIndex++;
+      stats.posts.lastUpdated = Date.now();
+    }
+
+    if (debug) {
+      const duration = (performance.now() - startTime).toFixed(2);
+      console.log(
+        `${prefix} 📇 Loaded posts index (${index.length} entries) from ${source} in ${duration}ms`
+      );
+    }
+
+    return _filterVisible(index);
+  }
+
+  /**
+   * Load the full post of a posts index entry
+   * Reads the individual post files without side-loading posts.json
+   * @param {Object|string} entry - Index entry (or any object with hash/slug), or a slug
+   * @returns {Promise<Object|null>} - Full post or null (also when hidden)
+   */
+  async function hydratePost(entry) {
+    const { hash, slug } = typeof entry === 'string' ? { slug: entry } : entry || {};
+
+    if (!hash && !slug) {
+      throw new Error('A posts index entry with a hash or slug is required for hydratePost');
+    }
+
+    if (postsCache) {
+      const post =
+        (hash && _findPostByProperty(postsCache, 'hash', hash)) ||
+        (slug && _findPostByProperty(postsCache, 'slug', slug));
+      if (post) return await _output(post);
+    }
+
+    // Shared hash file first (shared across revisions), then the revision slug file
+    const attempts = [];
+    if (hash) {
+      attempts.push({
+        method: 'directHashFile',
+        load: () =>
+          fetchSharedJson
+            ? fetchSharedJson(`/posts/${hash}.json`, { defaultValue: null, useCache: true })
+            : fetchJson(getSharedFolderUrl(`/posts/${hash}.json`), { defaultValue: null, useCache: true }),
+      });
+    }
+    if (slug) {
+      attempts.push({
+        method: 'directSlugFile',
+        load: () => fetchR2Json(`/_posts/slug/${encodeURIComponent(slug)}.json`, { defaultValue: null, useCache: true }),
+      });
+    }
+
+    for (const { method, load } of attempts) {
+      try {
+        const post = await load();
+        if (post) {
+          if (stats) {
+            stats.posts.totalLoaded++;
+            stats.posts.byMethod[method]++;
+            stats.posts.lastUpdated = Date.now();
+          }
+          return await _output(post);
+        }
+      } catch (error) {
+        if (debug) {
+          console.log(
+            `${prefix} ⚠️ Could not hydrate post ${hash || slug} (${method}): ${error.message}`
+          );
+        }
+      }
+    }
+
+    // Last resort: the regular lookups and their fallbacks
+    return hash ? await getPostByHash(hash) : await getPostBySlug(slug);
+  }
+
+  /**
+   * Load the full posts of several posts index entries
+   * @param {Array<Object|string>} entries - Index entries or slugs
+   * @returns {Promise<Array>} - Full posts, in the same order (missing ones dropped)
+   */
+  async function hydratePosts(entries = []) {
+    const posts = await Promise.all(entries.map((entry) => hydratePost(entry)));
+    return posts.filter(Boolean);
+  }
+
+  /**
+   * Query posts with filters, sorting, pagination and field projection
+   * @param {Object} query - Query options
+   * @param {Object} query.where - Field predicates ({ field: value | { eq, ne, in, nin, gt, gte, lt, lte, exists, contains } }), fields fall back to frontmatter
+   * @param {string|Array} query.sort - Sort keys ("date", "-date", ["-date", "title"])
+   * @param {number} query.limit - Page size (0 for all)
+   * @param {number} query.offset - Number of posts to skip
+   * @param {string} query.cursor - Cursor from a previous page (takes precedence over offset)
+   * @param {Array<string>} query.fields - Fields to keep on each post (e.g. drop html/plain)
+   * @param {string} query.source - "posts" (full posts.json) or "index" (slim posts index)
+   * @param {boolean} query.hydrate - With the index source, load the full posts of the page
+   * @returns {Promise<Object>} - { posts, total, limit, offset, page, pages, hasMore, nextCursor }
+   */
+  async function queryPosts(query = {}) {
+    const {
+      where = {},
+      sort = null,
+      limit = 0,
+      offset = 0,
+      cursor = null,
+      fields = null,
+      source = 'posts',
+      hydrate = false,
+    } = query;
+    const startTime = performance.now();
+
+    const allPosts =
+      source === 'index' ? await getPostsIndex() : await getAllPosts();
+    const matching = sortPosts(
+      allPosts.filter((post) => matchesWhere(post, where)),
+      sort
+    );
+    const total = matching.length;
+
+    // Cursors point after a post, fall back to their offset if that post is gone
+    let start = offset;
+    if (cursor) {
+      const { after, offset: cursorOffset = 0 } = decodeCursor(cursor);
+      const index = matching.findIndex(
+        (post) => (post.hash || post.slug) === after
+      );
+      start = index >= 0 ? index + 1 : cursorOffset;
+    }
+
+    const end = limit > 0 ? start + limit : total;
+    const pageItems = matching.slice(start, end);
+    const page =
+      source === 'index' && hydrate ? await hydratePosts(pageItems) : pageItems;
+    const hasMore = end < total;
+
+    if (debug) {
+      const duration = (performance.now() - startTime).toFixed(2);
+      console.log(
+        `${prefix} 🔎 Query matched ${total} posts, returning ${page.length} in ${duration}ms`
+      );
+    }
+
+    return {
+      posts: page.map((post) => projectPost(post, fields)),
+      total,
+      limit,
+      offset: start,
+      page: limit > 0 ? Math.floor(start / limit) + 1 : 1,
+      pages: limit > 0 ? Math.ceil(total / limit) : 1,
+      hasMore,
+      nextCursor:
+        hasMore && pageItems.length
+          ? encodeCursor(pageItems[pageItems.length - 1], end)
+          : null,
+    };
+  }
+
+  /**
+   * Drop the keys (hashes or slugs) of posts hidden by the visibility policy
+   * Unknown keys are kept, lookups of the actual posts skip them
+   * @param {Array<string>} keys - Post hashes or slugs
+   * @param {string} property - "hash" or "slug"
+   * @returns {Promise<Array<string>>} - Keys of visible posts
+   */
+  async function filterPostKeys(keys, property = 'hash') {
+    if (!keys?.length || !visibility?.isRestricted()) return keys || [];
+
+    // Loads postsIndexCache, which holds every entry (hidden ones included)
+    await getPostsIndex();
+    const hidden = new Set(
+      (postsIndexCache || [])
+        .filter((entry) => !visibility.isVisible(entry))
+        .map((entry) => entry[property])
+    );
+    return keys.filter((key) => !hidden.has(key));
+  }
+
+  /**
+   * Get the publishAt embargoes of every post, past and future
+   * Indexes built from the visible posts go stale when one of them ends
+   * @returns {Promise<Array<number>>} - Timestamps
+   */
+  async function getPublishTimes() {
+    if (!visibility?.isRestricted()) return [];
+
+    // Loads postsIndexCache, which holds every entry (hidden ones included)
+    await getPostsIndex();
+    return (postsIndexCache || [])
+      .map((entry) => visibility.getPublishTime(entry))
+      .filter((time) => time !== null);
+  }
+
+  /**
+   * Get the posts hidden by the visibility policy
+   * Only for services that must tell hidden posts from missing ones (e.g. dead links), never returned to callers
+   * @returns {Promise<Array>} - Hidden posts
+   */
+  async function getHiddenPosts() {
+    if (!visibility?.isRestricted()) return [];
+    return (await _fetchAllPosts()).filter((post) => !visibility.isVisible(post));
+  }
+
+  /**
+   * Whether the visibility policy currently hides some posts
+   * @returns {Promise<boolean>} - Whether posts are hidden
+   */
+  async function hasHiddenPosts() {
+    if (!visibility?.isRestricted()) return false;
+    const index = await getPostsIndex();
+    return (postsIndexCache || index).length !== index.length;
+  }
+
+  /**
+   * Drop the in-memory posts array and posts index (e.g. after a new revision)
+   */
+  function clearPostsCache() {
+    postsCache = null;
+    postsIndexCache = null;
+    if (debug) {
+      console.log(`${prefix} 🧹 Cleared in-memory posts cache`);
+    }
+  }
+
   return {
     getAllPosts,
+    getSourcePosts,
+    getPostsIndex,
+    filterPostKeys,
+    getHiddenPosts,
+    getPublishTimes,
+    hasHiddenPosts,
+    clearPostsCache,
+    hydratePost,
+    hydratePosts,
+    queryPosts,
     getPostByPath,
     getPostBySlug,
     getPostByHash,
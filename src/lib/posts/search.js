@@ -3,40 +3,109 @@
  */
 
 import MiniSearch from "minisearch";
-import { cosineSimilarity } from "../vector.js";
-import { computeTextEmbedding, computeClipTextEmbedding, computeClipImageEmbedding } from "../inference.js";
+import { createRepoMdEmbeddingProvider, computeEmbedding } from "../embeddings/index.js";
+import { createVectorIndex, readVectraIndex } from "../vectorIndex/index.js";
+import { matchesWhere, getPostField, sortPosts, projectPost } from "./query.js";
+import { getFacetValue, countFacetValues, createSnippet } from "./facets.js";
+
+const SEARCH_MODES = ["memory", "vector", "vector-text", "vector-clip-text", "vector-clip-image", "hybrid"];
+
+// Defaults of the hybrid mode (keyword results fused with text embedding similarity)
+const HYBRID_SEARCH_DEFAULTS = {
+  fusion: "rrf", // "rrf" (reciprocal rank fusion) or "weighted" (normalized scores)
+  weights: { keyword: 1, vector: 1 },
+  rrfK: 60, // Rank constant of RRF, higher values flatten the rank differences
+  threshold: 0.1, // Min vector similarity
+};
+
+// Memory index fields, a serialized index can only be loaded with the fields it was built with
+const SEARCHABLE_FIELDS = [
+  "title",
+  "content",
+  "excerpt",
+  "tags",
+  "plain",
+  //    "hash",
+];
+const STORABLE_FIELDS = ["slug", "title", "excerpt", "date", "hash", "path"];
+const MEMORY_SEARCH_OPTIONS = {
+  boost: { slug: 3, title: 3, excerpt: 2, plain: 2 }, // Weight title more heavily, plain text highly
+  fuzzy: 0.2,
+  prefix: true,
+};
+
+// Format version of exported search indexes
+const SEARCH_INDEX_VERSION = 1;
 
-export function createPostSearch({ getAllPosts, getPostsEmbeddings, getAllMedia, getMediaEmbeddings, debug = false }) {
+/**
+ * Create the post search service
+ * @param {Object} config - Configuration object
+ * @param {Function} config.getAllPosts - Visible posts (useCache, forceRefresh)
+ * @param {Function} config.getPostsEmbeddings - Text embeddings of the posts by hash
+ * @param {Function} config.getAllMedia - Media entries (medias.json)
+ * @param {Function} config.getMediaEmbeddings - CLIP embeddings of the media by hash
+ * @param {string} config.apiBaseUrl - repo.md API base URL of the default embedding provider
+ * @param {Object|null} config.embeddingProvider - Query embedding provider
+ * @param {Object} config.vectorIndexOptions - Vector index options (quantization, algorithm, exactThreshold, lists, probes)
+ * @param {Function} config.readVectraIndex - Vectra index.json of "text" (posts) or "clip" (media) embeddings, null when missing
+ * @param {Function} config.getRevision - Resolved revision ID, enables the stored indexes below
+ * @param {Function} config.readPrebuiltIndex - Prebuilt index of the revision (search-index.json), null when missing
+ * @param {Object} config.indexCache - Persisted indexes of the revision ({ get(), set(data) }), null without a cache store
+ * @param {Function} config.isPreview - Whether the preview mode is on (stored indexes only hold published posts)
+ * @param {Function} config.filterPostKeys - Drops the hashes of hidden posts from stored index results
+ * @param {Function} config.hydratePost - Full visible post of a stored index result ({ hash, slug }), null when hidden or missing
+ * @param {Function} config.getPublishTimes - publishAt timestamps of every post, a stored index goes stale when one passes
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Search functions
+ */
+export function createPostSearch({
+  getAllPosts,
+  getPostsEmbeddings,
+  getAllMedia,
+  getMediaEmbeddings,
+  apiBaseUrl,
+  embeddingProvider = null,
+  vectorIndexOptions = {},
+  readVectraIndex: readVectraData = null,
+  getRevision = null,
+  readPrebuiltIndex = null,
+  indexCache = null,
+  isPreview = () => false,
+  filterPostKeys = async (keys) => keys,
+  hydratePost = null,
+  getPublishTimes = async () => [],
+  debug = false,
+}) {
+  // Query embeddings come from the repo.md API unless another provider is configured
+  const provider = embeddingProvider || createRepoMdEmbeddingProvider({ apiBaseUrl, debug });
   let miniSearchInstance = null;
-  let indexedData = null;
+  let indexedData = null; // Posts of an index built here, null for a stored index
+  let indexedById = null; // Memory index ID (hash or slug) -> post
+  let indexedRev = null; // Revision of the index, null for a preview index
+  let indexedUntil = Infinity; // Next publishAt embargo end, the visible posts change then
+  let indexFields = { fields: SEARCHABLE_FIELDS, storeFields: STORABLE_FIELDS };
+  const revsWithoutStoredIndex = new Set(); // Don't look for stored indexes again in this process
+  const vectorIndexes = new Map(); // "text" | "clip" -> { key, promise, source }
+  const vectorCandidates = new Map(); // "text" | "clip" -> { key, until, candidates }
 
   const initializeMemoryIndex = async (posts) => {
     if (!posts || posts.length === 0) {
       if (debug) {
         console.log("🔍 No posts available for search indexing");
       }
+      miniSearchInstance = null;
+      indexedData = null;
+      indexedById = null;
+      indexedRev = null;
       return null;
     }
 
-    const searchableFields = [
-      "title",
-      "content",
-      "excerpt",
-      "tags",
-      "plain",
-      //    "hash",
-    ];
-    const storableFields = ["slug", "title", "excerpt", "date", "hash", "path"];
-
     miniSearchInstance = new MiniSearch({
-      fields: searchableFields,
-      storeFields: storableFields,
-      searchOptions: {
-        boost: { slug: 3, title: 3, excerpt: 2, plain: 2 }, // Weight title more heavily, plain text highly
-        fuzzy: 0.2,
-        prefix: true,
-      },
+      fields: SEARCHABLE_FIELDS,
+      storeFields: STORABLE_FIELDS,
+      searchOptions: MEMORY_SEARCH_OPTIONS,
     });
+    indexFields = { fields: SEARCHABLE_FIELDS, storeFields: STORABLE_FIELDS };
 
     const documentsToIndex = posts.map((post) => ({
       id: post.hash || post.slug,
@@ -53,6 +122,8 @@ export function createPostSearch({ getAllPosts, getPostsEmbeddings, getAllMedia,
 
     miniSearchInstance.addAll(documentsToIndex);
     indexedData = posts;
+    indexedById = new Map(documentsToIndex.map((document, index) => [document.id, posts[index]]));
+    indexedRev = null;
 
     if (debug) {
       console.log(`🔍 Indexed ${documentsToIndex.length} posts for memory search`);
@@ -61,6 +132,177 @@ export function createPostSearch({ getAllPosts, getPostsEmbeddings, getAllMedia,
     return miniSearchInstance;
   };
 
+  /**
+   * Serialize the current memory index
+   * @returns {Object} - { version, rev, createdAt, documentCount, fields, storeFields, index }
+   */
+  const serializeIndex = () => ({
+    version: SEARCH_INDEX_VERSION,
+    rev: indexedRev,
+    createdAt: new Date().toISOString(),
+    documentCount: miniSearchInstance.documentCount,
+    fields: indexFields.fields,
+    storeFields: indexFields.storeFields,
+    index: miniSearchInstance.toJSON(),
+  });
+
+  /**
+   * Replace the memory index with a serialized one
+   * @param {Object} data - Exported index (see serializeIndex)
+   * @param {string|null} rev - Revision the index belongs to
+   * @throws {Error} - If the data isn't an exported search index
+   */
+  const useSerializedIndex = (data, rev) => {
+    if (!data || typeof data !== "object" || !data.index) {
+      throw new Error("Invalid search index: expected the output of exportSearchIndex()");
+    }
+    if (data.version !== SEARCH_INDEX_VERSION) {
+      throw new Error(
+        `Search index version ${data.version} is not supported (expected ${SEARCH_INDEX_VERSION})`
+      );
+    }
+
+    const fields = {
+      fields: data.fields || SEARCHABLE_FIELDS,
+      storeFields: data.storeFields || STORABLE_FIELDS,
+    };
+    miniSearchInstance = MiniSearch.loadJS(data.index, {
+      ...fields,
+      searchOptions: MEMORY_SEARCH_OPTIONS,
+    });
+    indexFields = fields;
+    indexedData = null;
+    indexedById = null;
+    indexedRev = rev;
+  };
+
+  // Persist an index of the revision, failures only cost a rebuild in the next process
+  const persistIndex = async (data = null) => {
+    if (!indexCache || !miniSearchInstance || !indexedRev) return;
+    try {
+      await indexCache.set(data || serializeIndex());
+    } catch (error) {
+      if (debug) {
+        console.warn(`🔍 Could not persist the search index: ${error.message}`);
+      }
+    }
+  };
+
+  /**
+   * Load a stored index of the revision: persisted by a previous process, else the prebuilt file
+   * @param {string} rev - Revision ID
+   * @param {number} notBefore - Indexes created before this time miss posts published since
+   * @returns {Promise<boolean>} - Whether an index was loaded
+   */
+  const loadStoredIndex = async (rev, notBefore = -Infinity) => {
+    if (revsWithoutStoredIndex.has(rev)) return false;
+
+    const sources = [
+      ["persisted", indexCache ? () => indexCache.get() : null],
+      ["prebuilt", readPrebuiltIndex],
+    ];
+    for (const [source, read] of sources) {
+      if (!read) continue;
+      try {
+        const data = await read();
+        if (!data || (data.rev && data.rev !== rev)) continue;
+        if (Date.parse(data.createdAt) < notBefore) {
+          if (debug) {
+            console.log(`🔍 Ignoring ${source} search index: created before a scheduled post went live`);
+          }
+          continue;
+        }
+        useSerializedIndex(data, rev);
+        if (source === "prebuilt") {
+          await persistIndex(data);
+        }
+        if (debug) {
+          console.log(`🔍 Loaded ${source} search index of revision ${rev} (${data.documentCount} posts)`);
+        }
+        return true;
+      } catch (error) {
+        if (debug) {
+          console.warn(`🔍 Ignoring ${source} search index: ${error.message}`);
+        }
+      }
+    }
+
+    revsWithoutStoredIndex.add(rev);
+    return false;
+  };
+
+  /**
+   * Make sure the memory index matches the active revision
+   * Outside the preview mode a stored index avoids downloading and indexing every post,
+   * indexes built here are persisted for the next visits
+   * Indexes are rebuilt when a publishAt embargo ends, stored ones created before it are skipped
+   * The preview mode indexes the posts it reveals and rebuilds when the posts array changes
+   */
+  const ensureMemoryIndex = async () => {
+    if (!getRevision || isPreview()) {
+      // Without revisions, a loaded index stays until refreshMemoryIndex()
+      if (!getRevision && miniSearchInstance && !indexedData) return;
+      const posts = await getAllPosts(true);
+      if (!miniSearchInstance || indexedData !== posts) {
+        await initializeMemoryIndex(posts);
+      }
+      return;
+    }
+
+    const rev = await getRevision();
+    const now = Date.now();
+    if (miniSearchInstance && indexedRev === rev && now < indexedUntil) return;
+
+    let lastPublished = -Infinity;
+    let nextPublish = Infinity;
+    for (const time of await getPublishTimes()) {
+      if (time <= now) lastPublished = Math.max(lastPublished, time);
+      else nextPublish = Math.min(nextPublish, time);
+    }
+
+    if (!(await loadStoredIndex(rev, lastPublished))) {
+      await initializeMemoryIndex(await getAllPosts(true));
+      if (miniSearchInstance) {
+        indexedRev = rev;
+        await persistIndex();
+      }
+    }
+    indexedUntil = nextPublish;
+  };
+
+  /**
+   * Drop the results of posts hidden by the visibility policy
+   * Built indexes only hold visible posts, stored ones hold every published post
+   * @param {Array} results - MiniSearch results
+   * @returns {Promise<Array>} - Visible results
+   */
+  const filterVisibleResults = async (results) => {
+    if (indexedData || !results.length) return results;
+    const visible = new Set(await filterPostKeys(results.map((result) => result.id), "hash"));
+    return results.filter((result) => visible.has(result.id));
+  };
+
+  /**
+   * Full post of a result: the indexed post, else the post loaded from the stored fields of a stored index
+   * @param {Object} result - MiniSearch result
+   * @returns {Promise<Object|null>} - Post, null when it can't be loaded
+   */
+  const getResultPost = async (result) => {
+    if (indexedById) return indexedById.get(result.id);
+    const stored = Object.fromEntries(
+      indexFields.storeFields.filter((field) => result[field] !== undefined).map((field) => [field, result[field]])
+    );
+    if (!hydratePost) return stored;
+    try {
+      return await hydratePost({ hash: stored.hash || result.id, slug: stored.slug });
+    } catch (error) {
+      if (debug) {
+        console.warn(`🔍 Could not load the post of search result ${result.id}: ${error.message}`);
+      }
+      return null;
+    }
+  };
+
   const searchPosts = async ({ text, image, props = {}, mode = "memory" }) => {
     if (!text && !image) {
       throw new Error(
@@ -76,9 +318,9 @@ export function createPostSearch({ getAllPosts, getPostsEmbeddings, getAllMedia,
       throw new Error("Image parameter must be a non-empty string when provided");
     }
 
-    if (!['memory', 'vector', 'vector-text', 'vector-clip-text', 'vector-clip-image'].includes(mode)) {
+    if (!SEARCH_MODES.includes(mode)) {
       throw new Error(
-        `Search mode '${mode}' is not supported. Available modes: memory, vector, vector-text, vector-clip-text, vector-clip-image`
+        `Search mode '${mode}' is not supported. Available modes: ${SEARCH_MODES.join(", ")}`
       );
     }
 
@@ -86,6 +328,9 @@ export function createPostSearch({ getAllPosts, getPostsEmbeddings, getAllMedia,
       if (mode === "memory") {
         return await performMemorySearch(text, props);
       }
+      if (mode === "hybrid") {
+        return await performHybridSearch(text, props);
+      }
       return await performVectorSearch({ text, image, mode, props });
     } catch (error) {
       if (debug) {
@@ -96,11 +341,8 @@ export function createPostSearch({ getAllPosts, getPostsEmbeddings, getAllMedia,
   };
 
   const performMemorySearch = async (text, props) => {
-    // Get all posts if we haven't indexed them yet or if forced refresh
-    if (!miniSearchInstance || !indexedData) {
-      const posts = await getAllPosts(true);
-      await initializeMemoryIndex(posts);
-    }
+    // Get all posts if we haven't indexed them yet or if they changed
+    await ensureMemoryIndex();
 
     if (!miniSearchInstance) {
       if (debug) {
@@ -118,26 +360,137 @@ export function createPostSearch({ getAllPosts, getPostsEmbeddings, getAllMedia,
       ...props,
     };
 
-    const results = miniSearchInstance.search(text, searchOptions);
+    const results = await filterVisibleResults(miniSearchInstance.search(text, searchOptions));
 
     if (debug) {
       console.log(`🔍 Found ${results.length} memory search results for query: "${text}"`);
     }
 
-    // Return enhanced results with original post data
-    return results.map((result) => ({
-      ...result,
-      searchMode: 'memory',
-      post: indexedData.find(
-        (post) =>
-          (post.hash && post.hash === result.id) ||
-          (post.slug && post.slug === result.id)
-      ),
-    }));
+    // Return enhanced results with original post data, results whose post can't be loaded are dropped
+    const posts = await Promise.all(results.map((result) => getResultPost(result)));
+    return results
+      .map((result, index) => ({
+        ...result,
+        searchMode: 'memory',
+        post: posts[index],
+      }))
+      .filter((result) => result.post);
+  };
+
+  /**
+   * Vector index of one kind of embeddings, built once per revision
+   * Reads the vectra index of the build, else the embeddings map
+   * @param {string} searchType - "text" (posts) or "clip" (media)
+   * @returns {Promise<Object|null>} - Vector index (createVectorIndex), null without embeddings
+   */
+  const getVectorIndex = async (searchType) => {
+    // Without revisions, the embeddings map identifies the index
+    const embeddingsMap = getRevision ? null : await readEmbeddingsMap(searchType);
+    const key = getRevision ? await getRevision() : embeddingsMap;
+    const cached = vectorIndexes.get(searchType);
+    if (cached && cached.key === key) {
+      return await cached.promise;
+    }
+
+    const entry = { key, source: null, index: null, promise: null };
+    entry.promise = (async () => {
+      let entries = readVectraData ? readVectraIndex(await readVectraData(searchType)) : [];
+      entry.source = "vectra";
+      if (!entries.length) {
+        const map = embeddingsMap || (await readEmbeddingsMap(searchType));
+        entries = Object.entries(map || {})
+          .filter(([, vector]) => Array.isArray(vector) && vector.length > 0)
+          .map(([id, vector]) => ({ id, vector }));
+        entry.source = "embeddings";
+      }
+      if (!entries.length) return null;
+
+      const index = createVectorIndex(entries, vectorIndexOptions);
+      entry.index = index;
+      if (debug) {
+        const { algorithm, quantization, count, bytes, buildMs } = index.getStats();
+        console.log(
+          `🔍 Built ${algorithm} ${quantization} vector index of ${count} ${searchType} embeddings from ${entry.source} (${Math.round(bytes / 1024)} KB, ${buildMs}ms)`
+        );
+      }
+      return index;
+    })();
+
+    vectorIndexes.set(searchType, entry);
+    try {
+      return await entry.promise;
+    } catch (error) {
+      vectorIndexes.delete(searchType);
+      throw error;
+    }
+  };
+
+  const readEmbeddingsMap = async (searchType) => {
+    if (searchType === "clip") {
+      return getMediaEmbeddings ? await getMediaEmbeddings() : {};
+    }
+    return getPostsEmbeddings ? await getPostsEmbeddings() : {};
+  };
+
+  /**
+   * Candidates of vector searches by hash: visible posts for text searches, media for CLIP searches
+   * Built once per revision, and again when a publishAt embargo ends
+   * Without revisions, and in preview mode, the posts or media array identifies them
+   * @param {string} searchType - "text" (posts) or "clip" (media)
+   * @returns {Promise<Map>} - Hash -> post or media, with its type
+   */
+  const getVectorCandidates = async (searchType) => {
+    const now = Date.now();
+    const rev = getRevision && !isPreview() ? await getRevision() : null;
+    const cached = vectorCandidates.get(searchType);
+    if (rev && cached?.key === rev && now < cached.until) {
+      return cached.candidates;
+    }
+
+    const isClip = searchType === "clip";
+    const items = isClip
+      ? (getAllMedia ? await getAllMedia() : [])
+      : (getAllPosts ? await getAllPosts(true) : []);
+    if (!rev && cached?.key === items) {
+      return cached.candidates;
+    }
+
+    // IMPORTANT: Only compare compatible embeddings, CLIP embeddings only exist for media
+    const candidates = new Map();
+    for (const item of items || []) {
+      if (isClip) {
+        // medias.json entries keep their hash in the metadata
+        const hash = item.hash || item.metadata?.hash || String(item.hashPath || "").replace(/\.[^.]+$/, "");
+        candidates.set(hash, { ...item, hash, type: "media" });
+      } else {
+        candidates.set(item.hash, { ...item, type: "post" });
+      }
+    }
+
+    let until = Infinity;
+    if (rev && !isClip) {
+      for (const time of await getPublishTimes()) {
+        if (time > now) until = Math.min(until, time);
+      }
+    }
+    vectorCandidates.set(searchType, { key: rev || items, until, candidates });
+    return candidates;
+  };
+
+  /**
+   * Size and memory use of the vector indexes built so far
+   * @returns {{posts: Object|null, media: Object|null}} - Index stats with their source ("vectra" or "embeddings")
+   */
+  const getVectorIndexStats = () => {
+    const statsOf = (searchType) => {
+      const entry = vectorIndexes.get(searchType);
+      return entry?.index ? { source: entry.source, ...entry.index.getStats() } : null;
+    };
+    return { posts: statsOf("text"), media: statsOf("clip") };
   };
 
   const performVectorSearch = async ({ text, image, mode, props }) => {
-    const { limit = 20, threshold = 0.1 } = props;
+    const { limit = 20, threshold = 0.1, filters = null, probes = null, exact = false } = props;
     let queryEmbedding;
     let searchType;
 
@@ -147,7 +500,7 @@ export function createPostSearch({ getAllPosts, getPostsEmbeddings, getAllMedia,
         if (!text) {
           throw new Error("Text is required for text-based vector search");
         }
-        const embeddingResult = await computeTextEmbedding(text, null, debug);
+        const embeddingResult = await computeEmbedding(provider, "computeTextEmbedding", text, null);
         queryEmbedding = embeddingResult.embedding;
         searchType = 'text';
         if (debug) {
@@ -157,7 +510,7 @@ export function createPostSearch({ getAllPosts, getPostsEmbeddings, getAllMedia,
         if (!text) {
           throw new Error("Text is required for CLIP text-based vector search");
         }
-        const embeddingResult = await computeClipTextEmbedding(text, debug);
+        const embeddingResult = await computeEmbedding(provider, "computeClipTextEmbedding", text);
         queryEmbedding = embeddingResult.embedding;
         searchType = 'clip';
         if (debug) {
@@ -167,7 +520,7 @@ export function createPostSearch({ getAllPosts, getPostsEmbeddings, getAllMedia,
         if (!image) {
           throw new Error("Image is required for CLIP image-based vector search");
         }
-        const embeddingResult = await computeClipImageEmbedding(image, debug);
+        const embeddingResult = await computeEmbedding(provider, "computeClipImageEmbedding", image);
         queryEmbedding = embeddingResult.embedding;
         searchType = 'clip';
         if (debug) {
@@ -179,68 +532,48 @@ export function createPostSearch({ getAllPosts, getPostsEmbeddings, getAllMedia,
         throw new Error("Failed to compute valid query embedding");
       }
 
-      // Get appropriate embeddings based on search type - IMPORTANT: Only compare compatible embeddings
-      let embeddingsMap;
-      let candidateData;
-      
-      if (searchType === 'clip') {
-        // For CLIP searches, only use CLIP embeddings (from media)
-        // CLIP embeddings are only available for media items, not posts
-        const [mediaEmbeddings, media] = await Promise.all([
-          getMediaEmbeddings ? getMediaEmbeddings() : {},
-          getAllMedia ? getAllMedia() : []
-        ]);
-        
-        embeddingsMap = mediaEmbeddings;
-        candidateData = media.map(m => ({ ...m, type: 'media' }));
-      } else {
-        // For text searches, only use text embeddings (from posts)
-        // Text embeddings are available for posts
-        const [postsEmbeddings, posts] = await Promise.all([
-          getPostsEmbeddings ? getPostsEmbeddings() : {},
-          getAllPosts ? getAllPosts(true) : []
-        ]);
-        
-        embeddingsMap = postsEmbeddings;
-        candidateData = posts.map(p => ({ ...p, type: 'post' }));
-      }
-
-      if (!embeddingsMap || Object.keys(embeddingsMap).length === 0) {
+      const candidates = await getVectorCandidates(searchType);
+      const index = await getVectorIndex(searchType);
+      if (!index) {
         if (debug) {
           console.warn("🔍 No embeddings available for vector search");
         }
         return [];
       }
 
-      // Calculate similarities
-      const similarities = [];
-      
-      for (const [hash, embedding] of Object.entries(embeddingsMap)) {
-        if (!embedding || !Array.isArray(embedding)) continue;
-        
-        const similarity = cosineSimilarity(queryEmbedding, embedding);
-        
-        if (similarity >= threshold) {
-          const candidateItem = candidateData.find(item => item.hash === hash);
-          if (candidateItem) {
-            similarities.push({
-              id: hash,
-              hash,
-              similarity,
-              score: similarity,
-              searchMode: mode,
-              post: candidateItem.type === 'post' ? candidateItem : null,
-              media: candidateItem.type === 'media' ? candidateItem : null,
-              type: candidateItem.type
-            });
-          }
-        }
+      // Embeddings of other models silently score 0, the provider must use the build models
+      if (index.dimension !== queryEmbedding.length) {
+        throw new Error(
+          `Query embedding has ${queryEmbedding.length} dimensions, the ${searchType} embeddings of the project have ${index.dimension}: the embedding provider must use the model they were built with`
+        );
       }
 
-      // Sort by similarity (highest first) and limit results
-      const results = similarities
-        .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, limit);
+      // Metadata filters read post fields (and the folder/year facets), or media fields ("metadata.width")
+      const getField = searchType === 'clip' ? getPostField : getFacetValue;
+      const matches = index.search(queryEmbedding, {
+        limit,
+        threshold,
+        probes,
+        exact,
+        filter: (hash) => {
+          const item = candidates.get(hash);
+          return Boolean(item) && (!filters || matchesWhere(item, filters, getField));
+        },
+      });
+
+      const results = matches.map(({ id: hash, similarity }) => {
+        const candidateItem = candidates.get(hash);
+        return {
+          id: hash,
+          hash,
+          similarity,
+          score: similarity,
+          searchMode: mode,
+          post: candidateItem.type === 'post' ? candidateItem : null,
+          media: candidateItem.type === 'media' ? candidateItem : null,
+          type: candidateItem.type
+        };
+      });
 
       if (debug) {
         console.log(`🔍 Found ${results.length} vector search results using ${mode} (threshold: ${threshold})`);
@@ -256,6 +589,239 @@ export function createPostSearch({ getAllPosts, getPostsEmbeddings, getAllMedia,
     }
   };
 
+  /**
+   * Fuse keyword (MiniSearch) and vector (text embeddings) results
+   * Each result explains its score: components.keyword and components.vector hold
+   * the rank, raw score and contribution of each side (null when the post wasn't found by it)
+   * When the vector side fails (no embedding provider, provider error), the keyword results are returned alone
+   * @param {string} text - Query
+   * @param {Object} props - limit, fusion, weights ({ keyword, vector }), rrfK, threshold,
+   *   candidates (results taken from each side), and MiniSearch options (boost, fuzzy, prefix, fields...)
+   * @returns {Promise<Array>} - Fused results, best first
+   */
+  const performHybridSearch = async (text, props) => {
+    if (!text) {
+      throw new Error("Text is required for hybrid search");
+    }
+
+    const {
+      limit = 20,
+      fusion = HYBRID_SEARCH_DEFAULTS.fusion,
+      weights = {},
+      rrfK = HYBRID_SEARCH_DEFAULTS.rrfK,
+      threshold = HYBRID_SEARCH_DEFAULTS.threshold,
+      candidates = Math.max(limit * 3, 50),
+      ...keywordProps
+    } = props;
+
+    if (!["rrf", "weighted"].includes(fusion)) {
+      throw new Error(`Fusion '${fusion}' is not supported. Available: rrf, weighted`);
+    }
+
+    const { keyword: keywordWeight, vector: vectorWeight } = {
+      ...HYBRID_SEARCH_DEFAULTS.weights,
+      ...weights,
+    };
+
+    // Without a keyword side there is nothing to fall back on, vector errors are thrown
+    const searchVectors = async () => {
+      try {
+        return await performVectorSearch({ text, mode: "vector-text", props: { limit: candidates, threshold } });
+      } catch (error) {
+        if (keywordWeight <= 0) throw error;
+        if (debug) {
+          console.warn(`🔍 Hybrid search falls back to keyword results: ${error.message}`);
+        }
+        return [];
+      }
+    };
+
+    const [keywordResults, vectorResults] = await Promise.all([
+      keywordWeight > 0 ? performMemorySearch(text, keywordProps) : [],
+      vectorWeight > 0 ? searchVectors() : [],
+    ]);
+
+    // Keyword scores are unbounded, weighted fusion scales them to the best one
+    const maxKeywordScore = keywordResults[0]?.score || 0;
+    const fused = new Map();
+    const getEntry = (id, post) => {
+      if (!fused.has(id)) {
+        fused.set(id, { id, post, keyword: null, vector: null });
+      }
+      const entry = fused.get(id);
+      entry.post = entry.post || post;
+      return entry;
+    };
+
+    keywordResults.slice(0, candidates).forEach((result, index) => {
+      const normalizedScore = maxKeywordScore ? result.score / maxKeywordScore : 0;
+      getEntry(result.id, result.post).keyword = {
+        rank: index + 1,
+        score: result.score,
+        normalizedScore,
+        contribution: keywordWeight * (fusion === "rrf" ? 1 / (rrfK + index + 1) : normalizedScore),
+        terms: result.terms,
+        match: result.match,
+      };
+    });
+
+    vectorResults.forEach((result, index) => {
+      getEntry(result.id, result.post).vector = {
+        rank: index + 1,
+        similarity: result.similarity,
+        contribution: vectorWeight * (fusion === "rrf" ? 1 / (rrfK + index + 1) : Math.max(result.similarity, 0)),
+      };
+    });
+
+    const results = [...fused.values()]
+      .map(({ id, post, keyword, vector }) => ({
+        id,
+        hash: post?.hash,
+        slug: post?.slug,
+        title: post?.title,
+        score: (keyword?.contribution || 0) + (vector?.contribution || 0),
+        terms: keyword?.terms || [],
+        match: keyword?.match || {},
+        searchMode: "hybrid",
+        fusion,
+        components: { keyword, vector },
+        type: "post",
+        post,
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    if (debug) {
+      console.log(
+        `🔍 Found ${results.length} hybrid search results for query: "${text}" (${keywordResults.length} keyword, ${vectorResults.length} vector, ${fusion})`
+      );
+    }
+
+    return results;
+  };
+
+  /**
+   * Faceted search for search result pages
+   * Keyword hits (every post without text) narrowed by filters, with facet counts,
+   * highlighted snippets of the plain text, sorting and pagination
+   * Facet counts ignore the filter of their own facet, so the other values of a facet stay selectable
+   * @param {string} text - Query (empty to browse every post)
+   * @param {Object} options - Search options
+   * @param {Object} options.filters - Where clause (see queryPosts), "folder" and "year" facets included
+   * @param {Array<string>} options.facets - Facets to count ("tags", "folder", "year", frontmatter fields)
+   * @param {number} options.facetLimit - Max values per facet (0 for all)
+   * @param {string|Array} options.sort - "relevance" (default with text), or sort keys ("-date" default without)
+   * @param {number} options.limit - Page size (0 for all)
+   * @param {number} options.offset - Number of results to skip
+   * @param {number} options.page - Page number, starting at 1 (takes precedence over offset)
+   * @param {Array<string>} options.fields - Fields to keep on each post
+   * @param {number} options.snippetLength - Max snippet length (0 for no snippets)
+   * @param {string} options.highlightTag - HTML tag of the highlighted matches
+   * @returns {Promise<Object>} - { results, total, limit, offset, page, pages, hasMore, facets, query, sort }
+   */
+  const facetedSearch = async (text = "", options = {}) => {
+    if (text !== null && text !== undefined && typeof text !== "string") {
+      throw new Error("Text parameter must be a string when provided");
+    }
+
+    const {
+      filters = {},
+      facets = [],
+      facetLimit = 20,
+      sort = null,
+      limit = 20,
+      offset = 0,
+      page = null,
+      fields = null,
+      snippetLength = 200,
+      highlightTag = "mark",
+      boost = { title: 3, excerpt: 2 },
+      fuzzy = 0.2,
+      prefix = true,
+    } = options;
+    const query = (text || "").trim();
+
+    // Filters and snippets need the full posts, even with a stored index
+    const [posts] = await Promise.all([getAllPosts(true), ensureMemoryIndex()]);
+    const postsById = new Map((posts || []).map((post) => [post.hash || post.slug, post]));
+
+    let hits;
+    if (!query) {
+      hits = (posts || []).map((post) => ({ post, score: null, terms: [], match: {} }));
+    } else if (!miniSearchInstance) {
+      hits = [];
+    } else {
+      // Posts missing from the visible posts are hidden ones of a stored index
+      hits = miniSearchInstance
+        .search(query, { boost, fuzzy, prefix })
+        .map((result) => ({
+          post: postsById.get(result.id),
+          score: result.score,
+          terms: result.terms,
+          match: result.match,
+        }))
+        .filter((hit) => hit.post);
+    }
+
+    // Filters read facet values, so { folder: "/projects", year: "2024" } work like fields
+    const matchesFilters = (post, ignoredField = null) =>
+      Object.entries(filters).every(
+        ([field, condition]) =>
+          field === ignoredField || matchesWhere(post, { [field]: condition }, getFacetValue)
+      );
+
+    let matching = hits.filter((hit) => matchesFilters(hit.post));
+
+    const facetCounts = {};
+    for (const facet of facets) {
+      const posts = hits.filter((hit) => matchesFilters(hit.post, facet)).map((hit) => hit.post);
+      facetCounts[facet] = countFacetValues(posts, facet, facetLimit);
+    }
+
+    const sortBy = sort || (query ? "relevance" : "-date");
+    if (sortBy === "relevance") {
+      matching = [...matching].sort((a, b) => (b.score || 0) - (a.score || 0));
+    } else {
+      const order = new Map(sortPosts(matching.map((hit) => hit.post), sortBy).map((post, index) => [post, index]));
+      matching = [...matching].sort((a, b) => order.get(a.post) - order.get(b.post));
+    }
+
+    const total = matching.length;
+    const start = page && limit > 0 ? (page - 1) * limit : offset;
+    const end = limit > 0 ? start + limit : total;
+
+    const results = matching.slice(start, end).map(({ post, score, terms, match }) => ({
+      id: post.hash || post.slug,
+      hash: post.hash,
+      slug: post.slug,
+      title: post.title,
+      score,
+      terms,
+      match,
+      snippet: snippetLength > 0 ? createSnippet(post.plain, terms, { length: snippetLength, highlightTag }) : null,
+      post: projectPost(post, fields),
+    }));
+
+    if (debug) {
+      console.log(
+        `🔍 Faceted search matched ${total} posts for query: "${query}", returning ${results.length} (${facets.length} facets)`
+      );
+    }
+
+    return {
+      results,
+      total,
+      limit,
+      offset: start,
+      page: limit > 0 ? Math.floor(start / limit) + 1 : 1,
+      pages: limit > 0 ? Math.ceil(total / limit) : 1,
+      hasMore: end < total,
+      facets: facetCounts,
+      query,
+      sort: sortBy,
+    };
+  };
+
   const searchAutocomplete = async (term, limit = 10) => {
     if (!term || typeof term !== 'string') {
       return [];
@@ -266,11 +832,8 @@ export function createPostSearch({ getAllPosts, getPostsEmbeddings, getAllMedia,
     }
 
     try {
-      // Get all posts if we haven't indexed them yet
-      if (!miniSearchInstance || !indexedData) {
-        const posts = await getAllPosts(true);
-        await initializeMemoryIndex(posts);
-      }
+      // Get all posts if we haven't indexed them yet or if they changed
+      await ensureMemoryIndex();
 
       if (!miniSearchInstance) {
         return [];
@@ -284,7 +847,7 @@ export function createPostSearch({ getAllPosts, getPostsEmbeddings, getAllMedia,
         boost: { slug: 3, title: 3, excerpt: 2, plain: 2 },
       };
 
-      const results = miniSearchInstance.search(term, searchOptions);
+      const results = await filterVisibleResults(miniSearchInstance.search(term, searchOptions));
 
       // Extract all unique terms that start with the input term
       const allTerms = new Set();
@@ -326,14 +889,81 @@ export function createPostSearch({ getAllPosts, getPostsEmbeddings, getAllMedia,
 
   const refreshMemoryIndex = async () => {
     const posts = await getAllPosts(true, true); // Force refresh
-    return await initializeMemoryIndex(posts);
+    const index = await initializeMemoryIndex(posts);
+    if (index && getRevision && !isPreview()) {
+      indexedRev = await getRevision();
+      await persistIndex();
+    }
+    return index;
+  };
+
+  /**
+   * Export the memory index of the active revision (MiniSearch serialization)
+   * Save it as search-index.json in the revision folder, or pass it to loadSearchIndex()
+   * @returns {Promise<Object>} - JSON-serializable { version, rev, createdAt, documentCount, fields, storeFields, index }
+   * @throws {Error} - In preview mode (the index would include hidden posts) or without posts
+   */
+  const exportSearchIndex = async () => {
+    if (isPreview()) {
+      throw new Error("Disable the preview mode to export the search index, it would include hidden posts");
+    }
+
+    await ensureMemoryIndex();
+    if (!miniSearchInstance) {
+      throw new Error("No posts to index");
+    }
+
+    const data = serializeIndex();
+    if (debug) {
+      console.log(`🔍 Exported search index of revision ${data.rev} (${data.documentCount} posts)`);
+    }
+    return data;
+  };
+
+  /**
+   * Load an exported memory index, searches then skip downloading and indexing the posts
+   * An index of another revision is replaced by the index of the active revision on the next search
+   * @param {Object|string} data - Output of exportSearchIndex(), or its JSON
+   * @returns {Promise<{rev: string|null, documentCount: number}>} - Loaded index
+   * @throws {Error} - If the data isn't a supported exported index
+   */
+  const loadSearchIndex = async (data) => {
+    let parsed = data;
+    if (typeof data === "string") {
+      try {
+        parsed = JSON.parse(data);
+      } catch (error) {
+        throw new Error(`Invalid search index JSON: ${error.message}`);
+      }
+    }
+
+    const rev = parsed?.rev || (getRevision ? await getRevision() : null);
+    useSerializedIndex(parsed, rev);
+
+    const isActiveRev = getRevision && rev === (await getRevision());
+    if (isActiveRev) {
+      await persistIndex();
+    }
+
+    if (debug) {
+      console.log(
+        `🔍 Loaded search index of revision ${rev} (${miniSearchInstance.documentCount} posts)${isActiveRev ? "" : ", not the active revision"}`
+      );
+    }
+
+    return { rev, documentCount: miniSearchInstance.documentCount };
   };
 
   return {
     searchPosts,
     searchAutocomplete,
     refreshMemoryIndex,
+    exportSearchIndex,
+    loadSearchIndex,
     performMemorySearch,
     performVectorSearch,
+    performHybridSearch,
+    getVectorIndexStats,
+    facetedSearch,
   };
 }
@@ -18,6 +18,7 @@ const prefix = LOG_PREFIXES.REPO_MD;
  * @param {Function} config.getRecentPosts - Function to get recent posts
  * @param {Function} config.getPostBySlug - Function to get a post by slug
  * @param {Function} config.augmentPostsByProperty - Function to augment posts by property
+ * @param {Function} config.filterPostKeys - Function dropping keys of posts hidden by the visibility policy (optional)
  * @param {boolean} config.debug - Whether to log debug info
  * @returns {Object} - Post similarity functions
  */
@@ -28,6 +29,7 @@ export function createPostSimilarity(config) {
     getRecentPosts,
     getPostBySlug,
     augmentPostsByProperty,
+    filterPostKeys = null,
     debug = false,
   } = config;
 
@@ -36,6 +38,16 @@ export function createPostSimilarity(config) {
   let similarPostsHashes = null;
   const similarityCache = {}; // Memory cache for similarity scores
 
+  /**
+   * Drop hidden posts from a list of keys, before limits are applied
+   * @param {Array<string>} keys - Post hashes or slugs
+   * @param {string} property - "hash" or "slug"
+   * @returns {Promise<Array<string>>} - Keys of visible posts
+   */
+  async function _visibleKeys(keys, property) {
+    return filterPostKeys ? await filterPostKeys(keys, property) : keys;
+  }
+
   /**
    * Get pre-computed post similarities
    * @returns {Promise<Object>} - Similarity data
@@ -207,6 +219,11 @@ export function createPostSimilarity(config) {
       );
     }
 
+    // Hidden posts have no similar posts
+    if (!(await _visibleKeys([hash], "hash")).length) {
+      return [];
+    }
+
     // Try to get from pre-computed similar hashes map first
     const similarHashesMap = await getTopSimilarPostsHashes();
 
@@ -217,7 +234,7 @@ export function createPostSimilarity(config) {
           `${prefix} 💾 Using pre-computed similar hashes for ${hash}`
         );
       }
-      return similarHashesMap[hash].slice(0, limit);
+      return (await _visibleKeys(similarHashesMap[hash], "hash")).slice(0, limit);
     }
 
     // Fall back to the old implementation if no pre-computed data available
@@ -260,13 +277,13 @@ export function createPostSimilarity(config) {
       });
     }
 
-    // Sort by similarity (highest first) and take the top 'limit'
-    const sortedSimilarities = similarities
+    // Sort by similarity (highest first)
+    const sortedHashes = similarities
       .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, limit);
+      .map((item) => item.hash);
 
-    // Return just the hashes
-    return sortedSimilarities.map((item) => item.hash);
+    // Return just the hashes of visible posts, up to 'limit'
+    return (await _visibleKeys(sortedHashes, "hash")).slice(0, limit);
   }
 
   /**
@@ -327,9 +344,10 @@ export function createPostSimilarity(config) {
     if (
       embeddingsMap &&
       embeddingsMap[slug] &&
-      Array.isArray(embeddingsMap[slug])
+      Array.isArray(embeddingsMap[slug]) &&
+      (await _visibleKeys([slug], "slug")).length
     ) {
-      return embeddingsMap[slug].slice(0, limit);
+      return (await _visibleKeys(embeddingsMap[slug], "slug")).slice(0, limit);
     }
 
     return [];
@@ -0,0 +1,281 @@
+/**
+ * Post Taxonomy module for RepoMD
+ * Tags and frontmatter taxonomies (categories, series, authors...) with counts
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+const TAGS_TAXONOMY = "tags";
+
+// Tags of every post, from the content.sqlite tag tables
+const SQL_POST_TAGS = `SELECT t.tag AS tag, p.slug AS slug
+  FROM post_tags pt
+  JOIN tags t ON t.id = pt.tag_id
+  JOIN posts p ON p.id = pt.post_id`;
+
+/**
+ * Normalize a term for comparisons ("#JavaScript " -> "javascript")
+ * @param {string} term - Raw term
+ * @returns {string} - Comparison key
+ */
+function termKey(term) {
+  return String(term).trim().replace(/^#/, "").toLowerCase();
+}
+
+/**
+ * Read the terms of a post for a taxonomy
+ * Accepts arrays and comma-separated strings, from the post or its frontmatter
+ * @param {Object} post - Post object
+ * @param {string} taxonomy - Taxonomy name (tags, categories, series...)
+ * @returns {Array<string>} - Terms of the post
+ */
+function getPostTerms(post, taxonomy) {
+  const raw = post?.[taxonomy] ?? post?.frontmatter?.[taxonomy];
+  if (raw === undefined || raw === null || raw === "") return [];
+
+  const values = Array.isArray(raw) ? raw : String(raw).split(",");
+  return values
+    .map((value) => String(value).trim().replace(/^#/, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Get the date of a post used for sorting
+ * @param {Object} post - Post object
+ * @returns {number} - Timestamp (0 when the post has no date)
+ */
+function getPostTime(post) {
+  const date = post.date || post.frontmatter?.date || post.created;
+  const time = date ? new Date(date).getTime() : 0;
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Create a post taxonomy service
+ * @param {Object} config - Configuration object
+ * @param {Function} config.getAllPosts - Function to get all posts
+ * @param {Function} config.sql - Function to query the content.sqlite database (optional, opt-in:
+ *   tags then come from its tag tables, which downloads the database)
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Post taxonomy functions
+ */
+export function createPostTaxonomy(config) {
+  const { getAllPosts, sql = null, debug = false } = config;
+
+  // Term indexes by taxonomy, rebuilt when the posts array changes
+  const indexCache = new Map();
+
+  /**
+   * Build a term index from the tag tables of the database
+   * Query errors (e.g. the access check of the visibility policy) are thrown, the database was asked for
+   * @param {Array} posts - All posts
+   * @returns {Promise<Map|null>} - Term index, null when the database has no tags
+   */
+  async function _buildIndexFromDatabase(posts) {
+    if (!sql) return null;
+
+    const rows = await sql(SQL_POST_TAGS);
+    if (!rows.length) return null;
+
+    const postsBySlug = new Map(posts.map((post) => [post.slug, post]));
+    const index = new Map();
+
+    for (const { tag, slug } of rows) {
+      const post = postsBySlug.get(slug);
+      if (!post || !tag) continue;
+      _addToIndex(index, tag, post);
+    }
+
+    return index;
+  }
+
+  /**
+   * Build a term index from the posts (post fields or frontmatter)
+   * @param {Array} posts - All posts
+   * @param {string} taxonomy - Taxonomy name
+   * @returns {Map} - Term index
+   */
+  function _buildIndexFromPosts(posts, taxonomy) {
+    const index = new Map();
+    for (const post of posts) {
+      for (const term of getPostTerms(post, taxonomy)) {
+        _addToIndex(index, term, post);
+      }
+    }
+    return index;
+  }
+
+  // Add a post to the entry of a term, keeping the first spelling seen
+  function _addToIndex(index, term, post) {
+    const key = termKey(term);
+    if (!key) return;
+
+    if (!index.has(key)) {
+      index.set(key, { term: String(term).trim().replace(/^#/, ""), posts: [] });
+    }
+    const entry = index.get(key);
+    if (!entry.posts.includes(post)) {
+      entry.posts.push(post);
+    }
+  }
+
+  /**
+   * Get the term index of a taxonomy
+   * Taxonomies come from the posts (post fields or frontmatter),
+   * tags from the database tag tables instead when sql is set and they have any
+   * @param {string} taxonomy - Taxonomy name
+   * @returns {Promise<Map>} - Map of term key to { term, posts }
+   */
+  async function _getIndex(taxonomy) {
+    const posts = await getAllPosts();
+    const cached = indexCache.get(taxonomy);
+    if (cached && cached.posts === posts) {
+      return cached.index;
+    }
+
+    const startTime = performance.now();
+    let source = "sqlite";
+    let index =
+      taxonomy === TAGS_TAXONOMY ? await _buildIndexFromDatabase(posts) : null;
+
+    if (!index) {
+      source = "posts";
+      index = _buildIndexFromPosts(posts, taxonomy);
+    }
+
+    indexCache.set(taxonomy, { posts, index });
+
+    if (debug) {
+      const duration = (performance.now() - startTime).toFixed(2);
+      console.log(
+        `${prefix} 🏷️ Indexed ${index.size} ${taxonomy} terms from ${source} in ${duration}ms`
+      );
+    }
+
+    return index;
+  }
+
+  /**
+   * Sort and paginate posts
+   * @param {Array} posts - Posts to sort
+   * @param {Object} options - { sort: "date" | "title", order: "asc" | "desc", limit, offset }
+   * @returns {Array} - Sorted page of posts
+   */
+  function _sortAndPaginate(posts, options = {}) {
+    const { sort = "date", order, limit = 0, offset = 0 } = options;
+
+    let sorted;
+    if (sort === "title") {
+      const direction = order === "desc" ? -1 : 1;
+      sorted = [...posts].sort(
+        (a, b) => direction * String(a.title || "").localeCompare(String(b.title || ""))
+      );
+    } else {
+      const direction = order === "asc" ? 1 : -1;
+      sorted = [...posts].sort((a, b) => direction * (getPostTime(a) - getPostTime(b)));
+    }
+
+    return limit > 0 ? sorted.slice(offset, offset + limit) : sorted.slice(offset);
+  }
+
+  /**
+   * Get all terms of a taxonomy with their post counts
+   * @param {string} taxonomy - Taxonomy name (tags, categories, series, authors...)
+   * @param {string} sort - "count" (most used first) or "name"
+   * @returns {Promise<Array<{term: string, count: number}>>} - Terms with counts
+   */
+  async function getTaxonomyTerms(taxonomy = TAGS_TAXONOMY, sort = "count") {
+    const index = await _getIndex(taxonomy);
+    const terms = [...index.values()].map(({ term, posts }) => ({
+      term,
+      count: posts.length,
+    }));
+
+    return terms.sort((a, b) =>
+      sort === "name"
+        ? a.term.localeCompare(b.term)
+        : b.count - a.count || a.term.localeCompare(b.term)
+    );
+  }
+
+  /**
+   * Get posts with a term of a taxonomy
+   * @param {string} taxonomy - Taxonomy name
+   * @param {string} term - Term (case-insensitive)
+   * @param {Object} options - { sort, order, limit, offset }
+   * @returns {Promise<Array>} - Posts
+   */
+  async function getPostsByTaxonomy(taxonomy, term, options = {}) {
+    if (!term) {
+      throw new Error(`A ${taxonomy} term is required for getPostsByTaxonomy`);
+    }
+
+    const index = await _getIndex(taxonomy);
+    const entry = index.get(termKey(term));
+    return entry ? _sortAndPaginate(entry.posts, options) : [];
+  }
+
+  /**
+   * Get all tags with their post counts
+   * @param {string} sort - "count" (most used first) or "name"
+   * @returns {Promise<Array<{tag: string, count: number}>>} - Tags with counts
+   */
+  async function getAllTags(sort = "count") {
+    const terms = await getTaxonomyTerms(TAGS_TAXONOMY, sort);
+    return terms.map(({ term, count }) => ({ tag: term, count }));
+  }
+
+  /**
+   * Get posts with a tag
+   * @param {string} tag - Tag (case-insensitive, leading # ignored)
+   * @param {Object} options - { sort, order, limit, offset }
+   * @returns {Promise<Array>} - Posts
+   */
+  async function getPostsByTag(tag, options = {}) {
+    if (!tag) {
+      throw new Error("Tag is required for getPostsByTag operation");
+    }
+    return await getPostsByTaxonomy(TAGS_TAXONOMY, tag, options);
+  }
+
+  /**
+   * Get tags that appear on the same posts as a tag (co-occurrence)
+   * @param {string} tag - Tag
+   * @param {number} limit - Maximum number of related tags
+   * @returns {Promise<Array<{tag: string, count: number}>>} - Related tags, most shared posts first
+   */
+  async function getRelatedTags(tag, limit = 10) {
+    if (!tag) {
+      throw new Error("Tag is required for getRelatedTags operation");
+    }
+
+    const index = await _getIndex(TAGS_TAXONOMY);
+    const key = termKey(tag);
+    const entry = index.get(key);
+    if (!entry) return [];
+
+    const taggedPosts = new Set(entry.posts);
+    const related = [];
+
+    for (const [otherKey, other] of index) {
+      if (otherKey === key) continue;
+      const count = other.posts.filter((post) => taggedPosts.has(post)).length;
+      if (count > 0) {
+        related.push({ tag: other.term, count });
+      }
+    }
+
+    related.sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    return limit > 0 ? related.slice(0, limit) : related;
+  }
+
+  return {
+    getAllTags,
+    getPostsByTag,
+    getRelatedTags,
+    getTaxonomyTerms,
+    getPostsByTaxonomy,
+  };
+}
@@ -0,0 +1,274 @@
+/**
+ * Post Visibility module for RepoMD
+ * Frontmatter-driven visibility policy (private notes, drafts, scheduled posts) with a preview mode
+ */
+
+import { LOG_PREFIXES } from '../logger.js';
+import { getPostField } from './query.js';
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+// Default policy: `public: false` notes, drafts and posts with a future publishAt are hidden
+export const DEFAULT_VISIBILITY = {
+  visibilityField: 'public',
+  draftField: 'draft',
+  publishAtField: 'publishAt',
+  defaultPublic: true,
+  includePrivate: false,
+  includeDrafts: false,
+  includeScheduled: false,
+};
+
+// RepoMD methods returning raw revision data the policy can't filter
+// (SQL, source files, graph.json, embeddings and similarity maps)
+export const UNFILTERED_METHODS = [
+  'sql',
+  'getDatabase',
+  'sqlPostsByTag',
+  'sqlBacklinks',
+  'sqlMediaForPost',
+  'getSqliteUrl',
+  'getSourceFilesList',
+  'getDistFilesList',
+  'getFileContent',
+  'getGraph',
+  'getPostsEmbeddings',
+  'getPostsSimilarity',
+  'getTopSimilarPostsHashes',
+];
+
+// Frontmatter strings read as false ("public: no", "draft: 'false'"...)
+const FALSE_STRINGS = ['false', 'no', 'off', '0', 'private', 'hidden', ''];
+
+/**
+ * Read a frontmatter flag, accepting booleans and YAML-ish strings
+ * @param {any} value - Raw field value
+ * @returns {boolean} - Flag value
+ */
+function toFlag(value) {
+  if (typeof value === 'string') {
+    return !FALSE_STRINGS.includes(value.trim().toLowerCase());
+  }
+  return Boolean(value);
+}
+
+/**
+ * Compare a secret without returning early on the first different character
+ * @param {string} candidate - Provided secret
+ * @param {string} secret - Expected secret
+ * @returns {boolean} - Whether they match
+ */
+function safeEqual(candidate, secret) {
+  const a = String(candidate ?? '');
+  const b = String(secret);
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < b.length; i++) {
+    diff |= (a.charCodeAt(i) || 0) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Create a visibility policy
+ * @param {Object} options - Policy options
+ * @param {string} options.visibilityField - Field marking private notes when false (default "public")
+ * @param {string} options.draftField - Field marking drafts when true (default "draft")
+ * @param {string} options.publishAtField - Field holding the publish date embargo (default "publishAt")
+ * @param {boolean} options.defaultPublic - Visibility of posts without the visibility field (default true)
+ * @param {boolean} options.includePrivate - Show private notes
+ * @param {boolean} options.includeDrafts - Show drafts
+ * @param {boolean} options.includeScheduled - Show posts whose publishAt is in the future
+ * @param {string} options.previewSecret - Secret unlocking the preview mode (shows every post)
+ * @param {Function} options.now - Clock returning a timestamp (defaults to Date.now)
+ * @param {boolean} options.debug - Whether to log debug info
+ * @returns {Object} - Visibility functions
+ */
+export function createVisibilityPolicy(options = {}) {
+  const { previewSecret = null, now = () => Date.now(), debug = false, ...rules } = options;
+  const policy = { ...DEFAULT_VISIBILITY, ...rules };
+
+  let preview = false;
+  // Bumped when the preview mode changes, invalidates memoized filters
+  let version = 0;
+  // Filtered arrays by source array, so unchanged posts keep the same reference
+  const filterCache = new WeakMap();
+
+  /**
+   * Get the reason a post is hidden by the policy rules (ignoring the preview mode)
+   * @param {Object} post - Post or posts index entry
+   * @param {number} at - Timestamp used for the publishAt embargo
+   * @returns {string|null} - "private", "draft", "scheduled" or null when visible
+   */
+  function getHiddenReason(post, at = now()) {
+    if (!post) return null;
+
+    if (!policy.includePrivate) {
+      const value = getPostField(post, policy.visibilityField);
+      const isPublic = value === undefined || value === null ? policy.defaultPublic : toFlag(value);
+      if (!isPublic) return 'private';
+    }
+
+    if (!policy.includeDrafts && toFlag(getPostField(post, policy.draftField) ?? false)) {
+      return 'draft';
+    }
+
+    if (!policy.includeScheduled) {
+      const publishAt = getPostField(post, policy.publishAtField);
+      const time = publishAt ? new Date(publishAt).getTime() : NaN;
+      if (!Number.isNaN(time) && time > at) return 'scheduled';
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the publishAt embargo of a post
+   * @param {Object} post - Post or posts index entry
+   * @returns {number|null} - Timestamp, null without a valid date or when scheduled posts are shown
+   */
+  function getPublishTime(post) {
+    if (policy.includeScheduled || !post) return null;
+    const publishAt = getPostField(post, policy.publishAtField);
+    const time = publishAt ? new Date(publishAt).getTime() : NaN;
+    return Number.isNaN(time) ? null : time;
+  }
+
+  // Whether the rules can hide anything at all
+  function _hasRules() {
+    return !policy.includePrivate || !policy.includeDrafts || !policy.includeScheduled;
+  }
+
+  /**
+   * Whether some posts may be hidden (rules apply and the preview mode is off)
+   * @returns {boolean} - Whether reads are filtered
+   */
+  function isRestricted() {
+    return !preview && _hasRules();
+  }
+
+  /**
+   * Whether a post is visible
+   * @param {Object} post - Post or posts index entry
+   * @param {Object} opts - { ignorePreview: apply the rules even in preview mode (feeds, sitemaps) }
+   * @returns {boolean} - Whether the post is visible
+   */
+  function isVisible(post, opts = {}) {
+    if (preview && !opts.ignorePreview) return true;
+    return getHiddenReason(post) === null;
+  }
+
+  /**
+   * Keep the visible posts of an array
+   * Results are memoized per source array until the preview mode changes or an embargo ends
+   * @param {Array} posts - Posts or posts index entries
+   * @param {Object} opts - { ignorePreview }
+   * @returns {Array} - Visible posts (the same array when nothing is hidden)
+   */
+  function filterPosts(posts, opts = {}) {
+    if (!Array.isArray(posts)) return posts;
+    const mode = preview && !opts.ignorePreview ? 'preview' : 'public';
+    if (mode === 'preview' || !_hasRules()) return posts;
+
+    const at = now();
+    const entries = filterCache.get(posts) || {};
+    const cached = entries[mode];
+    if (cached && cached.version === version && at < cached.until) {
+      return cached.result;
+    }
+
+    // The memoized result expires when the next scheduled post goes live
+    let until = Infinity;
+    const visible = posts.filter((post) => {
+      const reason = getHiddenReason(post, at);
+      if (reason === 'scheduled') {
+        const time = new Date(getPostField(post, policy.publishAtField)).getTime();
+        until = Math.min(until, time);
+      }
+      return reason === null;
+    });
+    const result = visible.length === posts.length ? posts : visible;
+
+    entries[mode] = { version, until, result };
+    filterCache.set(posts, entries);
+
+    if (debug && result !== posts) {
+      console.log(
+        `${prefix} 🙈 Visibility policy hid ${posts.length - result.length} of ${posts.length} posts`
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Check a preview secret without changing the mode (e.g. per request)
+   * @param {string} secret - Provided secret
+   * @returns {boolean} - Whether the secret unlocks the preview mode
+   */
+  function checkPreviewSecret(secret) {
+    return Boolean(previewSecret) && safeEqual(secret, previewSecret);
+  }
+
+  /**
+   * Show every post (private notes, drafts, scheduled posts)
+   * @param {string} secret - Preview secret
+   * @throws {Error} - If no preview secret is configured or the secret doesn't match
+   */
+  function enablePreview(secret) {
+    if (!previewSecret) {
+      throw new Error('Preview mode requires a visibility.previewSecret option');
+    }
+    if (!checkPreviewSecret(secret)) {
+      throw new Error('Invalid preview secret');
+    }
+    if (!preview) {
+      preview = true;
+      version++;
+      if (debug) {
+        console.log(`${prefix} 👁️ Preview mode enabled, hidden posts are visible`);
+      }
+    }
+  }
+
+  /**
+   * Go back to the visibility rules
+   */
+  function disablePreview() {
+    if (preview) {
+      preview = false;
+      version++;
+      if (debug) {
+        console.log(`${prefix} 🙈 Preview mode disabled`);
+      }
+    }
+  }
+
+  /**
+   * Whether the preview mode is on
+   * @returns {boolean} - Preview mode
+   */
+  function isPreview() {
+    return preview;
+  }
+
+  /**
+   * Get the effective policy
+   * @returns {Object} - Rules and preview mode (the secret is never returned)
+   */
+  function getPolicy() {
+    return { ...policy, preview };
+  }
+
+  return {
+    getHiddenReason,
+    getPublishTime,
+    isVisible,
+    isRestricted,
+    filterPosts,
+    checkPreviewSecret,
+    enablePreview,
+    disablePreview,
+    isPreview,
+    getPolicy,
+  };
+}
@@ -4,6 +4,10 @@
  */
 
 import { LOG_PREFIXES } from '../logger.js';
+import { proxyMediaRequest } from './mediaResponse.js';
+import { createImageTransformer } from './imageTransform.js';
+import { createRequestHandler } from './requestHandler.js';
+import { createContentApi } from '../api/index.js';
 
 const prefix = LOG_PREFIXES.REPO_MD;
 
@@ -14,6 +18,9 @@ export const REPO_MD_DEFAULTS = {
   cacheMaxAge: 31536000, // 1 year in seconds
   debug: false,
   projectPathPrefix: 'projects', // Default path prefix for project resources
+  distLayout: false, // r2Url points at a built dist folder (medias under /_medias)
+  imageTransforms: null, // createImageTransformer options, e.g. { processor } (disabled by default)
+  contentApi: null, // true or createContentApi options, serves /_repo/api/ (disabled by default)
 };
 
 // Keep internal reference for backward compatibility
@@ -30,6 +37,9 @@ export class UnifiedProxyConfig {
     cacheMaxAge = DEFAULTS.cacheMaxAge,
     debug = DEFAULTS.debug,
     projectPathPrefix = DEFAULTS.projectPathPrefix,
+    distLayout = DEFAULTS.distLayout,
+    imageTransforms = DEFAULTS.imageTransforms,
+    contentApi = DEFAULTS.contentApi,
   }) {
     if (!projectId) {
       throw new Error('projectId is required for proxy configuration');
@@ -41,6 +51,13 @@ export class UnifiedProxyConfig {
     this.cacheMaxAge = cacheMaxAge;
     this.debug = debug;
     this.projectPathPrefix = projectPathPrefix;
+    this.distLayout = distLayout;
+    this.imageTransformer = imageTransforms
+      ? createImageTransformer({ debug, ...imageTransforms })
+      : null;
+    this.contentApi = contentApi
+      ? createContentApi({ projectId, debug, ...(contentApi === true ? {} : contentApi) })
+      : null;
 
     // Remove trailing slash from URLs
     this.mediaUrlPrefix = this.mediaUrlPrefix.replace(/\/$/, '');
@@ -55,7 +72,18 @@ export class UnifiedProxyConfig {
   getTargetUrl(mediaPath) {
     // Remove leading slash if present
     const cleanPath = mediaPath.replace(/^\//, '');
-    return `${this.r2Url}/${this.projectPathPrefix}/${this.projectId}/_shared/medias/${cleanPath}`;
+    return `${this.r2Url}${this.getMediaBasePath()}/${cleanPath}`;
+  }
+
+  /**
+   * Get the path of the media folder on the CDN, relative to r2Url
+   * @returns {string} The media folder path
+   */
+  getMediaBasePath() {
+    if (this.distLayout) {
+      return '/_medias';
+    }
+    return `/${this.projectPathPrefix}/${this.projectId}/_shared/medias`;
   }
 
   /**
@@ -89,6 +117,30 @@ export class UnifiedProxyConfig {
     };
   }
 
+  /**
+   * Answer a media request: transformations (?w=640&fmt=avif&q=70) when enabled, the origin file otherwise
+   * @param {string} mediaPath - Media path after the media URL prefix
+   * @param {Object} request - Client request ({ url, method, headers }), e.g. a Request
+   * @returns {Promise<Response>} - Client response
+   */
+  handleMediaRequest(mediaPath, request) {
+    const options = {
+      cacheHeaders: this.getCacheHeaders(),
+      errorCacheHeaders: this.getErrorCacheHeaders(),
+      debug: this.debug,
+    };
+
+    if (this.imageTransformer && request.url && this.imageTransformer.isTransformRequest(request.url)) {
+      this.log(`Image transformation: ${request.url}`);
+      return this.imageTransformer.handle(mediaPath, request, {
+        ...options,
+        getTargetUrl: (path) => this.getTargetUrl(path),
+      });
+    }
+
+    return proxyMediaRequest(this.getTargetUrl(mediaPath), request, options);
+  }
+
   /**
    * Log a debug message if debug mode is enabled
    * @param {string} message - The message to log
@@ -111,7 +163,7 @@ export class UnifiedProxyConfig {
         target: this.r2Url,
         changeOrigin: true,
         rewrite: (path) => {
-          const rewritten = path.replace(proxyPath, `/projects/${this.projectId}/_shared/medias`);
+          const rewritten = path.replace(proxyPath, this.getMediaBasePath());
           this.log(`Vite proxy rewrite: ${path} → ${rewritten}`);
           return rewritten;
         },
@@ -137,20 +189,23 @@ export class UnifiedProxyConfig {
    * @returns {Object} Next.js config object
    */
   toNextConfig() {
+    // Next.js calls rewrites()/headers() with the returned object as `this`
+    const config = this;
+
     return {
       async rewrites() {
         return [
           {
-            source: `${this.mediaUrlPrefix}:path*`,
-            destination: `${this.r2Url}/projects/${this.projectId}/_shared/medias/:path*`,
+            source: `${config.mediaUrlPrefix}:path*`,
+            destination: `${config.r2Url}${config.getMediaBasePath()}/:path*`,
           },
         ];
       },
       async headers() {
         return [
           {
-            source: `${this.mediaUrlPrefix}:path*`,
-            headers: Object.entries(this.getCacheHeaders()).map(([key, value]) => ({
+            source: `${config.mediaUrlPrefix}:path*`,
+            headers: Object.entries(config.getCacheHeaders()).map(([key, value]) => ({
               key,
               value: String(value),
             })),
@@ -165,55 +220,10 @@ export class UnifiedProxyConfig {
    * @returns {Function} Remix loader function
    */
   toRemixLoader() {
-    return async ({ request }) => {
-      const url = new URL(request.url);
-      
-      if (!url.pathname.startsWith(this.mediaUrlPrefix)) {
-        return null;
-      }
-
-      const mediaPath = url.pathname.replace(this.mediaUrlPrefix, '');
-      const targetUrl = this.getTargetUrl(mediaPath);
-
-      this.log(`Remix proxy: ${url.pathname} → ${targetUrl}`);
-
-      try {
-        const response = await fetch(targetUrl, {
-          method: request.method,
-          headers: request.headers,
-        });
-
-        const headers = new Headers(response.headers);
-        
-        if (response.ok) {
-          for (const [key, value] of Object.entries(this.getCacheHeaders())) {
-            headers.set(key, value);
-          }
-        } else {
-          for (const [key, value] of Object.entries(this.getErrorCacheHeaders())) {
-            headers.set(key, value);
-          }
-        }
-
-        return new Response(response.body, {
-          status: response.status,
-          statusText: response.statusText,
-          headers,
-        });
-      } catch (error) {
-        if (this.debug) {
-          console.error(`${prefix} Remix proxy error:`, error);
-        }
-        
-        const headers = new Headers(this.getErrorCacheHeaders());
-        headers.set('Content-Type', 'text/plain');
-        
-        return new Response('Proxy error', {
-          status: 502,
-          headers,
-        });
-      }
-    };
+    const handler = createRequestHandler(this);
+
+    // Non-media requests resolve to null
+    return async ({ request }) => handler.handle(request);
   }
 
   /**
@@ -0,0 +1,345 @@
+/**
+ * On-the-fly image transformations for the RepoMD media proxy
+ * /_repo/medias/{hash}?w=640&fmt=avif&q=70 resizes the nearest larger stored variant
+ * with a pluggable image processor, and caches the result
+ */
+
+import { LOG_PREFIXES } from '../logger.js';
+import { robustFetch } from '../utils.js';
+import { getRenditionsByFormat } from '../media/images.js';
+import { createMediaResponse } from './mediaResponse.js';
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+// Query parameters of a transformation request
+const TRANSFORM_PARAMS = ['w', 'fmt', 'q'];
+
+// Only these values are accepted, so the cache and the processor can't be flooded with variants
+export const DEFAULT_IMAGE_TRANSFORM_ALLOWLIST = {
+  widths: [64, 128, 256, 320, 480, 640, 768, 960, 1024, 1280, 1600, 1920],
+  formats: ['avif', 'webp', 'jpeg', 'png'],
+  qualities: [40, 50, 60, 70, 75, 80, 85, 90],
+};
+
+// Nominal widths of the size variants generated by the build, used when medias.json isn't available
+export const DEFAULT_VARIANT_WIDTHS = { xs: 100, sm: 300, md: 700, lg: 1400, xl: 2160 };
+
+const DEFAULT_QUALITY = 75;
+
+// "<hash>", "<hash>.png" or "<hash>-md.webp"
+const MEDIA_HASH_PATTERN = /^([a-f0-9]{64})(?:-(?:xs|sm|md|lg|xl))?(?:\.[a-z0-9]+)?$/i;
+
+/**
+ * Create an image processor backed by sharp (passed in, RepoMD doesn't depend on it)
+ * Usage: createSharpImageProcessor((await import('sharp')).default)
+ * @param {Function} sharp - The sharp module
+ * @returns {Function} - Image processor
+ */
+export function createSharpImageProcessor(sharp) {
+  return async ({ input, width, format, quality }) => {
+    let pipeline = sharp(input);
+    if (width) {
+      pipeline = pipeline.resize({ width, withoutEnlargement: true });
+    }
+    return await pipeline.toFormat(format, { quality }).toBuffer();
+  };
+}
+
+/**
+ * Check whether a request URL asks for a transformation
+ * @param {string} url - Request URL (absolute or path with query)
+ * @returns {boolean} - True when w, fmt or q is set
+ */
+export function isImageTransformRequest(url) {
+  try {
+    const { searchParams } = new URL(url, 'http://localhost');
+    return TRANSFORM_PARAMS.some((param) => searchParams.has(param));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse and validate the transformation parameters against the allowlist
+ * @param {URLSearchParams} searchParams - Request query
+ * @param {Object} allowlist - Allowed widths, formats and qualities
+ * @param {string} defaultFormat - Format when fmt is missing
+ * @returns {{width: number|null, format: string, quality: number}|{error: string}} - Parameters or error
+ */
+export function parseImageTransformParams(searchParams, allowlist, defaultFormat) {
+  const rawWidth = searchParams.get('w');
+  const format = (searchParams.get('fmt') || defaultFormat).toLowerCase().replace(/^jpg$/, 'jpeg');
+  const rawQuality = searchParams.get('q');
+
+  const width = rawWidth === null ? null : Number(rawWidth);
+  if (width !== null && !allowlist.widths.includes(width)) {
+    return { error: `w=${rawWidth} is not allowed (allowed: ${allowlist.widths.join(', ')})` };
+  }
+  if (!allowlist.formats.includes(format)) {
+    return { error: `fmt=${format} is not allowed (allowed: ${allowlist.formats.join(', ')})` };
+  }
+
+  const quality = rawQuality === null ? DEFAULT_QUALITY : Number(rawQuality);
+  if (rawQuality !== null && !allowlist.qualities.includes(quality)) {
+    return { error: `q=${rawQuality} is not allowed (allowed: ${allowlist.qualities.join(', ')})` };
+  }
+
+  return { width, format, quality };
+}
+
+/**
+ * Encode bytes as base64 without Buffer, which edge runtimes don't have
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64 string
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  // Chunked so the spread stays under the argument count limit
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+function toBytes(output) {
+  if (output instanceof Uint8Array) return output;
+  if (output instanceof ArrayBuffer) return new Uint8Array(output);
+  throw new Error('The image processor must return a Uint8Array, Buffer or ArrayBuffer');
+}
+
+/**
+ * Create an image transformer for a proxy configuration
+ * @param {Object} config - Transformer options
+ * @param {Function} config.processor - async ({ input, width, format, quality, source }) => Uint8Array
+ * @param {Object} config.allowlist - Allowed widths, formats and qualities (defaults: DEFAULT_IMAGE_TRANSFORM_ALLOWLIST)
+ * @param {Object} config.cacheStore - Cache store for the results (e.g. createFsCacheStore), in memory by default
+ * @param {number} config.maxCacheEntries - Size of the in-memory cache (default 100)
+ * @param {Function} config.getMedia - async (hash) => medias.json entry, whose sizes give the actual variant widths
+ * @param {Object} config.variantWidths - Widths of the stored size variants without getMedia (default xs 100 ... xl 2160)
+ * @param {Array<string>} config.sourceFormats - Stored formats tried as source, in order (default webp, jpeg)
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Transformer ({ isTransformRequest, handle })
+ */
+export function createImageTransformer(config = {}) {
+  const {
+    processor,
+    allowlist: allowlistOverrides = {},
+    cacheStore = null,
+    maxCacheEntries = 100,
+    getMedia = null,
+    variantWidths = DEFAULT_VARIANT_WIDTHS,
+    sourceFormats = ['webp', 'jpeg'],
+    debug = false,
+  } = config;
+
+  if (typeof processor !== 'function') {
+    throw new Error('Image transformations require an image processor function');
+  }
+
+  const allowlist = { ...DEFAULT_IMAGE_TRANSFORM_ALLOWLIST, ...allowlistOverrides };
+  const variants = Object.entries(variantWidths).sort(([, a], [, b]) => a - b);
+
+  // In-memory LRU cache when no store is given, and in-flight transformations
+  const memoryCache = new Map();
+  const pending = new Map();
+
+  async function readCache(key) {
+    if (cacheStore) {
+      const entry = await cacheStore.get(key).catch(() => undefined);
+      return entry?.value
+        ? { body: base64ToBytes(entry.value.body), contentType: entry.value.contentType }
+        : null;
+    }
+    const value = memoryCache.get(key);
+    if (value) {
+      memoryCache.delete(key);
+      memoryCache.set(key, value);
+    }
+    return value || null;
+  }
+
+  async function writeCache(key, value) {
+    if (cacheStore) {
+      const entry = {
+        value: { body: bytesToBase64(value.body), contentType: value.contentType },
+        expiresAt: null,
+        storedAt: Date.now(),
+      };
+      await cacheStore.set(key, entry).catch((error) => {
+        if (debug) {
+          console.warn(`${prefix} ⚠️ Could not cache transformed image ${key}: ${error.message}`);
+        }
+      });
+      return;
+    }
+    memoryCache.set(key, value);
+    if (memoryCache.size > maxCacheEntries) {
+      memoryCache.delete(memoryCache.keys().next().value);
+    }
+  }
+
+  /**
+   * Pick the nearest larger stored variant of each source format (the largest one for wider requests)
+   * The widths come from the medias.json sizes, as small originals are stored narrower than the nominal widths
+   * @param {string} hash - Media hash
+   * @param {number|null} width - Requested width
+   * @returns {Promise<Array<{size: string, format: string, width: number, path: string}>>} - Candidates, in source format order
+   */
+  async function getSourceCandidates(hash, width) {
+    let media = null;
+    if (getMedia) {
+      try {
+        media = await getMedia(hash);
+      } catch (error) {
+        if (debug) {
+          console.warn(`${prefix} ⚠️ Could not read the media entry of ${hash}: ${error.message}`);
+        }
+      }
+    }
+
+    if (media) {
+      const byFormat = getRenditionsByFormat(media);
+      return sourceFormats
+        .filter((format) => byFormat.has(format))
+        .map((format) => {
+          const renditions = byFormat.get(format);
+          const rendition =
+            (width && renditions.find((candidate) => candidate.width >= width)) || renditions[renditions.length - 1];
+          return { size: rendition.size, format, width: rendition.width, path: rendition.path.split('/').pop() };
+        });
+    }
+
+    const nearest = width ? variants.find(([, variantWidth]) => variantWidth >= width) : null;
+    const [size, variantWidth] = nearest || variants[variants.length - 1];
+    return sourceFormats.map((format) => ({ size, format, width: variantWidth, path: `${hash}-${size}.${format}` }));
+  }
+
+  /**
+   * Fetch the first stored candidate
+   * @param {Array<Object>} candidates - Source candidates (see getSourceCandidates)
+   * @param {Function} getTargetUrl - Function(mediaPath) returning the origin URL
+   * @returns {Promise<{input: Uint8Array, source: Object}|null>} - Source image, null when not found
+   */
+  async function fetchSource(candidates, getTargetUrl) {
+    for (const { size, format, width, path } of candidates) {
+      const url = getTargetUrl(path);
+      const response = await robustFetch(url);
+      if (response.ok) {
+        return { input: new Uint8Array(await response.arrayBuffer()), source: { size, format, width, url } };
+      }
+      await response.body?.cancel().catch(() => {});
+    }
+    return null;
+  }
+
+  /**
+   * Transform an image, once per key even under concurrent requests
+   * @returns {Promise<{body: Uint8Array, contentType: string}|null>} - Result, null when the source is missing
+   */
+  function transform(key, hash, params, candidates, getTargetUrl) {
+    if (!pending.has(key)) {
+      const run = (async () => {
+        const cached = await readCache(key);
+        if (cached) return cached;
+
+        const startTime = performance.now();
+        const source = await fetchSource(candidates, getTargetUrl);
+        if (!source) return null;
+
+        const body = toBytes(await processor({ ...params, ...source }));
+        const result = { body, contentType: `image/${params.format}` };
+        await writeCache(key, result);
+
+        if (debug) {
+          const duration = (performance.now() - startTime).toFixed(2);
+          console.log(
+            `${prefix} 🖼️ Transformed ${hash} from ${source.source.size}.${source.source.format} to ${key} in ${duration}ms`
+          );
+        }
+        return result;
+      })().finally(() => pending.delete(key));
+      pending.set(key, run);
+    }
+    return pending.get(key);
+  }
+
+  /**
+   * Answer a transformation request
+   * @param {string} mediaPath - Media path after the media URL prefix
+   * @param {Object} request - Client request ({ url, method, headers })
+   * @param {Object} options - Proxy options
+   * @param {Function} options.getTargetUrl - Function(mediaPath) returning the origin URL
+   * @param {Object} options.cacheHeaders - Headers of successful responses
+   * @param {Object} options.errorCacheHeaders - Headers of error responses
+   * @returns {Promise<Response>} - Transformed image (X-Image-Width gives its width), 304, or a 400/404/500 error
+   */
+  async function handle(mediaPath, request, options) {
+    const { getTargetUrl, cacheHeaders = {}, errorCacheHeaders = {} } = options;
+    const method = (request.method || 'GET').toUpperCase();
+
+    const fail = (status, message) => {
+      const headers = new Headers(errorCacheHeaders);
+      headers.set('Content-Type', 'text/plain');
+      return new Response(method === 'HEAD' ? null : message, { status, headers });
+    };
+
+    if (method !== 'GET' && method !== 'HEAD') {
+      return fail(405, 'Method not allowed');
+    }
+
+    const hash = mediaPath.replace(/^\//, '').match(MEDIA_HASH_PATTERN)?.[1]?.toLowerCase();
+    if (!hash) {
+      return fail(400, 'Image transformations need a media hash path, e.g. /_repo/medias/{hash}?w=640');
+    }
+
+    const { searchParams } = new URL(request.url, 'http://localhost');
+    const params = parseImageTransformParams(searchParams, allowlist, sourceFormats[0]);
+    if (params.error) {
+      return fail(400, `Invalid image transformation: ${params.error}`);
+    }
+
+    let key = null;
+    try {
+      // Images aren't enlarged: without a variant as wide as requested, the output has the width of the largest one
+      const candidates = await getSourceCandidates(hash, params.width);
+      const width = params.width && candidates.length ? Math.min(params.width, candidates[0].width) : params.width;
+      const output = { ...params, width };
+
+      // Media hashes are content hashes, so a key identifies the output for good
+      key = `${hash}-${width || 'full'}-q${params.quality}.${params.format}`;
+
+      const result = await transform(key, hash, output, candidates, getTargetUrl);
+      if (!result) {
+        return fail(404, 'Media not found');
+      }
+
+      const transformed = new Response(result.body, {
+        status: 200,
+        headers: {
+          'Content-Type': result.contentType,
+          'Content-Length': String(result.body.byteLength),
+          ETag: `"${key}"`,
+          ...(width ? { 'X-Image-Width': String(width) } : {}),
+        },
+      });
+      return createMediaResponse({ method, headers: request.headers }, transformed, {
+        cacheHeaders,
+        errorCacheHeaders,
+      });
+    } catch (error) {
+      if (debug) {
+        console.error(`${prefix} 🚫 Image transformation failed for ${key || hash}:`, error);
+      }
+      return fail(500, 'Image transformation failed');
+    }
+  }
+
+  return {
+    isTransformRequest: isImageTransformRequest,
+    handle,
+  };
+}
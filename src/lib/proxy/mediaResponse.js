@@ -0,0 +1,325 @@
+/**
+ * Media proxy responses for RepoMD
+ * Range requests, conditional GETs and HEAD on top of the origin response (WHATWG Request/Response)
+ * Shared by the Node framework integrations, the fetch-based handlers and the Cloudflare handler
+ */
+
+import { LOG_PREFIXES } from '../logger.js';
+import { robustFetch } from '../utils.js';
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+// Request headers forwarded to the origin
+const FORWARDED_REQUEST_HEADERS = [
+  'accept',
+  'range',
+  'if-range',
+  'if-none-match',
+  'if-modified-since',
+  'user-agent',
+];
+
+// Response headers not forwarded to the client (hop-by-hop, recomputed by the server)
+const DROPPED_RESPONSE_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'content-encoding'];
+
+// Response headers of a 304 (RFC 9110, section 15.4.5)
+const NOT_MODIFIED_HEADERS = [
+  'cache-control',
+  'content-location',
+  'date',
+  'etag',
+  'expires',
+  'last-modified',
+  'vary',
+  'x-repo-proxy',
+];
+
+/**
+ * Convert request headers (Headers, Node headers object or plain object) to Headers
+ * @param {Headers|Object} headers - Request headers
+ * @returns {Headers} - Headers
+ */
+export function toHeaders(headers) {
+  if (headers instanceof Headers) return headers;
+  const result = new Headers();
+  for (const [key, value] of Object.entries(headers || {})) {
+    if (value === undefined || value === null) continue;
+    result.set(key, Array.isArray(value) ? value.join(', ') : String(value));
+  }
+  return result;
+}
+
+/**
+ * Pick the request headers sent to the origin
+ * Media files are already compressed, so the origin is asked for the identity encoding:
+ * byte ranges then apply to the stored file
+ * @param {Headers|Object} headers - Client request headers
+ * @returns {Headers} - Origin request headers
+ */
+export function getOriginRequestHeaders(headers) {
+  const source = toHeaders(headers);
+  const result = new Headers({ 'accept-encoding': 'identity' });
+  for (const name of FORWARDED_REQUEST_HEADERS) {
+    const value = source.get(name);
+    if (value) result.set(name, value);
+  }
+  return result;
+}
+
+/**
+ * Parse a single byte range against the resource size
+ * Multiple ranges aren't supported, the full resource is served instead (allowed by RFC 9110)
+ * No range of an empty resource is satisfiable
+ * @param {string} header - Range header ("bytes=0-499", "bytes=500-", "bytes=-500")
+ * @param {number} size - Resource size in bytes
+ * @returns {{start: number, end: number}|'unsatisfiable'|null} - Range, or null to serve the full resource
+ */
+export function parseRange(header, size) {
+  const match = /^\s*bytes\s*=\s*(\d*)\s*-\s*(\d*)\s*$/i.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+  if (size === 0) return 'unsatisfiable';
+
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const length = Number(match[2]);
+    if (length === 0) return 'unsatisfiable';
+    return { start: Math.max(0, size - length), end: size - 1 };
+  }
+
+  const start = Number(match[1]);
+  const end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  if (match[2] !== '' && Number(match[2]) < start) return null;
+  if (start >= size) return 'unsatisfiable';
+  return { start, end };
+}
+
+function parseEntityTags(header) {
+  return header
+    .split(',')
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+}
+
+function weakTag(tag) {
+  return tag.replace(/^W\//, '');
+}
+
+/**
+ * Check whether a conditional GET can be answered with 304 Not Modified
+ * If-None-Match takes precedence over If-Modified-Since
+ * @param {Headers} requestHeaders - Client request headers
+ * @param {Headers} responseHeaders - Origin response headers
+ * @returns {boolean} - Whether the client copy is fresh
+ */
+export function isNotModified(requestHeaders, responseHeaders) {
+  const ifNoneMatch = requestHeaders.get('if-none-match');
+  const etag = responseHeaders.get('etag');
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') return true;
+    return Boolean(etag) && parseEntityTags(ifNoneMatch).some((tag) => weakTag(tag) === weakTag(etag));
+  }
+
+  const ifModifiedSince = Date.parse(requestHeaders.get('if-modified-since') || '');
+  const lastModified = Date.parse(responseHeaders.get('last-modified') || '');
+  return !Number.isNaN(ifModifiedSince) && !Number.isNaN(lastModified) && lastModified <= ifModifiedSince;
+}
+
+/**
+ * Check the If-Range precondition of a range request
+ * @param {Headers} requestHeaders - Client request headers
+ * @param {Headers} responseHeaders - Origin response headers
+ * @returns {boolean} - Whether the range applies (false: serve the full resource)
+ */
+function ifRangeMatches(requestHeaders, responseHeaders) {
+  const ifRange = requestHeaders.get('if-range');
+  if (!ifRange) return true;
+
+  const value = ifRange.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    // Strong comparison only
+    const etag = responseHeaders.get('etag');
+    return Boolean(etag) && !value.startsWith('W/') && !etag.startsWith('W/') && value === etag;
+  }
+  const lastModified = responseHeaders.get('last-modified');
+  return Boolean(lastModified) && Date.parse(lastModified) === Date.parse(value);
+}
+
+/**
+ * Stream the bytes start..end (inclusive) of a body, cancelling the origin body once read
+ * @param {ReadableStream} body - Full body
+ * @param {number} start - First byte
+ * @param {number} end - Last byte
+ * @returns {ReadableStream} - Partial body
+ */
+function sliceBody(body, start, end) {
+  const reader = body.getReader();
+  let offset = 0;
+
+  return new ReadableStream({
+    async pull(controller) {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          controller.close();
+          return;
+        }
+
+        const chunkStart = offset;
+        offset += value.byteLength;
+        if (offset <= start) continue;
+
+        const from = Math.max(0, start - chunkStart);
+        const to = Math.min(value.byteLength, end - chunkStart + 1);
+        controller.enqueue(value.subarray(from, to));
+
+        if (offset > end) {
+          controller.close();
+          reader.cancel().catch(() => {});
+        }
+        return;
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+}
+
+function applyHeaders(headers, values) {
+  for (const [key, value] of Object.entries(values || {})) {
+    headers.set(key, value);
+  }
+}
+
+/**
+ * Build the client response of a media request from the origin response
+ * - 304 when the conditional headers match the origin validators
+ * - 206 slices (or 416) when the origin ignored the Range header
+ * - No body for HEAD requests
+ * - Validators (ETag, Last-Modified) kept on every response, errors included
+ * - Error cache headers on every error, 416 included
+ * @param {Object} request - Client request ({ method, headers })
+ * @param {Response} originResponse - Origin response
+ * @param {Object} options - Response options
+ * @param {Object} options.cacheHeaders - Headers of successful responses (200, 206, 304)
+ * @param {Object} options.errorCacheHeaders - Headers of error responses
+ * @param {string} options.contentType - Content type used when the origin sends none or a generic one
+ * @returns {Response} - Client response
+ */
+export function createMediaResponse(request, originResponse, options = {}) {
+  const { cacheHeaders = {}, errorCacheHeaders = {}, contentType = null } = options;
+  const method = (request.method || 'GET').toUpperCase();
+  const requestHeaders = toHeaders(request.headers);
+  const isHead = method === 'HEAD';
+
+  const headers = new Headers(originResponse.headers);
+  DROPPED_RESPONSE_HEADERS.forEach((name) => headers.delete(name));
+  if (contentType && (!headers.get('content-type') || headers.get('content-type') === 'application/octet-stream')) {
+    headers.set('content-type', contentType);
+  }
+
+  const respond = (status, body, statusText) =>
+    new Response(isHead || status === 304 ? null : body, {
+      status,
+      statusText: statusText ?? (status === originResponse.status ? originResponse.statusText : ''),
+      headers,
+    });
+  const discardBody = () => originResponse.body?.cancel().catch(() => {});
+
+  // Origin errors: no caching, but the validators stay
+  if (originResponse.status >= 400) {
+    applyHeaders(headers, errorCacheHeaders);
+    return respond(originResponse.status, originResponse.body);
+  }
+
+  applyHeaders(headers, cacheHeaders);
+
+  // The origin answered the conditional request itself, or the client copy is fresh
+  const conditional = method === 'GET' || isHead;
+  if (
+    originResponse.status === 304 ||
+    (conditional && originResponse.status === 200 && isNotModified(requestHeaders, headers))
+  ) {
+    discardBody();
+    for (const name of [...headers.keys()]) {
+      if (!NOT_MODIFIED_HEADERS.includes(name)) headers.delete(name);
+    }
+    return respond(304, null, 'Not Modified');
+  }
+
+  // The origin served the range itself
+  if (originResponse.status === 206) {
+    headers.set('accept-ranges', 'bytes');
+    return respond(206, originResponse.body);
+  }
+
+  const size = Number(headers.get('content-length'));
+  const hasSize = originResponse.status === 200 && headers.has('content-length') && Number.isFinite(size);
+  if (hasSize) {
+    headers.set('accept-ranges', 'bytes');
+  }
+
+  const rangeHeader = requestHeaders.get('range');
+  if (!conditional || !rangeHeader || !hasSize || !ifRangeMatches(requestHeaders, headers)) {
+    return respond(originResponse.status, originResponse.body);
+  }
+
+  const range = parseRange(rangeHeader, size);
+  if (range === 'unsatisfiable') {
+    discardBody();
+    Object.keys(cacheHeaders).forEach((name) => headers.delete(name));
+    applyHeaders(headers, errorCacheHeaders);
+    headers.set('content-range', `bytes */${size}`);
+    headers.delete('content-length');
+    return respond(416, null, 'Range Not Satisfiable');
+  }
+  if (!range) {
+    return respond(originResponse.status, originResponse.body);
+  }
+
+  headers.set('content-range', `bytes ${range.start}-${range.end}/${size}`);
+  headers.set('content-length', String(range.end - range.start + 1));
+  if (isHead || !originResponse.body) {
+    discardBody();
+    return respond(206, null, 'Partial Content');
+  }
+  return respond(206, sliceBody(originResponse.body, range.start, range.end), 'Partial Content');
+}
+
+/**
+ * Fetch a media file from the origin and build the client response
+ * Network errors become a 502 with the error cache headers
+ * file:// origins (local dist folders) are read from disk
+ * @param {string} targetUrl - Origin URL
+ * @param {Object} request - Client request ({ method, headers }), e.g. a Request
+ * @param {Object} options - createMediaResponse options, plus debug
+ * @returns {Promise<Response>} - Client response
+ */
+export async function proxyMediaRequest(targetUrl, request, options = {}) {
+  const method = (request.method || 'GET').toUpperCase();
+
+  try {
+    const originResponse = await robustFetch(targetUrl, {
+      method: method === 'HEAD' ? 'HEAD' : 'GET',
+      headers: getOriginRequestHeaders(request.headers),
+      redirect: 'follow',
+    });
+
+    if (options.debug) {
+      console.log(`${prefix} 📦 Origin responded ${originResponse.status} for ${method} ${targetUrl}`);
+    }
+
+    return createMediaResponse({ method, headers: request.headers }, originResponse, options);
+  } catch (error) {
+    if (options.debug) {
+      console.error(`${prefix} Proxy error:`, error);
+    }
+
+    const headers = new Headers(options.errorCacheHeaders || {});
+    headers.set('Content-Type', 'text/plain');
+    return new Response(method === 'HEAD' ? null : 'Proxy error', {
+      status: 502,
+      headers,
+    });
+  }
+}
@@ -3,6 +3,8 @@
  */
 
 import { LOG_PREFIXES } from '../logger.js';
+import { robustFetch } from '../utils.js';
+import { toHeaders } from './mediaResponse.js';
 
 const prefix = LOG_PREFIXES.REPO_MD;
 
@@ -124,6 +126,106 @@ export async function streamResponse(response, targetResponse, framework) {
   }
 }
 
+/**
+ * Convert a Node.js style request (Express, Koa ctx, Fastify, Nuxt/Nitro) to a WHATWG Request
+ * The body isn't forwarded: RepoMD routes only answer GET and HEAD
+ * @param {Object} req - Request with url (path and query), method and headers
+ * @returns {Request} - WHATWG Request
+ */
+export function toWebRequest(req) {
+  const headers = toHeaders(req.headers);
+  const protocol = req.protocol || (req.socket?.encrypted ? 'https' : 'http');
+  const host = headers.get('host') || 'localhost';
+
+  return new Request(new URL(req.url, `${protocol}://${host}`), {
+    method: (req.method || 'GET').toUpperCase(),
+    headers,
+  });
+}
+
+/**
+ * Read the headers of a fetch Response into a plain object
+ * @param {Response} response - The fetch response
+ * @returns {Object} Headers object
+ */
+export function getResponseHeaders(response) {
+  const headers = {};
+  response.headers.forEach((value, key) => {
+    headers[key] = value;
+  });
+  return headers;
+}
+
+/**
+ * Read the body of a fetch Response into a Buffer
+ * @param {Response} response - The fetch response
+ * @returns {Promise<Buffer|null>} The body, null when the response has none (HEAD, 304)
+ */
+export async function readResponseBody(response) {
+  if (!response.body) {
+    return null;
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Wait until a Node.js ServerResponse drains its buffer or closes
+ * @param {Object} res - Node.js ServerResponse
+ * @returns {Promise<void>}
+ */
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+}
+
+/**
+ * Write a fetch Response to a Node.js ServerResponse (Express, Nuxt/Nitro)
+ * Reads the body only as fast as the client takes it, and stops when the client goes away
+ * @param {Response} response - The fetch response
+ * @param {Object} res - Node.js ServerResponse
+ */
+export async function writeNodeResponse(response, res) {
+  res.statusCode = response.status;
+  response.headers.forEach((value, key) => {
+    res.setHeader(key, value);
+  });
+
+  if (response.body) {
+    const reader = response.body.getReader();
+    let closed = false;
+    const onClose = () => {
+      closed = true;
+      // Resolves the pending read and releases the upstream connection
+      reader.cancel().catch(() => {});
+    };
+    res.once('close', onClose);
+
+    try {
+      while (!closed) {
+        const { done, value } = await reader.read();
+        if (done || closed) break;
+        if (!res.write(value) && !closed) {
+          await waitForDrain(res);
+        }
+      }
+    } finally {
+      res.off('close', onClose);
+      reader.releaseLock();
+    }
+
+    if (closed) return;
+  }
+
+  res.end();
+}
+
 /**
  * Check if the request is for a media file
  * @param {string} url - The request URL
@@ -154,7 +256,7 @@ export async function proxyFetch(targetUrl, options = {}) {
   }
   fetchOptions.headers = cleanHeaders;
   
-  return await fetch(targetUrl, fetchOptions);
+  return await robustFetch(targetUrl, fetchOptions);
 }
 
 /**
@@ -0,0 +1,135 @@
+/**
+ * Framework-agnostic request handler for RepoMD
+ * One WHATWG Request → Response core: the framework integrations only adapt their own
+ * request and response objects to it, so routes, range support and caching live here
+ */
+
+import { LOG_PREFIXES } from '../logger.js';
+import { toWebRequest, writeNodeResponse } from './nodeUtils.js';
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+// Methods served by the media route
+const MEDIA_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Build a plain text error response
+ * @param {number} status - HTTP status
+ * @param {string} message - Response body
+ * @param {Object} request - Client request (no body for HEAD)
+ * @param {Object} headers - Extra headers (error cache headers)
+ * @returns {Response} - Error response
+ */
+function createErrorResponse(status, message, request, headers = {}) {
+  const responseHeaders = new Headers(headers);
+  responseHeaders.set('Content-Type', 'text/plain');
+  return new Response(request.method === 'HEAD' ? null : message, { status, headers: responseHeaders });
+}
+
+/**
+ * Create the media route: {mediaUrlPrefix}/{path} is served from the RepoMD CDN
+ * @param {Object} config - UnifiedProxyConfig instance
+ * @returns {Function} - Route (request, url) => Promise<Response|null>
+ */
+function createMediaRoute(config) {
+  return async (request, url) => {
+    // "/_repo/medias/x" only, not "/_repo/mediasx" nor the folder itself
+    if (!url.pathname.startsWith(`${config.mediaUrlPrefix}/`)) return null;
+    const mediaPath = url.pathname.slice(config.mediaUrlPrefix.length);
+    if (mediaPath === '/') return null;
+
+    if (!MEDIA_METHODS.includes(request.method)) {
+      return createErrorResponse(405, 'Method not allowed', request, {
+        ...config.getErrorCacheHeaders(),
+        Allow: MEDIA_METHODS.join(', '),
+      });
+    }
+
+    config.log(`Media request: ${request.method} ${url.pathname} → ${config.getTargetUrl(mediaPath)}`);
+
+    // Range, conditional and HEAD requests are answered by the shared media response
+    return config.handleMediaRequest(mediaPath, request);
+  };
+}
+
+/**
+ * Create the request handler shared by all framework integrations
+ * Routes are tried in order (extra routes, the content API when enabled, media), the first response wins;
+ * unmatched requests resolve to null so the framework can pass them on (next(), resolve(event), NextResponse.next()...)
+ * @param {Object} config - UnifiedProxyConfig instance
+ * @param {Object} options - Handler options
+ * @param {Array<Function>} options.routes - Extra routes (request, url) => Promise<Response|null>, tried before the media route
+ * @returns {Object} - Handler ({ config, handle })
+ */
+export function createRequestHandler(config, options = {}) {
+  const { routes = [] } = options;
+  const allRoutes = [
+    ...routes,
+    ...(config.contentApi ? [config.contentApi.handle] : []),
+    createMediaRoute(config),
+  ];
+
+  /**
+   * Handle a request
+   * @param {Request} request - WHATWG Request
+   * @returns {Promise<Response|null>} - Response, null when no route matches
+   */
+  async function handle(request) {
+    const url = new URL(request.url);
+
+    try {
+      for (const route of allRoutes) {
+        const response = await route(request, url);
+        if (response) return response;
+      }
+      return null;
+    } catch (error) {
+      if (config.debug) {
+        console.error(`${prefix} Proxy error:`, error);
+      }
+      return createErrorResponse(502, 'Proxy error', request, config.getErrorCacheHeaders());
+    }
+  }
+
+  return {
+    config,
+    handle,
+  };
+}
+
+/**
+ * Handle a Node.js request (Express, Nuxt/Nitro, plain http) with the shared handler
+ * @param {Object} handler - Handler from createRequestHandler
+ * @param {Object} req - Node.js IncomingMessage
+ * @param {Object} res - Node.js ServerResponse
+ * @returns {Promise<boolean>} - True when the request was answered, false to pass it on
+ */
+export async function handleNodeRequest(handler, req, res) {
+  const response = await handler.handle(toWebRequest(req));
+  if (!response) {
+    return false;
+  }
+
+  try {
+    await writeNodeResponse(response, res);
+  } catch (error) {
+    if (handler.config.debug) {
+      console.error(`${prefix} Proxy error:`, error);
+    }
+
+    // The body was cut while streaming, the status can't change anymore
+    if (res.headersSent) {
+      res.end();
+      return true;
+    }
+
+    for (const name of res.getHeaderNames?.() || []) {
+      res.removeHeader(name);
+    }
+    await writeNodeResponse(
+      createErrorResponse(502, 'Proxy error', { method: req.method }, handler.config.getErrorCacheHeaders()),
+      res
+    );
+  }
+  return true;
+}
@@ -0,0 +1,277 @@
+/**
+ * Revision diff module for RepoMD
+ * Compares the posts, media and source files of two published revisions
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+// Post fields that are derived from the others and not worth reporting
+const IGNORED_POST_FIELDS = ["hash"];
+
+/**
+ * Keep the identifying fields of a post for diff results
+ * @param {Object} post - Post object
+ * @returns {Object} - { hash, slug, title, originalFilePath }
+ */
+function summarizePost(post) {
+  return {
+    hash: post.hash,
+    slug: post.slug,
+    title: post.title,
+    originalFilePath: post.originalFilePath,
+  };
+}
+
+/**
+ * List the fields that differ between two versions of an object
+ * @param {Object} before - Previous version
+ * @param {Object} after - New version
+ * @param {Array<string>} ignored - Fields to skip
+ * @returns {Array<string>} - Changed field names
+ */
+function getChangedFields(before, after, ignored = []) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys].filter(
+    (key) =>
+      !ignored.includes(key) &&
+      JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key])
+  );
+}
+
+/**
+ * Compare two posts.json arrays
+ * Posts are matched by hash first (renamed or untouched posts), then by source file, then by slug
+ * @param {Array} postsA - Posts of the old revision
+ * @param {Array} postsB - Posts of the new revision
+ * @returns {Object} - { added, removed, modified, renamed }
+ */
+export function diffPosts(postsA = [], postsB = []) {
+  const unmatched = new Set(postsA);
+  const byHash = new Map();
+  const byPath = new Map();
+  const bySlug = new Map();
+  for (const post of postsA) {
+    if (post.hash) byHash.set(post.hash, post);
+    if (post.originalFilePath) byPath.set(post.originalFilePath, post);
+    if (post.slug) bySlug.set(post.slug, post);
+  }
+
+  const take = (post) => (post && unmatched.has(post) ? post : null);
+
+  const added = [];
+  const modified = [];
+  const renamed = [];
+
+  for (const post of postsB) {
+    const sameContent = take(byHash.get(post.hash));
+    const previous =
+      sameContent || take(byPath.get(post.originalFilePath)) || take(bySlug.get(post.slug));
+
+    if (!previous) {
+      added.push(summarizePost(post));
+      continue;
+    }
+    unmatched.delete(previous);
+
+    if (previous.slug !== post.slug) {
+      renamed.push({ ...summarizePost(post), previousSlug: previous.slug });
+    }
+
+    const changedFields = getChangedFields(previous, post, IGNORED_POST_FIELDS);
+    if (previous.hash !== post.hash || changedFields.some((field) => field !== "slug")) {
+      modified.push({
+        ...summarizePost(post),
+        previousHash: previous.hash,
+        previousSlug: previous.slug,
+        changedFields,
+      });
+    }
+  }
+
+  return {
+    added,
+    removed: [...unmatched].map(summarizePost),
+    modified,
+    renamed,
+  };
+}
+
+/**
+ * Compare two lists of entries keyed by a path field
+ * @param {Array} listA - Entries of the old revision
+ * @param {Array} listB - Entries of the new revision
+ * @param {Function} getKey - Returns the identity of an entry
+ * @param {Function} summarize - Returns the fields kept in the results
+ * @returns {Object} - { added, removed, modified }
+ */
+function diffByKey(listA = [], listB = [], getKey, summarize) {
+  const previousByKey = new Map(listA.map((entry) => [getKey(entry), entry]));
+
+  const added = [];
+  const modified = [];
+  for (const entry of listB) {
+    const key = getKey(entry);
+    const previous = previousByKey.get(key);
+    if (!previous) {
+      added.push(summarize(entry));
+      continue;
+    }
+    previousByKey.delete(key);
+
+    const changedFields = getChangedFields(previous, entry);
+    if (changedFields.length) {
+      modified.push({ ...summarize(entry), previous: summarize(previous), changedFields });
+    }
+  }
+
+  return {
+    added,
+    removed: [...previousByKey.values()].map(summarize),
+    modified,
+  };
+}
+
+/**
+ * Compare two medias.json arrays, by original path
+ * @param {Array} mediaA - Media of the old revision
+ * @param {Array} mediaB - Media of the new revision
+ * @returns {Object} - { added, removed, modified }
+ */
+export function diffMedia(mediaA = [], mediaB = []) {
+  return diffByKey(
+    mediaA,
+    mediaB,
+    (media) => media.originalPath || media.hashPath,
+    (media) => ({
+      originalPath: media.originalPath,
+      fileName: media.fileName,
+      hashPath: media.hashPath,
+      mimeType: media.mimeType,
+    })
+  );
+}
+
+/**
+ * Compare two files-source.json arrays, by path
+ * @param {Array} filesA - Source files of the old revision
+ * @param {Array} filesB - Source files of the new revision
+ * @returns {Object} - { added, removed, modified }
+ */
+export function diffFiles(filesA = [], filesB = []) {
+  return diffByKey(
+    filesA,
+    filesB,
+    (file) => file.path,
+    (file) => ({ path: file.path, size: file.size, hash: file.hash })
+  );
+}
+
+/**
+ * Create a revision diff service
+ * @param {Object} config - Configuration object
+ * @param {Function} config.readRevisionJson - Function to read a JSON file of a given revision (rev, path, opts)
+ * @param {Function} config.resolveRev - Function resolving "latest" (or nothing) to a revision ID
+ * @param {Function} config.filterPosts - Function keeping the posts allowed by the visibility policy (optional)
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Revision diff functions
+ */
+export function createRevisionDiff(config) {
+  const { readRevisionJson, resolveRev, filterPosts = (posts) => posts, debug = false } = config;
+
+  /**
+   * Read the files compared by diffRevisions for one revision
+   * @param {string} rev - Revision ID
+   * @returns {Promise<{posts: Array, media: Array, files: Array}>} - Revision content
+   */
+  async function _readRevision(rev) {
+    // Revisions are immutable, their files can stay cached
+    const read = (path, defaultValue) =>
+      readRevisionJson(rev, path, { defaultValue, useCache: true });
+    // Media and source file lists are optional, posts.json tells whether the revision exists
+    const [posts, media, files] = await Promise.all([
+      read("/posts.json", null),
+      read("/medias.json", []).catch(() => []),
+      read("/files-source.json", []).catch(() => []),
+    ]);
+    if (!Array.isArray(posts)) {
+      throw new Error(`No posts.json found for revision ${rev}`);
+    }
+
+    // Hidden posts and their source files are left out, as if they weren't published
+    const visiblePosts = filterPosts(posts);
+    const visible = new Set(visiblePosts);
+    const hiddenPaths = new Set(
+      posts
+        .filter((post) => !visible.has(post) && post.originalFilePath)
+        .map((post) => post.originalFilePath.replace(/^\/+/, ""))
+    );
+    const visibleFiles = (files || []).filter(
+      (file) => !hiddenPaths.has(String(file.path).replace(/^\/+/, ""))
+    );
+
+    return { posts: visiblePosts, media: media || [], files: visibleFiles };
+  }
+
+  /**
+   * Compare two published revisions
+   * @param {string} revA - Old revision ID
+   * @param {string} revB - New revision ID ("latest" or nothing for the active revision)
+   * @returns {Promise<Object>} - { from, to, posts, media, files, summary }
+   */
+  async function diffRevisions(revA, revB) {
+    if (!revA) {
+      throw new Error("A revision to compare from is required");
+    }
+
+    const [from, to] = await Promise.all([resolveRev(revA), resolveRev(revB)]);
+    const startTime = performance.now();
+
+    if (debug) {
+      console.log(`${prefix} 🔀 Comparing revisions ${from} -> ${to}`);
+    }
+
+    const [before, after] = await Promise.all([_readRevision(from), _readRevision(to)]);
+
+    const posts = diffPosts(before.posts, after.posts);
+    const media = diffMedia(before.media, after.media);
+    const files = diffFiles(before.files, after.files);
+
+    const count = ({ added, removed, modified }) =>
+      added.length + removed.length + modified.length;
+    // A renamed post is often modified too, count it once
+    const changedPosts = new Set(
+      [...posts.added, ...posts.removed, ...posts.modified, ...posts.renamed].map(
+        (post) => `${post.hash}:${post.slug}`
+      )
+    );
+
+    const result = {
+      from,
+      to,
+      posts,
+      media,
+      files,
+      summary: {
+        posts: changedPosts.size,
+        media: count(media),
+        files: count(files),
+        hasChanges: changedPosts.size + count(media) + count(files) > 0,
+      },
+    };
+
+    if (debug) {
+      const duration = (performance.now() - startTime).toFixed(2);
+      console.log(
+        `${prefix} ✅ Revision diff ${from} -> ${to}: ${posts.added.length} added, ${posts.removed.length} removed, ${posts.modified.length} modified, ${posts.renamed.length} renamed posts in ${duration}ms`
+      );
+    }
+
+    return result;
+  }
+
+  return {
+    diffRevisions,
+  };
+}
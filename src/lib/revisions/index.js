@@ -0,0 +1,12 @@
+/**
+ * Revisions module barrel export for RepoMD
+ */
+
+import { createRevisionDiff, diffPosts, diffMedia, diffFiles } from './diff.js';
+
+export {
+  createRevisionDiff,
+  diffPosts,
+  diffMedia,
+  diffFiles,
+};
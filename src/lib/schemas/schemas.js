@@ -38,6 +38,37 @@ const pathSchema = stringSchema
   })
   .describe("File path within the repository");
 
+const postRefSchema = stringSchema
+  .min(1, "Post slug or hash is required")
+  .describe("Post slug or hash");
+
+const tagSchema = stringSchema.min(1, "Tag is required and cannot be empty");
+
+const taxonomySchema = stringSchema
+  .min(1, "Taxonomy is required and cannot be empty")
+  .optional()
+  .default("tags")
+  .describe("Taxonomy name: tags or a frontmatter field such as categories, series or authors");
+
+const termSortSchema = z
+  .enum(["count", "name"])
+  .optional()
+  .default("count")
+  .describe("Sort terms by post count (most used first) or by name");
+
+const postListOptionsSchema = z
+  .object({
+    sort: z.enum(["date", "title"]).optional(),
+    order: z.enum(["asc", "desc"]).optional(),
+    limit: z.number().nonnegative().optional(),
+    offset: z.number().nonnegative().optional(),
+  })
+  .optional()
+  .default({})
+  .describe(
+    "Sorting and pagination: sort (date or title), order (asc or desc), limit and offset"
+  );
+
 const useCacheSchema = booleanSchema.describe(
   "Use cached data if available to improve performance"
 );
@@ -66,6 +97,29 @@ const thresholdSchema = z
   .default(0.1)
   .describe("Minimum similarity threshold (0-1, higher = more similar)");
 
+// Vector index options shared by the vector search methods
+const vectorQuerySchemas = {
+  filters: z
+    .record(z.any())
+    .nullable()
+    .optional()
+    .describe(
+      "Where clause on post fields (folder and year included) or media fields (metadata.width...)"
+    ),
+  probes: z
+    .number()
+    .int()
+    .positive()
+    .nullable()
+    .optional()
+    .describe("Lists of the approximate (IVF) index scanned per query, more is slower and more accurate"),
+  exact: z
+    .boolean()
+    .optional()
+    .default(false)
+    .describe("Compare every embedding instead of using the approximate index"),
+};
+
 const requestObjectSchema = z
   .object({})
   .refine((val) => typeof val === "object", {
@@ -95,6 +149,58 @@ export const repoMdOptionsSchema = z.object({
   secret: z.string().nullable().optional().default(null),
   debug: z.boolean().optional().default(false),
   strategy: z.enum(["auto", "browser", "server"]).optional().default("auto"),
+  revCacheExpirySeconds: z.number().nonnegative().optional().default(300),
+  debug_rev_caching: z.boolean().optional().default(false),
+  staticBaseUrl: z.string().optional().default("https://static.repo.md"),
+  apiBaseUrl: z.string().optional().default("https://api.repo.md/v1"),
+  localDist: z.string().nullable().optional().default(null),
+  storage: z.any().nullable().optional().default(null),
+  sqliteWasmUrl: z.string().nullable().optional().default(null),
+  tagsFromDatabase: z.boolean().optional().default(false),
+  cacheStore: z.any().nullable().optional().default(null),
+  cachePolicies: z
+    .record(
+      z.string(),
+      z.object({
+        ttl: z.number().nonnegative().nullable().optional(),
+        maxSize: z.number().int().positive().optional(),
+        maxEntryBytes: z.number().int().positive().nullable().optional(),
+      })
+    )
+    .nullable()
+    .optional()
+    .default(null),
+  visibility: z
+    .object({
+      visibilityField: z.string().optional(),
+      draftField: z.string().optional(),
+      publishAtField: z.string().optional(),
+      defaultPublic: z.boolean().optional(),
+      includePrivate: z.boolean().optional(),
+      includeDrafts: z.boolean().optional(),
+      includeScheduled: z.boolean().optional(),
+      previewSecret: z.string().nullable().optional(),
+    })
+    .nullable()
+    .optional()
+    .default(null),
+  preview: z.string().nullable().optional().default(null),
+  transformers: z.array(z.any()).optional().default([]),
+  embeddingProvider: z.any().nullable().optional().default(null),
+  vectorIndex: z
+    .object({
+      quantization: z.enum(["float32", "float16", "int8"]).optional(),
+      algorithm: z.enum(["auto", "flat", "ivf"]).optional(),
+      exactThreshold: z.number().int().nonnegative().optional(),
+      lists: z.number().int().positive().nullable().optional(),
+      probes: z.number().int().positive().nullable().optional(),
+      iterations: z.number().int().positive().optional(),
+      trainingSize: z.number().int().positive().optional(),
+      useVectra: z.boolean().optional(),
+    })
+    .nullable()
+    .optional()
+    .default(null),
 });
 
 // API Methods with descriptions and metadata
@@ -159,6 +265,132 @@ export const schemas = {
       cacheable: true,
     }),
 
+  queryPosts: z
+    .object({
+      query: z
+        .object({
+          where: z
+            .record(z.any())
+            .optional()
+            .describe(
+              "Field predicates, e.g. { category: 'news', date: { gte: '2024-01-01' }, cover: { exists: true } }. Fields fall back to frontmatter"
+            ),
+          sort: z
+            .union([z.string(), z.array(z.string())])
+            .optional()
+            .describe("Sort keys, prefix with - for descending, e.g. ['-date', 'title']"),
+          limit: z.number().nonnegative().optional().describe("Page size (0 for all)"),
+          offset: z.number().nonnegative().optional().describe("Number of posts to skip"),
+          cursor: z
+            .string()
+            .optional()
+            .describe("nextCursor from a previous page"),
+          fields: z
+            .array(z.string())
+            .optional()
+            .describe("Fields to keep on each post, e.g. ['slug', 'title', 'hash']"),
+          source: z
+            .enum(["posts", "index"])
+            .optional()
+            .describe("Query full posts (posts.json) or the slim posts index"),
+          hydrate: z
+            .boolean()
+            .optional()
+            .describe("With the index source, load the full posts of the page"),
+        })
+        .optional()
+        .default({})
+        .describe(
+          "Query with where, sort, limit, offset, cursor and fields options"
+        ),
+    })
+    .describe(
+      "Query posts with frontmatter filters, multi-key sorting, pagination and field projection"
+    )
+    .meta({ category: "posts", popular: true, readonly: true, cacheable: true }),
+
+  getPostsIndex: z
+    .object({
+      useCache: useCacheSchema,
+      forceRefresh: forceRefreshSchema,
+    })
+    .describe(
+      "Get the slim posts index (slug, title, date, excerpt, tags, hash) without post bodies"
+    )
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  hydratePost: z
+    .object({
+      entry: z
+        .union([
+          slugSchema,
+          z.object({ hash: z.string().optional(), slug: z.string().optional() }).passthrough(),
+        ])
+        .describe("Posts index entry (with hash or slug) or a post slug"),
+    })
+    .describe("Load the full post of a posts index entry")
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  hydratePosts: z
+    .object({
+      entries: z
+        .array(z.any())
+        .optional()
+        .default([])
+        .describe("Posts index entries (or slugs) to load full posts for"),
+    })
+    .describe("Load the full posts of several posts index entries, keeping their order")
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  // Taxonomy Methods
+  getAllTags: z
+    .object({
+      sort: termSortSchema,
+    })
+    .describe("Get all tags used by posts with the number of posts for each tag")
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  getPostsByTag: z
+    .object({
+      tag: tagSchema.describe("Tag to filter posts by (case-insensitive)"),
+      options: postListOptionsSchema,
+    })
+    .describe("Get the posts with a tag, sorted and paginated")
+    .meta({ category: "posts", popular: true, readonly: true, cacheable: true }),
+
+  getRelatedTags: z
+    .object({
+      tag: tagSchema.describe("Tag to find related tags for"),
+      limit: limit10Schema.describe(
+        "Maximum number of related tags to return (default: 10)"
+      ),
+    })
+    .describe(
+      "Get the tags most often used on the same posts as a tag (co-occurrence)"
+    )
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  getTaxonomyTerms: z
+    .object({
+      taxonomy: taxonomySchema,
+      sort: termSortSchema,
+    })
+    .describe(
+      "Get all terms of a frontmatter taxonomy (categories, series, authors...) with post counts"
+    )
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  getPostsByTaxonomy: z
+    .object({
+      taxonomy: taxonomySchema,
+      term: stringSchema
+        .min(1, "Term is required")
+        .describe("Taxonomy term to filter posts by (case-insensitive)"),
+      options: postListOptionsSchema,
+    })
+    .describe("Get the posts with a term of a frontmatter taxonomy")
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
   // Similarity Methods
   getPostsSimilarityByHashes: z
     .object({
@@ -247,7 +479,7 @@ export const schemas = {
       text: stringSchema
         .optional()
         .describe(
-          "Search query text (required for memory, vector, vector-text, vector-clip-text modes)"
+          "Search query text (required for memory, vector, vector-text, vector-clip-text, hybrid modes)"
         ),
       image: imageInputSchema
         .optional()
@@ -306,6 +538,31 @@ export const schemas = {
             })
             .optional()
             .describe("Field-specific weight boosts for search relevance"),
+          fusion: z
+            .enum(["rrf", "weighted"])
+            .optional()
+            .describe(
+              "Hybrid mode: 'rrf' = reciprocal rank fusion (default), 'weighted' = weighted sum of the normalized keyword score and the vector similarity"
+            ),
+          weights: z
+            .object({
+              keyword: z.number().nonnegative().optional().describe("Weight of the keyword results (default 1)"),
+              vector: z.number().nonnegative().optional().describe("Weight of the vector results (default 1)"),
+            })
+            .optional()
+            .describe("Hybrid mode: weight of each side, 0 disables it"),
+          rrfK: z
+            .number()
+            .positive()
+            .optional()
+            .describe("Hybrid mode: rank constant of reciprocal rank fusion (default 60)"),
+          threshold: z
+            .number()
+            .min(-1)
+            .max(1)
+            .optional()
+            .describe("Vector and hybrid modes: minimum embedding similarity (default 0.1)"),
+          ...vectorQuerySchemas,
         })
         .optional()
         .default({})
@@ -317,11 +574,12 @@ export const schemas = {
           "vector-text",
           "vector-clip-text",
           "vector-clip-image",
+          "hybrid",
         ])
         .optional()
         .default("memory")
         .describe(
-          "Search mode: 'memory' = keyword search in posts, 'vector'/'vector-text' = semantic text search in posts using text embeddings, 'vector-clip-text' = text-to-image search in media using CLIP embeddings, 'vector-clip-image' = image-to-image search in media using CLIP embeddings"
+          "Search mode: 'memory' = keyword search in posts, 'vector'/'vector-text' = semantic text search in posts using text embeddings, 'vector-clip-text' = text-to-image search in media using CLIP embeddings, 'vector-clip-image' = image-to-image search in media using CLIP embeddings, 'hybrid' = keyword and text embedding results fused, with the score of each component"
         ),
     })
     .describe(
@@ -335,6 +593,58 @@ export const schemas = {
       readonly: true,
     }),
 
+  facetedSearch: z
+    .object({
+      text: z
+        .string()
+        .optional()
+        .default("")
+        .describe("Search query (empty to browse every post)"),
+      options: z
+        .object({
+          filters: z
+            .record(z.any())
+            .optional()
+            .describe(
+              "Where clause like queryPosts, with the folder and year facets, e.g. { tags: 'design', folder: '/projects', year: { gte: '2023' } }"
+            ),
+          facets: z
+            .array(z.string())
+            .optional()
+            .describe("Facets to count, e.g. ['tags', 'folder', 'year', 'category']"),
+          facetLimit: z.number().nonnegative().optional().describe("Max values per facet (0 for all)"),
+          sort: z
+            .union([z.string(), z.array(z.string())])
+            .optional()
+            .describe("'relevance' (default with text) or sort keys like ['-date'] (default without text)"),
+          limit: z.number().nonnegative().optional().describe("Page size (0 for all)"),
+          offset: z.number().nonnegative().optional().describe("Number of results to skip"),
+          page: z.number().int().positive().optional().describe("Page number, starting at 1"),
+          fields: z
+            .array(z.string())
+            .optional()
+            .describe("Fields to keep on each post, e.g. ['slug', 'title', 'date']"),
+          snippetLength: z
+            .number()
+            .nonnegative()
+            .optional()
+            .describe("Max snippet length in characters (0 for no snippets)"),
+          highlightTag: z.string().optional().describe("HTML tag of the highlighted matches (default mark)"),
+        })
+        .optional()
+        .default({})
+        .describe("Filters, facets, sorting, pagination and snippet options"),
+    })
+    .describe(
+      "Search posts with filters, facet counts (tags, folders, years, frontmatter fields), highlighted snippets, sorting and pagination"
+    )
+    .meta({
+      category: "search",
+      popular: true,
+      memoryHeavy: true,
+      readonly: true,
+    }),
+
   searchAutocomplete: z
     .object({
       term: searchTextSchema.describe(
@@ -361,6 +671,24 @@ export const schemas = {
     )
     .meta({ category: "search", internal: true }),
 
+  exportSearchIndex: z
+    .object({})
+    .describe(
+      "Export the keyword search index of the active revision, to publish as search-index.json or load with loadSearchIndex"
+    )
+    .meta({ category: "search", memoryHeavy: true, readonly: true }),
+
+  loadSearchIndex: z
+    .object({
+      data: z
+        .union([z.string(), z.record(z.any())])
+        .describe("Output of exportSearchIndex, or its JSON string"),
+    })
+    .describe(
+      "Load an exported keyword search index so searches skip downloading and indexing the posts"
+    )
+    .meta({ category: "search", internal: true }),
+
   // Vector Search Methods
   findPostsByText: z
     .object({
@@ -376,6 +704,7 @@ export const schemas = {
             .optional()
             .default(false)
             .describe("Use CLIP embeddings for multimodal search capabilities"),
+          ...vectorQuerySchemas,
         })
         .optional()
         .default({})
@@ -399,6 +728,7 @@ export const schemas = {
         .object({
           limit: limit20Schema.describe("Maximum number of images to return"),
           threshold: thresholdSchema,
+          ...vectorQuerySchemas,
         })
         .optional()
         .default({})
@@ -424,6 +754,7 @@ export const schemas = {
         .object({
           limit: limit20Schema.describe("Maximum number of images to return"),
           threshold: thresholdSchema,
+          ...vectorQuerySchemas,
         })
         .optional()
         .default({})
@@ -454,6 +785,7 @@ export const schemas = {
             .describe(
               "Search type - 'auto' detects query type, 'clip' forces CLIP embeddings"
             ),
+          ...vectorQuerySchemas,
         })
         .optional()
         .default({})
@@ -580,6 +912,72 @@ export const schemas = {
     .describe("Get media items with formatted URLs and metadata for display")
     .meta({ category: "media", readonly: true, cacheable: true }),
 
+  getMediaByHash: z
+    .object({
+      hash: hashSchema.describe("Hash of the media"),
+    })
+    .describe("Get a media entry by hash, with its URL")
+    .meta({ category: "media", readonly: true, cacheable: true }),
+
+  getMediaByPath: z
+    .object({
+      path: pathSchema.describe(
+        "Original vault path of the media (e.g. 'Pasted image 20250429154120.png')"
+      ),
+    })
+    .describe("Get a media entry by its original vault path, with its hash and URL")
+    .meta({ category: "media", readonly: true, cacheable: true }),
+
+  getMediaForPost: z
+    .object({
+      slugOrHash: postRefSchema.describe("Slug or hash of the post"),
+    })
+    .describe("Get the media entries a post uses, from graph.json edges")
+    .meta({ category: "media", readonly: true, cacheable: true }),
+
+  getPostsUsingMedia: z
+    .object({
+      hashOrPath: pathSchema.describe("Media hash, media URL or original vault path"),
+    })
+    .describe("Get the posts using a media, from graph.json edges")
+    .meta({ category: "media", readonly: true, cacheable: true }),
+
+  getImage: z
+    .object({
+      hashOrPath: pathSchema.describe(
+        "Media hash, media URL or original vault path of the image (e.g. 'attachments/photo.png')"
+      ),
+      options: z
+        .object({
+          width: z
+            .number()
+            .int()
+            .positive()
+            .optional()
+            .describe("Rendered width in CSS pixels, used to pick src and the best variant"),
+          density: z
+            .number()
+            .positive()
+            .optional()
+            .describe("Pixel density applied to the width (default 1)"),
+          sizes: stringSchema.optional().describe("sizes attribute of the image"),
+          formats: z
+            .array(stringSchema)
+            .optional()
+            .describe("Formats in <picture> source order (default avif, webp, jpeg, png)"),
+          baseUrl: stringSchema
+            .optional()
+            .describe("Prefix of the variant URLs, e.g. the site origin"),
+        })
+        .optional()
+        .default({})
+        .describe("Image options"),
+    })
+    .describe(
+      "Get responsive image data: srcset, sizes, <picture> sources, dimensions, aspect ratio, placeholder and best variant"
+    )
+    .meta({ category: "media", popular: true, readonly: true, cacheable: true }),
+
   // Media Similarity Methods
   getMediaEmbeddings: z
     .object({
@@ -733,6 +1131,160 @@ export const schemas = {
       cacheable: true,
     }),
 
+  // Link Graph Methods
+  getBacklinks: z
+    .object({
+      slugOrHash: postRefSchema.describe("Slug or hash of the linked post"),
+    })
+    .describe("Get the posts linking to a post (backlinks)")
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  getOutgoingLinks: z
+    .object({
+      slugOrHash: postRefSchema.describe("Slug or hash of the linking post"),
+    })
+    .describe("Get the posts a post links to")
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  getNeighbors: z
+    .object({
+      slugOrHash: postRefSchema.describe("Slug or hash of the center post"),
+      options: z
+        .object({
+          depth: z.number().int().positive().optional(),
+          edgeTypes: z.array(z.string()).optional(),
+          direction: z.enum(["both", "outgoing", "incoming"]).optional(),
+        })
+        .optional()
+        .default({})
+        .describe(
+          "Traversal options: depth (hops, default 1), edgeTypes (e.g. ['POST_LINK', 'POST_USE_IMAGE']) and direction"
+        ),
+    })
+    .describe("Get the local graph (nodes and edges) around a post for graph views")
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  getShortestPath: z
+    .object({
+      from: postRefSchema.describe("Slug or hash of the start post"),
+      to: postRefSchema.describe("Slug or hash of the end post"),
+      options: z
+        .object({ directed: z.boolean().optional() })
+        .optional()
+        .default({})
+        .describe("Path options: directed follows link direction only (default false)"),
+    })
+    .describe("Get the shortest chain of links between two posts")
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  getOrphanPosts: z
+    .object({})
+    .describe("Get the posts without any incoming or outgoing links to other posts")
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  getDeadLinks: z
+    .object({})
+    .describe("Get the links of posts that don't resolve to any post")
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  getLinkGraph: z
+    .object({})
+    .describe("Get the link graph (nodes and edges) of the visible posts, with POST_LINK edges for post links")
+    .meta({ category: "posts", readonly: true, cacheable: true }),
+
+  getUsedMedia: z
+    .object({
+      slugOrHash: postRefSchema.describe("Slug or hash of the post"),
+    })
+    .describe("Get the media nodes a post uses, from graph.json edges")
+    .meta({ category: "media", readonly: true, cacheable: true }),
+
+  generateFeed: z
+    .object({
+      options: z
+        .object({
+          format: z
+            .enum(["rss", "atom", "json"])
+            .optional()
+            .describe("Feed format (default rss)"),
+          siteUrl: z
+            .string()
+            .url()
+            .describe("Absolute site URL, used for post links and media URLs"),
+          limit: z.number().nonnegative().optional().describe("Max number of posts (default 20, 0 for all)"),
+          filter: z
+            .any()
+            .optional()
+            .describe("Predicate function or where clause (like queryPosts) selecting the posts"),
+          feedUrl: z.string().optional().describe("Absolute URL of the feed itself"),
+          postUrl: z
+            .any()
+            .optional()
+            .describe("Post path template like '/blog/:slug', or a function(post, siteUrl)"),
+          title: z.string().optional().describe("Feed title"),
+          description: z.string().optional().describe("Feed description"),
+          language: z.string().optional().describe("Feed language, e.g. 'en'"),
+          author: z.any().optional().describe("Default author name or { name, email, url }"),
+          mediaUrlPrefix: z
+            .string()
+            .optional()
+            .describe("Media path made absolute in the post HTML (default /_repo/medias/)"),
+        })
+        .describe("Feed options, siteUrl is required"),
+    })
+    .describe("Generate an RSS, Atom or JSON Feed document from the published posts")
+    .meta({ category: "posts", readonly: true }),
+
+  generateSitemap: z
+    .object({
+      options: z
+        .object({
+          baseUrl: z.string().url().describe("Absolute site URL"),
+          routeForPost: z
+            .any()
+            .optional()
+            .describe("Post path template like '/blog/:slug', or a function(post) returning a path or URL"),
+          includeMedia: z
+            .boolean()
+            .optional()
+            .describe("Add image entries from graph.json POST_USE_IMAGE edges (default true)"),
+          extraUrls: z
+            .array(z.any())
+            .optional()
+            .describe("Other pages to list, as paths or { loc, lastmod }"),
+          sitemapPath: z.string().optional().describe("Path of the main sitemap (default /sitemap.xml)"),
+          maxUrlsPerSitemap: z
+            .number()
+            .int()
+            .positive()
+            .optional()
+            .describe("URLs per file before splitting with a sitemap index (default 50000)"),
+          mediaUrlPrefix: z.string().optional().describe("Media path prefix (default /_repo/medias/)"),
+        })
+        .describe("Sitemap options, baseUrl is required"),
+    })
+    .describe(
+      "Generate sitemap.xml files (split with a sitemap index above 50k URLs) with image entries, skipping posts hidden by the visibility policy"
+    )
+    .meta({ category: "posts", readonly: true }),
+
+  generateRobotsTxt: z
+    .object({
+      options: z
+        .object({
+          baseUrl: z.string().optional().describe("Absolute site URL, adds the Sitemap line"),
+          sitemapPath: z.string().optional().describe("Path of the main sitemap (default /sitemap.xml)"),
+          disallow: z.array(z.string()).optional().describe("Disallowed paths"),
+          allow: z.array(z.string()).optional().describe("Allowed paths"),
+          userAgent: z.string().optional().describe("User agent (default *)"),
+        })
+        .optional()
+        .default({})
+        .describe("robots.txt options"),
+    })
+    .describe("Generate a robots.txt pointing to the sitemap")
+    .meta({ category: "posts", readonly: true }),
+
   // URL Methods
   getR2Url: z
     .object({
@@ -821,6 +1373,55 @@ export const schemas = {
       cacheable: true,
     }),
 
+  getDatabase: z
+    .object({})
+    .describe(
+      "Download and open the content.sqlite database of the active revision with a WASM SQLite engine"
+    )
+    .meta({ category: "api", readonly: true, cacheable: true }),
+
+  sql: z
+    .object({
+      query: z
+        .string()
+        .min(1, "SQL query is required")
+        .describe(
+          "SQL query to run against the content.sqlite database (tables: posts, medias, tags, post_tags, links, post_media)"
+        ),
+      params: z
+        .union([z.array(z.any()), z.record(z.any())])
+        .optional()
+        .default([])
+        .describe(
+          "Query parameters, positional (?) or named with a prefix (:name, $name, @name)"
+        ),
+    })
+    .describe(
+      "Run a SQL query against the content.sqlite database of the active revision and return rows as objects"
+    )
+    .meta({ category: "api", readonly: true }),
+
+  sqlPostsByTag: z
+    .object({
+      tag: z.string().min(1, "Tag is required").describe("Tag name, as stored in the tags table"),
+    })
+    .describe("Get the post rows of a tag from the content.sqlite tag tables")
+    .meta({ category: "api", readonly: true, cacheable: true }),
+
+  sqlBacklinks: z
+    .object({
+      postRef: z.string().min(1, "Post reference is required").describe("Post ID or slug"),
+    })
+    .describe("Get the post rows linking to a post from the content.sqlite links table")
+    .meta({ category: "api", readonly: true, cacheable: true }),
+
+  sqlMediaForPost: z
+    .object({
+      postRef: z.string().min(1, "Post reference is required").describe("Post ID or slug"),
+    })
+    .describe("Get the media rows used by a post from the content.sqlite post_media table")
+    .meta({ category: "api", readonly: true, cacheable: true }),
+
   // API Methods
   fetchPublicApi: z
     .object({
@@ -862,6 +1463,22 @@ export const schemas = {
     )
     .meta({ category: "api", internal: true, readonly: true }),
 
+  fetchSharedJson: z
+    .object({
+      path: pathSchema.describe(
+        "File path in the shared folder of the storage (e.g. /posts/{hash}.json)"
+      ),
+      opts: z
+        .record(z.any())
+        .optional()
+        .default({})
+        .describe("Additional read options like caching and default value"),
+    })
+    .describe(
+      "Fetch JSON data from the shared, revision-independent folder of the storage"
+    )
+    .meta({ category: "api", internal: true, readonly: true }),
+
   fetchJson: z
     .object({
       url: z
@@ -945,6 +1562,13 @@ export const schemas = {
     )
     .meta({ category: "utility", internal: true, readonly: true }),
 
+  getVectorIndexStats: z
+    .object({})
+    .describe(
+      "Get the size, algorithm, quantization and memory use of the vector search indexes built so far"
+    )
+    .meta({ category: "search", internal: true, readonly: true }),
+
   sortPostsByDate: z
     .object({
       posts: z
@@ -981,6 +1605,129 @@ export const schemas = {
     )
     .meta({ category: "project", internal: true }),
 
+  // Revision Events Methods
+  on: z
+    .object({
+      event: z
+        .enum(["revision"])
+        .describe("Event name: revision (the active revision changed)"),
+      handler: z
+        .function()
+        .describe("Function called with the event payload"),
+    })
+    .describe(
+      "Subscribe to client events, returns an unsubscribe function"
+    )
+    .meta({ category: "utility", internal: true }),
+
+  off: z
+    .object({
+      event: z.enum(["revision"]).describe("Event name"),
+      handler: z
+        .function()
+        .describe("Handler previously passed to on()"),
+    })
+    .describe("Unsubscribe a handler from client events")
+    .meta({ category: "utility", internal: true }),
+
+  checkForNewRevision: z
+    .object({})
+    .describe(
+      "Check for a new latest revision now, purging stale caches and emitting a revision event when it changed"
+    )
+    .meta({ category: "project", internal: true }),
+
+  watchRevisions: z
+    .object({
+      options: z
+        .object({
+          interval: z.number().positive().optional(),
+        })
+        .optional()
+        .default({})
+        .describe("Watch options: interval in milliseconds (default 60000)"),
+    })
+    .describe(
+      "Poll for new revisions and emit revision events when the active revision changes, returns a stop function"
+    )
+    .meta({ category: "project", internal: true }),
+
+  stopWatchingRevisions: z
+    .object({})
+    .describe("Stop polling for new revisions")
+    .meta({ category: "project", internal: true }),
+
+  diffRevisions: z
+    .object({
+      revA: z.string().min(1).describe("Revision to compare from (the older one)"),
+      revB: z
+        .string()
+        .optional()
+        .describe('Revision to compare to, "latest" or omitted for the client revision'),
+    })
+    .describe(
+      "Compare two published revisions: added, removed, modified and renamed posts, changed media and source files"
+    )
+    .meta({ category: "project", readonly: true, cacheable: true }),
+
+  // Post Transformer Methods
+  use: z
+    .object({
+      transformer: z
+        .any()
+        .describe("Function(post, context) or { name, transform(post, context) } returning the post"),
+    })
+    .describe(
+      "Add a post transformer run over each post on retrieval (cached per revision), returns the client for chaining"
+    )
+    .meta({ category: "posts", internal: true }),
+
+  removeTransformer: z
+    .object({
+      transformer: z
+        .any()
+        .describe("Transformer name, or the function/object passed to use()"),
+    })
+    .describe("Remove a post transformer, returns whether one was removed")
+    .meta({ category: "posts", internal: true }),
+
+  getTransformers: z
+    .object({})
+    .describe("List the names of the post transformers, in run order")
+    .meta({ category: "posts", internal: true }),
+
+  // Visibility Methods
+  enablePreview: z
+    .object({
+      secret: z.string().min(1).describe("Preview secret (visibility.previewSecret option)"),
+    })
+    .describe(
+      "Enable the preview mode: private notes, drafts and scheduled posts become visible"
+    )
+    .meta({ category: "posts", internal: true }),
+
+  disablePreview: z
+    .object({})
+    .describe("Disable the preview mode and hide posts again per the visibility policy")
+    .meta({ category: "posts", internal: true }),
+
+  isPreview: z
+    .object({})
+    .describe("Check whether the preview mode is enabled")
+    .meta({ category: "posts", internal: true }),
+
+  getVisibilityPolicy: z
+    .object({})
+    .describe(
+      "Get the visibility policy: visibility, draft and publishAt fields, included post kinds and preview mode"
+    )
+    .meta({ category: "posts", readonly: true }),
+
+  hasHiddenPosts: z
+    .object({})
+    .describe("Check whether the visibility policy currently hides some posts")
+    .meta({ category: "posts", readonly: true }),
+
   // Instance Management Methods
   destroy: z
     .object({})
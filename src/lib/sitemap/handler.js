@@ -0,0 +1,93 @@
+/**
+ * Sitemap route helpers for RepoMD
+ * Shared by the framework integrations to serve sitemap.xml, its pages and robots.txt
+ */
+
+/**
+ * Whether a request path is served by the sitemap routes
+ * @param {string} pathname - Request path
+ * @param {Object} options - Sitemap route options (sitemapPath, robots)
+ * @returns {boolean} - Whether the path is a sitemap, sitemap page or robots.txt
+ */
+export function isSitemapRoute(pathname, options = {}) {
+  const { sitemapPath = "/sitemap.xml", robots = true } = options;
+  if (robots && pathname === "/robots.txt") return true;
+  if (pathname === sitemapPath) return true;
+
+  // Sitemap pages: <base>-<number>.xml, compared as text as the path may contain regex characters
+  const base = `${sitemapPath.replace(/\.xml$/, "")}-`;
+  return (
+    pathname.startsWith(base) &&
+    pathname.endsWith(".xml") &&
+    /^\d+$/.test(pathname.slice(base.length, -".xml".length))
+  );
+}
+
+/**
+ * Render a sitemap file or robots.txt for a request URL
+ * baseUrl defaults to the request origin, only cached privately as the Host header is client-controlled
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - generateSitemap options, plus robots (robots.txt options or false) and cacheMaxAge (seconds, default 3600)
+ * @param {string} requestUrl - Absolute URL of the request
+ * @returns {Promise<{status: number, headers: Object, body: string}>} - Response parts
+ */
+export async function renderSitemapRoute(repo, options = {}, requestUrl) {
+  const { cacheMaxAge = 3600, robots = true, ...sitemapOptions } = options;
+  const url = new URL(requestUrl);
+  const baseUrl = sitemapOptions.baseUrl || url.origin;
+  const cacheScope = sitemapOptions.baseUrl ? "public" : "private";
+  const cacheHeaders = { "Cache-Control": `${cacheScope}, max-age=${cacheMaxAge}` };
+
+  try {
+    if (robots && url.pathname === "/robots.txt") {
+      return {
+        status: 200,
+        headers: { "Content-Type": "text/plain; charset=utf-8", ...cacheHeaders },
+        body: repo.generateRobotsTxt({
+          baseUrl,
+          sitemapPath: sitemapOptions.sitemapPath,
+          ...(typeof robots === "object" ? robots : {}),
+        }),
+      };
+    }
+
+    const { files } = await repo.generateSitemap({ ...sitemapOptions, baseUrl });
+    const body = files[url.pathname];
+    if (!body) {
+      return {
+        status: 404,
+        headers: { "Content-Type": "text/plain; charset=utf-8" },
+        body: "Not found",
+      };
+    }
+
+    return {
+      status: 200,
+      headers: { "Content-Type": "application/xml; charset=utf-8", ...cacheHeaders },
+      body,
+    };
+  } catch (error) {
+    return {
+      status: 500,
+      headers: { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store" },
+      body: options.debug ? error.message : "Sitemap unavailable",
+    };
+  }
+}
+
+/**
+ * Create a fetch-style sitemap handler ((Request|URL) => Response)
+ * Works as a Next.js route handler, SvelteKit endpoint, Astro API route or Worker
+ * @param {Object} repo - RepoMD instance
+ * @param {Object} options - Sitemap route options (see renderSitemapRoute)
+ * @returns {Function} - Async handler returning a Response
+ */
+export function createSitemapRequestHandler(repo, options = {}) {
+  return async (requestOrContext) => {
+    const requestUrl = requestOrContext?.url instanceof URL
+      ? requestOrContext.url.href
+      : requestOrContext?.url || requestOrContext?.request?.url || String(requestOrContext);
+    const { status, headers, body } = await renderSitemapRoute(repo, options, requestUrl);
+    return new Response(body, { status, headers });
+  };
+}
@@ -0,0 +1,15 @@
+/**
+ * Sitemap module barrel export for RepoMD
+ */
+
+import { createSitemapGenerator, getSitemapPagePath, MAX_SITEMAP_URLS } from './sitemap.js';
+import { isSitemapRoute, renderSitemapRoute, createSitemapRequestHandler } from './handler.js';
+
+export {
+  createSitemapGenerator,
+  getSitemapPagePath,
+  MAX_SITEMAP_URLS,
+  isSitemapRoute,
+  renderSitemapRoute,
+  createSitemapRequestHandler,
+};
@@ -0,0 +1,252 @@
+/**
+ * Sitemap module for RepoMD
+ * sitemap.xml (split with a sitemap index above 50k URLs), image entries and robots.txt
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+import { getPostField } from "../posts/query.js";
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+// Limit of the sitemap protocol
+export const MAX_SITEMAP_URLS = 50000;
+
+// Frontmatter fields read for <lastmod>, first match wins
+const LASTMOD_FIELDS = ["updated", "modified", "lastmod", "date", "published"];
+
+// Media sizes, largest first, used for <image:loc>
+const IMAGE_SIZES = ["xl", "lg", "md", "sm", "xs"];
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Read the last modification date of a post as YYYY-MM-DD
+ * @param {Object} post - Post object
+ * @returns {string|null} - W3C date or null
+ */
+function getLastmod(post) {
+  for (const field of LASTMOD_FIELDS) {
+    const value = getPostField(post, field);
+    if (value) {
+      const date = new Date(value);
+      if (!Number.isNaN(date.getTime())) return date.toISOString().slice(0, 10);
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the public path of the largest rendition of a media
+ * @param {Object} media - Entry of medias.json
+ * @param {string} mediaUrlPrefix - Media path prefix (e.g. "/_repo/medias/")
+ * @returns {string} - Media path
+ */
+function getMediaPath(media, mediaUrlPrefix) {
+  for (const size of IMAGE_SIZES) {
+    const rendition = media.sizes?.[size]?.[0];
+    if (rendition?.publicPath) return rendition.publicPath;
+  }
+  return `${mediaUrlPrefix}${media.hashPath || media.effectivePath}`;
+}
+
+/**
+ * Build the path of the nth sitemap file ("/sitemap.xml" -> "/sitemap-2.xml")
+ * @param {string} sitemapPath - Path of the main sitemap
+ * @param {number} page - Page number (1-based)
+ * @returns {string} - Page path
+ */
+export function getSitemapPagePath(sitemapPath, page) {
+  return sitemapPath.replace(/(\.xml)?$/, `-${page}$1`);
+}
+
+/**
+ * Create a sitemap generator
+ * @param {Object} config - Configuration object
+ * @param {Function} config.getAllPosts - Function to get the published posts (visibility policy applied)
+ * @param {Function} config.getAllMedia - Function to get medias.json
+ * @param {Function} config.getUsedMedia - Function returning the media graph nodes of a post
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Sitemap functions
+ */
+export function createSitemapGenerator(config) {
+  const { getAllPosts, getAllMedia, getUsedMedia, debug = false } = config;
+
+  /**
+   * Map each post hash to the image URLs it uses (graph.json POST_USE_IMAGE edges)
+   * @param {Array} posts - Published posts
+   * @param {string} baseUrl - Site URL
+   * @param {string} mediaUrlPrefix - Media path prefix
+   * @returns {Promise<Map<string, Array<string>>>} - Image URLs by post hash
+   */
+  async function _getImagesByPost(posts, baseUrl, mediaUrlPrefix) {
+    const mediaData = await getAllMedia();
+    const media = Array.isArray(mediaData) ? mediaData : [];
+    const mediaByHash = new Map(
+      media.map((entry) => [String(entry.hashPath || "").replace(/\.[^.]+$/, ""), entry])
+    );
+
+    const imagesByPost = new Map();
+    for (const post of posts) {
+      if (!post.hash) continue;
+      let nodes = [];
+      try {
+        nodes = await getUsedMedia(post.hash);
+      } catch {
+        // Posts missing from the graph have no image entries
+      }
+      const images = nodes
+        .filter((node) => node.edgeType === "POST_USE_IMAGE" && mediaByHash.has(node.id))
+        .map((node) => `${baseUrl}${getMediaPath(mediaByHash.get(node.id), mediaUrlPrefix)}`);
+      if (images.length) {
+        imagesByPost.set(post.hash, [...new Set(images)]);
+      }
+    }
+    return imagesByPost;
+  }
+
+  function _renderUrlset(urls) {
+    const hasImages = urls.some((url) => url.images?.length);
+    const entries = urls.map((url) =>
+      [
+        "<url>",
+        `<loc>${escapeXml(url.loc)}</loc>`,
+        url.lastmod && `<lastmod>${escapeXml(url.lastmod)}</lastmod>`,
+        ...(url.images || []).map(
+          (image) => `<image:image><image:loc>${escapeXml(image)}</image:loc></image:image>`
+        ),
+        "</url>",
+      ]
+        .filter(Boolean)
+        .join("")
+    );
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"${
+        hasImages ? ' xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"' : ""
+      }>`,
+      ...entries,
+      "</urlset>",
+    ].join("\n");
+  }
+
+  function _renderIndex(locs) {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...locs.map((loc) => `<sitemap><loc>${escapeXml(loc)}</loc></sitemap>`),
+      "</sitemapindex>",
+    ].join("\n");
+  }
+
+  /**
+   * Generate the sitemap files of the published posts
+   * @param {Object} options - Sitemap options
+   * @param {string} options.baseUrl - Absolute site URL
+   * @param {string|Function} options.routeForPost - Path template ("/blog/:slug") or function(post) returning a path or URL
+   * @param {boolean} options.includeMedia - Add image entries from graph.json (default true)
+   * @param {Array} options.extraUrls - Other pages ({ loc, lastmod } or paths)
+   * @param {string} options.sitemapPath - Path of the main sitemap (default "/sitemap.xml")
+   * @param {number} options.maxUrlsPerSitemap - URLs per file before splitting (default 50000)
+   * @param {string} options.mediaUrlPrefix - Media path prefix (default "/_repo/medias/")
+   * @returns {Promise<{files: Object, urlCount: number}>} - XML documents by path, the main one is the index when split
+   * @throws {Error} - If baseUrl is missing
+   */
+  async function generateSitemap(options = {}) {
+    const {
+      routeForPost = "/:slug",
+      includeMedia = true,
+      extraUrls = [],
+      sitemapPath = "/sitemap.xml",
+      maxUrlsPerSitemap = MAX_SITEMAP_URLS,
+      mediaUrlPrefix = "/_repo/medias/",
+    } = options;
+
+    if (!options.baseUrl) {
+      throw new Error("generateSitemap requires an absolute baseUrl");
+    }
+
+    const startTime = performance.now();
+    const baseUrl = options.baseUrl.replace(/\/+$/, "");
+    const toUrl = (path) => (/^https?:\/\//.test(path) ? path : `${baseUrl}${path.startsWith("/") ? "" : "/"}${path}`);
+
+    const posts = await getAllPosts();
+    const imagesByPost = includeMedia
+      ? await _getImagesByPost(posts, baseUrl, mediaUrlPrefix)
+      : new Map();
+
+    const urls = [
+      ...extraUrls.map((entry) =>
+        typeof entry === "string" ? { loc: toUrl(entry) } : { ...entry, loc: toUrl(entry.loc) }
+      ),
+      ...posts.map((post) => ({
+        loc: toUrl(
+          typeof routeForPost === "function"
+            ? routeForPost(post)
+            : routeForPost
+                .replace(":slug", encodeURIComponent(post.slug || ""))
+                .replace(":hash", post.hash || "")
+        ),
+        lastmod: getLastmod(post),
+        images: imagesByPost.get(post.hash) || [],
+      })),
+    ];
+
+    const files = {};
+    if (urls.length <= maxUrlsPerSitemap) {
+      files[sitemapPath] = _renderUrlset(urls);
+    } else {
+      const locs = [];
+      for (let start = 0, page = 1; start < urls.length; start += maxUrlsPerSitemap, page++) {
+        const pagePath = getSitemapPagePath(sitemapPath, page);
+        files[pagePath] = _renderUrlset(urls.slice(start, start + maxUrlsPerSitemap));
+        locs.push(`${baseUrl}${pagePath}`);
+      }
+      files[sitemapPath] = _renderIndex(locs);
+    }
+
+    if (debug) {
+      const duration = (performance.now() - startTime).toFixed(2);
+      console.log(
+        `${prefix} 🗺️ Generated sitemap with ${urls.length} URLs in ${Object.keys(files).length} file(s) in ${duration}ms`
+      );
+    }
+
+    return { files, urlCount: urls.length };
+  }
+
+  /**
+   * Generate a robots.txt pointing to the sitemap
+   * @param {Object} options - Robots options
+   * @param {string} options.baseUrl - Absolute site URL
+   * @param {string} options.sitemapPath - Path of the main sitemap (default "/sitemap.xml")
+   * @param {Array<string>} options.disallow - Disallowed paths
+   * @param {Array<string>} options.allow - Allowed paths
+   * @param {string} options.userAgent - User agent (default "*")
+   * @returns {string} - robots.txt content
+   */
+  function generateRobotsTxt(options = {}) {
+    const { sitemapPath = "/sitemap.xml", disallow = [], allow = [], userAgent = "*" } = options;
+    const lines = [
+      `User-agent: ${userAgent}`,
+      ...allow.map((path) => `Allow: ${path}`),
+      ...(disallow.length ? disallow.map((path) => `Disallow: ${path}`) : ["Disallow:"]),
+    ];
+    if (options.baseUrl) {
+      lines.push("", `Sitemap: ${options.baseUrl.replace(/\/+$/, "")}${sitemapPath}`);
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  return {
+    generateSitemap,
+    generateRobotsTxt,
+  };
+}
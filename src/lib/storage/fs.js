@@ -0,0 +1,213 @@
+/**
+ * Filesystem storage adapter for RepoMD (Node only)
+ * Reads a built dist folder straight from disk, no network involved
+ */
+
+import QuickLRU from "quick-lru";
+import { LOG_PREFIXES } from "../logger.js";
+import { LOCAL_DIST_SHARED_PATHS } from "../core/urls.js";
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+// Revision used when the dist folder doesn't declare its own
+const DEFAULT_FS_REV = "local";
+
+/**
+ * Create a filesystem storage adapter
+ * @param {Object} config - Configuration object
+ * @param {string} config.root - Path (or file:// URL) of the built dist folder
+ * @param {boolean} config.useCache - Whether to keep parsed files in memory
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Storage adapter
+ */
+export function createFsStorage(config) {
+  const { root, useCache = true, debug = false } = config || {};
+
+  if (!root) {
+    throw new Error("createFsStorage requires a root folder");
+  }
+
+  const cache = new QuickLRU({ maxSize: 1000 });
+
+  // Node modules are loaded lazily so the adapter can be imported in any bundle
+  let nodeModulesPromise = null;
+  function loadNodeModules() {
+    if (!nodeModulesPromise) {
+      nodeModulesPromise = Promise.all([
+        import("node:fs/promises"),
+        import("node:path"),
+        import("node:url"),
+      ]).then(([fs, path, url]) => ({ fs, path, url }));
+    }
+    return nodeModulesPromise;
+  }
+
+  /**
+   * Resolve a dist path to an absolute file path, without escaping the root
+   * @param {string} filePath - Path inside the dist folder
+   * @returns {Promise<string>} - Absolute file path
+   */
+  async function resolvePath(filePath) {
+    const { path, url } = await loadNodeModules();
+    const rootDir = path.resolve(
+      String(root).startsWith("file:") ? url.fileURLToPath(root) : String(root)
+    );
+    const resolved = path.resolve(rootDir, `.${path.posix.normalize(`/${filePath}`)}`);
+
+    if (resolved !== rootDir && !resolved.startsWith(rootDir + path.sep)) {
+      throw new Error(`Path is outside of the dist folder: ${filePath}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Read and parse a JSON file from the dist folder
+   * Missing files reject like a 404 from the HTTP storage
+   * @param {string} filePath - Path inside the dist folder
+   * @param {Object} opts - Read options (useCache)
+   * @returns {Promise<any>} - Parsed JSON
+   */
+  async function readFileJson(filePath, opts = {}) {
+    const shouldUseCache = useCache && opts.useCache !== false;
+
+    if (shouldUseCache && cache.has(filePath)) {
+      if (debug) {
+        console.log(`${prefix} ✨ FS storage cache hit: ${filePath}`);
+      }
+      return cache.get(filePath);
+    }
+
+    const { fs } = await loadNodeModules();
+    const absolutePath = await resolvePath(filePath);
+    const startTime = performance.now();
+
+    let raw;
+    try {
+      raw = await fs.readFile(absolutePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT" || error.code === "EISDIR") {
+        throw new Error(`Resource not found (404): ${filePath}`);
+      }
+      throw error;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (jsonError) {
+      throw new Error(`Invalid JSON in ${absolutePath}: ${jsonError.message}`);
+    }
+
+    if (debug) {
+      const duration = (performance.now() - startTime).toFixed(2);
+      console.log(`${prefix} 📁 FS storage read ${absolutePath} in ${duration}ms`);
+    }
+
+    if (shouldUseCache) {
+      cache.set(filePath, data);
+    }
+
+    return data;
+  }
+
+  /**
+   * Read a JSON file from the revision (the dist folder root)
+   * @param {string} path - Path within the revision (e.g. "/posts.json")
+   * @param {Object} opts - Read options
+   * @returns {Promise<any>} - Parsed JSON
+   */
+  async function readJson(path, opts = {}) {
+    return await readFileJson(path, opts);
+  }
+
+  /**
+   * Read a JSON file from the shared folder, mapped to the dist layout
+   * (e.g. "/posts/{hash}.json" -> "_posts/hash/{hash}.json")
+   * @param {string} path - Path within the shared folder
+   * @param {Object} opts - Read options
+   * @returns {Promise<any>} - Parsed JSON
+   */
+  async function readSharedJson(path, opts = {}) {
+    const mapping = LOCAL_DIST_SHARED_PATHS.find(({ shared }) =>
+      path.startsWith(shared)
+    );
+    const localPath = mapping
+      ? `${mapping.local}${path.slice(mapping.shared.length)}`
+      : path;
+    return await readFileJson(localPath, opts);
+  }
+
+  /**
+   * Read a binary file from the dist folder (not cached)
+   * @param {string} filePath - Path inside the dist folder (e.g. "/content.sqlite")
+   * @returns {Promise<Uint8Array>} - File contents
+   */
+  async function readBinary(filePath) {
+    const { fs } = await loadNodeModules();
+    const absolutePath = await resolvePath(filePath);
+    try {
+      const buffer = await fs.readFile(absolutePath);
+      return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    } catch (error) {
+      if (error.code === "ENOENT" || error.code === "EISDIR") {
+        throw new Error(`Resource not found (404): ${filePath}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the revision of the dist folder
+   * Uses rev.json ({ "rev": "..." } or a plain string) when the folder has one
+   * @returns {Promise<string>} - Revision ID
+   */
+  async function getRevision() {
+    let data = null;
+    try {
+      data = await readFileJson("/rev.json", { useCache: false });
+    } catch (error) {
+      // rev.json is optional
+      if (debug) {
+        console.log(`${prefix} 📁 No readable rev.json in dist folder: ${error.message}`);
+      }
+    }
+    const rev = typeof data === "string" ? data : data?.rev || data?.activeRev;
+    return rev || DEFAULT_FS_REV;
+  }
+
+  /**
+   * Read a JSON file from a given revision
+   * A dist folder holds a single revision, other revisions can't be read
+   * @param {string} rev - Revision ID
+   * @param {string} path - Path within the revision
+   * @param {Object} opts - Read options
+   * @returns {Promise<any>} - Parsed JSON
+   * @throws {Error} - If the revision isn't the one of the dist folder
+   */
+  async function readRevisionJson(rev, path, opts = {}) {
+    const folderRev = await getRevision();
+    if (rev !== folderRev) {
+      throw new Error(`The dist folder only holds revision ${folderRev}, not ${rev}`);
+    }
+    return await readFileJson(path, opts);
+  }
+
+  /**
+   * Drop parsed files from memory (e.g. after a rebuild)
+   */
+  function clearCache() {
+    cache.clear();
+  }
+
+  return {
+    type: "fs",
+    root,
+    readJson,
+    readSharedJson,
+    readRevisionJson,
+    readBinary,
+    getRevision,
+    clearCache,
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * HTTP storage adapter for RepoMD
+ * Default storage: reads revision and shared files from static.repo.md (or a mirror)
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+import { fetchJson as defaultFetchJson, fetchBinary } from "../utils.js";
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+/**
+ * Create an HTTP storage adapter
+ * @param {Object} config - Configuration object
+ * @param {Function} config.getRevisionUrl - Function to get revision-specific URLs (async)
+ * @param {Function} config.getSharedFolderUrl - Function to get shared folder URLs
+ * @param {Function} [config.getRevisionUrlFor] - Function to get URLs of a given revision (revision, path)
+ * @param {Function} [config.fetchJson] - Function to fetch JSON from a URL
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Storage adapter
+ */
+export function createHttpStorage(config) {
+  const {
+    getRevisionUrl,
+    getSharedFolderUrl,
+    getRevisionUrlFor = null,
+    debug = false,
+    fetchJson = (url, opts) => defaultFetchJson(url, opts, debug),
+  } = config;
+
+  /**
+   * Read a JSON file from the active revision
+   * @param {string} path - Path within the revision (e.g. "/posts.json")
+   * @param {Object} opts - fetchJson options (defaultValue, useCache...)
+   * @returns {Promise<any>} - Parsed JSON
+   */
+  async function readJson(path, opts = {}) {
+    const url = await getRevisionUrl(path);
+    if (debug) {
+      console.log(`${prefix} 🌐 HTTP storage read: ${url}`);
+    }
+    return await fetchJson(url, opts);
+  }
+
+  /**
+   * Read a JSON file from the shared (cross-revision) folder
+   * @param {string} path - Path within the shared folder (e.g. "/posts/{hash}.json")
+   * @param {Object} opts - fetchJson options (defaultValue, useCache...)
+   * @returns {Promise<any>} - Parsed JSON
+   */
+  async function readSharedJson(path, opts = {}) {
+    const url = getSharedFolderUrl(path);
+    if (debug) {
+      console.log(`${prefix} 🌐 HTTP storage shared read: ${url}`);
+    }
+    return await fetchJson(url, opts);
+  }
+
+  /**
+   * Read a JSON file from a given revision (e.g. to compare revisions)
+   * @param {string} rev - Revision ID
+   * @param {string} path - Path within the revision (e.g. "/posts.json")
+   * @param {Object} opts - fetchJson options (defaultValue, useCache...)
+   * @returns {Promise<any>} - Parsed JSON
+   */
+  async function readRevisionJson(rev, path, opts = {}) {
+    if (!getRevisionUrlFor) {
+      throw new Error("This HTTP storage can't read other revisions (no getRevisionUrlFor)");
+    }
+    const url = await getRevisionUrlFor(rev, path);
+    if (debug) {
+      console.log(`${prefix} 🌐 HTTP storage read (rev ${rev}): ${url}`);
+    }
+    return await fetchJson(url, opts);
+  }
+
+  /**
+   * Read a binary file from the active revision
+   * @param {string} path - Path within the revision (e.g. "/content.sqlite")
+   * @returns {Promise<ArrayBuffer>} - File contents
+   */
+  async function readBinary(path) {
+    const url = await getRevisionUrl(path);
+    return await fetchBinary(url, debug);
+  }
+
+  return {
+    type: "http",
+    readJson,
+    readSharedJson,
+    readRevisionJson,
+    readBinary,
+  };
+}
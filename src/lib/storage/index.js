@@ -0,0 +1,11 @@
+/**
+ * Storage module barrel export for RepoMD
+ */
+
+import { createHttpStorage } from './http.js';
+import { createFsStorage } from './fs.js';
+
+export {
+  createHttpStorage,
+  createFsStorage,
+};
@@ -0,0 +1,95 @@
+/**
+ * HTML helpers for post transformers
+ * Attribute parsing and tag rendering on the prebuilt post HTML (no DOM needed)
+ */
+
+const ATTRIBUTE_PATTERN = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Escape a value for a double-quoted attribute
+ * @param {string} value - Raw value
+ * @returns {string} - Escaped value
+ */
+export function escapeAttribute(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Parse the attributes of an opening tag
+ * Values are kept as they appear in the HTML (entities not decoded)
+ * @param {string} tag - Opening tag ('<img src="..." alt="...">')
+ * @returns {Array<[string, string|null]>} - Attribute name/value pairs, null for boolean attributes
+ */
+export function parseAttributes(tag) {
+  const body = tag.replace(/^<[^\s>/]+/, "").replace(/\/?>$/, "");
+  const attributes = [];
+  for (const match of body.matchAll(ATTRIBUTE_PATTERN)) {
+    attributes.push([match[1], match[2] ?? match[3] ?? match[4] ?? null]);
+  }
+  return attributes;
+}
+
+/**
+ * Read an attribute of a parsed tag
+ * @param {Array<[string, string|null]>} attributes - Parsed attributes
+ * @param {string} name - Attribute name (case-insensitive)
+ * @returns {string|null|undefined} - Value, null for boolean attributes, undefined when missing
+ */
+export function getAttribute(attributes, name) {
+  const entry = attributes.find(([key]) => key.toLowerCase() === name);
+  return entry ? entry[1] : undefined;
+}
+
+/**
+ * Set (or add) an attribute of a parsed tag
+ * @param {Array<[string, string|null]>} attributes - Parsed attributes, changed in place
+ * @param {string} name - Attribute name
+ * @param {string|null} value - Raw value (already escaped), null for a boolean attribute
+ */
+export function setAttribute(attributes, name, value) {
+  const entry = attributes.find(([key]) => key.toLowerCase() === name);
+  if (entry) {
+    entry[1] = value;
+  } else {
+    attributes.push([name, value]);
+  }
+}
+
+/**
+ * Render an opening tag
+ * @param {string} name - Tag name
+ * @param {Array<[string, string|null]>} attributes - Attributes (raw values)
+ * @returns {string} - Opening tag
+ */
+export function renderTag(name, attributes) {
+  const rendered = attributes
+    .map(([key, value]) => (value === null ? key : `${key}="${value}"`))
+    .join(" ");
+  return `<${name}${rendered ? ` ${rendered}` : ""}>`;
+}
+
+/**
+ * Replace text outside of tags, <code>, <pre>, <script> and <style> elements
+ * @param {string} html - HTML
+ * @param {Function} replacer - Function(text) returning the new HTML of a text segment
+ * @returns {string} - HTML
+ */
+export function replaceText(html, replacer) {
+  let skipDepth = 0;
+  return html
+    .split(/(<[^>]+>)/)
+    .map((segment) => {
+      const tag = segment.match(/^<(\/?)(code|pre|script|style)\b/i);
+      if (tag) {
+        skipDepth = Math.max(0, skipDepth + (tag[1] ? -1 : 1));
+        return segment;
+      }
+      if (segment.startsWith("<") || skipDepth > 0 || !segment) return segment;
+      return replacer(segment);
+    })
+    .join("");
+}
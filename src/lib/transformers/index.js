@@ -0,0 +1,24 @@
+/**
+ * Transformers module barrel export for RepoMD
+ */
+
+import { createTransformerPipeline, TRANSFORMERS_CACHE_NAMESPACE } from './pipeline.js';
+import { createResponsiveImagesTransformer } from './media.js';
+import { createWikilinksTransformer, createExternalLinksTransformer } from './links.js';
+import { createLazyLoadingTransformer, createHeadingIdsTransformer } from './markup.js';
+import { parseAttributes, getAttribute, setAttribute, renderTag, replaceText } from './html.js';
+
+export {
+  createTransformerPipeline,
+  TRANSFORMERS_CACHE_NAMESPACE,
+  createResponsiveImagesTransformer,
+  createWikilinksTransformer,
+  createExternalLinksTransformer,
+  createLazyLoadingTransformer,
+  createHeadingIdsTransformer,
+  parseAttributes,
+  getAttribute,
+  setAttribute,
+  renderTag,
+  replaceText,
+};
@@ -0,0 +1,158 @@
+/**
+ * Link transformers for RepoMD
+ * Wikilink resolution and attributes of external links
+ */
+
+import { linkKey } from "../graph/linkGraph.js";
+import { parseAttributes, getAttribute, setAttribute, renderTag, escapeAttribute, replaceText } from "./html.js";
+
+// Link targets indexes by pipeline context (rebuilt when the pipeline resets)
+const targetIndexes = new WeakMap();
+
+// [[Target]], [[Target#Heading]], [[Target|Label]]
+const WIKILINK_PATTERN = /\[\[([^\]|#]*)(?:#([^\]|]*))?(?:\|([^\]]*))?\]\]/g;
+
+/**
+ * Slugify a heading like the build does for heading ids
+ * @param {string} text - Heading text
+ * @returns {string} - Anchor
+ */
+function slugifyHeading(text) {
+  return String(text)
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, "")
+    .replace(/\s+/g, "-");
+}
+
+/**
+ * Index the visible posts by link key (slug, title, file name, path)
+ * Posts hidden by the visibility policy aren't indexed, so links to them stay unresolved
+ * @param {Object} context - Pipeline context
+ * @returns {Promise<Map<string, Object>>} - Posts by link key
+ */
+function getTargetIndex(context) {
+  if (!targetIndexes.has(context)) {
+    targetIndexes.set(
+      context,
+      Promise.resolve(context.getAllPosts()).then((posts) => {
+        const index = new Map();
+        for (const post of posts || []) {
+          const path = post.originalFilePath || "";
+          for (const key of [post.title, post.fileName, path, path.split("/").pop(), post.slug]) {
+            if (key) index.set(linkKey(key), post);
+          }
+        }
+        return index;
+      })
+    );
+  }
+  return targetIndexes.get(context);
+}
+
+/**
+ * Build the URL of a post
+ * @param {Object} post - Target post
+ * @param {string|Function} postUrl - Path template ("/blog/:slug", ":hash") or function(post)
+ * @returns {string} - URL
+ */
+function buildPostUrl(post, postUrl) {
+  if (typeof postUrl === "function") return postUrl(post);
+  return postUrl
+    .replace(":slug", encodeURIComponent(post.slug || ""))
+    .replace(":hash", post.hash || "");
+}
+
+/**
+ * Create a transformer resolving [[wikilinks]] left in the post HTML
+ * @param {Object} options - Transformer options
+ * @param {string|Function} options.postUrl - Path template ("/:slug" by default) or function(post)
+ * @param {string} options.className - Class of resolved links (default "wikilink")
+ * @param {string} options.missingClassName - Class of the <span> replacing unresolved links (default "wikilink-missing")
+ * @returns {{name: string, transform: Function}} - Transformer
+ */
+export function createWikilinksTransformer(options = {}) {
+  const {
+    postUrl = "/:slug",
+    className = "wikilink",
+    missingClassName = "wikilink-missing",
+  } = options;
+
+  return {
+    name: "wikilinks",
+    async transform(post, context) {
+      if (!post.html?.includes("[[")) return post;
+
+      const index = await getTargetIndex(context);
+      post.html = replaceText(post.html, (text) =>
+        text.replace(WIKILINK_PATTERN, (match, target, heading, label) => {
+          const targetPost = target.trim() ? index.get(linkKey(target)) : post;
+          const anchor = heading ? `#${slugifyHeading(heading)}` : "";
+          const linkText = (label ?? "").trim() || [target.trim(), heading?.trim()].filter(Boolean).join(" > ");
+
+          if (!targetPost) {
+            return `<span class="${escapeAttribute(missingClassName)}">${linkText}</span>`;
+          }
+          const href = target.trim() ? `${buildPostUrl(targetPost, postUrl)}${anchor}` : anchor;
+          return `<a href="${escapeAttribute(href)}" class="${escapeAttribute(className)}">${linkText}</a>`;
+        })
+      );
+
+      return post;
+    },
+  };
+}
+
+/**
+ * Create a transformer adding attributes to links leaving the site
+ * @param {Object} options - Transformer options
+ * @param {string} options.siteUrl - Site URL, links to its host are internal
+ * @param {string} options.target - target attribute (default "_blank", null to leave it)
+ * @param {string} options.rel - rel tokens added to existing ones (default "noopener noreferrer")
+ * @param {string} options.className - Class added to external links
+ * @returns {{name: string, transform: Function}} - Transformer
+ */
+export function createExternalLinksTransformer(options = {}) {
+  const { siteUrl = null, target = "_blank", rel = "noopener noreferrer", className = null } = options;
+  const siteHost = siteUrl ? new URL(siteUrl).host : null;
+
+  return {
+    name: "externalLinks",
+    transform(post) {
+      if (!post.html) return post;
+
+      post.html = post.html.replace(/<a\b[^>]*>/gi, (tag) => {
+        const attributes = parseAttributes(tag);
+        const href = getAttribute(attributes, "href") || "";
+        if (!/^(https?:)?\/\//i.test(href)) return tag;
+
+        let host;
+        try {
+          host = new URL(href, "https://relative.invalid").host;
+        } catch {
+          return tag;
+        }
+        if (siteHost && host === siteHost) return tag;
+
+        if (target) {
+          setAttribute(attributes, "target", escapeAttribute(target));
+        }
+        if (rel) {
+          const tokens = new Set(
+            `${getAttribute(attributes, "rel") || ""} ${rel}`.split(/\s+/).filter(Boolean)
+          );
+          setAttribute(attributes, "rel", escapeAttribute([...tokens].join(" ")));
+        }
+        if (className) {
+          const classes = new Set(
+            `${getAttribute(attributes, "class") || ""} ${className}`.split(/\s+/).filter(Boolean)
+          );
+          setAttribute(attributes, "class", escapeAttribute([...classes].join(" ")));
+        }
+        return renderTag("a", attributes);
+      });
+
+      return post;
+    },
+  };
+}
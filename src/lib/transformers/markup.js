@@ -0,0 +1,87 @@
+/**
+ * Markup transformers for RepoMD
+ * Lazy-loading of images and iframes, and prefixed heading ids
+ */
+
+import { parseAttributes, getAttribute, setAttribute, renderTag, escapeAttribute } from "./html.js";
+
+/**
+ * Create a transformer adding loading/decoding attributes to images and iframes
+ * Existing attributes are kept
+ * @param {Object} options - Transformer options
+ * @param {string} options.loading - loading attribute (default "lazy")
+ * @param {string} options.decoding - decoding attribute of images (default "async")
+ * @param {number} options.eagerCount - Number of first images left eager, e.g. for the LCP image (default 0)
+ * @param {boolean} options.iframes - Also lazy-load iframes (default true)
+ * @returns {{name: string, transform: Function}} - Transformer
+ */
+export function createLazyLoadingTransformer(options = {}) {
+  const { loading = "lazy", decoding = "async", eagerCount = 0, iframes = true } = options;
+  const pattern = iframes ? /<(img|iframe)\b[^>]*>/gi : /<(img)\b[^>]*>/gi;
+
+  return {
+    name: "lazyLoading",
+    transform(post) {
+      if (!post.html) return post;
+
+      let imageCount = 0;
+      post.html = post.html.replace(pattern, (tag, name) => {
+        const tagName = name.toLowerCase();
+        const attributes = parseAttributes(tag);
+        const eager = tagName === "img" && imageCount++ < eagerCount;
+
+        if (getAttribute(attributes, "loading") === undefined || eager) {
+          setAttribute(attributes, "loading", eager ? "eager" : escapeAttribute(loading));
+        }
+        if (tagName === "img" && decoding && getAttribute(attributes, "decoding") === undefined) {
+          setAttribute(attributes, "decoding", escapeAttribute(decoding));
+        }
+        return renderTag(tagName, attributes);
+      });
+
+      return post;
+    },
+  };
+}
+
+/**
+ * Create a transformer prefixing heading ids, their in-page links and the post toc
+ * Avoids id collisions when several posts render on one page
+ * @param {Object} options - Transformer options
+ * @param {string|Function} options.prefix - Prefix, or function(post) returning it (e.g. post => `${post.slug}-`)
+ * @returns {{name: string, transform: Function}} - Transformer
+ */
+export function createHeadingIdsTransformer(options = {}) {
+  const { prefix = "" } = options;
+
+  return {
+    name: "headingIds",
+    transform(post) {
+      const idPrefix = typeof prefix === "function" ? prefix(post) : prefix;
+      if (!idPrefix || !post.html) return post;
+
+      const ids = new Set();
+      post.html = post.html.replace(/<h([1-6])\b[^>]*>/gi, (tag, level) => {
+        const attributes = parseAttributes(tag);
+        const id = getAttribute(attributes, "id");
+        if (!id) return tag;
+        ids.add(id);
+        setAttribute(attributes, "id", `${escapeAttribute(idPrefix)}${id}`);
+        return renderTag(`h${level}`, attributes);
+      });
+
+      // In-page links to the renamed headings (heading anchors, toc, footnotes excluded)
+      post.html = post.html.replace(/\shref="#([^"]+)"/g, (attribute, id) =>
+        ids.has(id) ? ` href="#${escapeAttribute(idPrefix)}${id}"` : attribute
+      );
+
+      if (Array.isArray(post.toc)) {
+        post.toc = post.toc.map((entry) =>
+          entry?.id && ids.has(entry.id) ? { ...entry, id: `${idPrefix}${entry.id}` } : entry
+        );
+      }
+
+      return post;
+    },
+  };
+}
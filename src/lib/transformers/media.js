@@ -0,0 +1,109 @@
+/**
+ * Media transformers for RepoMD
+ * Rewrites /_repo/medias/ images to responsive <picture> elements using the medias.json sizes
+ */
+
+import { getRenditionsByFormat } from "../media/images.js";
+import { parseAttributes, getAttribute, setAttribute, renderTag, escapeAttribute } from "./html.js";
+
+// Renditions indexes by pipeline context (rebuilt when the pipeline resets)
+const mediaIndexes = new WeakMap();
+
+// Source order in <picture>, the browser picks the first supported type
+const DEFAULT_FORMATS = ["avif", "webp", "jpeg", "png"];
+
+// "<hash>-md.webp" -> "<hash>"
+const MEDIA_FILE_PATTERN = /^(.+?)(?:-(?:xs|sm|md|lg|xl))?\.[a-z0-9]+$/i;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Index medias.json renditions by media hash
+ * @param {Object} context - Pipeline context
+ * @returns {Promise<Map<string, Object>>} - Media entries by hash
+ */
+function getMediaIndex(context) {
+  if (!mediaIndexes.has(context)) {
+    mediaIndexes.set(
+      context,
+      Promise.resolve(context.getAllMedia()).then((data) => {
+        const media = Array.isArray(data) ? data : [];
+        return new Map(
+          media.map((entry) => [String(entry.hashPath || "").replace(/\.[^.]+$/, ""), entry])
+        );
+      })
+    );
+  }
+  return mediaIndexes.get(context);
+}
+
+function toSrcset(renditions) {
+  return escapeAttribute(renditions.map(({ path, width }) => `${path} ${width}w`).join(", "));
+}
+
+/**
+ * Create a transformer rewriting media images to responsive <picture> elements
+ * @param {Object} options - Transformer options
+ * @param {string} options.mediaUrlPrefix - Path prefix of media images (default "/_repo/medias/")
+ * @param {string} options.sizes - sizes attribute (default "(max-width: 700px) 100vw, 700px")
+ * @param {Array<string>} options.formats - Formats in <source> order (default avif, webp, jpeg, png)
+ * @param {string} options.pictureClass - Class of the <picture> element
+ * @returns {{name: string, transform: Function}} - Transformer
+ */
+export function createResponsiveImagesTransformer(options = {}) {
+  const {
+    mediaUrlPrefix = "/_repo/medias/",
+    sizes = "(max-width: 700px) 100vw, 700px",
+    formats = DEFAULT_FORMATS,
+    pictureClass = null,
+  } = options;
+  const imagePattern = new RegExp(`<img\\b[^>]*\\ssrc=["']${escapeRegExp(mediaUrlPrefix)}[^>]*>`, "gi");
+
+  return {
+    name: "responsiveImages",
+    async transform(post, context) {
+      if (!post.html?.includes(mediaUrlPrefix)) return post;
+
+      const mediaIndex = await getMediaIndex(context);
+      post.html = post.html.replace(imagePattern, (tag) => {
+        const attributes = parseAttributes(tag);
+        const src = getAttribute(attributes, "src") || "";
+        const hash = src.slice(mediaUrlPrefix.length).match(MEDIA_FILE_PATTERN)?.[1];
+        const media = hash && mediaIndex.get(hash);
+        if (!media || getAttribute(attributes, "srcset") !== undefined) return tag;
+
+        const byFormat = getRenditionsByFormat(media);
+        const available = formats.filter((format) => byFormat.has(format));
+        if (!available.length) return tag;
+
+        // The <img> keeps the most compatible format, the others become <source> elements
+        const fallback = available[available.length - 1];
+        const fallbackRenditions = byFormat.get(fallback);
+        // src: the largest rendition fitting the rendered width, for browsers without srcset
+        const width = Number(getAttribute(attributes, "width")) || Infinity;
+        const fitting = fallbackRenditions.filter((rendition) => rendition.width <= width);
+        const candidates = fitting.length ? fitting : fallbackRenditions;
+        const srcRendition = candidates[candidates.length - 1];
+        setAttribute(attributes, "src", escapeAttribute(srcRendition.path));
+        setAttribute(attributes, "srcset", toSrcset(fallbackRenditions));
+        setAttribute(attributes, "sizes", escapeAttribute(sizes));
+
+        const sources = available
+          .slice(0, -1)
+          .map(
+            (format) =>
+              `<source type="image/${format}" srcset="${toSrcset(byFormat.get(format))}" sizes="${escapeAttribute(sizes)}">`
+          );
+
+        const pictureTag = pictureClass
+          ? `<picture class="${escapeAttribute(pictureClass)}">`
+          : "<picture>";
+        return `${pictureTag}${sources.join("")}${renderTag("img", attributes)}</picture>`;
+      });
+
+      return post;
+    },
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * Transformer pipeline for RepoMD
+ * Runs registered transformers over each post on retrieval, cached per revision
+ */
+
+import { LOG_PREFIXES } from "../logger.js";
+import sharedCache from "../core/cache.js";
+
+const prefix = LOG_PREFIXES.REPO_MD;
+
+// Cache namespace of transformed posts
+export const TRANSFORMERS_CACHE_NAMESPACE = "transformers";
+
+/**
+ * Normalize a transformer to { name, transform }
+ * @param {Function|Object} transformer - Function(post, context) or { name, transform(post, context) }
+ * @returns {{name: string, transform: Function}} - Transformer
+ * @throws {Error} - If the transformer has no transform function
+ */
+function normalizeTransformer(transformer) {
+  if (typeof transformer === "function") {
+    return { name: transformer.name || "anonymous", transform: transformer };
+  }
+  if (transformer && typeof transformer.transform === "function") {
+    return { name: transformer.name || "anonymous", transform: transformer.transform };
+  }
+  throw new Error("A transformer must be a function or an object with a transform(post, context) function");
+}
+
+/**
+ * Create a transformer pipeline
+ * @param {Object} config - Configuration object
+ * @param {Function} config.getAllPosts - Function to get the visible posts before transformation (wikilinks...)
+ * @param {Function} config.getAllMedia - Function to get medias.json
+ * @param {Object} config.cache - Memory cache of the client (defaults to the shared one)
+ * @param {boolean} config.debug - Whether to log debug info
+ * @returns {Object} - Pipeline functions
+ */
+export function createTransformerPipeline(config) {
+  const { getAllPosts, getAllMedia, cache = sharedCache, debug = false } = config;
+
+  const transformers = [];
+  // Prefix of cache keys, in case several pipelines share the cache
+  const pipelineId = Math.random().toString(36).substring(2, 10);
+  // Bumped on changes of the transformers list and on new revisions
+  let version = 0;
+  // Shared by transformers to memoize their lookups (media index, link targets) until the next reset
+  let context = null;
+  // Transformed arrays by source array, so unchanged posts keep the same reference
+  let arrayCache = new WeakMap();
+
+  function _getContext() {
+    if (!context) {
+      context = { getAllPosts, getAllMedia, debug };
+    }
+    return context;
+  }
+
+  /**
+   * Drop transformed posts (new revision, transformers changed)
+   */
+  function reset() {
+    version++;
+    context = null;
+    arrayCache = new WeakMap();
+  }
+
+  /**
+   * Add a transformer at the end of the pipeline
+   * @param {Function|Object} transformer - Function(post, context) or { name, transform(post, context) }
+   * @returns {Object} - Normalized transformer
+   */
+  function use(transformer) {
+    const normalized = normalizeTransformer(transformer);
+    transformers.push(normalized);
+    reset();
+    if (debug) {
+      console.log(`${prefix} 🧩 Added post transformer: ${normalized.name}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Remove a transformer
+   * @param {string|Function|Object} transformer - Name, or the function/object passed to use()
+   * @returns {boolean} - Whether a transformer was removed
+   */
+  function remove(transformer) {
+    const index = transformers.findIndex((entry) =>
+      typeof transformer === "string"
+        ? entry.name === transformer
+        : entry.transform === transformer || entry.transform === transformer?.transform
+    );
+    if (index < 0) return false;
+    transformers.splice(index, 1);
+    reset();
+    return true;
+  }
+
+  /**
+   * List the names of the registered transformers
+   * @returns {Array<string>} - Transformer names, in run order
+   */
+  function list() {
+    return transformers.map(({ name }) => name);
+  }
+
+  async function _run(post) {
+    const startTime = performance.now();
+    const context = _getContext();
+    let result = { ...post };
+    for (const { name, transform } of transformers) {
+      try {
+        result = (await transform(result, context)) || result;
+      } catch (error) {
+        throw new Error(`Post transformer ${name} failed on ${post.slug || post.hash}: ${error.message}`);
+      }
+    }
+    if (debug) {
+      const duration = (performance.now() - startTime).toFixed(2);
+      console.log(
+        `${prefix} 🧩 Transformed post ${post.slug || post.hash} (${transformers.length} transformers) in ${duration}ms`
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Run the pipeline over a post
+   * @param {Object|null} post - Post
+   * @returns {Promise<Object|null>} - Transformed copy of the post (the post itself without transformers)
+   */
+  async function transformPost(post) {
+    if (!post || !transformers.length) return post;
+
+    const id = post.hash || post.slug;
+    if (!id) return await _run(post);
+
+    const key = `${pipelineId}:${version}:${id}`;
+    const cached = cache.get(key, TRANSFORMERS_CACHE_NAMESPACE, debug);
+    if (cached) return await cached;
+
+    // Cache the promise so concurrent reads of a post transform it once
+    const pending = _run(post);
+    cache.set(key, pending, TRANSFORMERS_CACHE_NAMESPACE, debug);
+    try {
+      return await pending;
+    } catch (error) {
+      cache.delete(key, TRANSFORMERS_CACHE_NAMESPACE, debug);
+      throw error;
+    }
+  }
+
+  /**
+   * Run the pipeline over posts
+   * @param {Array} posts - Posts
+   * @returns {Promise<Array>} - Transformed posts (the same array for the same input until a reset)
+   */
+  async function transformPosts(posts) {
+    if (!Array.isArray(posts) || !transformers.length) return posts;
+
+    if (!arrayCache.has(posts)) {
+      arrayCache.set(posts, Promise.all(posts.map((post) => transformPost(post))));
+    }
+    try {
+      return await arrayCache.get(posts);
+    } catch (error) {
+      arrayCache.delete(posts);
+      throw error;
+    }
+  }
+
+  return {
+    use,
+    remove,
+    list,
+    reset,
+    transformPost,
+    transformPosts,
+  };
+}
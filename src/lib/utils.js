@@ -10,6 +10,9 @@ const lru = new QuickLRU({
 // Cache for active fetch promises to prevent duplicate requests
 const promiseCache = new Map();
 
+// Hit/miss counters of the response cache
+const lruStats = { hits: 0, misses: 0 };
+
 const prefix = LOG_PREFIXES.UTILS;
 
 // Check if we're in a Node.js server environment
@@ -30,11 +33,49 @@ function isTrustedRepoMdDomain(url) {
   }
 }
 
+/**
+ * Read a file:// URL from disk and wrap it in a fetch Response
+ * Missing files resolve to a 404 response, like an HTTP origin would
+ * Content-Length and Last-Modified are set so the media proxy can serve ranges and conditional GETs
+ */
+async function fetchLocalFile(url, options = {}) {
+  const [{ readFile, stat }, { fileURLToPath }] = await Promise.all([
+    import('node:fs/promises'),
+    import('node:url'),
+  ]);
+
+  try {
+    const path = fileURLToPath(url);
+    const stats = await stat(path);
+    if (!stats.isFile()) {
+      return new Response(null, { status: 404, statusText: 'Not Found' });
+    }
+
+    const headers = {
+      'content-length': String(stats.size),
+      'last-modified': stats.mtime.toUTCString(),
+    };
+    const data = options.method === 'HEAD' ? null : await readFile(path);
+    return new Response(data, { status: 200, statusText: 'OK', headers });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return new Response(null, { status: 404, statusText: 'Not Found' });
+    }
+    throw error;
+  }
+}
+
 /**
  * Enhanced fetch wrapper that handles SSL certificate issues gracefully
  * For trusted repo.md domains, uses environment variable override if available
+ * file:// URLs (local dist folders) are read from disk
  */
-async function robustFetch(url, options) {
+export async function robustFetch(url, options) {
+  // Node's fetch doesn't support file:// URLs (local dist folders), read them from disk
+  if (isNodeEnv && typeof url === 'string' && url.startsWith('file:')) {
+    return await fetchLocalFile(url, options);
+  }
+
   try {
     // Use native fetch (available in Node 18+, all browsers)
     return await globalThis.fetch(url, options);
@@ -109,7 +150,84 @@ export function clearUrlFromCache(url, debug = false) {
   return found;
 }
 
+/**
+ * Fetch a binary file (e.g. content.sqlite) as an ArrayBuffer
+ * @param {string} url - The URL to fetch
+ * @param {boolean} debug - Whether to log debug information
+ * @returns {Promise<ArrayBuffer>} - File contents
+ */
+export async function fetchBinary(url, debug = false) {
+  const startTime = performance.now();
+  if (debug) {
+    console.log(`${prefix} 🌐 Fetching binary from: ${url}`);
+  }
+
+  const response = await robustFetch(url, { method: "GET" });
+  if (!response.ok) {
+    const message =
+      response.status === 404
+        ? `Resource not found (404): ${url.split('/').slice(-2).join('/')}`
+        : `Error fetching binary: ${response.statusText} (${response.status})`;
+    if (debug) {
+      console.error(`${prefix} ❌ ${message}`);
+    }
+    throw new Error(message);
+  }
+
+  const buffer = await response.arrayBuffer();
+  if (debug) {
+    const duration = (performance.now() - startTime).toFixed(2);
+    console.log(
+      `${prefix} ⏱️ Fetched ${buffer.byteLength} bytes in ${duration}ms: ${url}`
+    );
+  }
+  return buffer;
+}
+
+/**
+ * Remove the cached responses whose URL matches a predicate
+ * @param {Function} predicate - Called with each cached URL
+ * @param {boolean} debug - Whether to log debug information
+ * @returns {number} - Number of URLs removed
+ */
+export function purgeUrlCache(predicate, debug = false) {
+  let purged = 0;
+
+  for (const url of [...lru.keys()]) {
+    if (predicate(url)) {
+      lru.delete(url);
+      purged++;
+    }
+  }
+  for (const url of [...promiseCache.keys()]) {
+    if (predicate(url)) {
+      promiseCache.delete(url);
+    }
+  }
+
+  if (debug) {
+    console.log(`${prefix} 🗑️ Purged ${purged} URLs from data cache`);
+  }
+
+  return purged;
+}
+
+/**
+ * Get statistics of the in-memory response cache
+ * @returns {{size: number, maxSize: number, hits: number, misses: number, inFlight: number}} - Cache stats
+ */
+export function getUrlCacheStats() {
+  return {
+    size: lru.size,
+    maxSize: lru.maxSize,
+    hits: lruStats.hits,
+    misses: lruStats.misses,
+    inFlight: promiseCache.size,
+  };
+}
+
 // Helper function to fetch JSON with error handling and duration measurement
+// opts.cacheStore: persistent cache ({ get, set }) checked after the memory cache
 export async function fetchJson(url, opts = {}, debug = false) {
   // Deconstruct options with sensible defaults
   const {
@@ -119,6 +237,7 @@ export async function fetchJson(url, opts = {}, debug = false) {
     method = "GET",
     headers = {},
     body = null,
+    cacheStore = null,
   } = opts;
 
   // Create fetch options
@@ -150,6 +269,7 @@ export async function fetchJson(url, opts = {}, debug = false) {
 
     // Check cache first if provided (only for GET requests)
     if (shouldUseCache && lru && lru.has(url)) {
+      lruStats.hits++;
       const cachedData = lru.get(url);
       const duration = (performance.now() - startTime).toFixed(2);
       if (debug) {
@@ -166,9 +286,22 @@ export async function fetchJson(url, opts = {}, debug = false) {
       return promiseCache.get(url);
     }
 
+    if (shouldUseCache) {
+      lruStats.misses++;
+    }
+
     // Create and store the promise for this request
     const fetchPromise = (async () => {
       try {
+        // Persistent cache (IndexedDB, filesystem, KV) survives reloads and cold starts
+        if (shouldUseCache && cacheStore) {
+          const persisted = await cacheStore.get(url);
+          if (persisted !== undefined) {
+            lru.set(url, persisted);
+            return persisted;
+          }
+        }
+
         const response = await robustFetch(url, fetchOptions);
         
         // Log the full response for debugging
@@ -263,6 +396,9 @@ export async function fetchJson(url, opts = {}, debug = false) {
               `${prefix} 💽 Cached data for: ${url} (cache size: ${lru.size})`
             );
           }
+          if (cacheStore) {
+            await cacheStore.set(url, data);
+          }
         }
 
         return data;
@@ -0,0 +1,19 @@
+/**
+ * Vector index module barrel export for RepoMD
+ */
+
+import { createVectorIndex, VECTOR_INDEX_DEFAULTS } from './ann.js';
+import { createQuantizedVectors, normalizeVector, toFloat16, fromFloat16, QUANTIZATIONS } from './quantization.js';
+import { readVectraIndex, VECTRA_FOLDERS } from './vectra.js';
+
+export {
+  createVectorIndex,
+  VECTOR_INDEX_DEFAULTS,
+  createQuantizedVectors,
+  normalizeVector,
+  toFloat16,
+  fromFloat16,
+  QUANTIZATIONS,
+  readVectraIndex,
+  VECTRA_FOLDERS,
+};
@@ -0,0 +1,191 @@
+/**
+ * Quantized vector storage for RepoMD vector indexes
+ * Normalized embeddings are stored as float32, float16 or int8 rows of a single typed array,
+ * so the dot product of two rows is their cosine similarity
+ */
+
+export const QUANTIZATIONS = ["float32", "float16", "int8"];
+
+const BYTES_PER_VALUE = { float32: 4, float16: 2, int8: 1 };
+
+// Shared buffers for float32 <-> float16 bit conversion
+const float32Scratch = new Float32Array(1);
+const uint32Scratch = new Uint32Array(float32Scratch.buffer);
+
+// float16 bits -> float32 value, built on first use (256 KB)
+let float16Table = null;
+
+/**
+ * Convert a number to float16 bits (round to nearest, overflow to infinity)
+ * @param {number} value - Value to convert
+ * @returns {number} - float16 bits
+ */
+export function toFloat16(value) {
+  float32Scratch[0] = value;
+  const bits = uint32Scratch[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 127 + 15;
+  const mantissa = bits & 0x7fffff;
+
+  if (exponent >= 0x1f) {
+    // Overflow, infinity or NaN
+    return sign | 0x7c00 | (((bits >>> 23) & 0xff) === 0xff && mantissa ? 0x200 : 0);
+  }
+  if (exponent <= 0) {
+    // Subnormal or zero
+    if (exponent < -10) return sign;
+    const shifted = (mantissa | 0x800000) >>> (1 - exponent);
+    return sign | ((shifted + 0x1000) >>> 13);
+  }
+  return (sign | (exponent << 10) | (mantissa >>> 13)) + ((mantissa >>> 12) & 1);
+}
+
+/**
+ * Convert float16 bits to a number
+ * @param {number} bits - float16 bits
+ * @returns {number} - Value
+ */
+export function fromFloat16(bits) {
+  const sign = bits & 0x8000 ? -1 : 1;
+  const exponent = (bits >>> 10) & 0x1f;
+  const mantissa = bits & 0x3ff;
+
+  if (exponent === 0) return sign * 2 ** -14 * (mantissa / 1024);
+  if (exponent === 0x1f) return mantissa ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + mantissa / 1024);
+}
+
+function getFloat16Table() {
+  if (!float16Table) {
+    float16Table = new Float32Array(65536);
+    for (let bits = 0; bits < 65536; bits++) {
+      float16Table[bits] = fromFloat16(bits);
+    }
+  }
+  return float16Table;
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {Array<number>|Float32Array} vector - Vector
+ * @returns {Float32Array|null} - Unit vector, null for a zero vector
+ */
+export function normalizeVector(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm);
+  if (!norm || !Number.isFinite(norm)) return null;
+
+  const normalized = new Float32Array(vector.length);
+  for (let i = 0; i < vector.length; i++) {
+    normalized[i] = vector[i] / norm;
+  }
+  return normalized;
+}
+
+/**
+ * Create a fixed-size store of normalized, quantized vectors
+ * int8 rows keep one scale per row (max absolute value / 127)
+ * @param {number} count - Number of rows
+ * @param {number} dimension - Vector dimension
+ * @param {string} quantization - "float32", "float16" or "int8"
+ * @returns {Object} - { set(row, vector), dot(row, query), get(row), bytes, ... }
+ */
+export function createQuantizedVectors(count, dimension, quantization = "float16") {
+  if (!QUANTIZATIONS.includes(quantization)) {
+    throw new Error(
+      `Quantization '${quantization}' is not supported. Available: ${QUANTIZATIONS.join(", ")}`
+    );
+  }
+
+  const size = count * dimension;
+  const data =
+    quantization === "int8"
+      ? new Int8Array(size)
+      : quantization === "float16"
+        ? new Uint16Array(size)
+        : new Float32Array(size);
+  const scales = quantization === "int8" ? new Float32Array(count) : null;
+  const table = quantization === "float16" ? getFloat16Table() : null;
+
+  /**
+   * Store a vector, normalized (zero vectors stay zero and score 0)
+   * @param {number} row - Row index
+   * @param {Array<number>|Float32Array} vector - Vector of the store dimension
+   */
+  function set(row, vector) {
+    const normalized = normalizeVector(vector);
+    if (!normalized) return;
+    const offset = row * dimension;
+
+    if (quantization === "float32") {
+      data.set(normalized, offset);
+    } else if (quantization === "float16") {
+      for (let i = 0; i < dimension; i++) {
+        data[offset + i] = toFloat16(normalized[i]);
+      }
+    } else {
+      let maxAbs = 0;
+      for (let i = 0; i < dimension; i++) {
+        maxAbs = Math.max(maxAbs, Math.abs(normalized[i]));
+      }
+      const scale = maxAbs / 127;
+      scales[row] = scale;
+      for (let i = 0; i < dimension; i++) {
+        data[offset + i] = Math.round(normalized[i] / scale);
+      }
+    }
+  }
+
+  /**
+   * Dot product of a row and a query (cosine similarity for a unit query)
+   * @param {number} row - Row index
+   * @param {Float32Array} query - Query vector
+   * @returns {number} - Dot product
+   */
+  function dot(row, query) {
+    const offset = row * dimension;
+    let sum = 0;
+
+    if (quantization === "float16") {
+      for (let i = 0; i < dimension; i++) {
+        sum += query[i] * table[data[offset + i]];
+      }
+      return sum;
+    }
+
+    for (let i = 0; i < dimension; i++) {
+      sum += query[i] * data[offset + i];
+    }
+    return quantization === "int8" ? sum * scales[row] : sum;
+  }
+
+  /**
+   * Decode a row
+   * @param {number} row - Row index
+   * @returns {Float32Array} - Stored (normalized) vector
+   */
+  function get(row) {
+    const vector = new Float32Array(dimension);
+    const offset = row * dimension;
+    for (let i = 0; i < dimension; i++) {
+      const value = data[offset + i];
+      vector[i] =
+        quantization === "float16" ? table[value] : quantization === "int8" ? value * scales[row] : value;
+    }
+    return vector;
+  }
+
+  return {
+    quantization,
+    count,
+    dimension,
+    bytesPerValue: BYTES_PER_VALUE[quantization],
+    bytes: data.byteLength + (scales ? scales.byteLength : 0),
+    set,
+    dot,
+    get,
+  };
+}
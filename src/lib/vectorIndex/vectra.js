@@ -0,0 +1,29 @@
+/**
+ * Vectra index reader for RepoMD
+ * Builds ship vectra LocalIndex folders (_vectra/posts, _vectra/media) whose index.json
+ * holds { version, metadata_config, items: [{ id, metadata, vector, norm }] }
+ */
+
+// Vectra folder of each kind of embeddings
+export const VECTRA_FOLDERS = {
+  text: "/_vectra/posts",
+  clip: "/_vectra/media",
+};
+
+/**
+ * Read the vectors of a vectra index.json
+ * Items are keyed by the content hash in their metadata, the vectra item ID otherwise
+ * @param {Object|null} data - Parsed index.json
+ * @returns {Array<{id: string, vector: Array<number>, metadata: Object}>} - Vectors, empty when the index has none
+ */
+export function readVectraIndex(data) {
+  if (!data || !Array.isArray(data.items)) return [];
+
+  return data.items
+    .filter((item) => Array.isArray(item?.vector) && item.vector.length > 0)
+    .map((item) => ({
+      id: item.metadata?.hash || item.id,
+      vector: item.vector,
+      metadata: item.metadata || {},
+    }));
+}
@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+
+/**
+ * Cache test suite
+ * Checks the persistent cache policies and stats, the filesystem and KV cache stores,
+ * then RepoMD clients sharing a filesystem cache against a local stub of the static storage
+ */
+
+import { createServer } from 'http';
+import { mkdtemp, rm, writeFile, readdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RepoMD } from './src/lib/index.js';
+import {
+  createFsCacheStore,
+  createIndexedDbCacheStore,
+  createKvCacheStore,
+  createMemoryKv,
+  createPersistentCache,
+} from './src/lib/cache/index.js';
+import cache from './src/lib/core/cache.js';
+import { purgeUrlCache } from './src/lib/utils.js';
+import { colors, expectEqual, wait } from './test-helpers.js';
+
+const PROJECT_ID = 'test-project';
+const POSTS = [{ hash: 'h1', slug: 'hello', title: 'Hello' }];
+
+// Map-backed store, optionally failing its reads
+function createMapStore({ failReads = false } = {}) {
+  const entries = new Map();
+  return {
+    entries,
+    async get(key) {
+      if (failReads) throw new Error('store offline');
+      return entries.get(key);
+    },
+    async set(key, entry) {
+      entries.set(key, entry);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async keys() {
+      return [...entries.keys()];
+    },
+    async clear() {
+      entries.clear();
+    },
+  };
+}
+
+/**
+ * Start a stub static storage serving posts.json of revision r1
+ * @param {Array<string>} requests - Receives the requested paths
+ * @returns {Promise<import('http').Server>} - Listening server
+ */
+function startOrigin(requests) {
+  const server = createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url === `/projects/${PROJECT_ID}/r1/posts.json`) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(POSTS));
+      return;
+    }
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+const persistentCases = [
+  {
+    name: 'Entries expire with the TTL of their namespace',
+    run: async () => {
+      const store = createMapStore();
+      const persistent = createPersistentCache({
+        store,
+        policies: { responses: { ttl: 30 } },
+        resolveNamespace: (key) => (key.startsWith('rev/') ? 'revision' : 'responses'),
+      });
+      await persistent.set('rev/posts.json', 'immutable');
+      await persistent.set('api/rev', 'short-lived');
+      expectEqual(store.entries.get('rev/posts.json').expiresAt, null, 'revision expiry');
+
+      await wait(40);
+      expectEqual(await persistent.get('rev/posts.json'), 'immutable', 'revision entry');
+      expectEqual(await persistent.get('api/rev'), undefined, 'expired entry');
+      expectEqual(store.entries.has('api/rev'), false, 'expired entry deleted');
+    },
+  },
+  {
+    name: 'Disabled namespaces and oversized entries are not stored',
+    run: async () => {
+      const store = createMapStore();
+      const persistent = createPersistentCache({
+        store,
+        policies: { responses: { ttl: 0 }, revision: { maxEntryBytes: 10 } },
+        resolveNamespace: (key) => (key.startsWith('rev/') ? 'revision' : 'responses'),
+      });
+      expectEqual(await persistent.set('api/rev', 'r1'), false, 'disabled namespace');
+      expectEqual(await persistent.set('rev/big.json', 'x'.repeat(20)), false, 'oversized entry');
+      expectEqual(await persistent.set('rev/small.json', 'x'), true, 'small entry');
+      expectEqual(store.entries.size, 1, 'stored entries');
+      expectEqual(persistent.getStats().skipped, 1, 'skipped');
+    },
+  },
+  {
+    name: 'Hits, misses and store errors are counted',
+    run: async () => {
+      const persistent = createPersistentCache({ store: createMapStore() });
+      await persistent.set('a', 1);
+      await persistent.get('a');
+      await persistent.get('a');
+      await persistent.get('b');
+      const stats = persistent.getStats();
+      expectEqual(`${stats.hits}/${stats.misses}/${stats.writes}`, '2/1/1', 'hits/misses/writes');
+      expectEqual(stats.hitRate.toFixed(2), '0.67', 'hit rate');
+      expectEqual(stats.byNamespace.responses.hits, 2, 'namespace hits');
+
+      const offline = createPersistentCache({ store: createMapStore({ failReads: true }) });
+      expectEqual(await offline.get('a'), undefined, 'failed read');
+      expectEqual(offline.getStats().errors, 1, 'errors');
+    },
+  },
+  {
+    name: 'Purges delete the keys matching a predicate',
+    run: async () => {
+      const store = createMapStore();
+      const persistent = createPersistentCache({ store });
+      await persistent.set('/r1/posts.json', 1);
+      await persistent.set('/r1/medias.json', 2);
+      await persistent.set('/r2/posts.json', 3);
+      expectEqual(await persistent.purge((key) => key.startsWith('/r1/')), 2, 'purged');
+      expectEqual([...store.entries.keys()].join(','), '/r2/posts.json', 'remaining keys');
+    },
+  },
+  {
+    name: 'Least recently used entries are evicted past the namespace limits',
+    run: async () => {
+      const store = createMapStore();
+      const persistent = createPersistentCache({
+        store,
+        policies: { responses: { maxEntries: 2, maxBytes: 19 } },
+      });
+      await persistent.set('a', 'a');
+      await persistent.set('b', 'b');
+      await persistent.get('a');
+      await persistent.set('c', 'c');
+      expectEqual([...store.entries.keys()].sort().join(','), 'a,c', 'keys past maxEntries');
+
+      await persistent.set('d', 'x'.repeat(15));
+      expectEqual([...store.entries.keys()].join(','), 'd', 'keys past maxBytes');
+      const stats = persistent.getStats();
+      expectEqual(`${stats.evicted} ${stats.byNamespace.responses.entries} ${stats.byNamespace.responses.bytes}`, '3 1 17', 'evicted, entries, bytes');
+    },
+  },
+];
+
+const storeCases = [
+  {
+    name: 'The filesystem store keeps entries across instances',
+    run: async ({ dir }) => {
+      const store = createFsCacheStore({ dir: join(dir, 'fs-store') });
+      await store.set('https://example.com/a.json?x=1', { value: [1, 2], expiresAt: null });
+      await store.set('https://example.com/b.json', { value: 'b', expiresAt: null });
+
+      const reopened = createFsCacheStore({ dir: join(dir, 'fs-store') });
+      expectEqual(JSON.stringify((await reopened.get('https://example.com/a.json?x=1')).value), '[1,2]', 'value');
+      expectEqual((await reopened.keys()).sort().join(','), 'https://example.com/a.json?x=1,https://example.com/b.json', 'keys');
+
+      await reopened.delete('https://example.com/b.json');
+      expectEqual(await reopened.get('https://example.com/b.json'), undefined, 'deleted entry');
+      await reopened.clear();
+      expectEqual((await readdir(join(dir, 'fs-store'))).length, 0, 'files after clear');
+    },
+  },
+  {
+    name: 'Limits count the entries written by earlier processes',
+    run: async ({ dir }) => {
+      const policies = { responses: { maxEntries: 2 } };
+      const first = createPersistentCache({ store: createFsCacheStore({ dir: join(dir, 'lru-store') }), policies });
+      await first.set('a', 1);
+      await wait(5);
+      await first.set('b', 2);
+
+      const store = createFsCacheStore({ dir: join(dir, 'lru-store') });
+      const second = createPersistentCache({ store, policies });
+      await second.set('c', 3);
+      expectEqual((await store.keys()).sort().join(','), 'b,c', 'keys after restart');
+      expectEqual((await store.entries()).find(({ key }) => key === 'c').bytes, 1, 'entry size');
+    },
+  },
+  {
+    name: 'The filesystem store ignores corrupt files',
+    run: async ({ dir }) => {
+      const store = createFsCacheStore({ dir: join(dir, 'corrupt-store') });
+      await store.set('key', { value: 1 });
+      const [name] = await readdir(join(dir, 'corrupt-store'));
+      await writeFile(join(dir, 'corrupt-store', name), '{ not json');
+      expectEqual(await store.get('key'), undefined, 'corrupt entry');
+      expectEqual((await store.keys()).length, 0, 'keys');
+    },
+  },
+  {
+    name: 'The KV store prefixes keys and expires entries on the KV side',
+    run: async () => {
+      const kv = createMemoryKv();
+      const puts = [];
+      const recordingKv = {
+        ...kv,
+        put: async (key, value, options) => {
+          puts.push({ key, options });
+          await kv.put(key, value, options);
+        },
+      };
+      const store = createKvCacheStore({ kv: recordingKv, keyPrefix: 'site:' });
+      await store.set('a', { value: 1, expiresAt: Date.now() + 5000 });
+      await store.set('b', { value: 2, expiresAt: null });
+      await kv.put('other:c', '{}');
+
+      expectEqual(puts[0].key, 'site:a', 'prefixed key');
+      expectEqual(puts[0].options.expirationTtl, 60, 'minimum KV expiration');
+      expectEqual(puts[1].options.expirationTtl, undefined, 'no expiration');
+      expectEqual((await store.get('a')).value, 1, 'value');
+      expectEqual((await store.keys()).sort().join(','), 'a,b', 'keys');
+      await store.set('d', { value: 'd', bytes: 3, storedAt: 42, expiresAt: null });
+      const entry = (await store.entries()).find(({ key }) => key === 'd');
+      expectEqual(`${entry.bytes} ${entry.storedAt}`, '3 42', 'sizes from the KV metadata');
+
+      await store.clear();
+      expectEqual((await kv.list()).keys.map(({ name }) => name).join(','), 'other:c', 'keys of other prefixes');
+    },
+  },
+  {
+    name: 'The IndexedDB store requires IndexedDB',
+    run: async () => {
+      let message = null;
+      try {
+        createIndexedDbCacheStore({ indexedDB: null });
+      } catch (error) {
+        message = error.message;
+      }
+      expectEqual(message, 'IndexedDB is not available in this environment', 'error');
+    },
+  },
+  {
+    name: 'Memory namespaces report their policy, hits and misses',
+    run: async () => {
+      cache.configure('test-namespace', { maxSize: 2, ttl: 1234 });
+      cache.set('a', 1, 'test-namespace');
+      cache.get('a', 'test-namespace');
+      cache.get('b', 'test-namespace');
+      const stats = cache.stats()['test-namespace'];
+      expectEqual(`${stats.maxSize}/${stats.ttl}/${stats.hits}/${stats.misses}`, '2/1234/1/1', 'stats');
+    },
+  },
+];
+
+const clientCases = [
+  {
+    name: 'Memory cache policies apply to their client only',
+    run: async ({ baseUrl }) => {
+      const tuned = new RepoMD({ projectId: PROJECT_ID, rev: 'r1', staticBaseUrl: baseUrl, cachePolicies: { transformers: { maxSize: 5 } } });
+      const other = new RepoMD({ projectId: PROJECT_ID, rev: 'r1', staticBaseUrl: baseUrl });
+      const maxSize = (repo) => repo.getClientStats().cache.memory.transformers.maxSize;
+      expectEqual(`${maxSize(tuned)} ${maxSize(other)}`, '5 1000', 'transformers maxSize');
+      expectEqual(cache.stats().transformers, undefined, 'shared cache namespace');
+    },
+  },
+  {
+    name: 'Clients sharing a filesystem cache skip the network',
+    run: async ({ dir, baseUrl, requests }) => {
+      const createClient = () =>
+        new RepoMD({
+          projectId: PROJECT_ID,
+          rev: 'r1',
+          staticBaseUrl: baseUrl,
+          cacheStore: createFsCacheStore({ dir: join(dir, 'client-cache') }),
+        });
+
+      const first = createClient();
+      expectEqual((await first.getAllPosts())[0].slug, 'hello', 'first client posts');
+      expectEqual(requests.length, 1, 'origin requests');
+
+      // As after a restart: the in-memory response cache is empty
+      purgeUrlCache(() => true);
+      const second = createClient();
+      expectEqual((await second.getAllPosts())[0].slug, 'hello', 'second client posts');
+      expectEqual(requests.length, 1, 'origin requests after restart');
+      const { persistent } = second.getClientStats().cache;
+      expectEqual(`${persistent.type} ${persistent.hits}`, 'fs 1', 'persistent stats');
+      expectEqual(persistent.byNamespace.revision.hits, 1, 'revision namespace hits');
+    },
+  },
+  {
+    name: 'Clients drop the persistent entries of other revisions',
+    run: async ({ dir, baseUrl }) => {
+      const store = createFsCacheStore({ dir: join(dir, 'revision-cache') });
+      const projectUrl = `${baseUrl}/projects/${PROJECT_ID}`;
+      const entry = { value: [], expiresAt: null, storedAt: Date.now() };
+      await store.set(`${projectUrl}/r0/posts.json`, entry);
+      await store.set(`${projectUrl}/_shared/posts/h1.json`, entry);
+
+      purgeUrlCache(() => true);
+      const repo = new RepoMD({ projectId: PROJECT_ID, rev: 'r1', staticBaseUrl: baseUrl, cacheStore: store });
+      await repo.getAllPosts();
+      await wait(20);
+      expectEqual(
+        (await store.keys()).map((key) => key.slice(projectUrl.length)).sort().join(','),
+        '/_shared/posts/h1.json,/r1/posts.json',
+        'cached files'
+      );
+    },
+  },
+];
+
+async function main() {
+  console.log(`${colors.bold}Running cache tests...${colors.reset}\n`);
+
+  const requests = [];
+  const origin = await startOrigin(requests);
+  const dir = await mkdtemp(join(tmpdir(), 'repo-md-cache-'));
+  const context = { dir, requests, baseUrl: `http://127.0.0.1:${origin.address().port}` };
+  let failures = 0;
+  let total = 0;
+
+  const run = async (name, testCase) => {
+    total++;
+    try {
+      await testCase();
+      console.log(`${colors.green}✅ ${name}${colors.reset}`);
+    } catch (error) {
+      failures++;
+      console.log(`${colors.red}❌ ${name}: ${error.message}${colors.reset}`);
+    }
+  };
+
+  try {
+    for (const testCase of persistentCases) {
+      await run(`[persistent] ${testCase.name}`, testCase.run);
+    }
+    for (const testCase of storeCases) {
+      await run(`[stores] ${testCase.name}`, () => testCase.run(context));
+    }
+    for (const testCase of clientCases) {
+      await run(`[client] ${testCase.name}`, () => testCase.run(context));
+    }
+  } finally {
+    origin.close();
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  console.log();
+  if (failures) {
+    console.log(`${colors.red}${colors.bold}❌ ${failures}/${total} cache tests failed${colors.reset}`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold}🎉 All ${total} cache tests passed${colors.reset}`);
+  process.exit(0);
+}
+
+main();
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Content database test suite
+ * Fills the tag, link and media tables of the sample content.sqlite with sql.js,
+ * then queries them through a RepoMD client over a copy of the sample dist folder
+ */
+
+import { readFile, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import initSqlJs from 'sql.js';
+import { RepoMD, createFsStorage } from './src/lib/index.js';
+import { colors, createDistFolder, expectEqual, expectRejects } from './test-helpers.js';
+
+const slugs = (items) => items.map((item) => item.slug).sort().join(',');
+const counts = (tags) => tags.map(({ tag, count }) => `${tag}:${count}`).join(',');
+
+/**
+ * Copy the sample dist folder (without its media files) and fill the relation tables of its database
+ * - cats and landscape are tagged "animals", landscape is also tagged "nature"
+ * - the frontmatter tags match, except landscape's "photos", missing from the tag tables
+ * - index and about link to cats
+ * - landscape uses landscape.jpg
+ * @param {Function} editPosts - Changes the posts before they are written back (optional)
+ * @returns {Promise<string>} - Path of the dist folder
+ */
+async function createDatabaseDistFolder(editPosts = () => {}) {
+  const frontmatterTags = { cats: ['animals'], landscape: ['animals', 'nature', 'photos'] };
+  const root = await createDistFolder('repo-md-database-', (posts) => {
+    for (const post of posts) {
+      if (frontmatterTags[post.slug]) {
+        post.frontmatter = { ...post.frontmatter, tags: frontmatterTags[post.slug] };
+      }
+    }
+    editPosts(posts);
+  });
+
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(await readFile(join(root, 'content.sqlite')));
+  try {
+    db.run("UPDATE posts SET id = 'post-' || slug");
+    db.run("INSERT INTO tags (id, tag) VALUES (1, 'animals'), (2, 'nature')");
+    db.run(`INSERT INTO post_tags (post_id, tag_id)
+      VALUES ('post-cats', 1), ('post-landscape', 1), ('post-landscape', 2)`);
+    db.run(`INSERT INTO links (source_id, target_id)
+      VALUES ('post-index', 'post-cats'), ('post-about', 'post-cats')`);
+    db.run(`INSERT INTO medias (id, hash, filename, path)
+      VALUES ('media-1', 'm1', 'landscape.jpg', 'images/landscape.jpg')`);
+    db.run("INSERT INTO post_media (post_id, media_id) VALUES ('post-landscape', 'media-1')");
+    await writeFile(join(root, 'content.sqlite'), db.export());
+  } finally {
+    db.close();
+  }
+  return root;
+}
+
+const cases = [
+  {
+    name: 'sqlPostsByTag returns the post rows of a tag',
+    run: async (repo) => {
+      const rows = await repo.sqlPostsByTag('animals');
+      expectEqual(slugs(rows), 'cats,landscape', 'tagged rows');
+      expectEqual(rows[0].id.startsWith('post-'), true, 'row id');
+      expectEqual('content' in rows[0], false, 'content column');
+      expectEqual((await repo.sqlPostsByTag('missing')).length, 0, 'unknown tag');
+      expectEqual(slugs(await repo.database.getPostsByTag('animals')), slugs(rows), 'database method');
+    },
+  },
+  {
+    name: 'getPostsByTag keeps returning posts, not rows',
+    run: async (repo) => {
+      const posts = await repo.getPostsByTag('nature');
+      expectEqual(slugs(posts), 'landscape', 'tagged posts');
+      expectEqual(typeof posts[0].html, 'string', 'post html');
+      expectEqual('id' in posts[0], false, 'row id');
+    },
+  },
+  {
+    name: 'Tags come from the posts unless tagsFromDatabase is set',
+    run: async (repo) => {
+      const storage = {
+        ...repo.storage,
+        readBinary: async () => {
+          throw new Error('content.sqlite was downloaded');
+        },
+      };
+      expectEqual(counts(await new RepoMD({ storage }).getAllTags()), 'animals:2,nature:1,photos:1', 'frontmatter tags');
+
+      const databaseRepo = new RepoMD({ storage: repo.storage, tagsFromDatabase: true });
+      expectEqual(counts(await databaseRepo.getAllTags()), 'animals:2,nature:1', 'database tags');
+    },
+  },
+  {
+    name: 'sqlBacklinks finds linking posts by slug or ID',
+    run: async (repo) => {
+      expectEqual(slugs(await repo.sqlBacklinks('cats')), 'about,index', 'by slug');
+      expectEqual(slugs(await repo.sqlBacklinks('post-cats')), 'about,index', 'by ID');
+      expectEqual((await repo.sqlBacklinks('about')).length, 0, 'without backlinks');
+    },
+  },
+  {
+    name: 'sqlMediaForPost returns the media rows of a post',
+    run: async (repo) => {
+      const rows = await repo.sqlMediaForPost('landscape');
+      expectEqual(rows.map((row) => row.filename).join(','), 'landscape.jpg', 'media rows');
+      expectEqual('embedding' in rows[0], false, 'embedding column');
+    },
+  },
+  {
+    name: 'Browsers need a sqliteWasmUrl, the wasm binary has no CDN default',
+    run: async (repo) => {
+      const browserRepo = new RepoMD({ storage: repo.storage });
+      globalThis.window = {};
+      try {
+        await expectRejects(() => browserRepo.sql('SELECT 1'), /sqliteWasmUrl is required in browsers/, 'sql');
+      } finally {
+        delete globalThis.window;
+      }
+    },
+  },
+];
+
+// Cases run against a dist folder where some posts are hidden
+const hiddenCases = [
+  {
+    name: 'SQL helpers require the preview mode while posts are hidden',
+    run: async (repo) => {
+      await expectRejects(() => repo.sqlPostsByTag('animals'), /preview mode/, 'sqlPostsByTag');
+      await expectRejects(() => repo.sqlBacklinks('cats'), /preview mode/, 'sqlBacklinks');
+      await expectRejects(() => repo.sqlMediaForPost('landscape'), /preview mode/, 'sqlMediaForPost');
+      // Tags from the posts leave the hidden post out, the tag tables stay behind the preview mode
+      expectEqual(slugs(await repo.getPostsByTag('animals')), 'cats', 'getPostsByTag');
+      const databaseRepo = new RepoMD({ storage: repo.storage, tagsFromDatabase: true });
+      await expectRejects(() => databaseRepo.getPostsByTag('animals'), /preview mode/, 'tagsFromDatabase');
+    },
+  },
+];
+
+async function main() {
+  console.log(`${colors.bold}Running database tests...${colors.reset}\n`);
+
+  const root = await createDatabaseDistFolder();
+  const hiddenRoot = await createDatabaseDistFolder((posts) => {
+    const landscape = posts.find((post) => post.slug === 'landscape');
+    landscape.frontmatter = { ...landscape.frontmatter, draft: true };
+  });
+  let failures = 0;
+  let total = 0;
+
+  const run = async (name, testCase) => {
+    total++;
+    try {
+      await testCase();
+      console.log(`${colors.green}✅ ${name}${colors.reset}`);
+    } catch (error) {
+      failures++;
+      console.log(`${colors.red}❌ ${name}: ${error.message}${colors.reset}`);
+    }
+  };
+
+  try {
+    const repo = new RepoMD({ storage: createFsStorage({ root }) });
+    for (const testCase of cases) {
+      await run(testCase.name, () => testCase.run(repo));
+    }
+    const hiddenRepo = new RepoMD({ storage: createFsStorage({ root: hiddenRoot }) });
+    for (const testCase of hiddenCases) {
+      await run(testCase.name, () => testCase.run(hiddenRepo));
+    }
+  } finally {
+    await Promise.all([root, hiddenRoot].map((dir) => rm(dir, { recursive: true, force: true })));
+  }
+
+  console.log();
+  if (failures) {
+    console.log(`${colors.red}${colors.bold}❌ ${failures}/${total} database tests failed${colors.reset}`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold}🎉 All ${total} database tests passed${colors.reset}`);
+  process.exit(0);
+}
+
+main();
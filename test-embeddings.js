@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+/**
+ * Embedding provider test suite
+ * Calls the OpenAI-compatible provider against a local stub server, runs the transformers.js provider
+ * on a fake module, then vector searches of the sample dist folder with a custom provider
+ */
+
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { RepoMD, createFsStorage } from './src/lib/index.js';
+import {
+  createOpenAiEmbeddingProvider,
+  createTransformersEmbeddingProvider,
+  EMBEDDING_MODELS,
+} from './src/lib/embeddings/index.js';
+import { colors, expectEqual, expectRejects } from './test-helpers.js';
+
+const SAMPLE_DIST = new URL('./src/sample_dist_folder/', import.meta.url);
+const CATS_HASH = '5246dd012b955b5cc4d6d8ce14f893fb6b878b53db083151525fe1ab061f35ae';
+const PASTED_HASH = 'fc6f61bedaee80775a10d40524e728a19798e391a4d18863a5e08d1d56e778bd';
+
+function expectThrows(run, pattern, label) {
+  try {
+    run();
+  } catch (error) {
+    if (!pattern.test(error.message)) {
+      throw new Error(`${label}: unexpected error "${error.message}"`);
+    }
+    return;
+  }
+  throw new Error(`${label}: expected an error`);
+}
+
+const readSampleJson = async (name) => JSON.parse(await readFile(new URL(name, SAMPLE_DIST), 'utf8'));
+
+/**
+ * Start a stub OpenAI-compatible /v1/embeddings route, answering [input length, 1] or a 500 for "fail"
+ * @param {Array<Object>} requests - Receives the request headers and bodies
+ * @returns {Promise<import('http').Server>} - Listening server
+ */
+function startEmbeddingServer(requests) {
+  const server = createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const body = JSON.parse(raw || '{}');
+    requests.push({ url: req.url, headers: req.headers, body });
+
+    if (req.url !== '/v1/embeddings' || body.input === 'fail') {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('model not loaded');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ model: `served/${body.model}`, data: [{ embedding: [body.input.length, 1] }] }));
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Fake @huggingface/transformers module recording model loads and inputs
+ * @returns {{ module: Object, calls: Array<string> }} - Module and recorded calls
+ */
+function createFakeTransformers() {
+  const calls = [];
+  let failNextLoad = false;
+  const tensor = (data) => ({ data: Float32Array.from(data) });
+  const module = {
+    env: {},
+    failNextLoad: () => {
+      failNextLoad = true;
+    },
+    pipeline: async (task, model, options) => {
+      calls.push(`load ${task} ${model} ${options.device}`);
+      if (failNextLoad) {
+        failNextLoad = false;
+        throw new Error('download failed');
+      }
+      return async (text, { pooling, normalize }) => {
+        calls.push(`extract "${text}" ${pooling} ${normalize}`);
+        return tensor([0.6, 0.8]);
+      };
+    },
+    AutoTokenizer: { from_pretrained: async (model) => (texts) => ({ model, texts }) },
+    CLIPTextModelWithProjection: {
+      from_pretrained: async (model) => {
+        calls.push(`load clip text ${model}`);
+        return async () => ({ text_embeds: tensor([3, 4]) });
+      },
+    },
+  };
+  return { module, calls };
+}
+
+// Client over the sample dist folder with a provider answering fixed embeddings
+const createRepo = (embeddingProvider) =>
+  new RepoMD({ storage: createFsStorage({ root: SAMPLE_DIST.href }), embeddingProvider });
+
+const openAiCases = [
+  {
+    name: 'Embeddings are requested from the /embeddings route',
+    run: async ({ baseUrl, requests }) => {
+      const provider = createOpenAiEmbeddingProvider({ baseUrl: `${baseUrl}/v1/`, apiKey: 'secret', headers: { 'X-Team': 'docs' } });
+      const result = await provider.computeTextEmbedding('cats', 'query:');
+      expectEqual(result.embedding.join(','), '11,1', 'embedding');
+      expectEqual(`${result.metadata.model} ${result.metadata.dimension}`, `served/${EMBEDDING_MODELS.text} 2`, 'metadata');
+
+      const { headers, body } = requests[requests.length - 1];
+      expectEqual(headers.authorization, 'Bearer secret', 'authorization');
+      expectEqual(headers['x-team'], 'docs', 'extra header');
+      expectEqual(`${body.model}|${body.input}|${body.encoding_format}`, `${EMBEDDING_MODELS.text}|query: cats|float`, 'body');
+    },
+  },
+  {
+    name: 'CLIP embeddings need a CLIP model and send images as data URLs',
+    run: async ({ baseUrl, requests }) => {
+      const textOnly = createOpenAiEmbeddingProvider({ baseUrl: `${baseUrl}/v1` });
+      await expectRejects(() => textOnly.computeClipTextEmbedding('cats'), /need the clipModel option/, 'without clipModel');
+
+      const provider = createOpenAiEmbeddingProvider({ baseUrl: `${baseUrl}/v1`, clipModel: 'clip' });
+      await provider.computeClipImageEmbedding('aGVsbG8=');
+      const { body } = requests[requests.length - 1];
+      expectEqual(`${body.model}|${body.input}|${body.modality}`, 'clip|data:image/jpeg;base64,aGVsbG8=|image', 'image body');
+    },
+  },
+  {
+    name: 'Failed requests and invalid inputs reject',
+    run: async ({ baseUrl }) => {
+      expectThrows(() => createOpenAiEmbeddingProvider(), /requires a baseUrl/, 'baseUrl');
+      const provider = createOpenAiEmbeddingProvider({ baseUrl: `${baseUrl}/v1` });
+      await expectRejects(() => provider.computeTextEmbedding('fail'), /Embedding request failed \(500\): model not loaded/, 'server error');
+      await expectRejects(() => provider.computeTextEmbedding('  '), /non-empty string/, 'empty text');
+    },
+  },
+];
+
+const transformersCases = [
+  {
+    name: 'Text embeddings are mean pooled and models load once',
+    run: async () => {
+      const { module, calls } = createFakeTransformers();
+      const provider = createTransformersEmbeddingProvider({ transformers: module, localModelPath: '/models', allowRemoteModels: false });
+      expectEqual(`${module.env.localModelPath} ${module.env.allowRemoteModels}`, '/models false', 'module settings');
+
+      const result = await provider.computeTextEmbedding('cats', 'query:');
+      await provider.computeTextEmbedding('dogs');
+      expectEqual(result.embedding.map((value) => value.toFixed(1)).join(','), '0.6,0.8', 'embedding');
+      expectEqual(
+        calls.join(' / '),
+        `load feature-extraction ${EMBEDDING_MODELS.text} cpu / extract "query: cats" mean true / extract "dogs" mean true`,
+        'calls'
+      );
+    },
+  },
+  {
+    name: 'CLIP text embeddings are normalized and failed loads retried',
+    run: async () => {
+      const { module, calls } = createFakeTransformers();
+      const provider = createTransformersEmbeddingProvider({ transformers: module });
+      expectEqual((await provider.computeClipTextEmbedding('cats')).embedding.join(','), '0.6,0.8', 'normalized');
+      expectEqual(calls.join(' / '), `load clip text ${EMBEDDING_MODELS.clip}`, 'clip model');
+
+      module.failNextLoad();
+      await expectRejects(() => provider.computeTextEmbedding('cats'), /download failed/, 'failed load');
+      expectEqual((await provider.computeTextEmbedding('cats')).metadata.dimension, 2, 'retried load');
+    },
+  },
+  {
+    name: 'The transformers.js module is required',
+    run: async () => {
+      expectThrows(() => createTransformersEmbeddingProvider(), /requires the @huggingface\/transformers module/, 'module');
+    },
+  },
+];
+
+const clientCases = [
+  {
+    name: 'Vector searches embed queries with the configured provider',
+    run: async () => {
+      const [postEmbeddings, mediaEmbeddings] = await Promise.all([
+        readSampleJson('posts-embedding-hash-map.json'),
+        readSampleJson('media-embedding-hash-map.json'),
+      ]);
+      const queries = [];
+      const repo = createRepo({
+        name: 'fixed',
+        computeTextEmbedding: async (text) => {
+          queries.push(text);
+          return { embedding: postEmbeddings[CATS_HASH] };
+        },
+        computeClipTextEmbedding: async () => ({ embedding: mediaEmbeddings[PASTED_HASH] }),
+      });
+
+      const posts = await repo.searchPosts('kittens', { limit: 1 }, 'vector');
+      expectEqual(posts[0].post.slug, 'cats', 'post result');
+      expectEqual(queries.join(','), 'kittens', 'provider queries');
+      expectEqual((await repo.computeTextEmbedding('cats')).embedding.length, 384, 'computeTextEmbedding');
+
+      const media = await repo.searchPosts('portrait', { limit: 1 }, 'vector-clip-text');
+      expectEqual(media[0].media.hash, PASTED_HASH, 'media result');
+    },
+  },
+  {
+    name: 'Unsupported methods and other models are rejected',
+    run: async () => {
+      const repo = createRepo({ name: 'tiny', computeTextEmbedding: async () => ({ embedding: [1, 0, 0] }) });
+      await expectRejects(
+        () => repo.searchPosts('cats', {}, 'vector'),
+        /Query embedding has 3 dimensions, the text embeddings of the project have 384/,
+        'dimension'
+      );
+      await expectRejects(
+        () => repo.computeClipImageEmbedding('aGVsbG8='),
+        /The tiny embedding provider doesn't support computeClipImageEmbedding/,
+        'unsupported method'
+      );
+    },
+  },
+];
+
+async function main() {
+  console.log(`${colors.bold}Running embedding provider tests...${colors.reset}\n`);
+
+  const requests = [];
+  const server = await startEmbeddingServer(requests);
+  const context = { baseUrl: `http://127.0.0.1:${server.address().port}`, requests };
+  let failures = 0;
+  let total = 0;
+
+  const run = async (name, testCase) => {
+    total++;
+    try {
+      await testCase();
+      console.log(`${colors.green}✅ ${name}${colors.reset}`);
+    } catch (error) {
+      failures++;
+      console.log(`${colors.red}❌ ${name}: ${error.message}${colors.reset}`);
+    }
+  };
+
+  try {
+    for (const testCase of openAiCases) {
+      await run(`[openai] ${testCase.name}`, () => testCase.run(context));
+    }
+    for (const testCase of transformersCases) {
+      await run(`[transformers] ${testCase.name}`, testCase.run);
+    }
+    for (const testCase of clientCases) {
+      await run(`[client] ${testCase.name}`, testCase.run);
+    }
+  } finally {
+    server.close();
+  }
+
+  console.log();
+  if (failures) {
+    console.log(`${colors.red}${colors.bold}❌ ${failures}/${total} embedding provider tests failed${colors.reset}`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold}🎉 All ${total} embedding provider tests passed${colors.reset}`);
+  process.exit(0);
+}
+
+main();
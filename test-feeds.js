@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+
+/**
+ * Feed and sitemap test suite
+ * Generates RSS, Atom and JSON feeds, sitemaps and robots.txt from small in-memory sets of posts,
+ * and serves them through the feed and sitemap routes
+ */
+
+import { createFeedGenerator, absolutizeMediaUrls, createFeedRequestHandler } from './src/lib/feeds/index.js';
+import { createSitemapGenerator, createSitemapRequestHandler, isSitemapRoute } from './src/lib/sitemap/index.js';
+import { colors, expectEqual, expectRejects } from './test-helpers.js';
+
+const SITE_URL = 'https://example.com';
+
+const POSTS = [
+  {
+    hash: 'h-old',
+    slug: 'old',
+    title: 'Old post',
+    firstParagraphText: 'First words',
+    html: '<p>Old</p>',
+    frontmatter: { date: '2024-01-01', tags: ['archive'] },
+  },
+  {
+    hash: 'h-new',
+    slug: 'new',
+    title: 'Cats & <Dogs>',
+    html: '<p><img src="/_repo/medias/cat.webp" srcset="/_repo/medias/cat-sm.webp 320w, /_repo/medias/cat-md.webp 640w"> ]]> end</p>',
+    frontmatter: {
+      date: '2025-02-01',
+      updated: '2025-02-03',
+      description: 'All about pets',
+      author: { name: 'Ada', email: 'ada@example.com' },
+      tags: ['pets', 'cats'],
+      image: '/_repo/medias/cat.webp',
+    },
+  },
+  { hash: 'h-undated', slug: 'undated', title: 'Undated', html: '', frontmatter: { tags: ['pets'] } },
+];
+
+// medias.json entries and graph.json media nodes of the posts
+const MEDIA = [
+  {
+    hashPath: 'm-cat.jpg',
+    sizes: { md: [{ publicPath: '/_repo/medias/m-cat-md.webp' }], sm: [{ publicPath: '/_repo/medias/m-cat-sm.webp' }] },
+  },
+  { hashPath: 'm-dog.png' },
+];
+const USED_MEDIA = {
+  'h-new': [
+    { id: 'm-cat', edgeType: 'POST_USE_IMAGE' },
+    { id: 'm-dog', edgeType: 'POST_USE_IMAGE' },
+    { id: 'm-cat', edgeType: 'POST_LINK_TO_IMAGE' },
+    { id: 'm-unknown', edgeType: 'POST_USE_IMAGE' },
+  ],
+};
+
+function expectIncludes(text, part, label) {
+  if (!text.includes(part)) {
+    throw new Error(`${label}: ${JSON.stringify(part)} not found`);
+  }
+}
+
+const createGenerator = () => createFeedGenerator({ getAllPosts: async () => POSTS });
+
+// Text of every match of a tag, in document order
+const tagTexts = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`, 'g'))].map((match) => match[1]);
+
+const feedCases = [
+  {
+    name: 'RSS feeds list posts newest first with escaped text',
+    run: async () => {
+      const rss = await createGenerator().generateFeed({
+        siteUrl: `${SITE_URL}/`,
+        feedUrl: `${SITE_URL}/feed.xml`,
+        title: 'Example',
+      });
+      expectEqual(tagTexts(rss, 'guid').join(','), 'https://example.com/new,https://example.com/old,https://example.com/undated', 'item order');
+      expectIncludes(rss, '<title>Cats &amp; &lt;Dogs&gt;</title>', 'escaped title');
+      expectIncludes(rss, '<link>https://example.com/new</link>', 'post link');
+      expectIncludes(rss, '<pubDate>Sat, 01 Feb 2025 00:00:00 GMT</pubDate>', 'pubDate');
+      expectIncludes(rss, '<atom:link href="https://example.com/feed.xml" rel="self"', 'self link');
+      expectIncludes(rss, ']]]]><![CDATA[> end', 'CDATA terminator split');
+      expectIncludes(rss, '<dc:creator>Ada</dc:creator>', 'author');
+      expectIncludes(rss, '<lastBuildDate>Mon, 03 Feb 2025 00:00:00 GMT</lastBuildDate>', 'last build date');
+    },
+  },
+  {
+    name: 'Media URLs of the post HTML become absolute',
+    run: async () => {
+      const html = absolutizeMediaUrls(POSTS[1].html, SITE_URL);
+      expectIncludes(html, 'src="https://example.com/_repo/medias/cat.webp"', 'src');
+      expectIncludes(html, 'https://example.com/_repo/medias/cat-sm.webp 320w, https://example.com/_repo/medias/cat-md.webp', 'srcset');
+      expectEqual(absolutizeMediaUrls('<a href="https://cdn.example.com/_repo/medias/a.jpg">', SITE_URL), '<a href="https://cdn.example.com/_repo/medias/a.jpg">', 'absolute URLs untouched');
+    },
+  },
+  {
+    name: 'Atom feeds carry entry dates and a feed author',
+    run: async () => {
+      const atom = await createGenerator().generateFeed({
+        format: 'atom',
+        siteUrl: SITE_URL,
+        author: 'Site team',
+        language: 'en',
+      });
+      expectIncludes(atom, '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">', 'feed element');
+      expectEqual(tagTexts(atom, 'id').join(','), 'https://example.com/,https://example.com/new,https://example.com/old,https://example.com/undated', 'ids');
+      expectIncludes(atom, '<published>2025-02-01T00:00:00.000Z</published>\n<updated>2025-02-03T00:00:00.000Z</updated>', 'entry dates');
+      expectIncludes(atom, '<author><name>Site team</name></author>', 'feed author');
+      expectIncludes(atom, '<author><name>Ada</name><email>ada@example.com</email></author>', 'entry author');
+    },
+  },
+  {
+    name: 'JSON feeds follow JSON Feed 1.1',
+    run: async () => {
+      const feed = JSON.parse(await createGenerator().generateFeed({ format: 'json', siteUrl: SITE_URL, limit: 2 }));
+      expectEqual(feed.version, 'https://jsonfeed.org/version/1.1', 'version');
+      expectEqual(feed.items.map((item) => item.id).join(','), 'https://example.com/new,https://example.com/old', 'items');
+      expectEqual(feed.items[0].image, 'https://example.com/_repo/medias/cat.webp', 'image');
+      expectEqual(feed.items[0].summary, 'All about pets', 'summary');
+      expectEqual(feed.items[1].summary, 'First words', 'summary from the first paragraph');
+      expectEqual(feed.items[0].tags.join(','), 'pets,cats', 'tags');
+    },
+  },
+  {
+    name: 'Item ids stay the same when a post is edited',
+    run: async () => {
+      const edited = POSTS.map((post) => (post.slug === 'new' ? { ...post, hash: 'h-edited', html: '<p>Edited</p>' } : post));
+      const generator = createFeedGenerator({ getAllPosts: async () => edited });
+      const before = await createGenerator().generateFeed({ siteUrl: SITE_URL });
+      const after = await generator.generateFeed({ siteUrl: SITE_URL });
+      expectEqual(tagTexts(after, 'guid').join(','), tagTexts(before, 'guid').join(','), 'RSS guids');
+
+      const ids = async (gen) => JSON.parse(await gen.generateFeed({ format: 'json', siteUrl: SITE_URL })).items.map((item) => item.id).join(',');
+      expectEqual(await ids(generator), await ids(createGenerator()), 'JSON Feed ids');
+    },
+  },
+  {
+    name: 'Posts are filtered and linked with custom URLs',
+    run: async () => {
+      const generator = createGenerator();
+      const byWhere = JSON.parse(await generator.generateFeed({
+        format: 'json',
+        siteUrl: SITE_URL,
+        filter: { tags: 'pets' },
+        postUrl: '/blog/:slug',
+      }));
+      expectEqual(byWhere.items.map((item) => item.url).join(','), 'https://example.com/blog/new,https://example.com/blog/undated', 'where filter');
+
+      const byFunction = JSON.parse(await generator.generateFeed({
+        format: 'json',
+        siteUrl: SITE_URL,
+        filter: (post) => post.slug === 'old',
+        postUrl: (post, siteUrl) => `${siteUrl}/p/${post.hash}`,
+      }));
+      expectEqual(byFunction.items.map((item) => item.url).join(','), 'https://example.com/p/h-old', 'function filter');
+    },
+  },
+  {
+    name: 'Unknown formats and missing site URLs are rejected',
+    run: async () => {
+      const generator = createGenerator();
+      await expectRejects(() => generator.generateFeed({ format: 'xml', siteUrl: SITE_URL }), /Unknown feed format "xml"/, 'format');
+      await expectRejects(() => generator.generateFeed({}), /requires an absolute siteUrl/, 'siteUrl');
+    },
+  },
+  {
+    name: 'The feed route picks the format and site URL from the request',
+    run: async () => {
+      const handler = createFeedRequestHandler(createGenerator(), { cacheMaxAge: 60 });
+
+      const response = await handler(new Request('https://blog.example.org/feed?format=json'));
+      expectEqual(response.status, 200, 'status');
+      expectEqual(response.headers.get('content-type'), 'application/feed+json; charset=utf-8', 'content-type');
+      expectEqual(response.headers.get('cache-control'), 'private, max-age=60', 'cache-control');
+      const feed = await response.json();
+      expectEqual(feed.feed_url, 'https://blog.example.org/feed?format=json', 'feed URL');
+      expectEqual(feed.items[0].url, 'https://blog.example.org/new', 'post URL');
+
+      const invalid = await handler(new Request('https://blog.example.org/feed?format=xml'));
+      expectEqual(invalid.status, 400, 'unknown format status');
+
+      // A configured site URL is used for every link, so the feed can be cached publicly
+      const configured = createFeedRequestHandler(createGenerator(), { siteUrl: SITE_URL, cacheMaxAge: 60 });
+      const spoofed = await configured(new Request('https://attacker.example/feed?format=json'));
+      expectEqual(spoofed.headers.get('cache-control'), 'public, max-age=60', 'configured cache-control');
+      const configuredFeed = await spoofed.json();
+      expectEqual(configuredFeed.feed_url, 'https://example.com/feed?format=json', 'configured feed URL');
+      expectEqual(configuredFeed.items[0].url, 'https://example.com/new', 'configured post URL');
+    },
+  },
+];
+
+const createSitemaps = (posts = POSTS) =>
+  createSitemapGenerator({
+    getAllPosts: async () => posts,
+    getAllMedia: async () => MEDIA,
+    getUsedMedia: async (hash) => {
+      if (!USED_MEDIA[hash]) throw new Error(`Post not found in the link graph: ${hash}`);
+      return USED_MEDIA[hash];
+    },
+  });
+
+const sitemapCases = [
+  {
+    name: 'Sitemaps list pages and posts with their last modification',
+    run: async () => {
+      const { files, urlCount } = await createSitemaps().generateSitemap({
+        baseUrl: `${SITE_URL}/`,
+        routeForPost: '/blog/:slug',
+        extraUrls: ['/', { loc: 'about', lastmod: '2025-01-01' }],
+      });
+      const xml = files['/sitemap.xml'];
+      expectEqual(urlCount, 5, 'URLs');
+      expectEqual(
+        tagTexts(xml, 'loc').join(','),
+        'https://example.com/,https://example.com/about,https://example.com/blog/old,https://example.com/blog/new,https://example.com/blog/undated',
+        'locations'
+      );
+      expectEqual(tagTexts(xml, 'lastmod').join(','), '2025-01-01,2024-01-01,2025-02-03', 'lastmod, updated first');
+    },
+  },
+  {
+    name: 'Image entries use the largest rendition of the images a post uses',
+    run: async () => {
+      const generator = createSitemaps();
+      const { files } = await generator.generateSitemap({ baseUrl: SITE_URL });
+      expectEqual(
+        tagTexts(files['/sitemap.xml'], 'image:loc').join(','),
+        'https://example.com/_repo/medias/m-cat-md.webp,https://example.com/_repo/medias/m-dog.png',
+        'images'
+      );
+      expectIncludes(files['/sitemap.xml'], 'xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"', 'image namespace');
+
+      const { files: withoutMedia } = await generator.generateSitemap({ baseUrl: SITE_URL, includeMedia: false });
+      expectEqual(withoutMedia['/sitemap.xml'].includes('image:'), false, 'includeMedia: false');
+    },
+  },
+  {
+    name: 'Large sitemaps are split behind a sitemap index',
+    run: async () => {
+      const posts = Array.from({ length: 5 }, (_, index) => ({ slug: `post-${index}` }));
+      const { files } = await createSitemaps(posts).generateSitemap({ baseUrl: SITE_URL, maxUrlsPerSitemap: 2 });
+      expectEqual(Object.keys(files).sort().join(','), '/sitemap-1.xml,/sitemap-2.xml,/sitemap-3.xml,/sitemap.xml', 'files');
+      expectIncludes(files['/sitemap.xml'], '<sitemapindex', 'index');
+      expectEqual(tagTexts(files['/sitemap.xml'], 'loc').join(','), 'https://example.com/sitemap-1.xml,https://example.com/sitemap-2.xml,https://example.com/sitemap-3.xml', 'index locations');
+      expectEqual(tagTexts(files['/sitemap-3.xml'], 'loc').join(','), 'https://example.com/post-4', 'last page');
+    },
+  },
+  {
+    name: 'robots.txt points to the sitemap',
+    run: async () => {
+      const generator = createSitemaps();
+      expectEqual(
+        generator.generateRobotsTxt({ baseUrl: `${SITE_URL}/`, disallow: ['/admin', '/drafts'], allow: ['/admin/public'] }),
+        'User-agent: *\nAllow: /admin/public\nDisallow: /admin\nDisallow: /drafts\n\nSitemap: https://example.com/sitemap.xml\n',
+        'robots.txt'
+      );
+      expectEqual(generator.generateRobotsTxt(), 'User-agent: *\nDisallow:\n', 'allow everything');
+    },
+  },
+  {
+    name: 'The sitemap route serves sitemap pages and robots.txt',
+    run: async () => {
+      const posts = Array.from({ length: 3 }, (_, index) => ({ slug: `post-${index}` }));
+      const handler = createSitemapRequestHandler(createSitemaps(posts), { maxUrlsPerSitemap: 2 });
+
+      const page = await handler(new Request('https://blog.example.org/sitemap-2.xml'));
+      expectEqual(page.status, 200, 'page status');
+      expectEqual(page.headers.get('content-type'), 'application/xml; charset=utf-8', 'content-type');
+      expectEqual(page.headers.get('cache-control'), 'private, max-age=3600', 'cache-control');
+      expectEqual(tagTexts(await page.text(), 'loc').join(','), 'https://blog.example.org/post-2', 'page locations');
+
+      const robots = await handler(new Request('https://blog.example.org/robots.txt'));
+      expectIncludes(await robots.text(), 'Sitemap: https://blog.example.org/sitemap.xml', 'robots.txt');
+      expectEqual((await handler(new Request('https://blog.example.org/sitemap-9.xml'))).status, 404, 'missing page');
+
+      const configured = createSitemapRequestHandler(createSitemaps(posts), { baseUrl: SITE_URL });
+      const spoofed = await configured(new Request('https://attacker.example/sitemap.xml'));
+      expectEqual(spoofed.headers.get('cache-control'), 'public, max-age=3600', 'configured cache-control');
+      expectEqual(tagTexts(await spoofed.text(), 'loc')[0], 'https://example.com/post-0', 'configured locations');
+
+      expectEqual(isSitemapRoute('/sitemap-12.xml'), true, 'page route');
+      expectEqual(isSitemapRoute('/robots.txt', { robots: false }), false, 'robots disabled');
+      expectEqual(isSitemapRoute('/sitemap-x.xml'), false, 'other path');
+      expectEqual(isSitemapRoute('/maps/site+map-3.xml', { sitemapPath: '/maps/site+map.xml' }), true, 'custom path page');
+      expectEqual(isSitemapRoute('/a-3.xml', { sitemapPath: '/.*.xml' }), false, 'path characters are not patterns');
+    },
+  },
+];
+
+const groups = [
+  ['feeds', feedCases],
+  ['sitemap', sitemapCases],
+];
+
+async function main() {
+  console.log(`${colors.bold}Running feed and sitemap tests...${colors.reset}\n`);
+
+  let failures = 0;
+  let total = 0;
+
+  for (const [group, cases] of groups) {
+    for (const testCase of cases) {
+      total++;
+      const label = `[${group}] ${testCase.name}`;
+      try {
+        await testCase.run();
+        console.log(`${colors.green}✅ ${label}${colors.reset}`);
+      } catch (error) {
+        failures++;
+        console.log(`${colors.red}❌ ${label}: ${error.message}${colors.reset}`);
+      }
+    }
+  }
+
+  console.log();
+  if (failures) {
+    console.log(`${colors.red}${colors.bold}❌ ${failures}/${total} feed and sitemap tests failed${colors.reset}`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold}🎉 All ${total} feed and sitemap tests passed${colors.reset}`);
+  process.exit(0);
+}
+
+main();
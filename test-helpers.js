@@ -0,0 +1,74 @@
+/**
+ * Shared helpers of the test suites
+ * Output colors, the assertions and the sample dist fixture used by the test-*.js scripts
+ */
+
+import { cp, mkdtemp, readFile, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { isAbsolute, join } from 'path';
+
+const SAMPLE_DIST = new URL('./src/sample_dist_folder/', import.meta.url);
+
+// ANSI color codes for pretty output
+export const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m',
+};
+
+/**
+ * Check strict equality
+ * @param {any} actual - Actual value
+ * @param {any} expected - Expected value
+ * @param {string} label - Label of the check, used in the error message
+ * @throws {Error} - If the values differ
+ */
+export function expectEqual(actual, expected, label) {
+  if (actual !== expected) {
+    throw new Error(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+/**
+ * Check that a function rejects with a matching error message
+ * @param {Function} run - Async function expected to reject
+ * @param {RegExp} pattern - Pattern of the error message
+ * @param {string} label - Label of the check, used in the error message
+ * @throws {Error} - If the function resolves or rejects with another error
+ */
+export async function expectRejects(run, pattern, label) {
+  let result;
+  try {
+    result = await run();
+  } catch (error) {
+    if (!pattern.test(error.message)) {
+      throw new Error(`${label}: unexpected error "${error.message}"`);
+    }
+    return;
+  }
+  throw new Error(`${label}: expected an error, got ${JSON.stringify(result)}`);
+}
+
+export const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Copy the sample dist folder (without its media files) into a new temporary folder
+ * @param {string} prefix - Name prefix of the folder in the system temp folder, or an absolute path prefix
+ * @param {Function} editPosts - Changes the posts before they are written back (optional)
+ * @returns {Promise<string>} - Path of the dist folder
+ */
+export async function createDistFolder(prefix, editPosts = null) {
+  const root = await mkdtemp(isAbsolute(prefix) ? prefix : join(tmpdir(), prefix));
+  await cp(SAMPLE_DIST, root, {
+    recursive: true,
+    filter: (source) => !source.includes('_medias'),
+  });
+
+  if (editPosts) {
+    const posts = JSON.parse(await readFile(join(root, 'posts.json'), 'utf8'));
+    editPosts(posts);
+    await writeFile(join(root, 'posts.json'), JSON.stringify(posts));
+  }
+  return root;
+}
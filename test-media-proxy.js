@@ -0,0 +1,1042 @@
+#!/usr/bin/env node
+
+/**
+ * Shared test suite of the media proxies
+ * Runs the same Range, conditional GET and HEAD cases through every framework integration,
+ * against a local stub origin that either honors these headers or ignores them,
+ * then the conformance cases of the shared request handler, the content API and the image transformation cases,
+ * and the media of a local dist folder read through file:// URLs
+ */
+
+import { EventEmitter } from 'events';
+import { readFile } from 'fs/promises';
+import { createServer } from 'http';
+import { RepoMD } from './src/lib/RepoMd.js';
+import { expressRepoMdMiddleware } from './src/lib/integrations/express.js';
+import { koaRepoMdMiddleware, koaRepoMdStreamingMiddleware } from './src/lib/integrations/koa.js';
+import { fastifyRepoMdPlugin } from './src/lib/integrations/fastify.js';
+import { svelteKitRepoMdHandle } from './src/lib/integrations/sveltekit.js';
+import { astroRepoMdMiddleware } from './src/lib/integrations/astro.js';
+import { nuxtRepoMdPlugin } from './src/lib/integrations/nuxt.js';
+import { createRepoMiddleware } from './src/lib/middleware/RepoNextMiddleware.js';
+import { UnifiedProxyConfig } from './src/lib/proxy/UnifiedProxyConfig.js';
+import { createRequestHandler } from './src/lib/proxy/requestHandler.js';
+import { writeNodeResponse } from './src/lib/proxy/nodeUtils.js';
+import { handleCloudflareRequest } from './src/lib/mediaProxy.js';
+import { createImageTransformer } from './src/lib/proxy/imageTransform.js';
+import { createKvCacheStore } from './src/lib/cache/index.js';
+import { createLinkGraph } from './src/lib/graph/index.js';
+import { createContentApi } from './src/lib/api/index.js';
+import { colors, expectEqual } from './test-helpers.js';
+
+const PROJECT_ID = 'test-project';
+const MEDIA_URL_PREFIX = '/_repo/medias';
+
+// Returned by the adapters when they pass the request on (next(), resolve(event)...)
+const PASSED = 'passed';
+
+// Next.js runtime global used by RepoNextMiddleware for non-media requests
+globalThis.NextResponse = { next: () => PASSED };
+const FILE = Buffer.from(Array.from({ length: 1000 }, (_, index) => index % 251));
+const ETAG = '"v1"';
+const LAST_MODIFIED = 'Wed, 01 Jan 2025 00:00:00 GMT';
+
+// Stored images: every variant of IMAGE_HASH, only the JPEG ones of JPEG_IMAGE_HASH
+const IMAGE_HASH = 'a'.repeat(64);
+const JPEG_IMAGE_HASH = 'b'.repeat(64);
+const MISSING_IMAGE_HASH = 'c'.repeat(64);
+const VARIANT_PATTERN = /([a-f0-9]{64})-(xs|sm|md|lg|xl)\.(webp|jpeg)$/;
+
+// Content API, served from a stub repo instead of the RepoMD CDN
+// Media of the sample dist folder, served from a file:// localDist
+const SAMPLE_DIST = new URL('./src/sample_dist_folder/', import.meta.url);
+const LOCAL_MEDIA_HASH = '0063e8bdfdd379a2fa762b160639ea600c6420dcce7aa7943ae3073a135e7dec';
+const LOCAL_MEDIA_FILE = `${LOCAL_MEDIA_HASH}-sm.webp`;
+// 375px wide original, stored at 375px from md up
+const SMALL_MEDIA_HASH = 'fc6f61bedaee80775a10d40524e728a19798e391a4d18863a5e08d1d56e778bd';
+
+const API_BASE_PATH = '/_repo/api';
+const REVISION = 'rev-1';
+const POSTS = [
+  { hash: 'd'.repeat(64), slug: 'hello-world', title: 'Hello world', date: '2025-01-02' },
+  { hash: 'e'.repeat(64), slug: 'second-post', title: 'Second post', date: '2025-01-01' },
+];
+// graph.json labels every post node, the draft isn't part of the visible POSTS
+const DRAFT_HASH = 'f'.repeat(64);
+const GRAPH = {
+  nodes: [
+    ...POSTS.map((post) => ({ id: post.hash, type: 'post', label: post.slug })),
+    { id: DRAFT_HASH, type: 'post', label: 'secret-draft' },
+  ],
+  edges: [
+    { source: POSTS[0].hash, target: POSTS[1].hash, type: 'POST_LINK' },
+    { source: DRAFT_HASH, target: POSTS[0].hash, type: 'POST_LINK' },
+  ],
+};
+const stubLinkGraph = createLinkGraph({ getGraph: async () => GRAPH, getAllPosts: async () => POSTS });
+const stubRepo = {
+  getActiveProjectRev: async () => REVISION,
+  isPreview: () => false,
+  queryPosts: async ({ limit, offset = 0 }) => ({
+    posts: POSTS.slice(offset, offset + limit),
+    total: POSTS.length,
+    limit,
+    offset,
+  }),
+  getPostBySlug: async (slug) => POSTS.find((post) => post.slug === slug) || null,
+  getPostByHash: async (hash) => POSTS.find((post) => post.hash === hash) || null,
+  getLinkGraph: () => stubLinkGraph.getLinkGraph(),
+};
+
+/**
+ * Start the stub origin
+ * - /ranged/* honors Range, If-Range, If-None-Match and If-Modified-Since
+ * - /plain/* ignores them and always sends the full file (/plain/empty.mp4 is empty)
+ * - anything else is a 404 carrying an ETag
+ * @returns {Promise<import('http').Server>} - Listening server
+ */
+function startOrigin() {
+  const server = createServer((req, res) => {
+    const variant = VARIANT_PATTERN.exec(req.url);
+    if (variant) {
+      const [, hash, size, format] = variant;
+      if (hash === IMAGE_HASH || (hash === JPEG_IMAGE_HASH && format === 'jpeg')) {
+        res.writeHead(200, { 'Content-Type': `image/${format}` });
+        res.end(`${size}.${format}`);
+      } else {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+      }
+      return;
+    }
+
+    const honorsHeaders = req.url.includes('/ranged/');
+    const found = honorsHeaders || req.url.includes('/plain/');
+
+    if (!found) {
+      res.writeHead(404, { 'Content-Type': 'text/plain', ETag: '"missing"' });
+      res.end(req.method === 'HEAD' ? undefined : 'Not found');
+      return;
+    }
+
+    const headers = {
+      'Content-Type': 'video/mp4',
+      ETag: ETAG,
+      'Last-Modified': LAST_MODIFIED,
+    };
+
+    if (honorsHeaders) {
+      if (req.headers['if-none-match'] === ETAG ||
+          (!req.headers['if-none-match'] && req.headers['if-modified-since'] === LAST_MODIFIED)) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+      }
+
+      const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+      const ifRange = req.headers['if-range'];
+      if (range && (!ifRange || ifRange === ETAG)) {
+        const start = range[1] === '' ? FILE.length - Number(range[2]) : Number(range[1]);
+        const end = range[1] === '' || range[2] === '' ? FILE.length - 1 : Math.min(Number(range[2]), FILE.length - 1);
+        if (start >= FILE.length) {
+          res.writeHead(416, { ...headers, 'Content-Range': `bytes */${FILE.length}` });
+          res.end();
+          return;
+        }
+        res.writeHead(206, {
+          ...headers,
+          'Content-Range': `bytes ${start}-${end}/${FILE.length}`,
+          'Content-Length': end - start + 1,
+          'Accept-Ranges': 'bytes',
+        });
+        res.end(req.method === 'HEAD' ? undefined : FILE.subarray(start, end + 1));
+        return;
+      }
+    }
+
+    const body = req.url.endsWith('/plain/empty.mp4') ? FILE.subarray(0, 0) : FILE;
+    res.writeHead(200, { ...headers, 'Content-Length': body.length });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// mediaProxy.js logs every step of the Cloudflare handler
+async function quietly(run) {
+  const { log } = console;
+  console.log = () => {};
+  try {
+    return await run();
+  } finally {
+    console.log = log;
+  }
+}
+
+function toResult(status, headers, body) {
+  return { status, headers: new Headers(headers), body: body ? Buffer.from(body) : Buffer.alloc(0) };
+}
+
+async function fromResponse(response) {
+  if (response === PASSED) return PASSED;
+  return toResult(response.status, response.headers, await response.arrayBuffer());
+}
+
+// Node request/response doubles (Express, Nuxt/Nitro)
+function createNodeDoubles(request) {
+  const url = new URL(request.url);
+  const req = {
+    url: `${url.pathname}${url.search}`,
+    method: request.method,
+    headers: Object.fromEntries(request.headers),
+  };
+  const chunks = [];
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    headersSent: false,
+    ended: false,
+    headers: {},
+    setHeader(key, value) {
+      this.headers[key.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    write(chunk) {
+      this.headersSent = true;
+      chunks.push(Buffer.from(chunk));
+      return true;
+    },
+    end(chunk) {
+      this.ended = true;
+      if (chunk) chunks.push(Buffer.from(chunk));
+    },
+    send(body) {
+      this.end(body);
+    },
+  });
+  return { req, res, result: () => toResult(res.statusCode, res.headers, Buffer.concat(chunks)) };
+}
+
+// Run a Koa middleware, HEAD and 304 bodies are dropped like Koa does
+function runKoa(middleware) {
+  return async (request) => {
+    const url = new URL(request.url);
+    const headers = {};
+    const ctx = {
+      url: `${url.pathname}${url.search}`,
+      method: request.method,
+      headers: Object.fromEntries(request.headers),
+      status: 404,
+      body: undefined,
+      set(key, value) {
+        headers[key.toLowerCase()] = value;
+      },
+    };
+    let passed = false;
+    await middleware(ctx, async () => { passed = true; });
+    if (passed) return PASSED;
+
+    let body = ctx.body;
+    if (body && typeof body.pipe === 'function') {
+      const chunks = [];
+      for await (const chunk of body) chunks.push(chunk);
+      body = Buffer.concat(chunks);
+    }
+    const empty = request.method === 'HEAD' || ctx.status === 304;
+    return toResult(ctx.status, headers, empty ? null : body);
+  };
+}
+
+// Stub image processor: the output names the source variant and the requested parameters
+const processed = new Map();
+async function processImage({ input, width, format, quality }) {
+  const output = `${Buffer.from(input)}->${width}.${format}@${quality}`;
+  processed.set(output, (processed.get(output) || 0) + 1);
+  return Buffer.from(output);
+}
+
+function createAdapters(r2Url) {
+  const options = {
+    r2Url,
+    imageTransforms: { processor: processImage },
+    contentApi: { repo: stubRepo, cors: true },
+  };
+  const config = new UnifiedProxyConfig({ projectId: PROJECT_ID, ...options });
+
+  // Fastify router double: "/path/*" routes match any subpath
+  const fastifyRoutes = [];
+  const addFastifyRoute = (method) => (path, handler) => fastifyRoutes.push({ method, path, handler });
+  const findFastifyRoute = (method, pathname) => fastifyRoutes.find((route) =>
+    route.method === method &&
+    (route.path.endsWith('/*') ? pathname.startsWith(route.path.slice(0, -1)) : pathname === route.path));
+  fastifyRepoMdPlugin(
+    {
+      get: addFastifyRoute('GET'),
+      head: addFastifyRoute('HEAD'),
+      options: addFastifyRoute('OPTIONS'),
+    },
+    { projectId: PROJECT_ID, ...options },
+    () => {}
+  );
+
+  let nuxtHook = null;
+  nuxtRepoMdPlugin(PROJECT_ID, options)({
+    hooks: { hook: (name, handler) => { nuxtHook = handler; } },
+  });
+
+  const express = expressRepoMdMiddleware(PROJECT_ID, options);
+  const svelteKit = svelteKitRepoMdHandle(PROJECT_ID, options);
+  const astro = astroRepoMdMiddleware(PROJECT_ID, options);
+  const next = createRepoMiddleware({ projectId: PROJECT_ID, ...options });
+  const remix = config.toRemixLoader();
+  const core = createRequestHandler(new UnifiedProxyConfig({ projectId: PROJECT_ID, ...options }));
+
+  return {
+    core: async (request) => fromResponse((await core.handle(request)) ?? PASSED),
+    express: async (request) => {
+      const { req, res, result } = createNodeDoubles(request);
+      let passed = false;
+      await express(req, res, () => { passed = true; });
+      return passed ? PASSED : result();
+    },
+    koa: runKoa(koaRepoMdMiddleware(PROJECT_ID, options)),
+    'koa (streaming)': runKoa(koaRepoMdStreamingMiddleware(PROJECT_ID, options)),
+    fastify: async (request) => {
+      const url = new URL(request.url);
+      // Fastify's router only calls the plugin for its own routes
+      const route = findFastifyRoute(request.method, url.pathname);
+      if (!route) {
+        return PASSED;
+      }
+      const headers = {};
+      const reply = {
+        statusCode: 200,
+        payload: null,
+        code(status) { this.statusCode = status; return this; },
+        header(key, value) { headers[key.toLowerCase()] = value; return this; },
+        headers(values) { Object.entries(values).forEach(([key, value]) => this.header(key, value)); return this; },
+        send(payload) { this.payload = payload; return this; },
+      };
+      await route.handler({
+        url: `${url.pathname}${url.search}`,
+        method: request.method,
+        headers: Object.fromEntries(request.headers),
+      }, reply);
+      return toResult(reply.statusCode, headers, reply.payload);
+    },
+    nuxt: async (request) => {
+      const { req, res, result } = createNodeDoubles(request);
+      await nuxtHook({ node: { req, res } });
+      return res.ended ? result() : PASSED;
+    },
+    sveltekit: async (request) =>
+      fromResponse(await svelteKit({ event: { url: new URL(request.url), request }, resolve: () => PASSED })),
+    astro: async (request) =>
+      fromResponse(await astro({ request, url: new URL(request.url) }, () => PASSED)),
+    next: async (request) =>
+      fromResponse(await next(Object.assign(request, { nextUrl: new URL(request.url) }))),
+    remix: async (request) => fromResponse((await remix({ request })) ?? PASSED),
+    cloudflare: async (request) =>
+      fromResponse(await quietly(() => handleCloudflareRequest(request, (path) => config.getTargetUrl(path)))),
+  };
+}
+
+function expectBody(result, start, end) {
+  expectEqual(Buffer.compare(result.body, FILE.subarray(start, end + 1)), 0, `body ${start}-${end}`);
+}
+
+// Cases run for each adapter, on a file of the origin mode
+const cases = [
+  {
+    name: 'GET serves the full file with validators',
+    request: {},
+    check: (result) => {
+      expectEqual(result.status, 200, 'status');
+      expectEqual(result.headers.get('etag'), ETAG, 'etag');
+      expectEqual(result.headers.get('accept-ranges'), 'bytes', 'accept-ranges');
+      expectBody(result, 0, FILE.length - 1);
+    },
+  },
+  {
+    name: 'Range returns 206 partial content',
+    request: { headers: { Range: 'bytes=100-199' } },
+    check: (result) => {
+      expectEqual(result.status, 206, 'status');
+      expectEqual(result.headers.get('content-range'), `bytes 100-199/${FILE.length}`, 'content-range');
+      expectBody(result, 100, 199);
+    },
+  },
+  {
+    name: 'Open-ended range (seeking)',
+    request: { headers: { Range: 'bytes=990-' } },
+    check: (result) => {
+      expectEqual(result.status, 206, 'status');
+      expectEqual(result.headers.get('content-range'), `bytes 990-999/${FILE.length}`, 'content-range');
+      expectBody(result, 990, 999);
+    },
+  },
+  {
+    name: 'Suffix range',
+    request: { headers: { Range: 'bytes=-5' } },
+    check: (result) => {
+      expectEqual(result.status, 206, 'status');
+      expectBody(result, FILE.length - 5, FILE.length - 1);
+    },
+  },
+  {
+    name: 'Unsatisfiable range returns 416',
+    request: { headers: { Range: 'bytes=5000-' } },
+    check: (result) => {
+      expectEqual(result.status, 416, 'status');
+      expectEqual(result.headers.get('content-range'), `bytes */${FILE.length}`, 'content-range');
+      expectEqual(result.headers.get('cache-control'), 'no-cache, no-store, must-revalidate', 'cache-control');
+    },
+  },
+  {
+    name: 'Ranges of an empty file are unsatisfiable',
+    file: 'plain/empty.mp4',
+    request: { headers: { Range: 'bytes=-5' } },
+    check: (result) => {
+      expectEqual(result.status, 416, 'status');
+      expectEqual(result.headers.get('content-range'), 'bytes */0', 'content-range');
+      expectEqual(result.headers.get('cache-control'), 'no-cache, no-store, must-revalidate', 'cache-control');
+    },
+  },
+  {
+    name: 'If-Range with another ETag serves the full file',
+    request: { headers: { Range: 'bytes=0-9', 'If-Range': '"v0"' } },
+    check: (result) => {
+      expectEqual(result.status, 200, 'status');
+      expectBody(result, 0, FILE.length - 1);
+    },
+  },
+  {
+    name: 'If-None-Match returns 304 with the ETag and cache headers',
+    request: { headers: { 'If-None-Match': ETAG } },
+    check: (result) => {
+      expectEqual(result.status, 304, 'status');
+      expectEqual(result.headers.get('etag'), ETAG, 'etag');
+      expectEqual(/max-age=\d+/.test(result.headers.get('cache-control') || ''), true, 'cache-control');
+      expectEqual(result.body.length, 0, 'body length');
+    },
+  },
+  {
+    name: 'If-Modified-Since returns 304',
+    request: { headers: { 'If-Modified-Since': LAST_MODIFIED } },
+    check: (result) => expectEqual(result.status, 304, 'status'),
+  },
+  {
+    name: 'If-None-Match with another ETag serves the file',
+    request: { headers: { 'If-None-Match': '"v0"' } },
+    check: (result) => {
+      expectEqual(result.status, 200, 'status');
+      expectBody(result, 0, FILE.length - 1);
+    },
+  },
+  {
+    name: 'HEAD returns the headers without body',
+    request: { method: 'HEAD' },
+    check: (result) => {
+      expectEqual(result.status, 200, 'status');
+      expectEqual(result.headers.get('content-length'), String(FILE.length), 'content-length');
+      expectEqual(result.body.length, 0, 'body length');
+    },
+  },
+  {
+    name: 'HEAD with a range returns 206 headers',
+    request: { method: 'HEAD', headers: { Range: 'bytes=0-9' } },
+    check: (result) => {
+      expectEqual(result.status, 206, 'status');
+      expectEqual(result.headers.get('content-range'), `bytes 0-9/${FILE.length}`, 'content-range');
+      expectEqual(result.body.length, 0, 'body length');
+    },
+  },
+  {
+    name: 'Origin errors keep the ETag and are not cached',
+    file: 'missing/video.mp4',
+    request: {},
+    check: (result) => {
+      expectEqual(result.status, 404, 'status');
+      expectEqual(result.headers.get('etag'), '"missing"', 'etag');
+      expectEqual(result.headers.get('cache-control'), 'no-cache, no-store, must-revalidate', 'cache-control');
+    },
+  },
+];
+
+// Conformance cases of the shared request handler, run for each adapter built on it
+const conformanceCases = [
+  {
+    name: 'Other paths are passed on',
+    path: '/blog/hello-world',
+    check: (result) => expectEqual(result, PASSED, 'result'),
+  },
+  {
+    name: 'Look-alike prefixes are passed on',
+    path: `${MEDIA_URL_PREFIX}x/plain/video.mp4`,
+    check: (result) => expectEqual(result, PASSED, 'result'),
+  },
+  {
+    name: 'Other methods get 405',
+    path: `${MEDIA_URL_PREFIX}/plain/video.mp4`,
+    method: 'POST',
+    // Fastify's router answers the methods without a route itself
+    skip: ['fastify'],
+    check: (result) => {
+      expectEqual(result.status, 405, 'status');
+      expectEqual(result.headers.get('allow'), 'GET, HEAD', 'allow');
+    },
+  },
+  {
+    name: 'An unreachable origin returns 502',
+    path: `${MEDIA_URL_PREFIX}/plain/video.mp4`,
+    unreachable: true,
+    check: (result) => {
+      expectEqual(result.status, 502, 'status');
+      expectEqual(result.headers.get('cache-control'), 'no-cache, no-store, must-revalidate', 'cache-control');
+    },
+  },
+];
+
+// Content API cases, run for each adapter built on the shared request handler
+const contentApiCases = [
+  {
+    name: 'Posts are listed as JSON with validators',
+    path: `${API_BASE_PATH}/posts?limit=1`,
+    check: (result) => {
+      expectEqual(result.status, 200, 'status');
+      expectEqual(result.headers.get('content-type'), 'application/json; charset=utf-8', 'content-type');
+      expectEqual(result.headers.get('x-repo-revision'), REVISION, 'revision');
+      expectEqual(/^"rev-1-[a-f0-9]{16}"$/.test(result.headers.get('etag') || ''), true, 'etag');
+      expectEqual(result.headers.get('cache-control'), 'public, max-age=60, stale-while-revalidate=600', 'cache-control');
+      const body = JSON.parse(result.body.toString());
+      expectEqual(body.posts.length, 1, 'posts');
+      expectEqual(body.total, POSTS.length, 'total');
+    },
+  },
+  {
+    name: 'If-None-Match returns 304',
+    path: `${API_BASE_PATH}/posts?limit=1`,
+    // The ETag of the previous response
+    headers: async (run) => ({
+      'If-None-Match': (await run(new Request(`http://localhost${API_BASE_PATH}/posts?limit=1`))).headers.get('etag'),
+    }),
+    check: (result) => {
+      expectEqual(result.status, 304, 'status');
+      expectEqual(result.body.length, 0, 'body length');
+    },
+  },
+  {
+    name: 'Responses pinned to the current revision are immutable',
+    path: `${API_BASE_PATH}/posts/hello-world?rev=${REVISION}`,
+    check: (result) => {
+      expectEqual(result.status, 200, 'status');
+      expectEqual(result.headers.get('cache-control'), 'public, max-age=31536000, immutable', 'cache-control');
+      expectEqual(JSON.parse(result.body.toString()).title, 'Hello world', 'title');
+    },
+  },
+  {
+    name: 'Unknown posts return a JSON 404',
+    path: `${API_BASE_PATH}/posts/missing`,
+    check: (result) => {
+      expectEqual(result.status, 404, 'status');
+      expectEqual(result.headers.get('cache-control'), 'no-store', 'cache-control');
+      expectEqual(JSON.parse(result.body.toString()).error.status, 404, 'error');
+    },
+  },
+  {
+    name: 'Invalid parameters return 400',
+    path: `${API_BASE_PATH}/posts?limit=abc`,
+    check: (result) => expectEqual(result.status, 400, 'status'),
+  },
+  {
+    name: 'CORS preflights return 204',
+    path: `${API_BASE_PATH}/posts`,
+    method: 'OPTIONS',
+    headers: { Origin: 'https://example.com' },
+    check: (result) => {
+      expectEqual(result.status, 204, 'status');
+      expectEqual(result.headers.get('access-control-allow-origin'), '*', 'allow-origin');
+    },
+  },
+  {
+    name: 'HEAD returns the headers without body',
+    path: `${API_BASE_PATH}/posts`,
+    method: 'HEAD',
+    check: (result) => {
+      expectEqual(result.status, 200, 'status');
+      expectEqual(result.headers.has('etag'), true, 'etag');
+      expectEqual(result.body.length, 0, 'body length');
+    },
+  },
+  {
+    name: 'The graph leaves out hidden posts',
+    path: `${API_BASE_PATH}/graph`,
+    check: (result) => {
+      expectEqual(result.status, 200, 'status');
+      const body = JSON.parse(result.body.toString());
+      expectEqual(body.nodes.length, POSTS.length, 'nodes');
+      expectEqual(body.edges.length, 1, 'edges');
+      expectEqual(result.body.toString().includes('secret-draft'), false, 'hidden slug');
+      expectEqual(result.body.toString().includes(DRAFT_HASH), false, 'hidden hash');
+    },
+  },
+  {
+    name: 'Look-alike prefixes are passed on',
+    path: `${API_BASE_PATH}x/posts`,
+    check: (result) => expectEqual(result, PASSED, 'result'),
+  },
+];
+
+// Transformation cases, run for each adapter built on UnifiedProxyConfig
+const transformCases = [
+  {
+    name: 'Transformation resizes the nearest larger variant',
+    url: `${IMAGE_HASH}?w=640&fmt=avif&q=70`,
+    check: (result) => {
+      expectEqual(result.status, 200, 'status');
+      expectEqual(result.headers.get('content-type'), 'image/avif', 'content-type');
+      expectEqual(result.headers.get('etag'), `"${IMAGE_HASH}-640-q70.avif"`, 'etag');
+      expectEqual(/immutable/.test(result.headers.get('cache-control') || ''), true, 'cache-control');
+      expectEqual(result.body.toString(), 'md.webp->640.avif@70', 'body');
+    },
+  },
+  {
+    name: 'Widths above the largest variant start from it',
+    url: `${IMAGE_HASH}-md.webp?w=1600&fmt=jpeg`,
+    check: (result) => {
+      expectEqual(result.status, 200, 'status');
+      expectEqual(result.body.toString(), 'xl.webp->1600.jpeg@75', 'body');
+    },
+  },
+  {
+    name: 'JPEG variants are used when there is no WebP one',
+    url: `${JPEG_IMAGE_HASH}?w=256`,
+    check: (result) => {
+      expectEqual(result.status, 200, 'status');
+      expectEqual(result.body.toString(), 'sm.jpeg->256.webp@75', 'body');
+    },
+  },
+  {
+    name: 'Conditional requests of transformations return 304',
+    url: `${IMAGE_HASH}?w=640&fmt=avif&q=70`,
+    headers: { 'If-None-Match': `"${IMAGE_HASH}-640-q70.avif"` },
+    check: (result) => expectEqual(result.status, 304, 'status'),
+  },
+  {
+    name: 'Range requests of transformations return 206',
+    url: `${IMAGE_HASH}?w=640&fmt=avif&q=70`,
+    headers: { Range: 'bytes=0-6' },
+    check: (result) => {
+      expectEqual(result.status, 206, 'status');
+      expectEqual(result.body.toString(), 'md.webp', 'body');
+    },
+  },
+  {
+    name: 'Widths outside the allowlist are rejected',
+    url: `${IMAGE_HASH}?w=641`,
+    check: (result) => {
+      expectEqual(result.status, 400, 'status');
+      expectEqual(result.headers.get('cache-control'), 'no-cache, no-store, must-revalidate', 'cache-control');
+    },
+  },
+  {
+    name: 'Formats and qualities outside the allowlist are rejected',
+    url: `${IMAGE_HASH}?fmt=gif&q=100`,
+    check: (result) => expectEqual(result.status, 400, 'status'),
+  },
+  {
+    name: 'Transformations of paths without a hash are rejected',
+    url: 'plain/video.mp4?w=640',
+    check: (result) => expectEqual(result.status, 400, 'status'),
+  },
+  {
+    name: 'Transformations of missing images return 404',
+    url: `${MISSING_IMAGE_HASH}?w=640`,
+    check: (result) => expectEqual(result.status, 404, 'status'),
+  },
+];
+
+// Transformation cases of createImageTransformer with a cache store, run against the stub origin
+const transformStoreCases = [
+  {
+    name: 'Transformed images round-trip through the cache store as base64',
+    run: async (r2Url) => {
+      const store = createKvCacheStore();
+      // Every byte value, longer than the chunks of the base64 encoder
+      const output = Uint8Array.from({ length: 70000 }, (_, index) => index % 256);
+      let calls = 0;
+      const createTransformer = () => createImageTransformer({
+        cacheStore: store,
+        processor: async () => {
+          calls++;
+          return output;
+        },
+      });
+      const options = { getTargetUrl: (mediaPath) => `${r2Url}/${mediaPath}` };
+      const request = { url: `http://localhost/_repo/medias/${IMAGE_HASH}?w=256`, method: 'GET', headers: {} };
+
+      const first = new Uint8Array(await (await createTransformer().handle(IMAGE_HASH, request, options)).arrayBuffer());
+      const cached = new Uint8Array(await (await createTransformer().handle(IMAGE_HASH, request, options)).arrayBuffer());
+      const entry = await store.get(`${IMAGE_HASH}-256-q75.webp`);
+      expectEqual(entry.value.body, Buffer.from(output).toString('base64'), 'stored body');
+      expectEqual(Buffer.compare(cached, output) + Buffer.compare(first, output), 0, 'bodies');
+      expectEqual(calls, 1, 'processor calls');
+    },
+  },
+];
+
+// Content API cases with an origin allowlist, run on createContentApi directly
+const contentApiCorsCases = [
+  {
+    name: 'Responses vary on Origin whether or not it is allowed',
+    run: async () => {
+      const api = createContentApi({ repo: stubRepo, cors: ['https://allowed.example'] });
+      const request = (origin) => new Request(`http://localhost${API_BASE_PATH}/posts`, { headers: origin ? { Origin: origin } : {} });
+
+      const allowed = await api.handle(request('https://allowed.example'));
+      expectEqual(allowed.headers.get('access-control-allow-origin'), 'https://allowed.example', 'allowed origin');
+      expectEqual(allowed.headers.get('vary'), 'Origin', 'allowed vary');
+
+      for (const origin of ['https://other.example', null]) {
+        const response = await api.handle(request(origin));
+        expectEqual(response.headers.has('access-control-allow-origin'), false, `${origin} allow-origin`);
+        expectEqual(response.headers.get('vary'), 'Origin', `${origin} vary`);
+      }
+
+      const open = await createContentApi({ repo: stubRepo, cors: true }).handle(request('https://other.example'));
+      expectEqual(open.headers.has('vary'), false, 'any origin vary');
+    },
+  },
+];
+
+/**
+ * Adapters of a RepoMD client reading a local dist folder through a file:// localDist
+ * @returns {Object} - Adapter runners by name
+ */
+function createLocalDistAdapters() {
+  const repo = new RepoMD({ localDist: SAMPLE_DIST.href });
+  const imageTransforms = {
+    processor: async ({ source, width, format }) => Buffer.from(`${source.size}->${width}.${format}`),
+  };
+  const core = createRequestHandler(repo.getUnifiedProxyConfig({ imageTransforms }));
+  const express = repo.createExpressMiddleware({ imageTransforms });
+
+  return {
+    core: async (request) => fromResponse((await core.handle(request)) ?? PASSED),
+    express: async (request) => {
+      const { req, res, result } = createNodeDoubles(request);
+      let passed = false;
+      await express(req, res, () => { passed = true; });
+      return passed ? PASSED : result();
+    },
+  };
+}
+
+// Cases run against the local dist adapters
+const localDistCases = [
+  {
+    name: 'Media files are read from the dist folder',
+    url: LOCAL_MEDIA_FILE,
+    check: (result, file) => {
+      expectEqual(result.status, 200, 'status');
+      expectEqual(result.headers.get('content-length'), String(file.length), 'content-length');
+      expectEqual(Buffer.compare(result.body, file), 0, 'body');
+    },
+  },
+  {
+    name: 'Range requests return 206',
+    url: LOCAL_MEDIA_FILE,
+    headers: { Range: 'bytes=0-3' },
+    check: (result, file) => {
+      expectEqual(result.status, 206, 'status');
+      expectEqual(result.headers.get('content-range'), `bytes 0-3/${file.length}`, 'content-range');
+      expectEqual(result.body.toString(), 'RIFF', 'body');
+    },
+  },
+  {
+    name: 'If-Modified-Since returns 304',
+    url: LOCAL_MEDIA_FILE,
+    headers: { 'If-Modified-Since': new Date(Date.now() + 60000).toUTCString() },
+    check: (result) => expectEqual(result.status, 304, 'status'),
+  },
+  {
+    name: 'Missing files return 404',
+    url: `${MISSING_IMAGE_HASH}-sm.webp`,
+    check: (result) => expectEqual(result.status, 404, 'status'),
+  },
+  {
+    name: 'Transformations read the variants from the dist folder',
+    url: `${LOCAL_MEDIA_HASH}?w=256`,
+    check: (result) => {
+      expectEqual(result.status, 200, 'status');
+      expectEqual(result.body.toString(), 'sm->256.webp', 'body');
+    },
+  },
+  {
+    name: 'Variants come from the medias.json widths, wider requests report the actual width',
+    url: `${SMALL_MEDIA_HASH}?w=1280`,
+    check: (result) => {
+      expectEqual(result.status, 200, 'status');
+      expectEqual(result.body.toString(), 'md->375.webp', 'body');
+      expectEqual(result.headers.get('x-image-width'), '375', 'width');
+      expectEqual(result.headers.get('etag'), `"${SMALL_MEDIA_HASH}-375-q75.webp"`, 'etag');
+    },
+  },
+];
+
+// Body of 5 chunks read on demand, counting the reads of the writer
+function createCountingResponse() {
+  const source = { pulls: 0, cancelled: false };
+  const body = new ReadableStream(
+    {
+      pull(controller) {
+        source.pulls++;
+        if (source.pulls > 5) controller.close();
+        else controller.enqueue(new Uint8Array([source.pulls]));
+      },
+      cancel() {
+        source.cancelled = true;
+      },
+    },
+    { highWaterMark: 0 }
+  );
+  return { source, response: new Response(body, { status: 200 }) };
+}
+
+// ServerResponse double whose buffer is always full, write() returns false until 'drain'
+function createSlowNodeResponse() {
+  const res = Object.assign(new EventEmitter(), {
+    statusCode: 200,
+    ended: false,
+    chunks: [],
+    setHeader() {},
+    write(chunk) {
+      this.chunks.push(chunk[0]);
+      return false;
+    },
+    end() {
+      this.ended = true;
+    },
+  });
+  return res;
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+const nodeStreamingCases = [
+  {
+    name: 'Node responses wait for the client to drain',
+    run: async () => {
+      const { source, response } = createCountingResponse();
+      const res = createSlowNodeResponse();
+      const writing = writeNodeResponse(response, res);
+
+      await settle();
+      expectEqual(res.chunks.join(','), '1', 'chunks before drain');
+      expectEqual(source.pulls <= 2, true, 'reads before drain');
+
+      for (let drains = 0; drains < 10 && !res.ended; drains++) {
+        res.emit('drain');
+        await settle();
+      }
+      await writing;
+      expectEqual(res.chunks.join(','), '1,2,3,4,5', 'chunks');
+      expectEqual(res.ended, true, 'ended');
+    },
+  },
+  {
+    name: 'Node responses stop reading when the client disconnects',
+    run: async () => {
+      const { source, response } = createCountingResponse();
+      const res = createSlowNodeResponse();
+      const writing = writeNodeResponse(response, res);
+
+      await settle();
+      res.emit('close');
+      await writing;
+      expectEqual(source.cancelled, true, 'body cancelled');
+      expectEqual(res.chunks.join(','), '1', 'chunks');
+      expectEqual(res.ended, false, 'ended');
+    },
+  },
+];
+
+async function main() {
+  console.log(`${colors.bold}Running media proxy tests...${colors.reset}\n`);
+
+  const origin = await startOrigin();
+  const adapters = createAdapters(`http://127.0.0.1:${origin.address().port}`);
+  let failures = 0;
+  let total = 0;
+
+  try {
+    for (const [adapterName, run] of Object.entries(adapters)) {
+      for (const mode of ['ranged', 'plain']) {
+        for (const testCase of cases) {
+          if (testCase.file && mode !== 'ranged') continue;
+          total++;
+
+          const file = testCase.file || `${mode}/video.mp4`;
+          const request = new Request(`http://localhost/_repo/medias/${file}`, {
+            method: testCase.request.method || 'GET',
+            headers: testCase.request.headers || {},
+          });
+          const label = `${adapterName} [${mode} origin] ${testCase.name}`;
+
+          try {
+            testCase.check(await run(request));
+            console.log(`${colors.green}✅ ${label}${colors.reset}`);
+          } catch (error) {
+            failures++;
+            console.log(`${colors.red}❌ ${label}: ${error.message}${colors.reset}`);
+          }
+        }
+      }
+    }
+
+    // The Cloudflare handler isn't built on the shared request handler, and has no transformations
+    const coreAdapters = Object.entries(adapters).filter(([adapterName]) => adapterName !== 'cloudflare');
+    const unreachableAdapters = createAdapters('http://127.0.0.1:1');
+    for (const [adapterName, run] of coreAdapters) {
+      for (const testCase of conformanceCases) {
+        if (testCase.skip?.includes(adapterName)) continue;
+        total++;
+
+        const request = new Request(`http://localhost${testCase.path}`, { method: testCase.method || 'GET' });
+        const label = `${adapterName} [conformance] ${testCase.name}`;
+
+        try {
+          const runCase = testCase.unreachable ? unreachableAdapters[adapterName] : run;
+          testCase.check(await runCase(request));
+          console.log(`${colors.green}✅ ${label}${colors.reset}`);
+        } catch (error) {
+          failures++;
+          console.log(`${colors.red}❌ ${label}: ${error.message}${colors.reset}`);
+        }
+      }
+    }
+
+    for (const [adapterName, run] of coreAdapters) {
+      for (const testCase of contentApiCases) {
+        total++;
+        const label = `${adapterName} [content API] ${testCase.name}`;
+
+        try {
+          const headers = typeof testCase.headers === 'function' ? await testCase.headers(run) : testCase.headers;
+          const request = new Request(`http://localhost${testCase.path}`, {
+            method: testCase.method || 'GET',
+            headers: headers || {},
+          });
+          testCase.check(await run(request));
+          console.log(`${colors.green}✅ ${label}${colors.reset}`);
+        } catch (error) {
+          failures++;
+          console.log(`${colors.red}❌ ${label}: ${error.message}${colors.reset}`);
+        }
+      }
+    }
+
+    for (const [adapterName, run] of coreAdapters) {
+      for (const testCase of transformCases) {
+        total++;
+
+        const request = new Request(`http://localhost/_repo/medias/${testCase.url}`, {
+          headers: testCase.headers || {},
+        });
+        const label = `${adapterName} [transform] ${testCase.name}`;
+
+        try {
+          testCase.check(await run(request));
+          console.log(`${colors.green}✅ ${label}${colors.reset}`);
+        } catch (error) {
+          failures++;
+          console.log(`${colors.red}❌ ${label}: ${error.message}${colors.reset}`);
+        }
+      }
+    }
+
+    for (const testCase of transformStoreCases) {
+      total++;
+      const label = `store [transform] ${testCase.name}`;
+
+      try {
+        await testCase.run(`http://127.0.0.1:${origin.address().port}`);
+        console.log(`${colors.green}✅ ${label}${colors.reset}`);
+      } catch (error) {
+        failures++;
+        console.log(`${colors.red}❌ ${label}: ${error.message}${colors.reset}`);
+      }
+    }
+
+    for (const testCase of contentApiCorsCases) {
+      total++;
+      const label = `api [cors] ${testCase.name}`;
+
+      try {
+        await testCase.run();
+        console.log(`${colors.green}✅ ${label}${colors.reset}`);
+      } catch (error) {
+        failures++;
+        console.log(`${colors.red}❌ ${label}: ${error.message}${colors.reset}`);
+      }
+    }
+
+    const localFile = await readFile(new URL(`_medias/${LOCAL_MEDIA_FILE}`, SAMPLE_DIST));
+    for (const [adapterName, run] of Object.entries(createLocalDistAdapters())) {
+      for (const testCase of localDistCases) {
+        total++;
+
+        const request = new Request(`http://localhost/_repo/medias/${testCase.url}`, {
+          headers: testCase.headers || {},
+        });
+        const label = `${adapterName} [local dist] ${testCase.name}`;
+
+        try {
+          testCase.check(await run(request), localFile);
+          console.log(`${colors.green}✅ ${label}${colors.reset}`);
+        } catch (error) {
+          failures++;
+          console.log(`${colors.red}❌ ${label}: ${error.message}${colors.reset}`);
+        }
+      }
+    }
+
+    for (const testCase of nodeStreamingCases) {
+      total++;
+      const label = `node [streaming] ${testCase.name}`;
+
+      try {
+        await testCase.run();
+        console.log(`${colors.green}✅ ${label}${colors.reset}`);
+      } catch (error) {
+        failures++;
+        console.log(`${colors.red}❌ ${label}: ${error.message}${colors.reset}`);
+      }
+    }
+
+    // Every adapter processed each output once, repeated requests came from its cache
+    total++;
+    const label = 'Repeated transformations are served from the cache';
+    const uncached = [...processed].filter(([, count]) => count !== coreAdapters.length);
+    if (uncached.length) {
+      failures++;
+      console.log(`${colors.red}❌ ${label}: ${uncached.map(([output, count]) => `${output} x${count}`).join(', ')}${colors.reset}`);
+    } else {
+      console.log(`${colors.green}✅ ${label}${colors.reset}`);
+    }
+  } finally {
+    origin.close();
+  }
+
+  console.log();
+  if (failures) {
+    console.log(`${colors.red}${colors.bold}❌ ${failures}/${total} media proxy tests failed${colors.reset}`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold}🎉 All ${total} media proxy tests passed${colors.reset}`);
+  process.exit(0);
+}
+
+main();
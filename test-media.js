@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Media test suite
+ * Builds responsive images from the medias.json size variants of the sample dist folder,
+ * and looks media up by hash, vault path and post
+ */
+
+import { RepoMD, createFsStorage } from './src/lib/index.js';
+import { colors, expectEqual } from './test-helpers.js';
+
+const SAMPLE_DIST = new URL('./src/sample_dist_folder/', import.meta.url);
+
+// "Pasted image 20250429154120.png", 375x500, webp and jpeg renditions of 100, 300 and 375 pixels
+const PASTED_HASH = 'fc6f61bedaee80775a10d40524e728a19798e391a4d18863a5e08d1d56e778bd';
+const PASTED_PATH = 'Pasted image 20250429154120.png';
+const KERBER_HASH = '428927fd';
+const KERBER_PATH = 'projects/cats/pexels-kerber-774731.jpg';
+
+// Read-only client over the sample dist folder
+const createRepo = () => new RepoMD({ storage: createFsStorage({ root: SAMPLE_DIST.href }) });
+
+/**
+ * Client over the sample dist folder whose media-path-hash-map.json also maps a second
+ * pexels-kerber-774731.jpg, in another folder
+ * @returns {RepoMD} - Client
+ */
+function createRepoWithDuplicateName() {
+  const storage = createFsStorage({ root: SAMPLE_DIST.href });
+  return new RepoMD({
+    storage: {
+      ...storage,
+      readJson: async (path, opts) => {
+        const data = await storage.readJson(path, opts);
+        return path === '/media-path-hash-map.json' ? { ...data, 'archive/pexels-kerber-774731.jpg': PASTED_HASH } : data;
+      },
+    },
+  });
+}
+
+const mediaUrl = (size, format) => `/_repo/medias/${PASTED_HASH}-${size}.${format}`;
+
+const imageCases = [
+  {
+    name: 'Images get a srcset per format, one rendition per width',
+    run: async () => {
+      const image = await createRepo().getImage(PASTED_HASH);
+      expectEqual(`${image.width}x${image.height}`, '375x500', 'intrinsic size');
+      expectEqual(image.aspectRatio, 0.75, 'aspect ratio');
+      expectEqual(image.srcset, `${mediaUrl('xs', 'jpeg')} 100w, ${mediaUrl('sm', 'jpeg')} 300w, ${mediaUrl('md', 'jpeg')} 375w`, 'srcset');
+      expectEqual(image.type, 'image/jpeg', 'fallback type');
+      expectEqual(image.sources.map(({ type }) => type).join(','), 'image/webp', 'sources');
+      expectEqual(image.sizes, '100vw', 'sizes');
+      expectEqual(image.src, mediaUrl('md', 'jpeg'), 'largest src');
+      expectEqual(image.variants.length, 6, 'variants');
+    },
+  },
+  {
+    name: 'The rendered width and density pick src and the best variant',
+    run: async () => {
+      const repo = createRepo();
+      const small = await repo.getImage(PASTED_HASH, { width: 160, density: 2 });
+      expectEqual(small.src, mediaUrl('md', 'jpeg'), 'src covering 320 pixels');
+      expectEqual(`${small.best.format} ${small.best.width}`, 'webp 375', 'best variant');
+      expectEqual(small.sizes, '(max-width: 160px) 100vw, 160px', 'sizes');
+
+      const webpOnly = await repo.getImage(PASTED_HASH, { width: 90, formats: ['webp'], baseUrl: 'https://cdn.example.com/' });
+      expectEqual(webpOnly.src, `https://cdn.example.com${mediaUrl('xs', 'webp')}`, 'src with base URL');
+      expectEqual(webpOnly.sources.length, 0, 'no other sources');
+    },
+  },
+  {
+    name: 'Images are found by vault path, embed or media URL',
+    run: async () => {
+      const repo = createRepo();
+      for (const reference of [PASTED_PATH, `![[${PASTED_PATH}|300]]`, encodeURI(`/${PASTED_PATH}`), mediaUrl('sm', 'webp')]) {
+        expectEqual((await repo.getImage(reference))?.hash, PASTED_HASH, reference);
+      }
+      expectEqual((await repo.getImage('projects/cats/pexels-kerber-774731.jpg')).fileName, 'pexels-kerber-774731.jpg', 'nested path');
+      expectEqual(await repo.getImage('missing.png'), null, 'unknown media');
+    },
+  },
+];
+
+const lookupCases = [
+  {
+    name: 'Media are found by hash with their URL',
+    run: async () => {
+      const repo = createRepo();
+      const media = await repo.getMediaByHash(PASTED_HASH);
+      expectEqual(media.hash, PASTED_HASH, 'hash');
+      expectEqual(media.originalPath, PASTED_PATH, 'original path');
+      expectEqual(media.url, mediaUrl('md', 'webp'), 'URL');
+      expectEqual(await repo.getMediaByHash('0'.repeat(64)), null, 'unknown hash');
+    },
+  },
+  {
+    name: 'Vault paths fall back to unique file names',
+    run: async () => {
+      const repo = createRepo();
+      expectEqual((await repo.getMediaByPath(`/${KERBER_PATH.toUpperCase()}`))?.hash.slice(0, 8), KERBER_HASH, 'case-insensitive path');
+      expectEqual((await repo.getMediaByPath('Cats/pexels-kerber-774731.jpg'))?.hash.slice(0, 8), KERBER_HASH, 'file name');
+      expectEqual((await repo.getMediaByPath(`${PASTED_HASH}.png`))?.hash, PASTED_HASH, 'hash path');
+
+      const duplicated = createRepoWithDuplicateName();
+      expectEqual(await duplicated.getMediaByPath('pexels-kerber-774731.jpg'), null, 'ambiguous file name');
+      expectEqual((await duplicated.getMediaByPath(KERBER_PATH))?.hash.slice(0, 8), KERBER_HASH, 'full path');
+    },
+  },
+  {
+    name: 'Media of a post come from the graph in post order',
+    run: async () => {
+      const repo = createRepo();
+      const media = await repo.getMediaForPost('about');
+      expectEqual(
+        media.map(({ originalPath }) => originalPath).join(','),
+        'projects/landscape/pexels-life-of-pix-7919.jpg,projects/cats/pexels-pixabay-104827.jpg,projects/landscape/pexels-aronvisuals-1743165.jpg',
+        'media'
+      );
+      expectEqual(media[0].edgeType, 'POST_USE_IMAGE', 'edge type');
+      expectEqual((await repo.getMediaForPost('index')).length, 0, 'post without media');
+    },
+  },
+  {
+    name: 'Posts using a media are found by hash, path or URL',
+    run: async () => {
+      const repo = createRepo();
+      const slugs = async (reference) => (await repo.getPostsUsingMedia(reference)).map((post) => post.slug).join(',');
+      expectEqual(await slugs(KERBER_PATH), 'cats', 'by path');
+      expectEqual(await slugs(PASTED_HASH), 'portraits', 'by hash');
+      expectEqual(await slugs(mediaUrl('sm', 'webp')), 'portraits', 'by URL');
+      expectEqual(await slugs('missing.png'), '', 'unknown media');
+    },
+  },
+];
+
+const groups = [
+  ['images', imageCases],
+  ['lookups', lookupCases],
+];
+
+async function main() {
+  console.log(`${colors.bold}Running media tests...${colors.reset}\n`);
+
+  let failures = 0;
+  let total = 0;
+
+  for (const [group, cases] of groups) {
+    for (const testCase of cases) {
+      total++;
+      const label = `[${group}] ${testCase.name}`;
+      try {
+        await testCase.run();
+        console.log(`${colors.green}✅ ${label}${colors.reset}`);
+      } catch (error) {
+        failures++;
+        console.log(`${colors.red}❌ ${label}: ${error.message}${colors.reset}`);
+      }
+    }
+  }
+
+  console.log();
+  if (failures) {
+    console.log(`${colors.red}${colors.bold}❌ ${failures}/${total} media tests failed${colors.reset}`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold}🎉 All ${total} media tests passed${colors.reset}`);
+  process.exit(0);
+}
+
+main();
@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+
+/**
+ * Post services test suite
+ * Runs the post services (taxonomy, queries, posts index, link graph...) over small in-memory sets of posts,
+ * and RepoMD clients over the sample dist folder
+ */
+
+import { RepoMD, createFsStorage } from './src/lib/index.js';
+import { createPostTaxonomy } from './src/lib/posts/taxonomy.js';
+import { matchesWhere, sortPosts } from './src/lib/posts/query.js';
+import { createLinkGraph } from './src/lib/graph/index.js';
+import { colors, expectEqual, expectRejects } from './test-helpers.js';
+
+const SAMPLE_DIST = new URL('./src/sample_dist_folder/', import.meta.url);
+
+// Posts with tags in every supported shape (arrays, comma-separated strings, "#" prefixes, mixed case)
+const POSTS = [
+  { slug: 'alpha', title: 'Alpha', date: '2025-01-01', frontmatter: { tags: ['JavaScript', 'web'], categories: 'guides' } },
+  { slug: 'beta', title: 'Beta', date: '2025-03-01', frontmatter: { tags: '#javascript, node' } },
+  { slug: 'gamma', title: 'Gamma', date: '2025-02-01', tags: ['web', 'css'], frontmatter: { categories: ['Guides', 'news'] } },
+  { slug: 'delta', title: 'Delta', frontmatter: {} },
+];
+
+// Linked posts: alpha -> beta -> gamma, epsilon -> alpha (graph.json edge), delta is an orphan
+const LINKED_POSTS = [
+  { hash: 'h-alpha', slug: 'alpha', links: ['beta', '/Notes/Gamma.md#intro', 'https://example.com', 'missing-note'] },
+  { hash: 'h-beta', slug: 'beta', links: [{ slug: 'gamma' }] },
+  { hash: 'h-gamma', slug: 'gamma', fileName: 'notes/gamma.md', links: ['gamma'] },
+  { hash: 'h-delta', slug: 'delta', links: [] },
+  { hash: 'h-epsilon', slug: 'epsilon', links: [] },
+];
+const LINKED_GRAPH = {
+  nodes: [
+    { id: 'h-alpha', type: 'post', label: 'alpha' },
+    { id: 'h-gone', type: 'post', label: 'gone' },
+    { id: 'm-photo', type: 'media', label: 'photo.jpg' },
+  ],
+  edges: [
+    { source: 'h-epsilon', target: 'h-alpha', type: 'POST_LINKS_TO_POST' },
+    { source: 'h-alpha', target: 'm-photo', type: 'POST_USE_IMAGE' },
+    { source: 'h-gone', target: 'h-alpha', type: 'POST_LINKS_TO_POST' },
+  ],
+};
+
+// Read-only client over the sample dist folder
+const createRepo = () => new RepoMD({ storage: createFsStorage({ root: SAMPLE_DIST.href }) });
+
+/**
+ * Client over the sample dist folder that also publishes a posts-index.json, recording the files it reads
+ * @returns {{ repo: RepoMD, reads: Array<string> }} - Client and read paths
+ */
+function createIndexedRepo() {
+  const storage = createFsStorage({ root: SAMPLE_DIST.href });
+  const reads = [];
+  const repo = new RepoMD({
+    storage: {
+      ...storage,
+      readJson: async (path, opts) => {
+        reads.push(path);
+        if (path !== '/posts-index.json') return await storage.readJson(path, opts);
+        const posts = await storage.readJson('/posts.json', opts);
+        return posts.map(({ slug, title, hash, frontmatter }) => ({ slug, title, hash, frontmatter }));
+      },
+      readSharedJson: async (path, opts) => {
+        reads.push(`/_shared${path}`);
+        return await storage.readSharedJson(path, opts);
+      },
+    },
+  });
+  return { repo, reads };
+}
+
+const slugs = (posts) => posts.map((post) => post.slug).join(',');
+const counts = (terms, key = 'tag') => terms.map((term) => `${term[key]}:${term.count}`).join(',');
+
+const taxonomyCases = [
+  {
+    name: 'Tags are merged case-insensitively and counted',
+    run: async () => {
+      const taxonomy = createPostTaxonomy({ getAllPosts: async () => POSTS });
+      expectEqual(counts(await taxonomy.getAllTags()), 'JavaScript:2,web:2,css:1,node:1', 'by count');
+      expectEqual(counts(await taxonomy.getAllTags('name')), 'css:1,JavaScript:2,node:1,web:2', 'by name');
+    },
+  },
+  {
+    name: 'Posts of a tag are sorted and paginated',
+    run: async () => {
+      const taxonomy = createPostTaxonomy({ getAllPosts: async () => POSTS });
+      expectEqual(slugs(await taxonomy.getPostsByTag('#JAVASCRIPT')), 'beta,alpha', 'newest first');
+      expectEqual(slugs(await taxonomy.getPostsByTag('web', { order: 'asc' })), 'alpha,gamma', 'oldest first');
+      expectEqual(slugs(await taxonomy.getPostsByTag('web', { sort: 'title', order: 'desc' })), 'gamma,alpha', 'by title');
+      expectEqual(slugs(await taxonomy.getPostsByTag('web', { limit: 1, offset: 1 })), 'alpha', 'page');
+      expectEqual((await taxonomy.getPostsByTag('missing')).length, 0, 'unknown tag');
+      await expectRejects(() => taxonomy.getPostsByTag(''), /Tag is required/, 'empty tag');
+    },
+  },
+  {
+    name: 'Related tags are counted by shared posts',
+    run: async () => {
+      const taxonomy = createPostTaxonomy({ getAllPosts: async () => POSTS });
+      expectEqual(counts(await taxonomy.getRelatedTags('web')), 'css:1,JavaScript:1', 'related');
+      expectEqual(counts(await taxonomy.getRelatedTags('web', 1)), 'css:1', 'limit');
+    },
+  },
+  {
+    name: 'Other taxonomies are read from frontmatter',
+    run: async () => {
+      const taxonomy = createPostTaxonomy({ getAllPosts: async () => POSTS });
+      expectEqual(counts(await taxonomy.getTaxonomyTerms('categories'), 'term'), 'guides:2,news:1', 'terms');
+      expectEqual(slugs(await taxonomy.getPostsByTaxonomy('categories', 'GUIDES')), 'gamma,alpha', 'posts');
+      await expectRejects(() => taxonomy.getPostsByTaxonomy('categories', ''), /term is required/, 'empty term');
+    },
+  },
+  {
+    name: 'Tags come from the database tag tables when they have rows',
+    run: async () => {
+      const rows = [{ tag: 'sql-only', slug: 'delta' }, { tag: 'sql-only', slug: 'unknown-post' }];
+      const taxonomy = createPostTaxonomy({ getAllPosts: async () => POSTS, sql: async () => rows });
+      expectEqual(counts(await taxonomy.getAllTags()), 'sql-only:1', 'database tags');
+      // Other taxonomies never query the database
+      expectEqual(counts(await taxonomy.getTaxonomyTerms('categories'), 'term'), 'guides:2,news:1', 'categories');
+    },
+  },
+  {
+    name: 'Empty tag tables fall back to frontmatter, database errors are thrown',
+    run: async () => {
+      const empty = createPostTaxonomy({ getAllPosts: async () => POSTS, sql: async () => [] });
+      expectEqual((await empty.getAllTags()).length, 4, 'empty tables');
+
+      const failing = createPostTaxonomy({
+        getAllPosts: async () => POSTS,
+        sql: async () => {
+          throw new Error('SQL queries are unavailable while the visibility policy hides posts');
+        },
+      });
+      await expectRejects(() => failing.getAllTags(), /visibility policy hides posts/, 'access check');
+    },
+  },
+  {
+    name: 'The index is rebuilt when the posts change',
+    run: async () => {
+      let posts = POSTS;
+      const taxonomy = createPostTaxonomy({ getAllPosts: async () => posts });
+      expectEqual((await taxonomy.getAllTags()).length, 4, 'before');
+      posts = [...POSTS, { slug: 'epsilon', frontmatter: { tags: ['rust'] } }];
+      expectEqual((await taxonomy.getAllTags()).length, 5, 'after');
+    },
+  },
+];
+
+const queryCases = [
+  {
+    name: 'Where clauses compare numbers, dates and frontmatter fields',
+    run: async () => {
+      const post = { wordCount: 300, date: '2025-03-01', tags: ['Web', 'css'], frontmatter: { author: { name: 'Ada' } } };
+      expectEqual(matchesWhere(post, { wordCount: { gte: 300, lt: 301 } }), true, 'range');
+      expectEqual(matchesWhere(post, { date: { gt: '2025-02-15T00:00:00Z' } }), true, 'date');
+      expectEqual(matchesWhere(post, { tags: 'web' }), true, 'array item, case-insensitive');
+      expectEqual(matchesWhere(post, { tags: { nin: ['css'] } }), false, 'nin');
+      expectEqual(matchesWhere(post, { 'author.name': { contains: 'ad' } }), true, 'frontmatter dot path');
+      expectEqual(matchesWhere(post, { draft: { exists: false }, tags: ['rust', 'css'] }), true, 'exists and in');
+    },
+  },
+  {
+    name: 'Posts are sorted by several keys, missing values last',
+    run: async () => {
+      const posts = [
+        { slug: 'a', rank: 2, title: 'B' },
+        { slug: 'b', title: 'A' },
+        { slug: 'c', rank: 2, title: 'A' },
+        { slug: 'd', rank: 5, title: 'Z' },
+      ];
+      expectEqual(slugs(sortPosts(posts, ['-rank', 'title'])), 'd,c,a,b', 'desc then asc');
+      expectEqual(slugs(sortPosts(posts, { field: 'rank', order: 'asc' })), 'a,c,d,b', 'object key');
+      expectEqual(slugs(sortPosts(posts, null)), 'a,b,c,d', 'no sort');
+    },
+  },
+  {
+    name: 'queryPosts filters, sorts and projects posts',
+    run: async () => {
+      const repo = createRepo();
+      const result = await repo.queryPosts({
+        where: { wordCount: { gte: 200 } },
+        sort: '-wordCount',
+        fields: ['slug', 'wordCount'],
+      });
+      expectEqual(slugs(result.posts), 'index,about,landscape', 'posts');
+      expectEqual(result.total, 3, 'total');
+      expectEqual(Object.keys(result.posts[0]).join(','), 'slug,wordCount', 'fields');
+
+      const byName = await repo.queryPosts({ where: { name: { contains: 'emma' } }, sort: 'slug' });
+      expectEqual(slugs(byName.posts), 'about,contact,index', 'frontmatter fallback');
+    },
+  },
+  {
+    name: 'queryPosts pages by offset and cursor',
+    run: async () => {
+      const repo = createRepo();
+      const first = await repo.queryPosts({ sort: 'slug', limit: 4 });
+      expectEqual(slugs(first.posts), 'about,cats,contact,index', 'first page');
+      expectEqual(`${first.page}/${first.pages} ${first.hasMore}`, '1/2 true', 'first page info');
+
+      const second = await repo.queryPosts({ sort: 'slug', limit: 4, cursor: first.nextCursor });
+      expectEqual(slugs(second.posts), 'landscape,portraits', 'cursor page');
+      expectEqual(`${second.page}/${second.pages} ${second.hasMore} ${second.nextCursor}`, '2/2 false null', 'last page info');
+
+      const byOffset = await repo.queryPosts({ sort: 'slug', limit: 2, offset: 2 });
+      expectEqual(slugs(byOffset.posts), 'contact,index', 'offset page');
+
+      await expectRejects(() => repo.queryPosts({ cursor: 'not a cursor' }), /Invalid pagination cursor/, 'bad cursor');
+    },
+  },
+];
+
+const indexCases = [
+  {
+    name: 'The published posts index is read without posts.json',
+    run: async () => {
+      const { repo, reads } = createIndexedRepo();
+      const index = await repo.getPostsIndex();
+      expectEqual(index.length, 6, 'entries');
+      expectEqual('html' in index[0], false, 'entry html');
+      expectEqual(reads.includes('/posts.json'), false, 'posts.json read');
+      expectEqual(repo.stats.posts.allPostsLoaded, false, 'allPostsLoaded');
+    },
+  },
+  {
+    name: 'Index entries hydrate from their own post files',
+    run: async () => {
+      const { repo, reads } = createIndexedRepo();
+      const [first, second] = await repo.getPostsIndex();
+      const post = await repo.hydratePost(first);
+      expectEqual(post.slug, first.slug, 'post slug');
+      expectEqual(typeof post.html, 'string', 'post html');
+      expectEqual(reads.includes(`/_shared/posts/${first.hash}.json`), true, 'post file read');
+
+      expectEqual(slugs(await repo.hydratePosts([second, first])), `${second.slug},${first.slug}`, 'order');
+      expectEqual(reads.includes('/posts.json'), false, 'posts.json read');
+
+      // Unknown entries fall back to the regular lookups, then are dropped
+      expectEqual(slugs(await repo.hydratePosts([{ hash: 'f'.repeat(64) }, first])), first.slug, 'missing entry');
+      await expectRejects(() => repo.hydratePost({}), /hash or slug is required/, 'empty entry');
+
+      // Slugs are encoded in the slug file path
+      await repo.hydratePost({ slug: 'a?b#c%d' });
+      expectEqual(reads.includes('/_posts/slug/a%3Fb%23c%25d.json'), true, 'encoded slug file read');
+    },
+  },
+  {
+    name: 'Without a published index, entries are derived from posts.json',
+    run: async () => {
+      const repo = createRepo();
+      const entry = (await repo.getPostsIndex()).find((item) => item.slug === 'cats');
+      expectEqual(Object.keys(entry).join(','), 'slug,title,date,excerpt,tags,hash,frontmatter', 'entry fields');
+      expectEqual(entry.excerpt.length > 0, true, 'excerpt from the first paragraph');
+    },
+  },
+  {
+    name: 'queryPosts on the index hydrates only the page',
+    run: async () => {
+      const { repo, reads } = createIndexedRepo();
+      const result = await repo.queryPosts({ source: 'index', hydrate: true, sort: 'slug', limit: 2 });
+      expectEqual(slugs(result.posts), 'about,cats', 'posts');
+      expectEqual(result.posts.every((post) => typeof post.html === 'string'), true, 'hydrated');
+      expectEqual(reads.filter((path) => path.startsWith('/_shared/posts/')).length, 2, 'post files read');
+      expectEqual(reads.includes('/posts.json'), false, 'posts.json read');
+    },
+  },
+];
+
+const createTestLinkGraph = () =>
+  createLinkGraph({ getGraph: async () => LINKED_GRAPH, getAllPosts: async () => LINKED_POSTS });
+
+const graphCases = [
+  {
+    name: 'Backlinks and outgoing links merge post links and graph.json edges',
+    run: async () => {
+      const graph = createTestLinkGraph();
+      expectEqual(slugs(await graph.getOutgoingLinks('alpha')), 'beta,gamma', 'outgoing, normalized targets');
+      expectEqual(slugs(await graph.getBacklinks('h-alpha')), 'epsilon', 'backlinks, unknown posts dropped');
+      expectEqual(slugs(await graph.getBacklinks('notes/gamma.md')), 'alpha,beta', 'by file name');
+      expectEqual(slugs(await graph.getOutgoingLinks('gamma')), '', 'self links ignored');
+      await expectRejects(() => graph.getBacklinks('nope'), /Post not found in the link graph/, 'unknown post');
+    },
+  },
+  {
+    name: 'Dead links and orphan posts are reported',
+    run: async () => {
+      const graph = createTestLinkGraph();
+      const deadLinks = await graph.getDeadLinks();
+      expectEqual(deadLinks.map(({ source, target }) => `${source.slug}>${target}`).join(','), 'alpha>missing-note', 'dead links');
+      expectEqual(slugs(await graph.getOrphanPosts()), 'delta', 'orphans');
+    },
+  },
+  {
+    name: 'Neighbors are traversed by depth, direction and edge type',
+    run: async () => {
+      const graph = createTestLinkGraph();
+      const ids = ({ nodes }) => nodes.map(({ id, depth }) => `${id}@${depth}`).join(',');
+      expectEqual(ids(await graph.getNeighbors('beta')), 'h-beta@0,h-gamma@1,h-alpha@1', 'depth 1');
+      expectEqual(
+        ids(await graph.getNeighbors('beta', { depth: 2, direction: 'incoming' })),
+        'h-beta@0,h-alpha@1,h-epsilon@2',
+        'incoming depth 2'
+      );
+      const posts = await graph.getNeighbors('alpha', { edgeTypes: ['POST_LINK'] });
+      expectEqual(posts.edges.every(({ type }) => type === 'POST_LINK'), true, 'edge types');
+      expectEqual(posts.nodes.some(({ id }) => id === 'm-photo'), false, 'media left out');
+    },
+  },
+  {
+    name: 'Shortest paths follow links, in both directions unless directed',
+    run: async () => {
+      const graph = createTestLinkGraph();
+      expectEqual(slugs(await graph.getShortestPath('epsilon', 'gamma')), 'epsilon,alpha,gamma', 'shortest');
+      expectEqual(slugs(await graph.getShortestPath('gamma', 'epsilon')), 'gamma,alpha,epsilon', 'undirected');
+      expectEqual(await graph.getShortestPath('gamma', 'epsilon', { directed: true }), null, 'directed');
+      expectEqual(await graph.getShortestPath('alpha', 'delta'), null, 'not connected');
+    },
+  },
+  {
+    name: 'Media usage comes from graph.json edges',
+    run: async () => {
+      const graph = createTestLinkGraph();
+      const media = await graph.getUsedMedia('alpha');
+      expectEqual(media.map(({ id, edgeType }) => `${id}:${edgeType}`).join(','), 'm-photo:POST_USE_IMAGE', 'used media');
+      expectEqual(slugs(await graph.getPostsUsingMedia('m-photo')), 'alpha', 'posts using media');
+      expectEqual((await graph.getPostsUsingMedia('h-beta')).length, 0, 'not a media');
+    },
+  },
+];
+
+const groups = [
+  ['taxonomy', taxonomyCases],
+  ['query', queryCases],
+  ['index', indexCases],
+  ['graph', graphCases],
+];
+
+async function main() {
+  console.log(`${colors.bold}Running post tests...${colors.reset}\n`);
+
+  let failures = 0;
+  let total = 0;
+
+  for (const [group, cases] of groups) {
+    for (const testCase of cases) {
+      total++;
+      const label = `[${group}] ${testCase.name}`;
+      try {
+        await testCase.run();
+        console.log(`${colors.green}✅ ${label}${colors.reset}`);
+      } catch (error) {
+        failures++;
+        console.log(`${colors.red}❌ ${label}: ${error.message}${colors.reset}`);
+      }
+    }
+  }
+
+  console.log();
+  if (failures) {
+    console.log(`${colors.red}${colors.bold}❌ ${failures}/${total} post tests failed${colors.reset}`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold}🎉 All ${total} post tests passed${colors.reset}`);
+  process.exit(0);
+}
+
+main();
@@ -0,0 +1,319 @@
+#!/usr/bin/env node
+
+/**
+ * Revision test suite
+ * Runs a RepoMD client on "latest" against a local stub of the repo.md API and static storage,
+ * publishes new revisions and checks the revision events, the purge of the old revision's caches
+ * and the revision diff
+ */
+
+import { createServer } from 'http';
+import { RepoMD } from './src/lib/index.js';
+import { diffFiles, diffPosts } from './src/lib/revisions/diff.js';
+import { colors, expectEqual, wait } from './test-helpers.js';
+
+const PROJECT_ID = 'test-project';
+
+// Revision files served by the stub storage, by revision
+const REVISIONS = {
+  r1: {
+    '/posts.json': [{ hash: 'h1', slug: 'hello', title: 'Hello from r1' }],
+  },
+  r2: {
+    '/posts.json': [{ hash: 'h2', slug: 'hello', title: 'Hello from r2' }],
+  },
+};
+
+// Revision returned by the stub API
+let latestRev = 'r1';
+
+/**
+ * Start the stub origin
+ * - /api/project-id/:id/rev returns the latest revision
+ * - /projects/:id/:rev/* serves the files of REVISIONS
+ * @returns {Promise<import('http').Server>} - Listening server
+ */
+function startOrigin() {
+  const server = createServer((req, res) => {
+    if (req.url === `/api/project-id/${PROJECT_ID}/rev`) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, data: latestRev }));
+      return;
+    }
+
+    const match = new RegExp(`^/projects/${PROJECT_ID}/([^/]+)(/.*)$`).exec(req.url);
+    const file = match && REVISIONS[match[1]]?.[match[2]];
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(file));
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+const slugs = (posts) => posts.map((post) => post.slug).join(',');
+
+/**
+ * Create a client on "latest" whose cached revision expires after 50ms
+ * @param {string} baseUrl - Base URL of the stub origin
+ * @returns {Promise<{ repo: RepoMD, events: Array }>} - Client resolved to r1, and the events it emits
+ */
+async function createLatestClient(baseUrl) {
+  latestRev = 'r1';
+  const repo = new RepoMD({
+    projectId: PROJECT_ID,
+    rev: 'latest',
+    staticBaseUrl: baseUrl,
+    apiBaseUrl: `${baseUrl}/api`,
+    revCacheExpirySeconds: 0.05,
+  });
+  const events = [];
+  repo.on('revision', (event) => events.push(event));
+  await repo.getAllPosts();
+  return { repo, events };
+}
+
+/**
+ * Wait until the client emitted a "revision" event
+ * @param {Array} events - Events emitted by the client
+ * @returns {Promise<void>}
+ */
+async function waitForEvent(events) {
+  for (let attempt = 0; attempt < 100 && !events.length; attempt++) {
+    await wait(10);
+  }
+}
+
+const cases = [
+  {
+    name: 'Stale-while-revalidate of "latest" emits a revision event',
+    run: async (baseUrl) => {
+      const { repo, events } = await createLatestClient(baseUrl);
+      expectEqual(repo.activeRev, 'r1', 'active revision');
+
+      latestRev = 'r2';
+      await wait(60);
+      // Expired: served from r1 while r2 is resolved in the background
+      await repo.urls.getRevisionUrl('/posts.json');
+      await waitForEvent(events);
+
+      expectEqual(events.length, 1, 'events');
+      expectEqual(events[0].rev, 'r2', 'event rev');
+      expectEqual(events[0].previousRev, 'r1', 'event previousRev');
+      expectEqual(repo.activeRev, 'r2', 'active revision');
+    },
+  },
+  {
+    name: 'Revalidation purges the posts of the old revision',
+    run: async (baseUrl) => {
+      const { repo, events } = await createLatestClient(baseUrl);
+      expectEqual((await repo.getAllPosts())[0].title, 'Hello from r1', 'title before');
+
+      latestRev = 'r2';
+      await wait(60);
+      await repo.urls.getRevisionUrl('/posts.json');
+      await waitForEvent(events);
+
+      expectEqual(events[0].purged.urls > 0, true, 'purged URLs');
+      expectEqual((await repo.getAllPosts())[0].title, 'Hello from r2', 'title after');
+    },
+  },
+  {
+    name: 'checkForNewRevision after a revalidation finds nothing new',
+    run: async (baseUrl) => {
+      const { repo, events } = await createLatestClient(baseUrl);
+
+      latestRev = 'r2';
+      await wait(60);
+      await repo.urls.getRevisionUrl('/posts.json');
+      await waitForEvent(events);
+
+      expectEqual(await repo.checkForNewRevision(), null, 'check result');
+      expectEqual(events.length, 1, 'events');
+      expectEqual((await repo.getAllPosts())[0].title, 'Hello from r2', 'title');
+    },
+  },
+  {
+    name: 'checkForNewRevision emits the event and purges',
+    run: async (baseUrl) => {
+      const { repo, events } = await createLatestClient(baseUrl);
+
+      latestRev = 'r2';
+      const event = await repo.checkForNewRevision();
+
+      expectEqual(event?.rev, 'r2', 'event rev');
+      expectEqual(events.length, 1, 'events');
+      expectEqual((await repo.getAllPosts())[0].title, 'Hello from r2', 'title');
+    },
+  },
+  {
+    name: 'The revision event diffs both revisions on demand',
+    run: async (baseUrl) => {
+      const { repo, events } = await createLatestClient(baseUrl);
+
+      latestRev = 'r2';
+      await repo.checkForNewRevision();
+
+      const [event] = events;
+      const diff = await event.changes();
+      expectEqual(`${diff.from}>${diff.to}`, 'r1>r2', 'revisions');
+      expectEqual(diff.posts.modified[0]?.changedFields.join(','), 'title', 'changed fields');
+      expectEqual(diff.media.added.length + diff.media.removed.length, 0, 'media changes');
+      expectEqual(event.changes(), event.changes(), 'memoized diff');
+    },
+  },
+  {
+    name: 'Pinned clients never report a new revision',
+    run: async (baseUrl) => {
+      latestRev = 'r2';
+      const repo = new RepoMD({
+        projectId: PROJECT_ID,
+        rev: 'r1',
+        staticBaseUrl: baseUrl,
+        apiBaseUrl: `${baseUrl}/api`,
+      });
+      expectEqual(await repo.checkForNewRevision(), null, 'check result');
+      expectEqual((await repo.getAllPosts())[0].title, 'Hello from r1', 'title');
+    },
+  },
+];
+
+// Posts of an old revision, compared with edited copies by the diff cases
+const OLD_POSTS = [
+  { hash: 'a1', slug: 'alpha', title: 'Alpha', originalFilePath: 'notes/alpha.md' },
+  { hash: 'b1', slug: 'beta', title: 'Beta', originalFilePath: 'notes/beta.md' },
+  { hash: 'c1', slug: 'gamma', title: 'Gamma', originalFilePath: 'notes/gamma.md' },
+];
+
+const diffCases = [
+  {
+    name: 'A new slug with the same content is a rename only',
+    run: async () => {
+      const diff = diffPosts(OLD_POSTS, [{ ...OLD_POSTS[0], slug: 'alpha-2' }, OLD_POSTS[1], OLD_POSTS[2]]);
+      expectEqual(diff.renamed.map((post) => `${post.previousSlug}>${post.slug}`).join(','), 'alpha>alpha-2', 'renamed');
+      expectEqual(diff.modified.length + diff.added.length + diff.removed.length, 0, 'other changes');
+    },
+  },
+  {
+    name: 'Renamed and edited posts are matched by source file',
+    run: async () => {
+      const edited = { hash: 'b2', slug: 'beta-renamed', title: 'Beta, edited', originalFilePath: 'notes/beta.md' };
+      const diff = diffPosts(OLD_POSTS, [OLD_POSTS[0], edited, OLD_POSTS[2]]);
+      expectEqual(slugs(diff.renamed), 'beta-renamed', 'renamed');
+      expectEqual(diff.modified[0]?.previousHash, 'b1', 'previous hash');
+      expectEqual(diff.modified[0]?.changedFields.join(','), 'slug,title', 'changed fields');
+      expectEqual(diff.added.length + diff.removed.length, 0, 'added or removed');
+    },
+  },
+  {
+    name: 'Moved files keep their post, by hash first then by slug',
+    run: async () => {
+      const moved = { ...OLD_POSTS[0], originalFilePath: 'archive/alpha.md' };
+      const rewritten = { hash: 'c2', slug: 'gamma', title: 'Gamma', originalFilePath: 'archive/gamma.md' };
+      const diff = diffPosts(OLD_POSTS, [moved, OLD_POSTS[1], rewritten]);
+      expectEqual(diff.modified.map((post) => `${post.slug}:${post.changedFields.join('+')}`).join(','), 'alpha:originalFilePath,gamma:originalFilePath', 'modified');
+      expectEqual(diff.renamed.length + diff.added.length + diff.removed.length, 0, 'other changes');
+    },
+  },
+  {
+    name: 'Unmatched posts are added or removed',
+    run: async () => {
+      const diff = diffPosts(OLD_POSTS, [OLD_POSTS[0], { hash: 'd1', slug: 'delta', originalFilePath: 'notes/delta.md' }]);
+      expectEqual(slugs(diff.added), 'delta', 'added');
+      expectEqual(slugs(diff.removed), 'beta,gamma', 'removed');
+    },
+  },
+  {
+    name: 'Source files are compared by path',
+    run: async () => {
+      const diff = diffFiles(
+        [{ path: 'a.md', size: 1 }, { path: 'b.md', size: 2 }],
+        [{ path: 'a.md', size: 3 }, { path: 'c.md', size: 4 }]
+      );
+      expectEqual(diff.modified.map((file) => `${file.path}:${file.previous.size}>${file.size}`).join(','), 'a.md:1>3', 'modified');
+      expectEqual(`${diff.added[0]?.path} ${diff.removed[0]?.path}`, 'c.md b.md', 'added and removed');
+    },
+  },
+];
+
+// Cases run against the stub origin
+const diffClientCases = [
+  {
+    name: 'diffRevisions compares two published revisions',
+    run: async (baseUrl) => {
+      latestRev = 'r2';
+      const repo = new RepoMD({
+        projectId: PROJECT_ID,
+        rev: 'latest',
+        staticBaseUrl: baseUrl,
+        apiBaseUrl: `${baseUrl}/api`,
+      });
+      const diff = await repo.diffRevisions('r1');
+      expectEqual(`${diff.from}>${diff.to}`, 'r1>r2', 'revisions');
+      expectEqual(diff.posts.modified[0]?.changedFields.join(','), 'title', 'changed fields');
+      expectEqual(diff.summary.posts, 1, 'changed posts');
+      expectEqual(diff.summary.files, 0, 'changed files');
+    },
+  },
+  {
+    name: 'diffRevisions rejects revisions without posts.json',
+    run: async (baseUrl) => {
+      const repo = new RepoMD({ projectId: PROJECT_ID, rev: 'r1', staticBaseUrl: baseUrl, apiBaseUrl: `${baseUrl}/api` });
+      let message = null;
+      try {
+        await repo.diffRevisions('r0', 'r1');
+      } catch (error) {
+        message = error.message;
+      }
+      expectEqual(/not found.*r0\/posts\.json/i.test(message || ''), true, `error message "${message}"`);
+    },
+  },
+];
+
+async function main() {
+  console.log(`${colors.bold}Running revision tests...${colors.reset}\n`);
+
+  const origin = await startOrigin();
+  const baseUrl = `http://127.0.0.1:${origin.address().port}`;
+  let failures = 0;
+  let total = 0;
+
+  const run = async (name, testCase) => {
+    total++;
+    try {
+      await testCase();
+      console.log(`${colors.green}✅ ${name}${colors.reset}`);
+    } catch (error) {
+      failures++;
+      console.log(`${colors.red}❌ ${name}: ${error.message}${colors.reset}`);
+    }
+  };
+
+  try {
+    for (const testCase of cases) {
+      await run(`[events] ${testCase.name}`, () => testCase.run(baseUrl));
+    }
+    for (const testCase of diffCases) {
+      await run(`[diff] ${testCase.name}`, testCase.run);
+    }
+    for (const testCase of diffClientCases) {
+      await run(`[diff] ${testCase.name}`, () => testCase.run(baseUrl));
+    }
+  } finally {
+    origin.close();
+  }
+
+  console.log();
+  if (failures) {
+    console.log(`${colors.red}${colors.bold}❌ ${failures}/${total} revision tests failed${colors.reset}`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold}🎉 All ${total} revision tests passed${colors.reset}`);
+  process.exit(0);
+}
+
+main();
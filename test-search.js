@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+
+/**
+ * Search test suite
+ * Runs keyword searches of RepoMD clients over copies of the sample dist folder,
+ * with the index built in memory or read from a prebuilt search-index.json,
+ * then hybrid and faceted searches over small in-memory sets of posts and embeddings
+ */
+
+import { readFile, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { RepoMD, createFsStorage } from './src/lib/index.js';
+import { createPostSearch } from './src/lib/posts/search.js';
+import { colors, createDistFolder, expectEqual, expectRejects, wait } from './test-helpers.js';
+
+// "cats" matches alpha best, then beta; the query embedding [1, 0] matches gamma best, then beta
+const HYBRID_POSTS = [
+  { hash: 'h-alpha', slug: 'alpha', title: 'Cats guide', content: 'Cats and more cats' },
+  { hash: 'h-beta', slug: 'beta', title: 'Pets', content: 'Dogs, birds and cats' },
+  { hash: 'h-gamma', slug: 'gamma', title: 'Felines', content: 'Whiskers and purring' },
+];
+const HYBRID_EMBEDDINGS = { 'h-alpha': [0, 1], 'h-beta': [0.8, 0.6], 'h-gamma': [1, 0] };
+
+// Posts in two folders over three years, tagged cats, dogs, pets and travel
+const FACET_POSTS = [
+  {
+    hash: 'h-home',
+    slug: 'home',
+    title: 'Cats at home',
+    date: '2024-03-01',
+    originalFilePath: 'blog/2024/home.md',
+    tags: ['cats', 'pets'],
+    plain: 'A long introduction about living with animals, then how cats pick a spot & how cats <sleep> all day long.',
+  },
+  { hash: 'h-walks', slug: 'walks', title: 'Dogs outside', date: '2025-01-01', originalFilePath: 'blog/2025/walks.md', tags: ['dogs', 'pets'], plain: 'Long walks.' },
+  { hash: 'h-food', slug: 'food', title: 'Cat food', date: '2025-06-01', originalFilePath: 'notes/food.md', tags: ['cats'], plain: 'What cats eat.' },
+  { hash: 'h-trip', slug: 'trip', title: 'Travel', date: '2023-01-01', originalFilePath: 'notes/trip.md', tags: ['travel'], plain: 'Packing.' },
+];
+
+const slugs = (results) => results.map((result) => result.post.slug).sort().join(',');
+const hasSlug = (results, slug) => results.some((result) => result.post.slug === slug);
+
+/**
+ * Copy the sample dist folder (without its media files), with the posts index of the build
+ * @param {Function} editPosts - Changes the posts before they are written back (optional)
+ * @returns {Promise<string>} - Path of the dist folder
+ */
+async function createIndexedDistFolder(editPosts) {
+  const root = await createDistFolder('repo-md-search-', editPosts);
+
+  const posts = JSON.parse(await readFile(join(root, 'posts.json'), 'utf8'));
+  // Slim posts index of the build, hidden posts included
+  await writeFile(
+    join(root, 'posts-index.json'),
+    JSON.stringify(posts.map(({ slug, title, hash, frontmatter }) => ({ slug, title, hash, frontmatter })))
+  );
+  return root;
+}
+
+/**
+ * Export the search index of a dist folder into its search-index.json, like a build step
+ * @param {string} root - Dist folder
+ * @returns {Promise<Object>} - Exported index
+ */
+async function writePrebuiltIndex(root) {
+  const builder = new RepoMD({ storage: createFsStorage({ root }) });
+  const index = await builder.exportSearchIndex();
+  await writeFile(join(root, 'search-index.json'), JSON.stringify(index));
+  return index;
+}
+
+/**
+ * Search service over the hybrid posts, with a provider embedding every query as [1, 0]
+ * @returns {{ search: Object, queries: Array<string> }} - Search service and embedded queries
+ */
+function createHybridSearch() {
+  const queries = [];
+  const search = createPostSearch({
+    getAllPosts: async () => HYBRID_POSTS,
+    getPostsEmbeddings: async () => HYBRID_EMBEDDINGS,
+    embeddingProvider: {
+      name: 'fixed',
+      computeTextEmbedding: async (text) => {
+        queries.push(text);
+        return { embedding: [1, 0] };
+      },
+    },
+  });
+  return { search, queries };
+}
+
+const hybrid = (search, props = {}) => search.searchPosts({ text: 'cats', props, mode: 'hybrid' });
+const order = (results) => results.map((result) => result.slug).join(',');
+
+const createFacetSearch = () => createPostSearch({ getAllPosts: async () => FACET_POSTS });
+const facetCounts = (values) => values.map(({ value, count }) => `${value}:${count}`).join(',');
+
+const indexCases = [
+  {
+    name: 'Results of a prebuilt index carry the full post',
+    run: async (folders) => {
+      const root = await folders.create();
+      await writePrebuiltIndex(root);
+
+      const repo = new RepoMD({ storage: createFsStorage({ root }) });
+      const results = await repo.searchPosts('feline');
+      expectEqual(slugs(results), 'cats', 'results');
+      expectEqual(typeof results[0].post.html, 'string', 'post html');
+      expectEqual(results[0].post.originalFilePath, 'projects/cats.md', 'post originalFilePath');
+      // The posts were never downloaded, only the post of the result
+      expectEqual(repo.stats.posts.allPostsLoaded, false, 'posts.json loaded');
+    },
+  },
+  {
+    name: 'Results have the same shape whatever the index source',
+    run: async (folders) => {
+      const root = await folders.create();
+      const built = await new RepoMD({ storage: createFsStorage({ root }) }).searchPosts('feline');
+      await writePrebuiltIndex(root);
+      const stored = await new RepoMD({ storage: createFsStorage({ root }) }).searchPosts('feline');
+
+      expectEqual(
+        Object.keys(stored[0].post).sort().join(','),
+        Object.keys(built[0].post).sort().join(','),
+        'post fields'
+      );
+    },
+  },
+  {
+    name: 'Scheduled posts are searchable once their publishAt date passes',
+    run: async (folders) => {
+      const publishAt = new Date(Date.now() + 300).toISOString();
+      const root = await folders.create((posts) => {
+        const landscape = posts.find((post) => post.slug === 'landscape');
+        landscape.frontmatter = { ...landscape.frontmatter, publishAt };
+      });
+      const index = await writePrebuiltIndex(root);
+      expectEqual(index.documentCount, 5, 'prebuilt documents');
+
+      const repo = new RepoMD({ storage: createFsStorage({ root }) });
+      expectEqual(hasSlug(await repo.searchPosts('landscapes'), 'landscape'), false, 'before publishAt');
+
+      await wait(400);
+      expectEqual(hasSlug(await repo.searchPosts('landscapes'), 'landscape'), true, 'after publishAt');
+
+      // A new client skips the stale prebuilt index too
+      const later = new RepoMD({ storage: createFsStorage({ root }) });
+      expectEqual(hasSlug(await later.searchPosts('landscapes'), 'landscape'), true, 'new client');
+    },
+  },
+];
+
+const hybridCases = [
+  {
+    name: 'Reciprocal rank fusion favors posts found by both sides',
+    run: async () => {
+      const results = await hybrid(createHybridSearch().search);
+      expectEqual(order(results).split(',')[0], 'beta', 'first result');
+      expectEqual(order(results).split(',').sort().join(','), 'alpha,beta,gamma', 'results');
+
+      const { score, fusion, components } = results[0];
+      expectEqual(fusion, 'rrf', 'fusion');
+      expectEqual(`${components.keyword.rank} ${components.vector.rank}`, '2 2', 'ranks');
+      expectEqual(components.keyword.contribution, 1 / 62, 'keyword contribution');
+      expectEqual(score, 2 / 62, 'score');
+
+      const gamma = results.find((result) => result.slug === 'gamma');
+      expectEqual(gamma.components.keyword, null, 'no keyword component');
+      expectEqual(gamma.components.vector.similarity, 1, 'similarity');
+    },
+  },
+  {
+    name: 'Weighted fusion adds normalized keyword scores and similarities',
+    run: async () => {
+      const results = await hybrid(createHybridSearch().search, { fusion: 'weighted', weights: { keyword: 0.2 } });
+      expectEqual(order(results), 'gamma,beta,alpha', 'order');
+
+      const [gamma, beta, alpha] = results;
+      expectEqual(gamma.score, 1, 'vector-only score');
+      expectEqual(alpha.score, 0.2, 'keyword-only score');
+      expectEqual(alpha.components.keyword.normalizedScore, 1, 'best keyword score');
+      expectEqual(beta.components.vector.similarity.toFixed(3), '0.800', 'similarity');
+      expectEqual(beta.score, 0.2 * beta.components.keyword.normalizedScore + beta.components.vector.similarity, 'combined score');
+    },
+  },
+  {
+    name: 'A zero weight skips its side, unknown fusions are rejected',
+    run: async () => {
+      const { search, queries } = createHybridSearch();
+      const keywordOnly = await hybrid(search, { weights: { vector: 0 } });
+      expectEqual(order(keywordOnly), 'alpha,beta', 'keyword only');
+      expectEqual(queries.length, 0, 'no query embedding');
+
+      const vectorOnly = await hybrid(search, { weights: { keyword: 0 }, limit: 1 });
+      expectEqual(order(vectorOnly), 'gamma', 'vector only');
+      expectEqual(queries.join(','), 'cats', 'query embedding');
+
+      await expectRejects(() => hybrid(search, { fusion: 'max' }), /Fusion 'max' is not supported/, 'fusion');
+    },
+  },
+  {
+    name: 'Vector candidates are built once per revision',
+    run: async () => {
+      let rev = 'r1';
+      let loads = 0;
+      const search = createPostSearch({
+        getAllPosts: async () => {
+          loads++;
+          return HYBRID_POSTS;
+        },
+        getPostsEmbeddings: async () => HYBRID_EMBEDDINGS,
+        getRevision: async () => rev,
+        embeddingProvider: { name: 'fixed', computeTextEmbedding: async () => ({ embedding: [1, 0] }) },
+      });
+      const vector = () => search.searchPosts({ text: 'cats', mode: 'vector' });
+
+      expectEqual(order(await vector()), order(await vector()), 'same results');
+      expectEqual(loads, 1, 'posts loads');
+      rev = 'r2';
+      await vector();
+      expectEqual(loads, 2, 'posts loads after a new revision');
+    },
+  },
+  {
+    name: 'Failing embedding providers fall back to keyword results',
+    run: async () => {
+      const search = createPostSearch({
+        getAllPosts: async () => HYBRID_POSTS,
+        getPostsEmbeddings: async () => HYBRID_EMBEDDINGS,
+        embeddingProvider: {
+          name: 'offline',
+          computeTextEmbedding: async () => {
+            throw new Error('provider offline');
+          },
+        },
+      });
+      const results = await hybrid(search);
+      expectEqual(order(results), 'alpha,beta', 'keyword results');
+      expectEqual(results.every((result) => result.components.vector === null), true, 'no vector components');
+
+      const withoutProvider = createPostSearch({ getAllPosts: async () => HYBRID_POSTS });
+      expectEqual(order(await hybrid(withoutProvider)), 'alpha,beta', 'results without provider');
+
+      await expectRejects(() => hybrid(search, { weights: { keyword: 0 } }), /provider offline/, 'vector-only search');
+    },
+  },
+];
+
+const facetCases = [
+  {
+    name: 'Facet counts ignore the filter of their own facet',
+    run: async () => {
+      const search = createFacetSearch();
+      const byTag = await search.facetedSearch('', { filters: { tags: 'cats' }, facets: ['tags', 'year', 'folder'] });
+      expectEqual(order(byTag.results), 'food,home', 'results, newest first');
+      expectEqual(facetCounts(byTag.facets.tags), 'cats:2,pets:2,dogs:1,travel:1', 'tags facet');
+      expectEqual(facetCounts(byTag.facets.year), '2024:1,2025:1', 'year facet');
+      expectEqual(facetCounts(byTag.facets.folder), '/blog:1,/blog/2024:1,/notes:1', 'folder facet');
+
+      const byTagAndYear = await search.facetedSearch('', { filters: { tags: 'cats', year: '2025' }, facets: ['tags', 'year'] });
+      expectEqual(order(byTagAndYear.results), 'food', 'results of both filters');
+      expectEqual(facetCounts(byTagAndYear.facets.tags), 'cats:1,dogs:1,pets:1', 'tags of 2025');
+      expectEqual(facetCounts(byTagAndYear.facets.year), '2024:1,2025:1', 'years of cats');
+    },
+  },
+  {
+    name: 'Snippets highlight the matched terms around the densest match',
+    run: async () => {
+      const { results, sort } = await createFacetSearch().facetedSearch('cats', { filters: { folder: '/blog' }, snippetLength: 60 });
+      expectEqual(sort, 'relevance', 'default sort');
+      expectEqual(order(results), 'home', 'results');
+
+      const { snippet } = results[0];
+      expectEqual(snippet.text, 'then how cats pick a spot & how cats <sleep> all day long.', 'text');
+      expectEqual(snippet.html, '…then how <mark>cats</mark> pick a spot &amp; how <mark>cats</mark> &lt;sleep&gt; all day long.', 'html');
+      expectEqual(snippet.matches.map(({ start }) => start).join(','), '9,32', 'offsets');
+      expectEqual(`${snippet.truncatedStart} ${snippet.truncatedEnd}`, 'true false', 'truncation');
+    },
+  },
+  {
+    name: 'Results are sorted, paginated and projected',
+    run: async () => {
+      const page = await createFacetSearch().facetedSearch('', { sort: 'title', limit: 3, page: 2, fields: ['slug'] });
+      expectEqual(order(page.results), 'trip', 'page results');
+      expectEqual(`${page.total} ${page.offset} ${page.page}/${page.pages} ${page.hasMore}`, '4 3 2/2 false', 'pagination');
+      expectEqual(Object.keys(page.results[0].post).join(','), 'slug', 'projected fields');
+
+      const first = await createFacetSearch().facetedSearch('', { sort: '-title', limit: 2 });
+      expectEqual(`${order(first.results)} ${first.hasMore}`, 'trip,walks true', 'first page');
+    },
+  },
+];
+
+const groups = [
+  ['index', indexCases],
+  ['hybrid', hybridCases],
+  ['facets', facetCases],
+];
+
+async function main() {
+  console.log(`${colors.bold}Running search tests...${colors.reset}\n`);
+
+  const roots = [];
+  const folders = {
+    create: async (editPosts) => {
+      const root = await createIndexedDistFolder(editPosts);
+      roots.push(root);
+      return root;
+    },
+  };
+  let failures = 0;
+  let total = 0;
+
+  try {
+    for (const [group, cases] of groups) {
+      for (const testCase of cases) {
+        total++;
+        const label = `[${group}] ${testCase.name}`;
+        try {
+          await testCase.run(folders);
+          console.log(`${colors.green}✅ ${label}${colors.reset}`);
+        } catch (error) {
+          failures++;
+          console.log(`${colors.red}❌ ${label}: ${error.message}${colors.reset}`);
+        }
+      }
+    }
+  } finally {
+    await Promise.all(roots.map((root) => rm(root, { recursive: true, force: true })));
+  }
+
+  console.log();
+  if (failures) {
+    console.log(`${colors.red}${colors.bold}❌ ${failures}/${total} search tests failed${colors.reset}`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold}🎉 All ${total} search tests passed${colors.reset}`);
+  process.exit(0);
+}
+
+main();
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Filesystem storage test suite
+ * Reads a copy of the sample dist folder with createFsStorage, next to files it must never read,
+ * then runs a RepoMD client on the adapter
+ */
+
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { basename, join } from 'path';
+import { pathToFileURL } from 'url';
+import { RepoMD, createFsStorage } from './src/lib/index.js';
+import { colors, createDistFolder, expectEqual, expectRejects } from './test-helpers.js';
+const CATS_HASH = '5246dd012b955b5cc4d6d8ce14f893fb6b878b53db083151525fe1ab061f35ae';
+const SECRET = { secret: 'outside the dist folder' };
+
+/**
+ * Copy the sample dist folder (without its media files) into a parent folder that also holds
+ * a secret.json and a look-alike sibling folder (the dist folder name, suffixed with -secret)
+ * @returns {Promise<{ parent: string, root: string }>} - Paths of the parent and dist folders
+ */
+async function createStorageFolders() {
+  const parent = await mkdtemp(join(tmpdir(), 'repo-md-storage-'));
+  const root = await createDistFolder(join(parent, 'dist-'));
+  await writeFile(join(parent, 'secret.json'), JSON.stringify(SECRET));
+  await mkdir(`${root}-secret`);
+  await writeFile(join(`${root}-secret`, 'posts.json'), JSON.stringify(SECRET));
+  return { parent, root };
+}
+
+const cases = [
+  {
+    name: 'Files are read from the dist folder, by path or file:// URL',
+    run: async ({ root }) => {
+      for (const storage of [createFsStorage({ root }), createFsStorage({ root: pathToFileURL(root).href })]) {
+        expectEqual((await storage.readJson('/posts.json')).length, 6, `${storage.root} posts`);
+      }
+    },
+  },
+  {
+    name: 'Shared folder paths map onto the dist layout',
+    run: async ({ root }) => {
+      const storage = createFsStorage({ root });
+      const post = await storage.readSharedJson(`/posts/${CATS_HASH}.json`);
+      expectEqual(post.slug, 'cats', 'post slug');
+
+      const sqlite = await storage.readBinary('/content.sqlite');
+      expectEqual(new TextDecoder().decode(sqlite.slice(0, 15)), 'SQLite format 3', 'sqlite header');
+    },
+  },
+  {
+    name: 'Paths never escape the dist folder',
+    run: async ({ root }) => {
+      const storage = createFsStorage({ root, useCache: false });
+      const paths = [
+        '../secret.json',
+        '/../secret.json',
+        '/_posts/../../secret.json',
+        `../${basename(root)}-secret/posts.json`,
+        '/../../../../../../etc/hostname',
+      ];
+      for (const path of paths) {
+        await expectRejects(() => storage.readJson(path), /not found \(404\)|outside of the dist folder/, path);
+        await expectRejects(() => storage.readBinary(path), /not found \(404\)|outside of the dist folder/, `binary ${path}`);
+      }
+      // Dot segments inside the folder still work
+      expectEqual((await storage.readJson('/_posts/../posts.json')).length, 6, 'inner dot segments');
+    },
+  },
+  {
+    name: 'Missing files reject like a 404',
+    run: async ({ root }) => {
+      const storage = createFsStorage({ root });
+      await expectRejects(() => storage.readJson('/missing.json'), /Resource not found \(404\)/, 'missing file');
+      await expectRejects(() => storage.readJson('/_posts'), /Resource not found \(404\)/, 'folder');
+    },
+  },
+  {
+    name: 'The revision comes from rev.json and other revisions are refused',
+    run: async ({ root }) => {
+      const storage = createFsStorage({ root });
+      expectEqual(await storage.getRevision(), 'local', 'revision without rev.json');
+
+      await writeFile(join(root, 'rev.json'), JSON.stringify({ rev: 'build-7' }));
+      try {
+        expectEqual(await storage.getRevision(), 'build-7', 'revision');
+        expectEqual((await storage.readRevisionJson('build-7', '/posts.json')).length, 6, 'same revision');
+        await expectRejects(() => storage.readRevisionJson('build-6', '/posts.json'), /only holds revision build-7/, 'other revision');
+      } finally {
+        await rm(join(root, 'rev.json'));
+      }
+    },
+  },
+  {
+    name: 'RepoMD reads posts, post files and the database from the adapter',
+    run: async ({ root }) => {
+      const repo = new RepoMD({ storage: createFsStorage({ root }) });
+      expectEqual((await repo.getPostByHash(CATS_HASH))?.slug, 'cats', 'post by hash');
+      expectEqual((await repo.getAllPosts()).length, 6, 'posts');
+      expectEqual((await repo.sql('SELECT COUNT(*) AS count FROM posts'))[0].count, 6, 'sql');
+    },
+  },
+];
+
+async function main() {
+  console.log(`${colors.bold}Running storage tests...${colors.reset}\n`);
+
+  const folders = await createStorageFolders();
+  let failures = 0;
+
+  try {
+    for (const testCase of cases) {
+      try {
+        await testCase.run(folders);
+        console.log(`${colors.green}✅ ${testCase.name}${colors.reset}`);
+      } catch (error) {
+        failures++;
+        console.log(`${colors.red}❌ ${testCase.name}: ${error.message}${colors.reset}`);
+      }
+    }
+  } finally {
+    await rm(folders.parent, { recursive: true, force: true });
+  }
+
+  console.log();
+  if (failures) {
+    console.log(`${colors.red}${colors.bold}❌ ${failures}/${cases.length} storage tests failed${colors.reset}`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold}🎉 All ${cases.length} storage tests passed${colors.reset}`);
+  process.exit(0);
+}
+
+main();
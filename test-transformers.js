@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * Post transformer test suite
+ * Runs the transformer pipeline and the bundled transformers over small in-memory posts,
+ * then RepoMD clients with transformers over the sample dist folder
+ */
+
+import { RepoMD, createFsStorage } from './src/lib/index.js';
+import {
+  createTransformerPipeline,
+  TRANSFORMERS_CACHE_NAMESPACE,
+  createResponsiveImagesTransformer,
+  createWikilinksTransformer,
+  createExternalLinksTransformer,
+  createLazyLoadingTransformer,
+  createHeadingIdsTransformer,
+} from './src/lib/transformers/index.js';
+import { createMemoryCache } from './src/lib/core/cache.js';
+import { colors, expectEqual, expectRejects } from './test-helpers.js';
+
+const SAMPLE_DIST = new URL('./src/sample_dist_folder/', import.meta.url);
+
+// Link targets of the wikilinks transformer
+const POSTS = [
+  { hash: 'h-cats', slug: 'cats', title: 'All about Cats', originalFilePath: 'pets/Cats.md' },
+  { hash: 'h-dogs', slug: 'dogs', title: 'Dogs', fileName: 'Good dogs' },
+];
+
+// A media with webp and jpeg renditions in two sizes
+const rendition = (size, width, format) => ({
+  width,
+  height: width / 2,
+  format,
+  publicPath: `/_repo/medias/m-cat-${size}.${format}`,
+});
+const MEDIA = [
+  {
+    hashPath: 'm-cat.jpg',
+    sizes: {
+      sm: [rendition('sm', 300, 'webp'), rendition('sm', 300, 'jpeg')],
+      md: [rendition('md', 700, 'webp'), rendition('md', 700, 'jpeg')],
+    },
+  },
+];
+
+const createPipeline = () =>
+  createTransformerPipeline({ getAllPosts: async () => POSTS, getAllMedia: async () => MEDIA });
+
+/**
+ * Run one transformer over a post HTML
+ * @param {Object} transformer - Transformer
+ * @param {Object|string} post - Post, or its HTML
+ * @returns {Promise<Object>} - Transformed post
+ */
+async function transform(transformer, post) {
+  const pipeline = createPipeline();
+  pipeline.use(transformer);
+  return await pipeline.transformPost(typeof post === 'string' ? { hash: 'h-test', slug: 'test', html: post } : post);
+}
+
+const pipelineCases = [
+  {
+    name: 'Transformers run in order on copies of the posts',
+    run: async () => {
+      const pipeline = createPipeline();
+      pipeline.use(function addA(post) {
+        return { ...post, html: `${post.html}A` };
+      });
+      pipeline.use({ name: 'addB', transform: (post) => ({ ...post, html: `${post.html}B` }) });
+      pipeline.use({ name: 'inPlace', transform: (post) => { post.seen = true; } });
+
+      const post = { hash: 'h1', html: '' };
+      const transformed = await pipeline.transformPost(post);
+      expectEqual(transformed.html, 'AB', 'html');
+      expectEqual(transformed.seen, true, 'in-place change');
+      expectEqual(post.html, '', 'source post untouched');
+      expectEqual(pipeline.list().join(','), 'addA,addB,inPlace', 'names');
+    },
+  },
+  {
+    name: 'Transformed posts are cached until the transformers change',
+    run: async () => {
+      const pipeline = createPipeline();
+      let calls = 0;
+      const count = (post) => {
+        calls++;
+        return { ...post, calls };
+      };
+      pipeline.use(count);
+
+      const posts = [{ hash: 'h1' }, { hash: 'h2' }];
+      const first = await pipeline.transformPosts(posts);
+      expectEqual(await pipeline.transformPosts(posts), first, 'same array');
+      expectEqual((await pipeline.transformPost({ hash: 'h1' })).calls, 1, 'cached post');
+      expectEqual(calls, 2, 'runs');
+
+      expectEqual(pipeline.remove(count), true, 'removed');
+      expectEqual(pipeline.remove('count'), false, 'already removed');
+      expectEqual(await pipeline.transformPosts(posts), posts, 'without transformers');
+
+      pipeline.use(count);
+      expectEqual((await pipeline.transformPost({ hash: 'h1' })).calls, 3, 'run again after a change');
+    },
+  },
+  {
+    name: 'Failures name the transformer and the post',
+    run: async () => {
+      const cache = createMemoryCache();
+      cache.configure(TRANSFORMERS_CACHE_NAMESPACE, { maxSize: 10 });
+      const pipeline = createTransformerPipeline({ getAllPosts: async () => POSTS, getAllMedia: async () => MEDIA, cache });
+      pipeline.use({
+        name: 'broken',
+        transform: () => {
+          throw new Error('boom');
+        },
+      });
+      await expectRejects(() => pipeline.transformPost({ slug: 'cats' }), /Post transformer broken failed on cats: boom/, 'error');
+      expectEqual(cache.stats()[TRANSFORMERS_CACHE_NAMESPACE].size, 0, 'failed transform removed from cache');
+
+      let message = null;
+      try {
+        pipeline.use({ name: 'no-transform' });
+      } catch (error) {
+        message = error.message;
+      }
+      expectEqual(message, 'A transformer must be a function or an object with a transform(post, context) function', 'invalid');
+    },
+  },
+];
+
+const transformerCases = [
+  {
+    name: 'Media images become <picture> elements with srcsets',
+    run: async () => {
+      const { html } = await transform(
+        createResponsiveImagesTransformer({ pictureClass: 'media' }),
+        '<img src="/_repo/medias/m-cat-md.webp" alt="Cat" width="400"><img src="/_repo/medias/m-dog.jpg">'
+      );
+      expectEqual(
+        html,
+        '<picture class="media">' +
+          '<source type="image/webp" srcset="/_repo/medias/m-cat-sm.webp 300w, /_repo/medias/m-cat-md.webp 700w" sizes="(max-width: 700px) 100vw, 700px">' +
+          '<img src="/_repo/medias/m-cat-sm.jpeg" alt="Cat" width="400" srcset="/_repo/medias/m-cat-sm.jpeg 300w, /_repo/medias/m-cat-md.jpeg 700w" sizes="(max-width: 700px) 100vw, 700px">' +
+          '</picture><img src="/_repo/medias/m-dog.jpg">',
+        'html'
+      );
+
+      const withSrcset = '<img src="/_repo/medias/m-cat.jpg" srcset="a.jpg 1x">';
+      expectEqual((await transform(createResponsiveImagesTransformer(), withSrcset)).html, withSrcset, 'existing srcset');
+    },
+  },
+  {
+    name: 'Wikilinks resolve by title, file name, path or slug',
+    run: async () => {
+      const { html } = await transform(
+        createWikilinksTransformer({ postUrl: '/blog/:slug' }),
+        '<p>[[All about Cats]], [[Good dogs|my dogs]], [[pets/Cats.md#Fur & Care]], [[#Intro]], [[Missing]]</p><code>[[Dogs]]</code>'
+      );
+      expectEqual(
+        html,
+        '<p><a href="/blog/cats" class="wikilink">All about Cats</a>, ' +
+          '<a href="/blog/dogs" class="wikilink">my dogs</a>, ' +
+          '<a href="/blog/cats#fur-care" class="wikilink">pets/Cats.md > Fur & Care</a>, ' +
+          '<a href="#intro" class="wikilink">Intro</a>, ' +
+          '<span class="wikilink-missing">Missing</span></p><code>[[Dogs]]</code>',
+        'html'
+      );
+    },
+  },
+  {
+    name: 'External links open in a new tab with rel tokens',
+    run: async () => {
+      const { html } = await transform(
+        createExternalLinksTransformer({ siteUrl: 'https://example.com', className: 'external' }),
+        '<a href="https://other.org" rel="nofollow">a</a><a href="//cdn.org/x">b</a><a href="https://example.com/about">c</a><a href="/cats">d</a>'
+      );
+      expectEqual(
+        html,
+        '<a href="https://other.org" rel="nofollow noopener noreferrer" target="_blank" class="external">a</a>' +
+          '<a href="//cdn.org/x" target="_blank" rel="noopener noreferrer" class="external">b</a>' +
+          '<a href="https://example.com/about">c</a><a href="/cats">d</a>',
+        'html'
+      );
+    },
+  },
+  {
+    name: 'Images and iframes are lazy-loaded after the eager ones',
+    run: async () => {
+      const { html } = await transform(
+        createLazyLoadingTransformer({ eagerCount: 1 }),
+        '<img src="a.jpg"><img src="b.jpg" loading="eager" decoding="sync"><iframe src="v.html"></iframe>'
+      );
+      expectEqual(
+        html,
+        '<img src="a.jpg" loading="eager" decoding="async"><img src="b.jpg" loading="eager" decoding="sync">' +
+          '<iframe src="v.html" loading="lazy"></iframe>',
+        'html'
+      );
+    },
+  },
+  {
+    name: 'Heading ids, their links and the toc are prefixed',
+    run: async () => {
+      const post = await transform(createHeadingIdsTransformer({ prefix: (post) => `${post.slug}-` }), {
+        slug: 'cats',
+        html: '<h2 id="fur">Fur</h2><h3>No id</h3><a href="#fur">Fur</a><a href="#fn-1">1</a>',
+        toc: [{ id: 'fur', text: 'Fur' }, { id: 'other' }],
+      });
+      expectEqual(post.html, '<h2 id="cats-fur">Fur</h2><h3>No id</h3><a href="#cats-fur">Fur</a><a href="#fn-1">1</a>', 'html');
+      expectEqual(post.toc.map(({ id }) => id).join(','), 'cats-fur,other', 'toc');
+    },
+  },
+];
+
+const clientCases = [
+  {
+    name: 'Posts returned by the client go through its transformers',
+    run: async () => {
+      const repo = new RepoMD({
+        storage: createFsStorage({ root: SAMPLE_DIST.href }),
+        transformers: [createResponsiveImagesTransformer()],
+      });
+      repo.use(createLazyLoadingTransformer());
+      expectEqual(repo.getTransformers().join(','), 'responsiveImages,lazyLoading', 'transformers');
+
+      const cats = await repo.getPostBySlug('cats');
+      expectEqual(cats.html.includes('<picture>'), true, 'picture elements');
+      expectEqual(cats.html.includes('loading="lazy"'), true, 'lazy images');
+      const fromList = (await repo.getAllPosts()).find((post) => post.slug === 'cats');
+      expectEqual(fromList.html, cats.html, 'same html from the posts list');
+
+      expectEqual(repo.removeTransformer('responsiveImages'), true, 'removed');
+      expectEqual((await repo.getPostBySlug('cats')).html.includes('<picture>'), false, 'after removal');
+    },
+  },
+];
+
+const groups = [
+  ['pipeline', pipelineCases],
+  ['transformers', transformerCases],
+  ['client', clientCases],
+];
+
+async function main() {
+  console.log(`${colors.bold}Running transformer tests...${colors.reset}\n`);
+
+  let failures = 0;
+  let total = 0;
+
+  for (const [group, cases] of groups) {
+    for (const testCase of cases) {
+      total++;
+      const label = `[${group}] ${testCase.name}`;
+      try {
+        await testCase.run();
+        console.log(`${colors.green}✅ ${label}${colors.reset}`);
+      } catch (error) {
+        failures++;
+        console.log(`${colors.red}❌ ${label}: ${error.message}${colors.reset}`);
+      }
+    }
+  }
+
+  console.log();
+  if (failures) {
+    console.log(`${colors.red}${colors.bold}❌ ${failures}/${total} transformer tests failed${colors.reset}`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold}🎉 All ${total} transformer tests passed${colors.reset}`);
+  process.exit(0);
+}
+
+main();
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Base URL test suite
+ * Checks the URLs generated for a custom static storage and for local dist folders,
+ * then reads the sample dist folder through RepoMD clients in local dist mode (HTTP and file://)
+ */
+
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { RepoMD } from './src/lib/index.js';
+import { createUrlGenerator } from './src/lib/core/urls.js';
+import { createApiClient } from './src/lib/core/api.js';
+import { colors, expectEqual, expectRejects } from './test-helpers.js';
+
+const SAMPLE_DIST = new URL('./src/sample_dist_folder/', import.meta.url);
+const LOCAL_REV = 'build-42';
+
+/**
+ * Start a static server of the sample dist folder, with a rev.json
+ * @param {Array<string>} requests - Receives the requested paths
+ * @returns {Promise<import('http').Server>} - Listening server
+ */
+function startDistServer(requests) {
+  const server = createServer(async (req, res) => {
+    requests.push(req.url);
+    if (req.url === '/rev.json') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ rev: LOCAL_REV }));
+      return;
+    }
+    try {
+      const data = await readFile(fileURLToPath(new URL(`.${req.url}`, SAMPLE_DIST)));
+      res.writeHead(200);
+      res.end(data);
+    } catch {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+    }
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+const urlCases = [
+  {
+    name: 'A custom static base URL replaces static.repo.md',
+    run: async () => {
+      const urls = createUrlGenerator({
+        projectId: 'p1',
+        rev: 'r1',
+        activeRev: 'r1',
+        staticBaseUrl: 'https://cdn.example.com/',
+      });
+      expectEqual(await urls.getRevisionUrl('/posts.json'), 'https://cdn.example.com/projects/p1/r1/posts.json', 'revision URL');
+      expectEqual(urls.getMediaUrl('a-sm.webp'), 'https://cdn.example.com/projects/p1/_shared/medias/a-sm.webp', 'media URL');
+      expectEqual(urls.isLocalDist(), false, 'local dist');
+    },
+  },
+  {
+    name: 'Local dist URLs follow the dist folder layout',
+    run: async () => {
+      const urls = createUrlGenerator({
+        projectId: 'p1',
+        rev: 'r1',
+        activeRev: 'r1',
+        localDist: 'http://localhost:8080/dist//',
+      });
+      expectEqual(await urls.getRevisionUrl('/posts.json'), 'http://localhost:8080/dist/posts.json', 'revision URL');
+      expectEqual(urls.getMediaUrl('a-sm.webp'), 'http://localhost:8080/dist/_medias/a-sm.webp', 'media URL');
+      expectEqual(urls.getSharedFolderUrl('/posts/abc.json'), 'http://localhost:8080/dist/_posts/hash/abc.json', 'post URL');
+      expectEqual(urls.getSharedFolderUrl('/other.json'), 'http://localhost:8080/dist/other.json', 'unmapped URL');
+    },
+  },
+  {
+    name: 'The repo.md API is unavailable in local dist mode',
+    run: async () => {
+      const api = createApiClient({ projectId: 'p1', localDist: 'http://localhost:1/dist' });
+      await expectRejects(() => api.fetchPublicApi('/search'), /not available with offline storage/, 'fetchPublicApi');
+    },
+  },
+];
+
+const clientCases = [
+  {
+    name: 'A dist folder served over HTTP is read without the repo.md API',
+    run: async ({ baseUrl, requests }) => {
+      const repo = new RepoMD({ localDist: `${baseUrl}/` });
+      const posts = await repo.getAllPosts();
+      expectEqual(posts.length, 6, 'posts');
+      expectEqual(repo.projectId, 'local-dist', 'project ID');
+      expectEqual(repo.activeRev, LOCAL_REV, 'revision from rev.json');
+      expectEqual(requests.includes('/posts.json'), true, 'posts.json requested');
+      expectEqual(requests.some((path) => path.startsWith('/projects/')), false, 'project layout requested');
+    },
+  },
+  {
+    name: 'A dist folder is read from disk with a file:// URL',
+    run: async () => {
+      const repo = new RepoMD({ localDist: SAMPLE_DIST.href });
+      expectEqual((await repo.getPostBySlug('cats'))?.slug, 'cats', 'post by slug');
+      expectEqual(repo.activeRev, 'local', 'revision without rev.json');
+    },
+  },
+];
+
+async function main() {
+  console.log(`${colors.bold}Running base URL tests...${colors.reset}\n`);
+
+  const requests = [];
+  const server = await startDistServer(requests);
+  const context = { baseUrl: `http://127.0.0.1:${server.address().port}`, requests };
+  let failures = 0;
+  let total = 0;
+
+  const run = async (name, testCase) => {
+    total++;
+    try {
+      await testCase();
+      console.log(`${colors.green}✅ ${name}${colors.reset}`);
+    } catch (error) {
+      failures++;
+      console.log(`${colors.red}❌ ${name}: ${error.message}${colors.reset}`);
+    }
+  };
+
+  try {
+    for (const testCase of urlCases) {
+      await run(`[urls] ${testCase.name}`, testCase.run);
+    }
+    for (const testCase of clientCases) {
+      await run(`[client] ${testCase.name}`, () => testCase.run(context));
+    }
+  } finally {
+    server.close();
+  }
+
+  console.log();
+  if (failures) {
+    console.log(`${colors.red}${colors.bold}❌ ${failures}/${total} base URL tests failed${colors.reset}`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold}🎉 All ${total} base URL tests passed${colors.reset}`);
+  process.exit(0);
+}
+
+main();
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+
+/**
+ * Vector index test suite
+ * Checks the float16/int8 quantization, exact and IVF (k-means) indexes over generated clustered vectors,
+ * then vector searches of the sample dist folder with vectra indexes and metadata filters
+ */
+
+import { readFile } from 'fs/promises';
+import { RepoMD, createFsStorage } from './src/lib/index.js';
+import {
+  createVectorIndex,
+  createQuantizedVectors,
+  toFloat16,
+  fromFloat16,
+  readVectraIndex,
+  VECTOR_INDEX_DEFAULTS,
+} from './src/lib/vectorIndex/index.js';
+import { colors, expectEqual, expectRejects } from './test-helpers.js';
+
+const SAMPLE_DIST = new URL('./src/sample_dist_folder/', import.meta.url);
+const CATS_HASH = '5246dd012b955b5cc4d6d8ce14f893fb6b878b53db083151525fe1ab061f35ae';
+
+// Clustered vectors: CLUSTERS groups of PER_CLUSTER vectors around random centers
+const DIMENSION = 16;
+const CLUSTERS = 8;
+const PER_CLUSTER = 50;
+
+function expectClose(actual, expected, tolerance, label) {
+  if (!(Math.abs(actual - expected) <= tolerance)) {
+    throw new Error(`${label}: expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+// Seeded PRNG (mulberry32) so the generated vectors are the same on every run
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate clustered vectors, with IDs "c<cluster>-<n>"
+ * @returns {{ entries: Array<{id: string, vector: Array<number>}>, centers: Array<Array<number>> }} - Vectors and cluster centers
+ */
+function createClusteredEntries() {
+  const random = createRandom(42);
+  const centers = Array.from({ length: CLUSTERS }, () => Array.from({ length: DIMENSION }, () => random() * 2 - 1));
+  const entries = centers.flatMap((center, cluster) =>
+    Array.from({ length: PER_CLUSTER }, (_, n) => ({
+      id: `c${cluster}-${n}`,
+      vector: center.map((value) => value + (random() - 0.5) * 0.2),
+    }))
+  );
+  return { entries, centers };
+}
+
+const ids = (matches) => matches.map((match) => match.id).join(',');
+const dot = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+const quantizationCases = [
+  {
+    name: 'float16 conversion rounds, overflows and keeps subnormals',
+    run: async () => {
+      expectEqual(toFloat16(1), 0x3c00, '1');
+      expectEqual(toFloat16(-2), 0xc000, '-2');
+      expectEqual(toFloat16(65504), 0x7bff, 'largest float16');
+      expectEqual(toFloat16(1e6), 0x7c00, 'overflow');
+      expectEqual(toFloat16(2 ** -24), 0x0001, 'smallest subnormal');
+      expectEqual(toFloat16(1e-9), 0, 'underflow');
+      expectEqual(fromFloat16(0xfc00), -Infinity, 'negative infinity');
+      expectEqual(Number.isNaN(fromFloat16(toFloat16(NaN))), true, 'NaN');
+      for (const value of [0.1, -0.3333, 0.7071, 2 ** -20]) {
+        expectClose(fromFloat16(toFloat16(value)), value, Math.abs(value) / 1024, `round trip ${value}`);
+      }
+    },
+  },
+  {
+    name: 'Quantized rows are normalized and keep their dot products',
+    run: async () => {
+      const a = [3, 4, 0, 12];
+      const b = [-1, 2, 5, 0.5];
+      const expected = dot(a, b) / (13 * Math.hypot(...b));
+      const query = Float32Array.from(b, (value) => value / Math.hypot(...b));
+
+      for (const [quantization, bytes, tolerance] of [['float32', 48, 1e-6], ['float16', 24, 2e-3], ['int8', 12 + 12, 2e-2]]) {
+        const vectors = createQuantizedVectors(3, 4, quantization);
+        vectors.set(0, a);
+        vectors.set(1, [0, 0, 0, 0]);
+        expectEqual(vectors.bytes, bytes, `${quantization} bytes`);
+        expectClose(vectors.dot(0, query), expected, tolerance, `${quantization} cosine`);
+        expectClose(vectors.get(0)[3], 12 / 13, tolerance, `${quantization} normalized value`);
+        expectEqual(vectors.dot(1, query), 0, `${quantization} zero vector`);
+      }
+      expectEqual(createQuantizedVectors(1, 4, 'int8').bytesPerValue, 1, 'int8 bytes per value');
+
+      let message = null;
+      try {
+        createQuantizedVectors(1, 4, 'int4');
+      } catch (error) {
+        message = error.message;
+      }
+      expectEqual(message, "Quantization 'int4' is not supported. Available: float32, float16, int8", 'invalid');
+    },
+  },
+];
+
+const indexCases = [
+  {
+    name: 'Exact indexes rank every vector with thresholds and filters',
+    run: async () => {
+      const index = createVectorIndex([
+        { id: 'x', vector: [1, 0] },
+        { id: 'xy', vector: [1, 1] },
+        { id: 'y', vector: [0, 2] },
+        { id: '-x', vector: [-1, 0] },
+      ]);
+      expectEqual(index.getStats().algorithm, 'flat', 'algorithm');
+      expectEqual(ids(index.search([2, 0])), 'x,xy,y,-x', 'all vectors');
+      expectEqual(ids(index.search([2, 0], { threshold: 0.5 })), 'x,xy', 'threshold');
+      expectEqual(ids(index.search([2, 0], { limit: 1, filter: (id) => id !== 'x' })), 'xy', 'filter');
+      expectClose(index.search([0, 1], { limit: 1 })[0].similarity, 1, 1e-3, 'similarity');
+      expectEqual(index.search([0, 0]).length, 0, 'zero query');
+    },
+  },
+  {
+    name: 'IVF indexes scan the lists nearest to the query',
+    run: async () => {
+      const { entries, centers } = createClusteredEntries();
+      const exact = createVectorIndex(entries, { algorithm: 'flat' });
+      const ivf = createVectorIndex(entries, { algorithm: 'ivf', lists: CLUSTERS, probes: 1 });
+
+      const stats = ivf.getStats();
+      expectEqual(`${stats.algorithm} ${stats.lists} ${stats.probes}`, 'ivf 8 1', 'stats');
+      for (const [cluster, center] of centers.entries()) {
+        const expected = exact.search(center, { limit: 10 });
+        const found = ivf.search(center, { limit: 10 });
+        expectEqual(ids(found), ids(expected), `cluster ${cluster} results`);
+        expectEqual(found.every(({ id }) => id.startsWith(`c${cluster}-`)), true, `cluster ${cluster} members`);
+      }
+
+      // Built twice from the same vectors, the k-means lists are the same
+      const again = createVectorIndex(entries, { algorithm: 'ivf', lists: CLUSTERS, probes: 1 });
+      expectEqual(ids(again.search(entries[7].vector, { limit: 20 })), ids(ivf.search(entries[7].vector, { limit: 20 })), 'deterministic');
+    },
+  },
+  {
+    name: 'Filtered IVF searches widen to more lists',
+    run: async () => {
+      const { entries, centers } = createClusteredEntries();
+      const ivf = createVectorIndex(entries, { algorithm: 'ivf', lists: CLUSTERS, probes: 1 });
+      const otherCluster = (id) => id.startsWith('c3-');
+      const found = ivf.search(centers[0], { limit: 5, filter: otherCluster });
+      expectEqual(found.length, 5, 'results');
+      expectEqual(found.every(({ id }) => otherCluster(id)), true, 'filtered results');
+      expectEqual(ivf.search(centers[0], { limit: 5, exact: true })[0].id.startsWith('c0-'), true, 'exact scan');
+    },
+  },
+  {
+    name: 'The auto algorithm switches to IVF at the exact threshold',
+    run: async () => {
+      const { entries } = createClusteredEntries();
+      const small = createVectorIndex(entries, { exactThreshold: entries.length + 1, quantization: 'int8' });
+      const large = createVectorIndex(entries, { exactThreshold: entries.length });
+      expectEqual(`${small.getStats().algorithm} ${large.getStats().algorithm}`, 'flat ivf', 'algorithms');
+      expectEqual(`${large.getStats().lists} ${large.getStats().probes}`, '20 4', 'default lists and probes');
+
+      const { bytes, float32Bytes } = small.getStats();
+      expectEqual(bytes, float32Bytes / 4 + entries.length * 4, 'int8 bytes');
+
+      let message = null;
+      try {
+        createVectorIndex([{ id: 'a', vector: [1, 0] }, { id: 'b', vector: [1, 0, 0] }]);
+      } catch (error) {
+        message = error.message;
+      }
+      expectEqual(message, 'Vector b has 3 dimensions, expected 2', 'dimension mismatch');
+    },
+  },
+  {
+    name: 'Default IVF settings keep the recall at the exact threshold',
+    run: async () => {
+      // Topics of a vault: many small clusters, queries near a note
+      const random = createRandom(7);
+      const dimension = 64;
+      const noise = () => (random() - 0.5) * 1.6;
+      const topics = Array.from({ length: 200 }, () => Array.from({ length: dimension }, () => random() * 2 - 1));
+      const entries = Array.from({ length: VECTOR_INDEX_DEFAULTS.exactThreshold }, (_, n) => ({
+        id: `n${n}`,
+        vector: topics[n % topics.length].map((value) => value + noise()),
+      }));
+
+      const exact = createVectorIndex(entries, { algorithm: 'flat' });
+      const auto = createVectorIndex(entries);
+      expectEqual(auto.getStats().algorithm, 'ivf', 'algorithm');
+
+      let found = 0;
+      for (let query = 0; query < 20; query++) {
+        const vector = entries[Math.floor(random() * entries.length)].vector.map((value) => value + noise() / 2);
+        const expected = new Set(exact.search(vector, { limit: 10 }).map(({ id }) => id));
+        found += auto.search(vector, { limit: 10 }).filter(({ id }) => expected.has(id)).length;
+      }
+      expectEqual(found / 200 >= 0.95, true, `recall@10 ${found / 200}`);
+    },
+  },
+];
+
+/**
+ * Client over the sample dist folder embedding every query as the cats post embedding,
+ * optionally serving a vectra index of the post embeddings
+ * @param {Object} options - { vectorIndex, vectra }
+ * @returns {Promise<RepoMD>} - Client
+ */
+async function createRepo({ vectorIndex = null, vectra = false } = {}) {
+  const embeddings = JSON.parse(await readFile(new URL('posts-embedding-hash-map.json', SAMPLE_DIST), 'utf8'));
+  const storage = createFsStorage({ root: SAMPLE_DIST.href });
+  const vectraIndex = {
+    version: 1,
+    items: Object.entries(embeddings).map(([hash, vector], index) => ({ id: `item-${index}`, metadata: { hash }, vector })),
+  };
+  return new RepoMD({
+    storage: {
+      ...storage,
+      readJson: async (path, opts) =>
+        vectra && path === '/_vectra/posts/index.json' ? vectraIndex : await storage.readJson(path, opts),
+    },
+    vectorIndex,
+    embeddingProvider: { name: 'fixed', computeTextEmbedding: async () => ({ embedding: embeddings[CATS_HASH] }) },
+  });
+}
+
+const clientCases = [
+  {
+    name: 'Vectra items are keyed by the hash of their metadata',
+    run: async () => {
+      const entries = readVectraIndex({
+        items: [
+          { id: 'a', metadata: { hash: 'h-a' }, vector: [1, 0] },
+          { id: 'b', vector: [0, 1] },
+          { id: 'c', metadata: { hash: 'h-c' }, vector: [] },
+        ],
+      });
+      expectEqual(ids(entries), 'h-a,b', 'entries');
+      expectEqual(readVectraIndex(null).length, 0, 'missing index');
+    },
+  },
+  {
+    name: 'Vector searches use the vectra index, else the embeddings map',
+    run: async () => {
+      const fromVectra = await createRepo({ vectra: true, vectorIndex: { quantization: 'int8' } });
+      expectEqual((await fromVectra.findPostsByText('kittens', { limit: 1 }))[0].post.slug, 'cats', 'vectra result');
+      const stats = fromVectra.getVectorIndexStats().posts;
+      expectEqual(`${stats.source} ${stats.quantization} ${stats.count}`, 'vectra int8 6', 'vectra stats');
+
+      const fromMap = await createRepo({ vectra: true, vectorIndex: { useVectra: false, algorithm: 'ivf', lists: 2 } });
+      expectEqual((await fromMap.findPostsByText('kittens', { limit: 1, exact: true }))[0].post.slug, 'cats', 'embeddings result');
+      expectEqual(`${fromMap.getVectorIndexStats().posts.source} ${fromMap.getVectorIndexStats().posts.algorithm}`, 'embeddings ivf', 'embeddings stats');
+    },
+  },
+  {
+    name: 'Metadata filters narrow vector results',
+    run: async () => {
+      const repo = await createRepo();
+      const results = await repo.findPostsByText('kittens', { limit: 3, threshold: -1, filters: { slug: { ne: 'cats' } } });
+      expectEqual(results.length, 3, 'results');
+      expectEqual(results.some((result) => result.post.slug === 'cats'), false, 'filtered out');
+      await expectRejects(() => repo.findPostsByText(''), /Either text or image parameter is required/, 'empty query');
+    },
+  },
+];
+
+const groups = [
+  ['quantization', quantizationCases],
+  ['index', indexCases],
+  ['client', clientCases],
+];
+
+async function main() {
+  console.log(`${colors.bold}Running vector index tests...${colors.reset}\n`);
+
+  let failures = 0;
+  let total = 0;
+
+  for (const [group, cases] of groups) {
+    for (const testCase of cases) {
+      total++;
+      const label = `[${group}] ${testCase.name}`;
+      try {
+        await testCase.run();
+        console.log(`${colors.green}✅ ${label}${colors.reset}`);
+      } catch (error) {
+        failures++;
+        console.log(`${colors.red}❌ ${label}: ${error.message}${colors.reset}`);
+      }
+    }
+  }
+
+  console.log();
+  if (failures) {
+    console.log(`${colors.red}${colors.bold}❌ ${failures}/${total} vector index tests failed${colors.reset}`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold}🎉 All ${total} vector index tests passed${colors.reset}`);
+  process.exit(0);
+}
+
+main();
@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * Visibility policy test suite
+ * Checks the policy rules (private notes, drafts, publishAt embargoes) and the preview secret,
+ * then the read paths of a RepoMD client over a copy of the sample dist folder with hidden posts
+ */
+
+import { rm } from 'fs/promises';
+import { RepoMD, createFsStorage } from './src/lib/index.js';
+import { createVisibilityPolicy } from './src/lib/posts/visibility.js';
+import { createRevisionDiff } from './src/lib/revisions/index.js';
+import { colors, createDistFolder, expectEqual, expectRejects } from './test-helpers.js';
+const PREVIEW_SECRET = 'let-me-in';
+const NOW = Date.parse('2025-06-01T00:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const slugs = (posts) => posts.map((post) => post.slug).join(',');
+
+/**
+ * Hide some of the sample posts
+ * - contact is a draft, portraits is a private note, landscape is scheduled for the future
+ * - about links to the draft and to a missing post
+ * @param {Array<Object>} posts - Posts of the dist folder, changed in place
+ */
+function hidePosts(posts) {
+  const frontmatter = {
+    contact: { draft: true },
+    portraits: { public: false },
+    landscape: { publishAt: new Date(Date.now() + DAY).toISOString() },
+  };
+  for (const post of posts) {
+    post.frontmatter = { ...post.frontmatter, ...frontmatter[post.slug] };
+    if (post.slug === 'about') post.links = ['contact', 'missing-note'];
+  }
+}
+
+function createClient(root) {
+  return new RepoMD({
+    storage: createFsStorage({ root }),
+    visibility: { previewSecret: PREVIEW_SECRET },
+  });
+}
+
+const policyCases = [
+  {
+    name: 'Drafts, private notes and scheduled posts are hidden',
+    run: () => {
+      const policy = createVisibilityPolicy({ now: () => NOW });
+      expectEqual(policy.getHiddenReason({ frontmatter: { draft: true } }), 'draft', 'draft');
+      expectEqual(policy.getHiddenReason({ frontmatter: { draft: 'no' } }), null, 'draft: no');
+      expectEqual(policy.getHiddenReason({ frontmatter: { public: false } }), 'private', 'private');
+      expectEqual(policy.getHiddenReason({ frontmatter: { publishAt: '2025-06-02' } }), 'scheduled', 'scheduled');
+      expectEqual(policy.getHiddenReason({ frontmatter: { publishAt: '2025-05-01' } }), null, 'published');
+      expectEqual(policy.getHiddenReason({ frontmatter: {} }), null, 'plain post');
+    },
+  },
+  {
+    name: 'Rules can be relaxed per kind of post',
+    run: () => {
+      const policy = createVisibilityPolicy({ includeDrafts: true, defaultPublic: false, now: () => NOW });
+      expectEqual(policy.isVisible({ frontmatter: { draft: true, public: true } }), true, 'draft');
+      expectEqual(policy.isVisible({ frontmatter: {} }), false, 'without visibility field');
+    },
+  },
+  {
+    name: 'Scheduled posts appear once their publishAt date passes',
+    run: () => {
+      let now = NOW;
+      const policy = createVisibilityPolicy({ now: () => now });
+      const posts = [
+        { slug: 'live', frontmatter: {} },
+        { slug: 'tomorrow', frontmatter: { publishAt: new Date(NOW + DAY).toISOString() } },
+      ];
+      expectEqual(slugs(policy.filterPosts(posts)), 'live', 'before');
+      // Memoized until the embargo ends
+      expectEqual(policy.filterPosts(posts), policy.filterPosts(posts), 'memoized');
+      now = NOW + DAY + 1;
+      expectEqual(slugs(policy.filterPosts(posts)), 'live,tomorrow', 'after');
+    },
+  },
+  {
+    name: 'The preview secret unlocks every post, except with ignorePreview',
+    run: async () => {
+      const policy = createVisibilityPolicy({ previewSecret: PREVIEW_SECRET });
+      const draft = { frontmatter: { draft: true } };
+
+      await expectRejects(() => policy.enablePreview('wrong'), /Invalid preview secret/, 'wrong secret');
+      expectEqual(policy.isPreview(), false, 'preview after a wrong secret');
+      expectEqual(policy.checkPreviewSecret(`${PREVIEW_SECRET}x`), false, 'longer secret');
+
+      policy.enablePreview(PREVIEW_SECRET);
+      expectEqual(policy.isVisible(draft), true, 'draft in preview');
+      expectEqual(policy.isVisible(draft, { ignorePreview: true }), false, 'draft with ignorePreview');
+      expectEqual(policy.isRestricted(), false, 'restricted in preview');
+      expectEqual('previewSecret' in policy.getPolicy(), false, 'secret in getPolicy');
+
+      policy.disablePreview();
+      expectEqual(policy.isVisible(draft), false, 'draft after preview');
+    },
+  },
+  {
+    name: 'Preview mode requires a configured secret',
+    run: async () => {
+      const policy = createVisibilityPolicy();
+      await expectRejects(() => policy.enablePreview(''), /requires a visibility.previewSecret/, 'no secret');
+      expectEqual(policy.checkPreviewSecret(''), false, 'empty secret');
+    },
+  },
+];
+
+// Cases run against a client over the dist folder with hidden posts
+const clientCases = [
+  {
+    name: 'Post reads leave hidden posts out',
+    run: async (repo) => {
+      expectEqual(slugs(await repo.getAllPosts()), 'index,about,cats', 'getAllPosts');
+      expectEqual(await repo.getPostBySlug('contact'), null, 'draft by slug');
+      expectEqual((await repo.queryPosts({ where: { slug: 'portraits' } })).total, 0, 'private note query');
+      expectEqual(await repo.hasHiddenPosts(), true, 'hasHiddenPosts');
+    },
+  },
+  {
+    name: 'Preview mode shows hidden posts until disabled',
+    run: async (repo) => {
+      repo.enablePreview(PREVIEW_SECRET);
+      expectEqual((await repo.getAllPosts()).length, 6, 'posts in preview');
+      expectEqual((await repo.getPostBySlug('contact'))?.slug, 'contact', 'draft by slug');
+      repo.disablePreview();
+      expectEqual(await repo.getPostBySlug('contact'), null, 'draft after preview');
+    },
+  },
+  {
+    name: 'Links to hidden posts are not dead links',
+    run: async (repo) => {
+      const deadLinks = await repo.getDeadLinks();
+      expectEqual(deadLinks.map(({ target }) => target).join(','), 'missing-note', 'dead links');
+      expectEqual(slugs(await repo.getOutgoingLinks('about')), '', 'outgoing links');
+    },
+  },
+  {
+    name: 'SQL requires the preview mode while posts are hidden',
+    run: async (repo) => {
+      await expectRejects(() => repo.sql('SELECT slug FROM posts'), /preview mode/, 'sql');
+      await expectRejects(() => repo.getDatabase(), /preview mode/, 'getDatabase');
+      await expectRejects(() => repo.database.sql('SELECT slug FROM posts'), /preview mode/, 'database.sql');
+
+      repo.enablePreview(PREVIEW_SECRET);
+      try {
+        const rows = await repo.sql('SELECT COUNT(*) AS count FROM posts');
+        expectEqual(rows[0].count > 0, true, 'rows in preview');
+      } finally {
+        repo.disablePreview();
+      }
+    },
+  },
+];
+
+const diffCases = [
+  {
+    name: 'Revision diffs leave hidden posts and their source files out',
+    run: async () => {
+      const revisions = {
+        r1: {
+          '/posts.json': [{ hash: 'a1', slug: 'hello', originalFilePath: 'hello.md' }],
+          '/files-source.json': [{ path: 'hello.md', size: 1 }],
+        },
+        r2: {
+          '/posts.json': [
+            { hash: 'a1', slug: 'hello', originalFilePath: 'hello.md' },
+            { hash: 'b1', slug: 'secret', originalFilePath: 'secret.md', frontmatter: { draft: true } },
+          ],
+          '/files-source.json': [{ path: 'hello.md', size: 1 }, { path: 'secret.md', size: 2 }],
+        },
+      };
+      const policy = createVisibilityPolicy({ previewSecret: PREVIEW_SECRET });
+      const diff = createRevisionDiff({
+        readRevisionJson: async (rev, path) => revisions[rev][path] ?? [],
+        resolveRev: async (rev) => rev,
+        filterPosts: (posts) => policy.filterPosts(posts),
+      });
+
+      const result = await diff.diffRevisions('r1', 'r2');
+      expectEqual(result.posts.added.length, 0, 'added posts');
+      expectEqual(result.files.added.length, 0, 'added files');
+      expectEqual(result.summary.hasChanges, false, 'hasChanges');
+
+      policy.enablePreview(PREVIEW_SECRET);
+      const preview = await diff.diffRevisions('r1', 'r2');
+      expectEqual(slugs(preview.posts.added), 'secret', 'added posts in preview');
+      expectEqual(preview.files.added[0]?.path, 'secret.md', 'added files in preview');
+    },
+  },
+];
+
+async function main() {
+  console.log(`${colors.bold}Running visibility tests...${colors.reset}\n`);
+
+  const root = await createDistFolder('repo-md-visibility-', hidePosts);
+  let failures = 0;
+  let total = 0;
+
+  const run = async (name, testCase) => {
+    total++;
+    try {
+      await testCase();
+      console.log(`${colors.green}✅ ${name}${colors.reset}`);
+    } catch (error) {
+      failures++;
+      console.log(`${colors.red}❌ ${name}: ${error.message}${colors.reset}`);
+    }
+  };
+
+  try {
+    for (const testCase of policyCases) {
+      await run(`[policy] ${testCase.name}`, testCase.run);
+    }
+    for (const testCase of clientCases) {
+      // A client per case, so the preview mode of one doesn't leak into the next
+      await run(`[client] ${testCase.name}`, () => testCase.run(createClient(root)));
+    }
+    for (const testCase of diffCases) {
+      await run(`[diff] ${testCase.name}`, testCase.run);
+    }
+  } finally {
+    await rm(root, { recursive: true, force: true });
+  }
+
+  console.log();
+  if (failures) {
+    console.log(`${colors.red}${colors.bold}❌ ${failures}/${total} visibility tests failed${colors.reset}`);
+    process.exit(1);
+  }
+  console.log(`${colors.green}${colors.bold}🎉 All ${total} visibility tests passed${colors.reset}`);
+  process.exit(0);
+}
+
+main();
@@ -13,11 +13,12 @@ export default defineConfig({
       fileName: 'repo-md'
     },
     rollupOptions: {
-      external: ['quick-lru'],
+      external: ['quick-lru', 'sql.js'],
       output: {
         exports: 'named',
         globals: {
-          'quick-lru': 'QuickLRU'
+          'quick-lru': 'QuickLRU',
+          'sql.js': 'initSqlJs'
         }
       }
     },